@@ -4,7 +4,7 @@
  * to maintain backward compatibility with existing code.
  *
  * Service modules:
- * - documentExtractor: Text extraction from files (PDF, TXT, DOCX)
+ * - documentExtractor: Text extraction from files (PDF, TXT, DOC, DOCX)
  * - embeddingService: Embedding generation and text chunking
  * - documentProcessor: Document processing and storage
  * - summaryService: Document summary generation
@@ -13,7 +13,7 @@
  */
 
 // Import from specialized service modules
-const { extractTextFromFile } = require('./services/documentExtractor');
+const { extractDocument, extractTextFromFile } = require('./services/documentExtractor');
 const { generateEmbedding, splitIntoChunks } = require('./services/embeddingService');
 const {
   getDocumentsTextOnDemand,
@@ -26,10 +26,14 @@ const {
   generateAndStoreDocumentSummary
 } = require('./services/summaryService');
 const {
+  lexicalSearch,
   retrieveRelevantDocuments,
   smartHierarchicalRetrieval,
   getAdaptiveContextStrategy,
   retrieveRelevantDocumentsOptimized,
+  findMentionedDocumentIds,
+  resolveDocumentScope,
+  resolvePinnedContext,
   generateAIResponse
 } = require('./services/ragService');
 const {
@@ -39,6 +43,7 @@ const {
 // Re-export all functions for backward compatibility
 module.exports = {
   // Document extraction
+  extractDocument,
   extractTextFromFile,
 
   // Embedding and chunking
@@ -56,10 +61,14 @@ module.exports = {
   generateAndStoreDocumentSummary,
 
   // RAG and retrieval
+  lexicalSearch,
   retrieveRelevantDocuments,
   smartHierarchicalRetrieval,
   getAdaptiveContextStrategy,
   retrieveRelevantDocumentsOptimized,
+  findMentionedDocumentIds,
+  resolveDocumentScope,
+  resolvePinnedContext,
   generateAIResponse,
 
   // Streaming
@@ -1,5 +1,253 @@
 const pool = require('./db');
 
+/**
+ * Additive schema upgrades applied on every startup.
+ * Each statement must be idempotent so it is safe to re-run against an up-to-date database.
+ */
+const SCHEMA_UPGRADES = [
+  // Slide provenance for chunks extracted from slide decks
+  'ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS slide_number INTEGER',
+  // Page provenance for chunks extracted from PDFs
+  'ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS page_start INTEGER',
+  'ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS page_end INTEGER',
+  // Structure-aware chunking with per-class sizes
+  'ALTER TABLE classes ADD COLUMN IF NOT EXISTS chunk_target_tokens INTEGER',
+  'ALTER TABLE classes ADD COLUMN IF NOT EXISTS chunk_overlap_tokens INTEGER',
+  'ALTER TABLE documents ADD COLUMN IF NOT EXISTS chunker_version TEXT',
+  'ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS token_count INTEGER',
+  // Durable background job queue
+  `CREATE TABLE IF NOT EXISTS document_jobs (
+    id SERIAL PRIMARY KEY,
+    document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+    job_type TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_document_jobs_active
+    ON document_jobs(document_id, job_type) WHERE status IN ('queued', 'running')`,
+  'CREATE INDEX IF NOT EXISTS idx_document_jobs_due ON document_jobs(status, run_at)',
+  // Chunks awaiting an embedding retry
+  `CREATE INDEX IF NOT EXISTS idx_document_chunks_unembedded
+    ON document_chunks(document_id) WHERE embedding IS NULL`,
+  // Embedding model metadata; vector columns become untyped so models with other dimensions fit
+  'ALTER TABLE classes ADD COLUMN IF NOT EXISTS embedding_model TEXT',
+  'ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS embedding_model TEXT',
+  'ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS embedding_dim INTEGER',
+  'ALTER TABLE document_summaries ADD COLUMN IF NOT EXISTS embedding_model TEXT',
+  'ALTER TABLE document_summaries ADD COLUMN IF NOT EXISTS embedding_dim INTEGER',
+  `DO $$
+   BEGIN
+     IF EXISTS (SELECT 1 FROM pg_attribute WHERE attrelid = to_regclass('document_chunks') AND attname = 'embedding' AND atttypmod > 0) THEN
+       DROP INDEX IF EXISTS document_chunks_embedding_idx;
+       ALTER TABLE document_chunks ALTER COLUMN embedding TYPE vector;
+     END IF;
+     IF EXISTS (SELECT 1 FROM pg_attribute WHERE attrelid = to_regclass('document_summaries') AND attname = 'summary_embedding' AND atttypmod > 0) THEN
+       DROP INDEX IF EXISTS document_summaries_embedding_idx;
+       ALTER TABLE document_summaries ALTER COLUMN summary_embedding TYPE vector;
+     END IF;
+   END $$`,
+  // Vectors stored before model tracking all came from text-embedding-3-small
+  `UPDATE document_chunks SET embedding_model = 'openai:text-embedding-3-small', embedding_dim = vector_dims(embedding)
+   WHERE embedding_model IS NULL AND embedding IS NOT NULL`,
+  `UPDATE document_summaries SET embedding_model = 'openai:text-embedding-3-small', embedding_dim = vector_dims(summary_embedding)
+   WHERE embedding_model IS NULL AND summary_embedding IS NOT NULL`,
+  // One vector index per embedding model, over its vectors cast to its dimension
+  `CREATE INDEX IF NOT EXISTS document_chunks_embedding_openai_small_idx ON document_chunks
+    USING ivfflat ((embedding::vector(1536)) vector_cosine_ops) WITH (lists = 100)
+    WHERE embedding_model = 'openai:text-embedding-3-small'`,
+  `CREATE INDEX IF NOT EXISTS document_chunks_embedding_minilm_idx ON document_chunks
+    USING ivfflat ((embedding::vector(384)) vector_cosine_ops) WITH (lists = 100)
+    WHERE embedding_model = 'local:Xenova/all-MiniLM-L6-v2'`,
+  `CREATE INDEX IF NOT EXISTS document_summaries_embedding_openai_small_idx ON document_summaries
+    USING ivfflat ((summary_embedding::vector(1536)) vector_cosine_ops) WITH (lists = 50)
+    WHERE embedding_model = 'openai:text-embedding-3-small'`,
+  `CREATE INDEX IF NOT EXISTS document_summaries_embedding_minilm_idx ON document_summaries
+    USING ivfflat ((summary_embedding::vector(384)) vector_cosine_ops) WITH (lists = 50)
+    WHERE embedding_model = 'local:Xenova/all-MiniLM-L6-v2'`,
+  // Managed re-embedding with shadow vectors
+  'ALTER TABLE document_jobs ADD COLUMN IF NOT EXISTS payload JSONB',
+  `CREATE TABLE IF NOT EXISTS embedding_migrations (
+    id SERIAL PRIMARY KEY,
+    class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+    from_model TEXT NOT NULL,
+    to_model TEXT NOT NULL,
+    previous_class_model TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    total_items INTEGER NOT NULL DEFAULT 0,
+    embedded_items INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    rolled_back_at TIMESTAMP
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_embedding_migrations_active
+    ON embedding_migrations(class_id) WHERE status IN ('pending', 'running')`,
+  `CREATE TABLE IF NOT EXISTS embedding_shadow (
+    migration_id INTEGER REFERENCES embedding_migrations(id) ON DELETE CASCADE,
+    target TEXT NOT NULL,
+    target_id INTEGER NOT NULL,
+    embedding VECTOR,
+    embedding_model TEXT,
+    embedding_dim INTEGER,
+    PRIMARY KEY (migration_id, target, target_id)
+  )`,
+  // Hybrid lexical + vector retrieval
+  `ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS content_tsv TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', content)) STORED`,
+  `CREATE INDEX IF NOT EXISTS idx_document_chunks_content_tsv
+    ON document_chunks USING GIN (content_tsv)`,
+  'ALTER TABLE classes ADD COLUMN IF NOT EXISTS retrieval_vector_weight REAL',
+  'ALTER TABLE classes ADD COLUMN IF NOT EXISTS retrieval_lexical_weight REAL',
+  // Second-stage reranking
+  'ALTER TABLE classes ADD COLUMN IF NOT EXISTS reranker TEXT',
+  'ALTER TABLE classes ADD COLUMN IF NOT EXISTS rerank_depth INTEGER',
+  // Rolling conversation summaries for multi-turn answers
+  `CREATE TABLE IF NOT EXISTS conversation_summaries (
+    class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+    chat_owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    summary TEXT NOT NULL,
+    summarized_through_id INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (class_id, chat_owner_id)
+  )`,
+  // Inline citations linked to source chunks
+  `CREATE TABLE IF NOT EXISTS message_citations (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES chat_messages(id) ON DELETE CASCADE,
+    marker INTEGER NOT NULL,
+    document_id INTEGER REFERENCES documents(id) ON DELETE SET NULL,
+    chunk_id INTEGER REFERENCES document_chunks(id) ON DELETE SET NULL,
+    filename TEXT,
+    page_start INTEGER,
+    page_end INTEGER,
+    slide_number INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (message_id, marker)
+  )`,
+  // Grounding score shown with each AI answer
+  'ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS grounding JSONB',
+  // Course-materials-only answering
+  'ALTER TABLE classes ADD COLUMN IF NOT EXISTS grounded_only BOOLEAN',
+  'ALTER TABLE classes ADD COLUMN IF NOT EXISTS grounding_min_similarity REAL',
+  // Retrieval logging for class owners
+  `CREATE TABLE IF NOT EXISTS retrieval_analytics (
+    id SERIAL PRIMARY KEY,
+    class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+    query_text TEXT,
+    documents_retrieved INTEGER[],
+    response_quality_score FLOAT,
+    retrieval_time_ms INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'ALTER TABLE retrieval_analytics ADD COLUMN IF NOT EXISTS chunks_retrieved INTEGER[]',
+  'ALTER TABLE retrieval_analytics ADD COLUMN IF NOT EXISTS distances REAL[]',
+  'ALTER TABLE retrieval_analytics ADD COLUMN IF NOT EXISTS top_similarity REAL',
+  'ALTER TABLE retrieval_analytics ADD COLUMN IF NOT EXISTS result_count INTEGER',
+  'ALTER TABLE retrieval_analytics ADD COLUMN IF NOT EXISTS strategy TEXT',
+  'ALTER TABLE retrieval_analytics ADD COLUMN IF NOT EXISTS context_strategy TEXT',
+  'ALTER TABLE retrieval_analytics ADD COLUMN IF NOT EXISTS reranker TEXT',
+  // Older databases created the table without ON DELETE CASCADE, which now blocks deleting a class
+  `DO $$ BEGIN
+    IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'retrieval_analytics_class_id_fkey' AND confdeltype <> 'c') THEN
+      ALTER TABLE retrieval_analytics DROP CONSTRAINT retrieval_analytics_class_id_fkey;
+      ALTER TABLE retrieval_analytics ADD CONSTRAINT retrieval_analytics_class_id_fkey
+        FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE;
+    END IF;
+  END $$`,
+  'CREATE INDEX IF NOT EXISTS idx_retrieval_analytics_class ON retrieval_analytics(class_id, created_at DESC)',
+  // Answer feedback, linked to the retrieval behind each answer
+  `ALTER TABLE retrieval_analytics ADD COLUMN IF NOT EXISTS message_id INTEGER
+    REFERENCES chat_messages(id) ON DELETE SET NULL`,
+  'CREATE INDEX IF NOT EXISTS idx_retrieval_analytics_message ON retrieval_analytics(message_id)',
+  `CREATE TABLE IF NOT EXISTS message_feedback (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES chat_messages(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+    rating TEXT NOT NULL CHECK (rating IN ('up', 'down')),
+    reasons TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (message_id, user_id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_message_feedback_class ON message_feedback(class_id)',
+  // Per-document chat threads opened from the document viewer
+  'ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE',
+  `CREATE INDEX IF NOT EXISTS idx_chat_messages_document
+    ON chat_messages(document_id, chat_owner_id) WHERE document_id IS NOT NULL`,
+  'ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS pinned_context JSONB',
+  // Multiple named conversation threads per class
+  `CREATE TABLE IF NOT EXISTS conversations (
+    id SERIAL PRIMARY KEY,
+    class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    archived_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_conversations_owner ON conversations(class_id, user_id, updated_at DESC)',
+  'ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE',
+  'CREATE INDEX IF NOT EXISTS idx_chat_messages_conversation ON chat_messages(conversation_id)',
+  // Each existing class chat becomes one thread, titled after its first question
+  `WITH legacy AS (
+    INSERT INTO conversations (class_id, user_id, title, created_at, updated_at)
+    SELECT cm.class_id, cm.chat_owner_id,
+      COALESCE((
+        SELECT LEFT(regexp_replace(question.message, '\\s+', ' ', 'g'), 60)
+        FROM chat_messages question
+        WHERE question.class_id = cm.class_id AND question.chat_owner_id = cm.chat_owner_id
+          AND question.is_ai = false AND question.document_id IS NULL
+        ORDER BY question.id
+        LIMIT 1
+      ), 'Conversation'),
+      MIN(cm.created_at), MAX(cm.created_at)
+    FROM chat_messages cm
+    WHERE cm.conversation_id IS NULL AND cm.document_id IS NULL AND cm.chat_owner_id IS NOT NULL
+    GROUP BY cm.class_id, cm.chat_owner_id
+    RETURNING id, class_id, user_id
+  )
+  UPDATE chat_messages cm SET conversation_id = legacy.id
+  FROM legacy
+  WHERE cm.class_id = legacy.class_id AND cm.chat_owner_id = legacy.user_id
+    AND cm.conversation_id IS NULL AND cm.document_id IS NULL`,
+  // Rolling summaries move from one per class chat to one per thread
+  `DO $$ BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'conversation_summaries' AND column_name = 'chat_owner_id') THEN
+      ALTER TABLE conversation_summaries ADD COLUMN conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE;
+      UPDATE conversation_summaries s SET conversation_id = c.id
+      FROM conversations c
+      WHERE c.class_id = s.class_id AND c.user_id = s.chat_owner_id;
+      DELETE FROM conversation_summaries WHERE conversation_id IS NULL;
+      ALTER TABLE conversation_summaries DROP CONSTRAINT conversation_summaries_pkey;
+      ALTER TABLE conversation_summaries DROP COLUMN class_id, DROP COLUMN chat_owner_id;
+      ALTER TABLE conversation_summaries ADD PRIMARY KEY (conversation_id);
+    END IF;
+  END $$`,
+  // Edited questions and regenerated answers are stored as sibling branches; existing chats become single branches
+  `DO $$ BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'chat_messages' AND column_name = 'parent_message_id') THEN
+      ALTER TABLE chat_messages ADD COLUMN parent_message_id INTEGER REFERENCES chat_messages(id) ON DELETE CASCADE;
+      UPDATE chat_messages cm SET parent_message_id = previous.parent_id
+      FROM (
+        SELECT id, LAG(id) OVER (PARTITION BY class_id, chat_owner_id, conversation_id, document_id ORDER BY id) AS parent_id
+        FROM chat_messages
+      ) previous
+      WHERE cm.id = previous.id AND previous.parent_id IS NOT NULL;
+    END IF;
+  END $$`,
+  'ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS branch_selected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+  'CREATE INDEX IF NOT EXISTS idx_chat_messages_parent ON chat_messages(parent_message_id)'
+];
+
 /**
  * Automatically ensures the database schema is up to date
  * Runs on server startup to handle missing columns and migrations
@@ -105,6 +353,11 @@ async function ensureSchema() {
       CREATE INDEX IF NOT EXISTS idx_chat_messages_chat_owner 
       ON chat_messages(class_id, chat_owner_id)
     `);
+
+    // Apply additive upgrades for columns and tables added after the initial schema
+    for (const statement of SCHEMA_UPGRADES) {
+      await client.query(statement);
+    }
     
   } catch (err) {
     try {
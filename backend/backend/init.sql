@@ -21,6 +21,15 @@ CREATE TABLE IF NOT EXISTS classes (
   description TEXT,
   ai_name VARCHAR(255) DEFAULT 'Andy',
   owner_id INTEGER REFERENCES users(id),
+  chunk_target_tokens INTEGER, -- per-class chunk size override (NULL uses the default)
+  chunk_overlap_tokens INTEGER, -- per-class chunk overlap override (NULL uses the default)
+  embedding_model TEXT, -- per-class embedding model, e.g. 'local:Xenova/all-MiniLM-L6-v2' (NULL uses the deployment default)
+  retrieval_vector_weight REAL, -- weight of vector results in hybrid rank fusion (NULL uses the default)
+  retrieval_lexical_weight REAL, -- weight of full-text results in hybrid rank fusion (0 disables lexical search)
+  reranker TEXT, -- none|llm|cross-encoder (NULL uses RERANKER)
+  rerank_depth INTEGER, -- retrieval candidates passed to the reranker (NULL uses RERANK_DEPTH)
+  grounded_only BOOLEAN, -- answer only from course materials, declining when retrieval is weak
+  grounding_min_similarity REAL, -- cosine similarity the best excerpt needs in grounded-only mode (NULL uses the default)
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -50,30 +59,114 @@ CREATE TABLE IF NOT EXISTS documents (
   processed_at TIMESTAMP,
   last_error TEXT,
   summary_generated BOOLEAN DEFAULT FALSE,
-  summary_generated_at TIMESTAMP
+  summary_generated_at TIMESTAMP,
+  chunker_version TEXT -- chunker that produced the current chunks (NULL = legacy fixed-size)
 );
 
 -- Chunked document content with vector embeddings for RAG
--- text-embedding-3-small has 1536 dimensions
+-- Vectors are untyped because dimensions depend on the embedding model (1536 for text-embedding-3-small);
+-- retrieval only compares vectors with the same embedding_model
 CREATE TABLE IF NOT EXISTS document_chunks (
   id SERIAL PRIMARY KEY,
   document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
   chunk_index INTEGER NOT NULL,
   content TEXT NOT NULL,
-  embedding VECTOR(1536)
+  embedding VECTOR, -- NULL until embedded (failed embeddings are retried)
+  embedding_model TEXT, -- model that produced the embedding, e.g. 'openai:text-embedding-3-small'
+  embedding_dim INTEGER, -- number of dimensions in the embedding
+  slide_number INTEGER, -- slide the chunk came from (slide decks only)
+  page_start INTEGER, -- first PDF page the chunk covers
+  page_end INTEGER, -- last PDF page the chunk covers
+  token_count INTEGER, -- estimated tokens in the chunk
+  content_tsv TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED -- full-text index for hybrid retrieval
 );
 
+-- Full-text search over chunks (exact terms such as course codes and theorem names)
+CREATE INDEX IF NOT EXISTS idx_document_chunks_content_tsv
+  ON document_chunks USING GIN (content_tsv);
+
+-- Chunks whose embedding failed and still need an embed_chunks retry
+CREATE INDEX IF NOT EXISTS idx_document_chunks_unembedded
+  ON document_chunks(document_id) WHERE embedding IS NULL;
+
+-- Durable background jobs for document processing
+CREATE TABLE IF NOT EXISTS document_jobs (
+  id SERIAL PRIMARY KEY,
+  document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE, -- NULL for class-level jobs
+  job_type TEXT NOT NULL, -- process_document|embed_chunks|reembed_class
+  status TEXT NOT NULL DEFAULT 'queued', -- queued|running|completed|dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- earliest time the job may run (backoff)
+  locked_at TIMESTAMP, -- when a worker claimed the job
+  last_error TEXT,
+  payload JSONB, -- extra arguments for jobs that are not about one document (e.g. { "migrationId": 3 })
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one active job per document and job type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_document_jobs_active
+  ON document_jobs(document_id, job_type) WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_document_jobs_due ON document_jobs(status, run_at);
+
 -- Document summaries for hierarchical RAG retrieval
 CREATE TABLE IF NOT EXISTS document_summaries (
   id SERIAL PRIMARY KEY,
   document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
   summary TEXT NOT NULL,
-  summary_embedding VECTOR(1536),
+  summary_embedding VECTOR,
+  embedding_model TEXT, -- model that produced summary_embedding
+  embedding_dim INTEGER,
   key_topics TEXT[],
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Background re-embedding of a class with a new embedding model
+CREATE TABLE IF NOT EXISTS embedding_migrations (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+  from_model TEXT NOT NULL,
+  to_model TEXT NOT NULL,
+  previous_class_model TEXT, -- classes.embedding_model before the switch (NULL = deployment default), restored on rollback
+  status TEXT NOT NULL DEFAULT 'pending', -- pending|running|completed|failed|cancelled|rolled_back
+  total_items INTEGER NOT NULL DEFAULT 0, -- chunks + summaries to embed
+  embedded_items INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  rolled_back_at TIMESTAMP
+);
+
+-- One migration in progress per class
+CREATE UNIQUE INDEX IF NOT EXISTS idx_embedding_migrations_active
+  ON embedding_migrations(class_id) WHERE status IN ('pending', 'running');
+
+-- Shadow vectors: new-model vectors while a migration runs, previous vectors after it switches (for rollback)
+CREATE TABLE IF NOT EXISTS embedding_shadow (
+  migration_id INTEGER REFERENCES embedding_migrations(id) ON DELETE CASCADE,
+  target TEXT NOT NULL, -- chunk|summary
+  target_id INTEGER NOT NULL, -- document_chunks.id or document_summaries.id
+  embedding VECTOR,
+  embedding_model TEXT,
+  embedding_dim INTEGER,
+  PRIMARY KEY (migration_id, target, target_id)
+);
+
+-- Named conversation threads of a user's private class chat
+CREATE TABLE IF NOT EXISTS conversations (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  archived_at TIMESTAMP, -- NULL while the thread is in the active list
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP -- last message, for ordering the thread list
+);
+
 -- Chat messages for class discussions
 CREATE TABLE IF NOT EXISTS chat_messages (
   id SERIAL PRIMARY KEY,
@@ -83,27 +176,87 @@ CREATE TABLE IF NOT EXISTS chat_messages (
   is_ai BOOLEAN DEFAULT false,
   status VARCHAR(20) DEFAULT 'active',
   chat_owner_id INTEGER REFERENCES users(id),
+  grounding JSONB, -- grounding score of an AI answer (see groundingService)
+  document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE, -- set for "chat with this file" threads; NULL for the class chat
+  pinned_context JSONB, -- passage the student selected in a document and asked about: { documentId, filename, page, text }
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE, -- class chat thread; NULL in document chats
+  parent_message_id INTEGER REFERENCES chat_messages(id) ON DELETE CASCADE, -- previous message in its branch; NULL for the first
+  branch_selected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- among siblings, the latest selected one is shown
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   CONSTRAINT check_message_status CHECK (status IN ('active', 'cancelled', 'generating'))
 );
 
+-- Sources cited by an AI answer; marker n is the [n] in the message text
+CREATE TABLE IF NOT EXISTS message_citations (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER REFERENCES chat_messages(id) ON DELETE CASCADE,
+  marker INTEGER NOT NULL,
+  document_id INTEGER REFERENCES documents(id) ON DELETE SET NULL,
+  chunk_id INTEGER REFERENCES document_chunks(id) ON DELETE SET NULL, -- NULL for whole-document context or after re-chunking
+  filename TEXT,
+  page_start INTEGER,
+  page_end INTEGER,
+  slide_number INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (message_id, marker)
+);
+
+-- Rolling summary of each conversation thread; messages up to summarized_through_id are folded into it
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+  conversation_id INTEGER PRIMARY KEY REFERENCES conversations(id) ON DELETE CASCADE,
+  summary TEXT NOT NULL,
+  summarized_through_id INTEGER NOT NULL DEFAULT 0, -- last chat_messages.id included in the summary
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Retrieval analytics for improving RAG performance
 CREATE TABLE IF NOT EXISTS retrieval_analytics (
   id SERIAL PRIMARY KEY,
-  class_id INTEGER REFERENCES classes(id),
+  class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
   query_text TEXT,
-  documents_retrieved INTEGER[],
-  response_quality_score FLOAT,
+  documents_retrieved INTEGER[], -- document of each retrieved chunk, in rank order
+  chunks_retrieved INTEGER[],
+  distances REAL[], -- cosine distance per chunk; NULL entries for full-text-only matches
+  top_similarity REAL, -- 1 - best distance; NULL when no chunk has a distance
+  result_count INTEGER,
+  strategy TEXT, -- hybrid | vector | lexical | fallback
+  context_strategy TEXT, -- adaptive context strategy chosen for the class size
+  reranker TEXT,
+  message_id INTEGER REFERENCES chat_messages(id) ON DELETE SET NULL, -- AI answer built from this retrieval
+  response_quality_score FLOAT, -- share of thumbs-up feedback on that answer
   retrieval_time_ms INTEGER,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Thumbs up/down feedback on AI answers, one per user and message
+CREATE TABLE IF NOT EXISTS message_feedback (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER REFERENCES chat_messages(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+  rating TEXT NOT NULL CHECK (rating IN ('up', 'down')),
+  reasons TEXT[] NOT NULL DEFAULT '{}', -- e.g. wrong, not-from-course-materials, too-long
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (message_id, user_id)
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_chat_messages_status ON chat_messages(status);
 CREATE INDEX IF NOT EXISTS idx_chat_messages_chat_owner ON chat_messages(class_id, chat_owner_id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_document ON chat_messages(document_id, chat_owner_id) WHERE document_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_chat_messages_conversation ON chat_messages(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_parent ON chat_messages(parent_message_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_owner ON conversations(class_id, user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_retrieval_analytics_class ON retrieval_analytics(class_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_retrieval_analytics_message ON retrieval_analytics(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_feedback_class ON message_feedback(class_id);
 CREATE INDEX IF NOT EXISTS documents_class_id_processed_idx ON documents(class_id, processing_status) WHERE processing_status = 'processed';
 CREATE INDEX IF NOT EXISTS document_chunks_document_id_idx ON document_chunks(document_id);
 
--- Optional: vector indexes (requires suitable ivfflat settings; create without errors if supported)
--- CREATE INDEX IF NOT EXISTS document_chunks_embedding_idx ON document_chunks USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
--- CREATE INDEX IF NOT EXISTS document_summaries_embedding_idx ON document_summaries USING ivfflat (summary_embedding vector_cosine_ops) WITH (lists = 50);
\ No newline at end of file
+-- Vector indexes need a fixed dimension, so each embedding model gets a partial index over its own vectors
+-- cast to its dimension; retrieval casts and filters the same way. Index other models the same way.
+CREATE INDEX IF NOT EXISTS document_chunks_embedding_openai_small_idx ON document_chunks USING ivfflat ((embedding::vector(1536)) vector_cosine_ops) WITH (lists = 100) WHERE embedding_model = 'openai:text-embedding-3-small';
+CREATE INDEX IF NOT EXISTS document_chunks_embedding_minilm_idx ON document_chunks USING ivfflat ((embedding::vector(384)) vector_cosine_ops) WITH (lists = 100) WHERE embedding_model = 'local:Xenova/all-MiniLM-L6-v2';
+CREATE INDEX IF NOT EXISTS document_summaries_embedding_openai_small_idx ON document_summaries USING ivfflat ((summary_embedding::vector(1536)) vector_cosine_ops) WITH (lists = 50) WHERE embedding_model = 'openai:text-embedding-3-small';
+CREATE INDEX IF NOT EXISTS document_summaries_embedding_minilm_idx ON document_summaries USING ivfflat ((summary_embedding::vector(384)) vector_cosine_ops) WITH (lists = 50) WHERE embedding_model = 'local:Xenova/all-MiniLM-L6-v2';
\ No newline at end of file
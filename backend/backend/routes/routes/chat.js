@@ -1,37 +1,154 @@
 const express = require('express');
 const pool = require('../../db');
 const { authenticate } = require('../../middleware/auth');
-const { generateAIResponse, generateAIResponseStream } = require('../../aiService');
+const { getCitationsForMessages } = require('../../services/citationService');
+const { cancelGenerations, runGeneration } = require('../../services/generationOrchestrator');
+const {
+  deleteThread,
+  getActiveBranchIds,
+  getBranchIdsBefore,
+  getThread,
+  getVersionsForMessages,
+  listThreads,
+  resolveThread,
+  selectBranch,
+  updateThread
+} = require('../../services/threadService');
+const {
+  getFeedbackForMessages,
+  removeMessageFeedback,
+  saveMessageFeedback,
+  validateFeedback
+} = require('../../services/feedbackService');
 
 const router = express.Router();
 
-// Get chat history for a class (private to each user)
+// Constants
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// List the user's conversation threads in a class, most recent first; ?archived=true lists the archived ones
+router.get('/conversations/:classId', authenticate, async (req, res) => {
+  try {
+    const threads = await listThreads(req.params.classId, req.user.id, { archived: req.query.archived === 'true' });
+    res.json(threads);
+  } catch (err) {
+    console.error('Failed to list conversations:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Rename, archive or unarchive a conversation thread: { title, archived }
+router.patch('/conversations/:conversationId', authenticate, async (req, res) => {
+  try {
+    const result = await updateThread(req.params.conversationId, req.user.id, req.body || {});
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+    }
+    res.json(result.thread);
+  } catch (err) {
+    console.error('Failed to update conversation:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a conversation thread and its messages, stopping any answer still being generated in it
+router.delete('/conversations/:conversationId', authenticate, async (req, res) => {
+  const { conversationId } = req.params;
+  try {
+    cancelGenerations({ userId: req.user.id, conversationId });
+    const deleted = await deleteThread(conversationId, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Failed to delete conversation:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get chat history for a class (private to each user): ?conversationId= returns a class chat thread,
+// ?documentId= that document's chat; with neither, only the document summaries that open a new thread.
+// Only the branch shown is returned; version_ids lists the other versions of each message.
+// Pages run newest first: ?limit= messages, then ?before=<nextCursor> for the ones before them.
 router.get('/history/:classId', authenticate, async (req, res) => {
   const { classId } = req.params;
   const userId = req.user.id;
+  const documentId = req.query.documentId ? parseInt(req.query.documentId, 10) : null;
+  if (req.query.documentId && !Number.isInteger(documentId)) {
+    return res.status(400).json({ error: 'documentId must be a document id' });
+  }
+  const conversationId = req.query.conversationId ? parseInt(req.query.conversationId, 10) : null;
+  if (req.query.conversationId && !Number.isInteger(conversationId)) {
+    return res.status(400).json({ error: 'conversationId must be a conversation id' });
+  }
+  const before = req.query.before ? parseInt(req.query.before, 10) : null;
+  if (req.query.before && !Number.isInteger(before)) {
+    return res.status(400).json({ error: 'before must be a message id' });
+  }
+  const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
   try {
-    // Get regular chat messages for THIS USER's private chat room
+    if (conversationId && !(await getThread(conversationId, userId))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    // Get a page of the shown branch of THIS USER's private chat room. The first page ends at the
+    // branch's last message; earlier pages walk back from the message they end before, one page deep
+    // (one extra message tells whether there are more)
+    // Answers still 'generating' are included so the client can resume their stream, and stopped
+    // ones keep what was generated before they were stopped
+    let earlierIds = [];
+    if (documentId || conversationId) {
+      earlierIds = before
+        ? await getBranchIdsBefore(before, { classId, userId, conversationId, documentId }, pageSize + 1)
+        : await getActiveBranchIds({ classId, userId, conversationId, documentId });
+    }
+    // The cursor must be a message of the requested thread, not of another class, thread or document
+    if (!earlierIds) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    const branchIds = earlierIds.slice(-pageSize);
+    const hasMore = earlierIds.length > branchIds.length;
     const chatResult = await pool.query(
       `SELECT cm.*, u.name as user_name 
        FROM chat_messages cm 
        LEFT JOIN users u ON cm.user_id = u.id 
-       WHERE cm.class_id = $1 
-         AND cm.chat_owner_id = $2 
-         AND cm.status != 'cancelled' 
-         AND cm.status != 'generating'
-       ORDER BY cm.created_at ASC 
-       LIMIT 100`,
-      [classId, userId]
+       WHERE cm.id = ANY($1::int[])
+       ORDER BY cm.id ASC`,
+      [branchIds]
     );
     
-    // Get document summaries for this class
+    // Attach the versions of each message, and the sources cited by each AI answer and the user's feedback on it
+    const aiMessageIds = chatResult.rows.filter(row => row.is_ai).map(row => row.id);
+    const [versions, citations, feedback] = await Promise.all([
+      getVersionsForMessages(branchIds),
+      getCitationsForMessages(aiMessageIds),
+      getFeedbackForMessages(aiMessageIds, userId)
+    ]);
+    for (const row of chatResult.rows) {
+      row.version_ids = versions.get(row.id) || [row.id];
+      if (row.is_ai) {
+        row.citations = citations.get(row.id) || [];
+        row.feedback = feedback.get(row.id) || null;
+      }
+    }
+    
+    // Get document summaries for this class (only the pinned document's in a document chat), from the
+    // same stretch of time as this page: after the page's first message unless it is the last page,
+    // and before the message the page ends at
+    const cursorResult = before
+      ? await pool.query('SELECT created_at FROM chat_messages WHERE id = $1 AND chat_owner_id = $2', [before, userId])
+      : { rows: [] };
     const summariesResult = await pool.query(
       `SELECT ds.summary, d.filename, ds.created_at 
        FROM document_summaries ds 
        JOIN documents d ON ds.document_id = d.id 
-       WHERE d.class_id = $1 
+       WHERE d.class_id = $1 AND ($2::integer IS NULL OR d.id = $2)
+         AND ($3::timestamp IS NULL OR ds.created_at >= $3)
+         AND ($4::timestamp IS NULL OR ds.created_at < $4)
        ORDER BY ds.created_at ASC`,
-      [classId]
+      [classId, documentId, hasMore ? chatResult.rows[0].created_at : null, cursorResult.rows[0]?.created_at ?? null]
     );
     
     // Convert summaries to chat message format
@@ -48,7 +165,10 @@ router.get('/history/:classId', authenticate, async (req, res) => {
       (a, b) => new Date(a.created_at) - new Date(b.created_at)
     );
     
-    res.json(allMessages);
+    res.json({
+      messages: allMessages,
+      nextCursor: hasMore ? branchIds[0] : null
+    });
   } catch (err) {
     console.error('Failed to fetch chat history:', err);
     res.status(500).json({ error: 'Server error' });
@@ -56,18 +176,25 @@ router.get('/history/:classId', authenticate, async (req, res) => {
 });
 
 // Send a message (this will mainly be handled by WebSocket, but keeping REST endpoint as fallback)
+// A message without conversationId starts a new conversation thread
 router.post('/message/:classId', authenticate, async (req, res) => {
   const { classId } = req.params;
-  const { message, isAI } = req.body;
+  const { message, isAI, conversationId } = req.body;
   const userId = req.user.id;
   
-  console.log('📝 Message received:', { classId, message, isAI, userId });
+  console.log('📝 Message received:', { classId, message, isAI, userId, conversationId });
   
   try {
-    // Store the user's message in their private chat room
+    const resolved = await resolveThread(classId, userId, conversationId || null, message);
+    if (!resolved) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    // Store the user's message in their private chat room, at the end of the branch shown
+    const parentMessageId = (await getActiveBranchIds({ classId, userId, conversationId: resolved.thread.id })).pop() ?? null;
     const result = await pool.query(
-      'INSERT INTO chat_messages (class_id, user_id, message, is_ai, chat_owner_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [classId, isAI ? null : userId, message, isAI || false, userId]
+      'INSERT INTO chat_messages (class_id, user_id, message, is_ai, chat_owner_id, conversation_id, parent_message_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+      [classId, isAI ? null : userId, message, isAI || false, userId, resolved.thread.id, parentMessageId]
     );
     
     res.json(result.rows[0]);
@@ -77,68 +204,39 @@ router.post('/message/:classId', authenticate, async (req, res) => {
   }
 });
 
-// AI chat endpoint - handles AI questions
+// AI chat endpoint - handles AI questions; without conversationId the answer starts a new conversation thread
 router.post('/ai/:classId', authenticate, async (req, res) => {
   const { classId } = req.params;
-  const { question } = req.body;
+  const { question, conversationId } = req.body;
   
-  console.log('🤖 AI request received:', { classId, question });
+  console.log('🤖 AI request received:', { classId, question, conversationId });
   
   try {
-    // Get class info including AI name
-    const classResult = await pool.query(
-      'SELECT ai_name FROM classes WHERE id = $1',
-      [classId]
-    );
-    
-    if (classResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Class not found' });
+    const resolved = await resolveThread(classId, req.user.id, conversationId || null, question);
+    if (!resolved) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
+    const parentMessageId = (await getActiveBranchIds({ classId, userId: req.user.id, conversationId: resolved.thread.id })).pop() ?? null;
+    const result = await runGeneration({ classId, userId: req.user.id, question, conversationId: resolved.thread.id, parentMessageId, stream: false });
     
-    const aiName = classResult.rows[0].ai_name || 'Andy';
-    
-    console.log('🤖 Generating AI response with name:', aiName);
-    
-    // Create a placeholder message with 'generating' status first in the user's private chat room
-    const placeholderResult = await pool.query(
-      'INSERT INTO chat_messages (class_id, user_id, message, is_ai, status, chat_owner_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-      [classId, null, 'Generating response...', true, 'generating', req.user.id]
-    );
-    
-    const messageId = placeholderResult.rows[0].id;
-    
-    // Generate AI response using RAG
-    const aiResult = await generateAIResponse(classId, question, aiName);
-    
-    console.log('🤖 AI result:', { success: aiResult.success, hasResponse: !!aiResult.response });
-    
-    if (!aiResult.success) {
-      // Update the placeholder with error message
-      await pool.query(
-        'UPDATE chat_messages SET message = $1, status = $2 WHERE id = $3',
-        [aiResult.response, 'active', messageId]
-      );
-      
-      return res.status(500).json({ 
-        success: false, 
-        response: aiResult.response 
+    if (result.status === 'complete') {
+      return res.json({
+        success: true,
+        response: result.content,
+        messageId: result.messageId,
+        conversationId: resolved.thread.id,
+        documentsUsed: result.documentsUsed,
+        citations: result.citations,
+        grounding: result.grounding
       });
     }
-    
-    // Update the placeholder with the actual response
-    await pool.query(
-      'UPDATE chat_messages SET message = $1, status = $2 WHERE id = $3',
-      [aiResult.response, 'active', messageId]
-    );
-    
-    console.log('🤖 AI response stored successfully');
-    
-    res.json({
-      success: true,
-      response: aiResult.response,
-      messageId: messageId,
-      documentsUsed: aiResult.documentsUsed
-    });
+    if (!result.messageId) {
+      return res.status(404).json({ error: result.error });
+    }
+    if (result.status === 'cancelled') {
+      return res.status(409).json({ success: false, cancelled: true, response: result.content, messageId: result.messageId });
+    }
+    res.status(500).json({ success: false, response: result.error });
   } catch (err) {
     console.error('Failed to process AI request:', err);
     res.status(500).json({ error: 'Server error' });
@@ -146,11 +244,29 @@ router.post('/ai/:classId', authenticate, async (req, res) => {
 });
 
 // Streaming AI chat endpoint - handles AI questions with character-by-character response
+// Closing the connection or POST /cancel/:messageId stops the generation; without conversationId the
+// answer starts a new conversation thread
 router.get('/ai-stream/:classId', authenticate, async (req, res) => {
   const { classId } = req.params;
-  const { question } = req.query;
+  const { question, conversationId } = req.query;
+  const userId = req.user.id;
   
-  console.log('🌊 Streaming AI request received:', { classId, question });
+  console.log('🌊 Streaming AI request received:', { classId, question, conversationId });
+  
+  let thread;
+  let parentMessageId = null;
+  try {
+    thread = (await resolveThread(classId, userId, conversationId || null, question))?.thread;
+    if (thread) {
+      parentMessageId = (await getActiveBranchIds({ classId, userId, conversationId: thread.id })).pop() ?? null;
+    }
+  } catch (err) {
+    console.error('Failed to resolve conversation:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+  if (!thread) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
   
   // Set up Server-Sent Events headers
   res.writeHead(200, {
@@ -160,77 +276,65 @@ router.get('/ai-stream/:classId', authenticate, async (req, res) => {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Cache-Control'
   });
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
   
-  try {
-    // Get class info including AI name
-    const classResult = await pool.query(
-      'SELECT ai_name FROM classes WHERE id = $1',
-      [classId]
-    );
-    
-    if (classResult.rows.length === 0) {
-      res.write(`data: ${JSON.stringify({ error: 'Class not found' })}\n\n`);
-      res.end();
-      return;
+  let messageId = null;
+  res.on('close', () => {
+    if (messageId && !res.writableFinished) {
+      cancelGenerations({ userId, messageId });
     }
+  });
+  
+  try {
+    const result = await runGeneration({ classId, userId, question, conversationId: thread.id, parentMessageId }, {
+      onStart: (start) => {
+        messageId = start.messageId;
+        send({ messageId, conversationId: thread.id, type: 'start' });
+      },
+      onChunk: ({ content }) => send({ content, type: 'chunk', finished: false }),
+      onComplete: (answer) => send({
+        type: 'complete',
+        documentsUsed: answer.documentsUsed,
+        citations: answer.citations,
+        grounding: answer.grounding,
+        content: answer.content,
+        messageId: answer.messageId
+      }),
+      onCancelled: (cancelled) => send({ type: 'cancelled', content: cancelled.content, messageId: cancelled.messageId }),
+      onFailed: (failed) => send({ error: failed.error, messageId: failed.messageId })
+    });
     
-    const aiName = classResult.rows[0].ai_name || 'Andy';
-    
-    console.log('🌊 Generating streaming AI response with name:', aiName);
-    
-    // Create a placeholder message with 'generating' status first in the user's private chat room
-    const placeholderResult = await pool.query(
-      'INSERT INTO chat_messages (class_id, user_id, message, is_ai, status, chat_owner_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-      [classId, null, '', true, 'generating', req.user.id]
-    );
-    
-    const messageId = placeholderResult.rows[0].id;
-    let fullResponse = '';
-    
-    // Send message ID to client
-    res.write(`data: ${JSON.stringify({ messageId, type: 'start' })}\n\n`);
-    
-    // Generate streaming AI response
-    for await (const chunk of generateAIResponseStream(classId, question, aiName)) {
-      if (chunk.success && chunk.content) {
-        fullResponse += chunk.content;
-        
-        // Send the chunk to client
-        res.write(`data: ${JSON.stringify({ 
-          content: chunk.content, 
-          type: 'chunk',
-          finished: chunk.finished 
-        })}\n\n`);
-      }
-      
-      if (chunk.finished) {
-        // Update the database with the complete response
-        await pool.query(
-          'UPDATE chat_messages SET message = $1, status = $2 WHERE id = $3',
-          [fullResponse, 'active', messageId]
-        );
-        
-        // Send final message with document info
-        res.write(`data: ${JSON.stringify({ 
-          type: 'complete',
-          documentsUsed: chunk.documentsUsed,
-          messageId: messageId
-        })}\n\n`);
-        
-        break;
-      }
+    if (!result.messageId) {
+      send({ error: result.error });
     }
-    
     console.log('🌊 Streaming AI response completed');
     res.end();
     
   } catch (err) {
     console.error('Failed to process streaming AI request:', err);
-    res.write(`data: ${JSON.stringify({ error: 'Server error' })}\n\n`);
+    send({ error: 'Server error' });
     res.end();
   }
 });
 
+// Show a version of an edited question or regenerated answer, with the rest of the chat that followed it
+router.post('/messages/:messageId/select', authenticate, async (req, res) => {
+  const messageId = parseInt(req.params.messageId, 10);
+  if (!Number.isInteger(messageId)) {
+    return res.status(400).json({ error: 'messageId must be a message id' });
+  }
+  try {
+    const selected = await selectBranch(messageId, req.user.id);
+    if (!selected) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Failed to select message version:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Cancel a message (mark as cancelled)
 router.post('/cancel/:messageId', authenticate, async (req, res) => {
   const { messageId } = req.params;
@@ -238,6 +342,9 @@ router.post('/cancel/:messageId', authenticate, async (req, res) => {
   console.log('❌ Cancelling message:', messageId);
   
   try {
+    // Stop it if it is still being generated; the generation saves its partial answer
+    cancelGenerations({ userId: req.user.id, messageId });
+    
     // Update message status to cancelled
     const result = await pool.query(
       'UPDATE chat_messages SET status = $1 WHERE id = $2 AND is_ai = true RETURNING *',
@@ -260,4 +367,42 @@ router.post('/cancel/:messageId', authenticate, async (req, res) => {
   }
 });
 
+// Rate an AI answer (thumbs up/down with optional reasons); replaces earlier feedback
+router.put('/feedback/:messageId', authenticate, async (req, res) => {
+  const messageId = parseInt(req.params.messageId, 10);
+  if (!Number.isInteger(messageId)) {
+    return res.status(400).json({ error: 'messageId must be a message id' });
+  }
+  try {
+    const { value, error } = validateFeedback(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await saveMessageFeedback(messageId, req.user.id, value);
+    if (!result.success) {
+      return res.status(404).json({ error: result.error });
+    }
+    res.json(result.feedback);
+  } catch (err) {
+    console.error('Failed to save message feedback:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove feedback from an AI answer
+router.delete('/feedback/:messageId', authenticate, async (req, res) => {
+  const messageId = parseInt(req.params.messageId, 10);
+  if (!Number.isInteger(messageId)) {
+    return res.status(400).json({ error: 'messageId must be a message id' });
+  }
+  try {
+    await removeMessageFeedback(messageId, req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Failed to remove message feedback:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
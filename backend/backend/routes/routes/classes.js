@@ -1,6 +1,16 @@
 const express = require('express');
 const pool = require('../../db');
 const { authenticate } = require('../../middleware/auth');
+const { validateClassSettingsUpdate } = require('../../services/classSettings');
+const { enqueueChunkEmbedding, enqueueEmbeddingMigration } = require('../../services/jobQueue');
+const {
+  cancelEmbeddingMigration,
+  getEmbeddingMigrations,
+  rollbackEmbeddingMigration,
+  startEmbeddingMigration
+} = require('../../services/embeddingMigrationService');
+const { getRetrievalAnalytics } = require('../../services/retrievalAnalyticsService');
+const { getClassFeedbackSummary } = require('../../services/feedbackService');
 
 const router = express.Router();
 
@@ -76,7 +86,10 @@ router.get('/:id', authenticate, async (req, res) => {
   const classId = req.params.id;
   try {
     const result = await pool.query(
-      'SELECT id, code, name, description, ai_name, owner_id FROM classes WHERE id = $1',
+      `SELECT id, code, name, description, ai_name, owner_id, chunk_target_tokens, chunk_overlap_tokens, embedding_model,
+              retrieval_vector_weight, retrieval_lexical_weight, reranker, rerank_depth,
+              grounded_only, grounding_min_similarity
+       FROM classes WHERE id = $1`,
       [classId]
     );
     if (result.rows.length === 0) {
@@ -89,10 +102,14 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
-// Update AI settings for a class
+// Update AI settings for a class (only the fields present in the body are changed)
 router.patch('/:id/ai-settings', authenticate, async (req, res) => {
   const classId = req.params.id;
-  const { ai_name } = req.body;
+  const { updates, error } = validateClassSettingsUpdate(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
   
   try {
     // Check if user is the owner
@@ -109,10 +126,17 @@ router.patch('/:id/ai-settings', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Only the class owner can update AI settings' });
     }
     
-    // Update the AI name
+    // Column names come from the settings allowlist, never from the request
+    const columns = Object.keys(updates);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    const setClause = assignments.length > 0 ? assignments.join(', ') : 'ai_name = ai_name';
+
     const result = await pool.query(
-      'UPDATE classes SET ai_name = $1 WHERE id = $2 RETURNING id, code, name, description, ai_name',
-      [ai_name || 'Andy', classId]
+      `UPDATE classes SET ${setClause} WHERE id = $${columns.length + 1}
+       RETURNING id, code, name, description, ai_name, chunk_target_tokens, chunk_overlap_tokens, embedding_model,
+                 retrieval_vector_weight, retrieval_lexical_weight, reranker, rerank_depth,
+                 grounded_only, grounding_min_similarity`,
+      [...columns.map(column => updates[column]), classId]
     );
     
     res.json(result.rows[0]);
@@ -122,6 +146,128 @@ router.patch('/:id/ai-settings', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Check that a class exists and the user owns it
+ *
+ * @param {string} classId - ID of the class
+ * @param {number} userId - ID of the requesting user
+ * @param {string} action - What only the owner may do, for the error message
+ * @returns {Promise<Object|null>} { status, error } to send back, or null if the user is the owner
+ */
+async function checkClassOwner(classId, userId, action = 'manage embedding migrations') {
+  const classCheck = await pool.query('SELECT owner_id FROM classes WHERE id = $1', [classId]);
+  if (classCheck.rows.length === 0) {
+    return { status: 404, error: 'Class not found' };
+  }
+  if (classCheck.rows[0].owner_id !== userId) {
+    return { status: 403, error: `Only the class owner can ${action}` };
+  }
+  return null;
+}
+
+// List embedding migrations for a class with progress
+router.get('/:id/embedding-migrations', authenticate, async (req, res) => {
+  try {
+    const denied = await checkClassOwner(req.params.id, req.user.id);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    res.json(await getEmbeddingMigrations(req.params.id));
+  } catch (err) {
+    console.error('Failed to fetch embedding migrations:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Start re-embedding a class with a new embedding model
+router.post('/:id/embedding-migrations', authenticate, async (req, res) => {
+  try {
+    const denied = await checkClassOwner(req.params.id, req.user.id);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const result = await startEmbeddingMigration(req.params.id, req.body.embedding_model, req.user.id);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    await enqueueEmbeddingMigration(result.migration.id);
+    res.status(202).json(result.migration);
+  } catch (err) {
+    console.error('Failed to start embedding migration:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancel an embedding migration that has not switched over yet
+router.post('/:id/embedding-migrations/:migrationId/cancel', authenticate, async (req, res) => {
+  try {
+    const denied = await checkClassOwner(req.params.id, req.user.id);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const result = await cancelEmbeddingMigration(req.params.id, req.params.migrationId);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Failed to cancel embedding migration:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Roll a class back to the embedding model it used before a completed migration
+router.post('/:id/embedding-migrations/:migrationId/rollback', authenticate, async (req, res) => {
+  try {
+    const denied = await checkClassOwner(req.params.id, req.user.id);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const result = await rollbackEmbeddingMigration(req.params.id, req.params.migrationId);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    await enqueueChunkEmbedding(result.staleDocumentIds);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Failed to roll back embedding migration:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Browse the retrieval log of a class (?filter=no-match for questions the materials did not cover)
+router.get('/:id/retrieval-analytics', authenticate, async (req, res) => {
+  try {
+    const denied = await checkClassOwner(req.params.id, req.user.id, 'view retrieval analytics');
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const before = req.query.before ? parseInt(req.query.before, 10) : null;
+    if (req.query.before && !Number.isInteger(before)) {
+      return res.status(400).json({ error: 'before must be a retrieval id' });
+    }
+
+    res.json(await getRetrievalAnalytics(req.params.id, {
+      noMatchOnly: req.query.filter === 'no-match',
+      before,
+      limit: req.query.limit
+    }));
+  } catch (err) {
+    console.error('Failed to fetch retrieval analytics:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Aggregate answer feedback for a class
+router.get('/:id/feedback', authenticate, async (req, res) => {
+  try {
+    const denied = await checkClassOwner(req.params.id, req.user.id, 'view answer feedback');
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    res.json(await getClassFeedbackSummary(req.params.id));
+  } catch (err) {
+    console.error('Failed to fetch answer feedback:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Join a class
 router.post('/:id/join', authenticate, async (req, res) => {
   const classId = req.params.id;
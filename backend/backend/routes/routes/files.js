@@ -5,11 +5,12 @@ const path = require('path');
 const fs = require('fs');
 const { authenticate } = require('../../middleware/auth');
 const { 
-  processDocument, 
   generateAIResponse, 
   generateIsolatedDocumentSummary,
-  extractTextFromFile 
+  extractDocument
 } = require('../../aiService');
+const { enqueueJob, JOB_TYPES } = require('../../services/jobQueue');
+const { FULL_TEXT_MAX_CHARS } = require('../../services/ragService');
 
 const router = express.Router();
 
@@ -33,7 +34,7 @@ const upload = multer({
   storage,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.pdf', '.doc', '.docx', '.txt'];
+    const allowedTypes = ['.pdf', '.doc', '.docx', '.pptx', '.txt'];
     const ext = path.extname(file.originalname).toLowerCase();
     if (allowedTypes.includes(ext)) {
       cb(null, true);
@@ -48,12 +49,13 @@ router.get('/class/:classId', authenticate, async (req, res) => {
   const { classId } = req.params;
   try {
     const result = await pool.query(
-      `SELECT d.*, u.name as uploader_name 
+      `SELECT d.*, u.name as uploader_name,
+              (LENGTH(d.content) BETWEEN 1 AND $2) as full_text_available
        FROM documents d
        JOIN users u ON d.uploaded_by = u.id
        WHERE d.class_id = $1
        ORDER BY d.uploaded_at DESC`,
-      [classId]
+      [classId, FULL_TEXT_MAX_CHARS]
     );
     res.json(result.rows);
   } catch (err) {
@@ -100,8 +102,15 @@ router.post('/upload/:classId', authenticate, upload.single('file'), async (req,
     let extractedText = '';
     try {
       console.log(`🔍 Attempting to extract text from: ${req.file.path}`);
-      extractedText = await extractTextFromFile(req.file.path);
-      console.log(`✅ Text extracted instantly: ${extractedText.length} characters`);
+      const extraction = await extractDocument(req.file.path);
+      extractedText = extraction.text || '';
+
+      if (extraction.success) {
+        console.log(`✅ Text extracted instantly: ${extractedText.length} characters`);
+      } else {
+        // Background processing records the failure in last_error
+        console.log(`⚠️ Instant extraction failed: ${extraction.error}`);
+      }
       
       if (extractedText.length > 100) {
         console.log(`📝 Preview: ${extractedText.substring(0, 200)}...`);
@@ -176,12 +185,13 @@ router.post('/upload/:classId', authenticate, upload.single('file'), async (req,
       console.error('Error details:', e.message, e.stack);
     }
 
-    // Background optimization: Generate embeddings and summaries (non-blocking)
-    setImmediate(() => {
-      processDocument(document.id).catch(err => {
-        console.log(`Background optimization for ${document.filename} failed:`, err.message);
-      });
-    });
+    // Background optimization: queue embeddings and summaries on the durable job queue
+    try {
+      await enqueueJob(document.id, JOB_TYPES.PROCESS_DOCUMENT);
+    } catch (queueErr) {
+      // The document stays pending and is picked up by startup recovery
+      console.error(`❌ Failed to queue processing for ${document.filename}:`, queueErr.message);
+    }
 
     res.json({ ...document, indexed: false, summary });
   } catch (err) {
@@ -261,6 +271,8 @@ router.get('/:fileId/view', async (req, res) => {
       contentType = 'application/msword';
     } else if (ext === '.docx') {
       contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    } else if (ext === '.pptx') {
+      contentType = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
     }
 
     // Set headers
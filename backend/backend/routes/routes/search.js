@@ -68,10 +68,12 @@ router.get('/', authenticate, async (req, res) => {
       `SELECT DISTINCT cm.id, cm.message, cm.class_id, cm.is_ai, cm.created_at,
               c.code as class_code, c.name as class_name,
               u.name as user_name,
+              cm.conversation_id, conv.title as conversation_title,
               SUBSTRING(cm.message FROM GREATEST(1, POSITION(LOWER($3) IN LOWER(cm.message)) - 30) FOR 150) as message_preview
        FROM chat_messages cm
        INNER JOIN classes c ON cm.class_id = c.id
        LEFT JOIN users u ON cm.user_id = u.id
+       LEFT JOIN conversations conv ON cm.conversation_id = conv.id
        WHERE cm.chat_owner_id = $1
          AND cm.message ILIKE $2
          AND cm.status = 'active'
@@ -2,26 +2,42 @@
 -- Run this script to implement the agentic RAG optimizations
 
 -- Step 1: Enable vector index for fast similarity search
--- This index dramatically speeds up cosine similarity searches
-CREATE INDEX IF NOT EXISTS document_chunks_embedding_idx
-  ON document_chunks USING ivfflat (embedding vector_cosine_ops)
-  WITH (lists = 100);
+-- This index dramatically speeds up cosine similarity searches.
+-- Vector columns are untyped (dimensions depend on the embedding model), so each model gets a
+-- partial index over its own vectors cast to its dimension
+CREATE INDEX IF NOT EXISTS document_chunks_embedding_openai_small_idx
+  ON document_chunks USING ivfflat ((embedding::vector(1536)) vector_cosine_ops)
+  WITH (lists = 100)
+  WHERE embedding_model = 'openai:text-embedding-3-small';
+
+CREATE INDEX IF NOT EXISTS document_chunks_embedding_minilm_idx
+  ON document_chunks USING ivfflat ((embedding::vector(384)) vector_cosine_ops)
+  WITH (lists = 100)
+  WHERE embedding_model = 'local:Xenova/all-MiniLM-L6-v2';
 
 -- Step 2: Add document summaries table for hierarchical retrieval
 CREATE TABLE IF NOT EXISTS document_summaries (
   id SERIAL PRIMARY KEY,
   document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
   summary TEXT NOT NULL,
-  summary_embedding VECTOR(1536),
+  summary_embedding VECTOR,
+  embedding_model TEXT, -- model that produced summary_embedding
+  embedding_dim INTEGER,
   key_topics TEXT[], -- Array of key topics/concepts
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Step 3: Add index for document summaries
-CREATE INDEX IF NOT EXISTS document_summaries_embedding_idx
-  ON document_summaries USING ivfflat (summary_embedding vector_cosine_ops)
-  WITH (lists = 50);
+-- Step 3: Add indexes for document summaries, one per embedding model
+CREATE INDEX IF NOT EXISTS document_summaries_embedding_openai_small_idx
+  ON document_summaries USING ivfflat ((summary_embedding::vector(1536)) vector_cosine_ops)
+  WITH (lists = 50)
+  WHERE embedding_model = 'openai:text-embedding-3-small';
+
+CREATE INDEX IF NOT EXISTS document_summaries_embedding_minilm_idx
+  ON document_summaries USING ivfflat ((summary_embedding::vector(384)) vector_cosine_ops)
+  WITH (lists = 50)
+  WHERE embedding_model = 'local:Xenova/all-MiniLM-L6-v2';
 
 -- Step 4: Add retrieval analytics table for adaptive learning
 CREATE TABLE IF NOT EXISTS retrieval_analytics (
@@ -47,7 +63,7 @@ ALTER TABLE documents
 ADD COLUMN IF NOT EXISTS summary_generated BOOLEAN DEFAULT FALSE,
 ADD COLUMN IF NOT EXISTS summary_generated_at TIMESTAMP;
 
-COMMENT ON INDEX document_chunks_embedding_idx IS 'Fast vector similarity search for document chunks';
-COMMENT ON INDEX document_summaries_embedding_idx IS 'Fast vector similarity search for document summaries';
+COMMENT ON INDEX document_chunks_embedding_openai_small_idx IS 'Fast vector similarity search for document chunks';
+COMMENT ON INDEX document_summaries_embedding_openai_small_idx IS 'Fast vector similarity search for document summaries';
 COMMENT ON TABLE document_summaries IS 'Document-level summaries for hierarchical RAG retrieval';
 COMMENT ON TABLE retrieval_analytics IS 'Analytics for improving retrieval performance over time';
\ No newline at end of file
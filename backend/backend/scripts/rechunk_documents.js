@@ -0,0 +1,112 @@
+require('dotenv').config();
+const pool = require('../db');
+const { processDocument } = require('../services/documentProcessor');
+const { CHUNKER_VERSION } = require('../services/chunkingService');
+
+const USAGE = `Usage: node scripts/rechunk_documents.js [--class <id>] [--document <id>] [--all] [--dry-run]
+
+Re-chunks and re-embeds documents whose chunks were produced by an older chunker.
+  --class <id>     Only documents in this class
+  --document <id>  Only this document
+  --all            Re-chunk even documents already on ${CHUNKER_VERSION}
+  --dry-run        List the documents that would be re-chunked without changing them`;
+
+/**
+ * Parse command line flags
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options with classId, documentId, all, and dryRun
+ */
+function parseArgs(argv) {
+  const options = { classId: null, documentId: null, all: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--class') {
+      options.classId = parseInt(argv[++i], 10);
+    } else if (arg === '--document') {
+      options.documentId = parseInt(argv[++i], 10);
+    } else if (arg === '--all') {
+      options.all = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (Number.isNaN(options.classId) || Number.isNaN(options.documentId)) {
+    throw new Error('--class and --document expect a numeric id');
+  }
+
+  return options;
+}
+
+async function rechunkDocuments(options) {
+  const conditions = ["processing_status IN ('processed', 'failed')"];
+  const params = [];
+
+  if (!options.all) {
+    params.push(CHUNKER_VERSION);
+    conditions.push(`chunker_version IS DISTINCT FROM $${params.length}`);
+  }
+  if (options.classId) {
+    params.push(options.classId);
+    conditions.push(`class_id = $${params.length}`);
+  }
+  if (options.documentId) {
+    params.push(options.documentId);
+    conditions.push(`id = $${params.length}`);
+  }
+
+  const result = await pool.query(
+    `SELECT id, class_id, filename, chunker_version, chunks_count
+     FROM documents
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY id`,
+    params
+  );
+
+  console.log(`🔄 ${result.rows.length} document(s) to re-chunk with ${CHUNKER_VERSION}${options.dryRun ? ' (dry run)' : ''}\n`);
+
+  let succeeded = 0;
+  let failed = 0;
+
+  for (const doc of result.rows) {
+    console.log(`📄 [${doc.id}] ${doc.filename} (class ${doc.class_id}, ${doc.chunks_count} chunks, chunker ${doc.chunker_version || 'legacy'})`);
+    if (options.dryRun) continue;
+
+    const outcome = await processDocument(doc.id);
+    if (outcome.success) {
+      succeeded++;
+      console.log(`   ✅ Re-chunked into ${outcome.chunksCreated} chunks`);
+    } else {
+      failed++;
+      console.log(`   ❌ Failed: ${outcome.error}`);
+    }
+  }
+
+  if (!options.dryRun) {
+    console.log(`\n✅ Re-chunked ${succeeded} document(s), ${failed} failed`);
+  }
+  return failed === 0;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  rechunkDocuments(options)
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(err => {
+      console.error('❌ Error:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { rechunkDocuments };
@@ -0,0 +1,156 @@
+require('dotenv').config();
+const pool = require('../db');
+const {
+  cancelEmbeddingMigration,
+  getEmbeddingMigrations,
+  rollbackEmbeddingMigration,
+  runEmbeddingMigration,
+  startEmbeddingMigration
+} = require('../services/embeddingMigrationService');
+const { embedPendingChunks } = require('../services/documentProcessor');
+
+const USAGE = `Usage: node scripts/reembed_class.js --class <id> <action>
+
+Actions:
+  --model <name>       Re-embed the class with a new embedding model, e.g. local:Xenova/all-MiniLM-L6-v2,
+                       and switch retrieval over when every vector is ready
+  --resume <migration> Continue an interrupted migration
+  --status             Show the class's migrations and their progress
+  --cancel <migration> Cancel a migration that has not switched over yet
+  --rollback <migration>  Switch the class back to the model it used before a completed migration
+
+Migrations started here run in this process. A running server also picks up
+pending migrations through its job queue.`;
+
+/**
+ * Parse command line flags
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options with classId, action, and value
+ */
+function parseArgs(argv) {
+  const options = { classId: null, action: null, value: null };
+  const actions = { '--model': 'model', '--resume': 'resume', '--cancel': 'cancel', '--rollback': 'rollback' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--class') {
+      options.classId = parseInt(argv[++i], 10);
+    } else if (arg === '--status') {
+      options.action = 'status';
+    } else if (actions[arg]) {
+      options.action = actions[arg];
+      options.value = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!options.classId || !options.action || (options.action !== 'status' && !options.value)) {
+    throw new Error('A class and one action are required');
+  }
+
+  return options;
+}
+
+/**
+ * Re-embed chunks and summaries the swap cleared because they were on another model
+ *
+ * @param {Array<number>} documentIds - Documents with chunks or summaries to re-embed
+ */
+async function embedStaleDocuments(documentIds = []) {
+  for (const documentId of documentIds) {
+    const result = await embedPendingChunks(documentId);
+    console.log(result.success
+      ? `   ✅ Re-embedded ${result.embedded} chunk(s) of document ${documentId}`
+      : `   ⚠️ Document ${documentId}: ${result.error} (an embed job will retry it)`);
+  }
+}
+
+async function printStatus(classId) {
+  const migrations = await getEmbeddingMigrations(classId);
+  if (migrations.length === 0) {
+    console.log(`No embedding migrations for class ${classId}`);
+    return;
+  }
+
+  for (const migration of migrations) {
+    console.log(`[${migration.id}] ${migration.from_model} → ${migration.to_model}: ${migration.status} ` +
+      `(${migration.embedded_items}/${migration.total_items}, ${migration.progress}%)` +
+      (migration.last_error ? `\n     last error: ${migration.last_error}` : ''));
+  }
+}
+
+async function runMigration(migrationId) {
+  const result = await runEmbeddingMigration(migrationId);
+  if (!result.success) {
+    console.log(`❌ Migration ${migrationId} stopped: ${result.error}`);
+    console.log(`   Progress is kept; rerun with --resume ${migrationId}`);
+    return false;
+  }
+
+  await embedStaleDocuments(result.staleDocumentIds);
+  return true;
+}
+
+async function main(options) {
+  switch (options.action) {
+    case 'status':
+      await printStatus(options.classId);
+      return true;
+
+    case 'model': {
+      const started = await startEmbeddingMigration(options.classId, options.value, null);
+      if (!started.success) {
+        console.log(`❌ ${started.error}`);
+        return false;
+      }
+      const ok = await runMigration(started.migration.id);
+      await printStatus(options.classId);
+      return ok;
+    }
+
+    case 'resume': {
+      const ok = await runMigration(parseInt(options.value, 10));
+      await printStatus(options.classId);
+      return ok;
+    }
+
+    case 'cancel': {
+      const result = await cancelEmbeddingMigration(options.classId, parseInt(options.value, 10));
+      console.log(result.success ? '🛑 Migration cancelled' : `❌ ${result.error}`);
+      return result.success;
+    }
+
+    case 'rollback': {
+      const result = await rollbackEmbeddingMigration(options.classId, parseInt(options.value, 10));
+      if (!result.success) {
+        console.log(`❌ ${result.error}`);
+        return false;
+      }
+      await embedStaleDocuments(result.staleDocumentIds);
+      await printStatus(options.classId);
+      return true;
+    }
+
+    default:
+      return false;
+  }
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  main(options)
+    .then(ok => pool.end().then(() => process.exit(ok ? 0 : 1)))
+    .catch(err => {
+      console.error('❌ Error:', err);
+      process.exit(1);
+    });
+}
@@ -183,7 +183,7 @@ async function testOptimizedRAG() {
     
     console.log(`⚡ Total AI response time: ${aiTime}ms`);
     console.log(`✅ AI Response success: ${aiResponse.success}`);
-    console.log(`📚 Documents used: ${aiResponse.documentsUsed?.join(', ') || 'None'}`);
+    console.log(`📚 Documents used: ${aiResponse.documentsUsed?.map(doc => doc.filename).join(', ') || 'None'}`);
     console.log(`🤖 Response preview: ${aiResponse.response?.substring(0, 200)}...`);
 
     // Step 6: Performance comparison (if we had baseline data)
@@ -74,6 +74,7 @@ const PORT = process.env.PORT || 5001;
 const server = require('http').createServer(app);
 const setupWebSocket = require('./websocket');
 const ensureSchema = require('./ensureSchema');
+const { startJobWorker } = require('./services/jobQueue');
 
 // Set up WebSocket server
 setupWebSocket(server);
@@ -81,14 +82,19 @@ setupWebSocket(server);
 // Ensure database schema is up to date before starting server
 ensureSchema()
   .then(() => {
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+
+    // Resume queued document processing, including work interrupted by the last shutdown
+    startJobWorker().catch(err => {
+      console.error('Failed to start job worker:', err.message);
     });
   })
   .catch(err => {
     console.error('Failed to ensure schema, starting server anyway:', err.message);
-    // Start server even if schema check fails
+    // Start server even if schema check fails; the job worker needs the schema, so it stays off
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT} (with schema warnings)`);
     });
-});
\ No newline at end of file
+  });
\ No newline at end of file
@@ -0,0 +1,406 @@
+/**
+ * Structure-aware chunking service
+ * Splits extracted text into retrieval chunks along headings, paragraphs, list items,
+ * tables, code blocks, equations, and sentences instead of fixed character windows
+ */
+
+// Constants
+const CHUNKER_VERSION = 'structure-v1';
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_TARGET_TOKENS = 300;
+const DEFAULT_OVERLAP_TOKENS = 50;
+const MIN_TARGET_TOKENS = 50;
+const MAX_TARGET_TOKENS = 2000;
+const ATOMIC_BLOCK_TOLERANCE = 1.5; // tables/code/equations may exceed the target by this factor before being split
+const MIN_FILL_BEFORE_HEADING_BREAK = 0.3; // start a new chunk at a heading once the current chunk is this full
+
+const HEADING_PATTERN = /^(#{1,6}\s+\S|\[Slide \d+\]\s*$)/;
+const LIST_ITEM_PATTERN = /^\s*([-*•▪◦]|\d+[.)]|[a-zA-Z][.)])\s+\S/;
+const CODE_FENCE_PATTERN = /^\s*(```|~~~)/;
+const TABLE_ROW_PATTERN = /^\s*\|/;
+const EQUATION_START_PATTERN = /^\s*(\$\$|\\\[|\\begin\{)/;
+
+/**
+ * Estimate the number of model tokens in a piece of text.
+ * Uses the common ~4 characters per token approximation for English text.
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split text into lines while keeping each line's offsets in the source text
+ *
+ * @param {string} text - Source text
+ * @returns {Array<Object>} Lines with text, start, and end offsets (end excludes the newline)
+ */
+function splitLines(text) {
+  const lines = [];
+  let offset = 0;
+  for (const lineText of text.split('\n')) {
+    lines.push({ text: lineText, start: offset, end: offset + lineText.length });
+    offset += lineText.length + 1;
+  }
+  return lines;
+}
+
+/**
+ * Find the closing line of a display equation that starts at the given line
+ *
+ * @param {Array<Object>} lines - Source lines
+ * @param {number} startIndex - Index of the opening line
+ * @returns {number} Index of the closing line (the last line if unterminated)
+ */
+function findEquationEnd(lines, startIndex) {
+  const opening = lines[startIndex].text.trim();
+  let closing;
+  if (opening.startsWith('$$')) {
+    if (opening.length > 2 && opening.slice(2).includes('$$')) {
+      return startIndex;
+    }
+    closing = '$$';
+  } else if (opening.startsWith('\\[')) {
+    if (opening.includes('\\]')) {
+      return startIndex;
+    }
+    closing = '\\]';
+  } else {
+    const environment = opening.match(/^\\begin\{([^}]+)\}/)[1];
+    closing = `\\end{${environment}}`;
+    if (opening.includes(closing)) {
+      return startIndex;
+    }
+  }
+
+  for (let i = startIndex + 1; i < lines.length; i++) {
+    if (lines[i].text.includes(closing)) {
+      return i;
+    }
+  }
+  return lines.length - 1;
+}
+
+/**
+ * Parse text into structural blocks (headings, paragraphs, list items, tables, code, equations)
+ *
+ * @param {string} text - Source text
+ * @returns {Array<Object>} Blocks with type, start, and end offsets
+ */
+function parseBlocks(text) {
+  const lines = splitLines(text);
+  const blocks = [];
+  let i = 0;
+
+  const pushBlock = (type, firstIndex, lastIndex) => {
+    blocks.push({ type, start: lines[firstIndex].start, end: lines[lastIndex].end });
+  };
+
+  while (i < lines.length) {
+    const line = lines[i].text;
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    if (CODE_FENCE_PATTERN.test(line)) {
+      const fence = line.trim().slice(0, 3);
+      let end = i + 1;
+      while (end < lines.length && !lines[end].text.trim().startsWith(fence)) {
+        end++;
+      }
+      end = Math.min(end, lines.length - 1);
+      pushBlock('code', i, end);
+      i = end + 1;
+      continue;
+    }
+
+    if (EQUATION_START_PATTERN.test(line)) {
+      const end = findEquationEnd(lines, i);
+      pushBlock('equation', i, end);
+      i = end + 1;
+      continue;
+    }
+
+    if (HEADING_PATTERN.test(line)) {
+      pushBlock('heading', i, i);
+      i++;
+      continue;
+    }
+
+    if (TABLE_ROW_PATTERN.test(line)) {
+      let end = i;
+      while (end + 1 < lines.length && TABLE_ROW_PATTERN.test(lines[end + 1].text)) {
+        end++;
+      }
+      pushBlock('table', i, end);
+      i = end + 1;
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      // A list item owns its indented continuation lines
+      let end = i;
+      while (
+        end + 1 < lines.length &&
+        /^\s+\S/.test(lines[end + 1].text) &&
+        !LIST_ITEM_PATTERN.test(lines[end + 1].text)
+      ) {
+        end++;
+      }
+      pushBlock('list_item', i, end);
+      i = end + 1;
+      continue;
+    }
+
+    // Paragraph: consecutive lines until a blank line or another block starts
+    let end = i;
+    while (end + 1 < lines.length) {
+      const nextLine = lines[end + 1].text;
+      if (
+        nextLine.trim() === '' ||
+        HEADING_PATTERN.test(nextLine) ||
+        LIST_ITEM_PATTERN.test(nextLine) ||
+        CODE_FENCE_PATTERN.test(nextLine) ||
+        TABLE_ROW_PATTERN.test(nextLine) ||
+        EQUATION_START_PATTERN.test(nextLine)
+      ) {
+        break;
+      }
+      end++;
+    }
+    pushBlock('paragraph', i, end);
+    i = end + 1;
+  }
+
+  return blocks;
+}
+
+/**
+ * Split a span of text into sentence spans
+ *
+ * @param {string} text - Full source text
+ * @param {number} start - Span start offset
+ * @param {number} end - Span end offset
+ * @returns {Array<Object>} Sentence spans with start and end offsets
+ */
+function splitSentences(text, start, end) {
+  const spanText = text.slice(start, end);
+  const sentences = [];
+  const sentencePattern = /[\s\S]+?(?:[.!?]+["')\]]*(?=\s|$)|$)/g;
+  let match;
+
+  while ((match = sentencePattern.exec(spanText)) !== null) {
+    if (match[0].length === 0) {
+      sentencePattern.lastIndex++;
+      continue;
+    }
+    const leadingWhitespace = match[0].length - match[0].trimStart().length;
+    const sentenceStart = start + match.index + leadingWhitespace;
+    const sentenceEnd = start + match.index + match[0].trimEnd().length;
+    if (sentenceEnd > sentenceStart) {
+      sentences.push({ start: sentenceStart, end: sentenceEnd });
+    }
+  }
+
+  return sentences.length > 0 ? sentences : [{ start, end }];
+}
+
+/**
+ * Split a span into windows of whole words that each fit the token budget.
+ * Last resort for single sentences or lines that are longer than a chunk.
+ *
+ * @param {string} text - Full source text
+ * @param {number} start - Span start offset
+ * @param {number} end - Span end offset
+ * @param {number} maxTokens - Token budget per window
+ * @returns {Array<Object>} Word-window spans with start and end offsets
+ */
+function splitWordWindows(text, start, end, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const windows = [];
+  const wordPattern = /\S+/g;
+  wordPattern.lastIndex = start;
+  let windowStart = null;
+  let windowEnd = null;
+  let match;
+
+  while ((match = wordPattern.exec(text)) !== null && match.index < end) {
+    const wordStart = match.index;
+    const wordEnd = Math.min(match.index + match[0].length, end);
+
+    if (windowStart !== null && wordEnd - windowStart > maxChars) {
+      windows.push({ start: windowStart, end: windowEnd });
+      windowStart = null;
+    }
+
+    // A single word longer than the budget is cut at the character limit
+    if (windowStart === null && wordEnd - wordStart > maxChars) {
+      for (let offset = wordStart; offset < wordEnd; offset += maxChars) {
+        windows.push({ start: offset, end: Math.min(offset + maxChars, wordEnd) });
+      }
+      continue;
+    }
+
+    if (windowStart === null) {
+      windowStart = wordStart;
+    }
+    windowEnd = wordEnd;
+  }
+
+  if (windowStart !== null) {
+    windows.push({ start: windowStart, end: windowEnd });
+  }
+
+  return windows;
+}
+
+/**
+ * Break a block into packing units that each fit within the token budget.
+ * Blocks that fit stay whole; oversized prose falls back to sentences, then words;
+ * oversized tables, code, and equations fall back to line groups.
+ *
+ * @param {string} text - Full source text
+ * @param {Object} block - Block with type, start, and end
+ * @param {number} targetTokens - Target chunk size in tokens
+ * @returns {Array<Object>} Units with type, start, end, and tokens
+ */
+function blockToUnits(text, block, targetTokens) {
+  const blockTokens = estimateTokens(text.slice(block.start, block.end));
+  const isAtomic = block.type === 'table' || block.type === 'code' || block.type === 'equation';
+  const limit = isAtomic ? Math.floor(targetTokens * ATOMIC_BLOCK_TOLERANCE) : targetTokens;
+
+  if (blockTokens <= limit) {
+    return [{ ...block, tokens: blockTokens }];
+  }
+
+  let pieces;
+  if (isAtomic) {
+    pieces = splitLines(text.slice(block.start, block.end))
+      .filter(line => line.text.trim() !== '')
+      .map(line => ({ start: block.start + line.start, end: block.start + line.end }));
+  } else {
+    pieces = splitSentences(text, block.start, block.end);
+  }
+
+  const units = [];
+  for (const piece of pieces) {
+    const pieceTokens = estimateTokens(text.slice(piece.start, piece.end));
+    if (pieceTokens <= targetTokens) {
+      units.push({ type: block.type, start: piece.start, end: piece.end, tokens: pieceTokens });
+    } else {
+      for (const window of splitWordWindows(text, piece.start, piece.end, targetTokens)) {
+        units.push({
+          type: block.type,
+          start: window.start,
+          end: window.end,
+          tokens: estimateTokens(text.slice(window.start, window.end))
+        });
+      }
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Split text into retrieval chunks that respect document structure.
+ * Chunks are contiguous slices of the source text, so their offsets can be mapped
+ * back to pages or slides. Consecutive chunks within a section share a tail of
+ * whole sentences/blocks up to the overlap budget.
+ *
+ * @param {string} text - Text to split into chunks
+ * @param {Object} options - Chunking options
+ * @param {number} options.targetTokens - Target chunk size in tokens
+ * @param {number} options.overlapTokens - Overlap between consecutive chunks in tokens
+ * @returns {Array<Object>} Chunks with content, start, end, and tokenCount
+ */
+function chunkText(text, { targetTokens = DEFAULT_TARGET_TOKENS, overlapTokens = DEFAULT_OVERLAP_TOKENS } = {}) {
+  if (!text || text.trim().length === 0) {
+    return [];
+  }
+
+  const target = Math.min(Math.max(targetTokens, MIN_TARGET_TOKENS), MAX_TARGET_TOKENS);
+  const overlap = Math.min(Math.max(overlapTokens, 0), Math.floor(target / 2));
+
+  const units = parseBlocks(text).flatMap(block => blockToUnits(text, block, target));
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const emitChunk = () => {
+    // Never end a chunk on a heading; carry it into the next chunk instead
+    const carried = [];
+    while (current.length > 1 && current[current.length - 1].type === 'heading') {
+      carried.unshift(current.pop());
+    }
+
+    const first = current[0];
+    const last = current[current.length - 1];
+    chunks.push({
+      content: text.slice(first.start, last.end),
+      start: first.start,
+      end: last.end,
+      tokenCount: estimateTokens(text.slice(first.start, last.end))
+    });
+
+    return carried;
+  };
+
+  const overlapTail = (units) => {
+    const tail = [];
+    let tailTokens = 0;
+    for (let i = units.length - 1; i > 0; i--) {
+      const unit = units[i];
+      if (unit.type === 'heading' || tailTokens + unit.tokens > overlap) {
+        break;
+      }
+      tail.unshift(unit);
+      tailTokens += unit.tokens;
+    }
+    return tail;
+  };
+
+  for (const unit of units) {
+    const startsSection = unit.type === 'heading' && currentTokens >= target * MIN_FILL_BEFORE_HEADING_BREAK;
+    const overflows = current.length > 0 && currentTokens + unit.tokens > target;
+
+    if (current.length > 0 && (startsSection || overflows)) {
+      const emittedUnits = current;
+      const carried = emitChunk();
+      // Sections start fresh; continuing prose overlaps with the previous chunk
+      const tail = startsSection || carried.length > 0 ? [] : overlapTail(emittedUnits);
+      current = [...tail, ...carried];
+      currentTokens = current.reduce((sum, item) => sum + item.tokens, 0);
+
+      // Drop the overlap if it would push this unit over the budget
+      if (currentTokens + unit.tokens > target && tail.length > 0) {
+        current = carried;
+        currentTokens = current.reduce((sum, item) => sum + item.tokens, 0);
+      }
+    }
+
+    current.push(unit);
+    currentTokens += unit.tokens;
+  }
+
+  if (current.length > 0) {
+    emitChunk();
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  CHUNKER_VERSION,
+  CHARS_PER_TOKEN,
+  DEFAULT_TARGET_TOKENS,
+  DEFAULT_OVERLAP_TOKENS,
+  MIN_TARGET_TOKENS,
+  MAX_TARGET_TOKENS,
+  estimateTokens,
+  chunkText
+};
@@ -0,0 +1,179 @@
+/**
+ * Citation service
+ * Validates the numbered source markers ([1], [2][3], [1, 4]) that answers cite against the
+ * sources retrieved for that answer, and stores them as citation records on the message.
+ */
+
+const pool = require('../db');
+
+// Constants
+// A marker is a bracketed list of numbers not glued to a preceding word, so array[1] is not a citation
+const CITATION_MARKER_PATTERN = /([ \t]*)(?<![\w\]])\[\d+(?:\s*,\s*\d+)*\](?:\[\d+(?:\s*,\s*\d+)*\])*/g;
+// Fenced code blocks (up to their closing fence, or the end of an unfinished answer) and inline code spans
+const CODE_SPAN_PATTERN = /```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|(`+)[\s\S]*?\1(?!`)/g;
+
+/**
+ * Replace matches of a pattern in the prose of a text, leaving code untouched
+ * so that arr = [1, 2, 3] or x[0] inside code is never read as a citation
+ *
+ * @param {string} text - Markdown text
+ * @param {RegExp} pattern - Global pattern to replace
+ * @param {Function} replacer - Replacement function, as for String.prototype.replace
+ * @returns {string} Text with prose matches replaced
+ */
+function replaceOutsideCode(text, pattern, replacer) {
+  let result = '';
+  let proseStart = 0;
+
+  for (const code of text.matchAll(CODE_SPAN_PATTERN)) {
+    result += text.slice(proseStart, code.index).replace(pattern, replacer) + code[0];
+    proseStart = code.index + code[0].length;
+  }
+
+  return result + text.slice(proseStart).replace(pattern, replacer);
+}
+
+/**
+ * Find valid citations in an answer and normalize its markers.
+ * Numbers that do not match a retrieved source are removed from the text; code is left as written.
+ *
+ * @param {string} text - Answer text
+ * @param {Array<Object>} sources - Sources shown to the model, from describeDocumentsUsed; marker n is sources[n - 1]
+ * @returns {Object} { content, citations, invalidMarkers } with citations in order of first use
+ */
+function extractCitations(text, sources = []) {
+  const cited = new Map();
+  const invalidMarkers = [];
+
+  const content = replaceOutsideCode(text || '', CITATION_MARKER_PATTERN, (match, leadingSpace) => {
+    const numbers = (match.match(/\d+/g) || []).map(Number);
+    const valid = numbers.filter(number => {
+      const isValid = number >= 1 && number <= sources.length;
+      if (!isValid) {
+        invalidMarkers.push(number);
+      }
+      return isValid;
+    });
+
+    for (const number of valid) {
+      if (!cited.has(number)) {
+        cited.set(number, { marker: number, ...sources[number - 1] });
+      }
+    }
+
+    // Rewrite [1, 2] as [1][2] so the client only has to recognize one form; drop markers with no valid number
+    return valid.length > 0
+      ? leadingSpace + [...new Set(valid)].map(number => `[${number}]`).join('')
+      : '';
+  });
+
+  return { content, citations: [...cited.values()], invalidMarkers };
+}
+
+/**
+ * Replace the citation records of a message
+ *
+ * @param {number} messageId - ID of the AI chat message
+ * @param {Array<Object>} citations - Citations from extractCitations
+ */
+async function saveMessageCitations(messageId, citations) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM message_citations WHERE message_id = $1', [messageId]);
+
+    for (const citation of citations) {
+      await client.query(
+        `INSERT INTO message_citations
+           (message_id, marker, document_id, chunk_id, filename, page_start, page_end, slide_number)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          messageId,
+          citation.marker,
+          citation.documentId,
+          citation.chunkId,
+          citation.filename,
+          citation.pageStart,
+          citation.pageEnd,
+          citation.slideNumber
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Validate an answer's citations and store them with the message
+ * A failure to store citations never loses the answer: the cleaned text is still returned.
+ *
+ * @param {number} messageId - ID of the AI chat message
+ * @param {string} text - Answer text
+ * @param {Array<Object>} sources - Sources shown to the model, from describeDocumentsUsed
+ * @returns {Promise<Object>} { content, citations } with content ready to save
+ */
+async function finalizeCitations(messageId, text, sources) {
+  const { content, citations, invalidMarkers } = extractCitations(text, sources);
+
+  if (invalidMarkers.length > 0) {
+    console.log(`⚠️ Removed citation markers with no matching source from message ${messageId}: ${invalidMarkers.join(', ')}`);
+  }
+
+  try {
+    await saveMessageCitations(messageId, citations);
+  } catch (error) {
+    console.error('Error saving message citations:', error);
+  }
+
+  return { content, citations };
+}
+
+/**
+ * Load the citations of several messages
+ *
+ * @param {Array<number>} messageIds - Chat message IDs
+ * @returns {Promise<Map<number, Array<Object>>>} Citations per message ID, ordered by marker
+ */
+async function getCitationsForMessages(messageIds) {
+  const byMessage = new Map();
+  if (messageIds.length === 0) {
+    return byMessage;
+  }
+
+  const result = await pool.query(
+    `SELECT message_id, marker, document_id, chunk_id, filename, page_start, page_end, slide_number
+     FROM message_citations
+     WHERE message_id = ANY($1)
+     ORDER BY message_id, marker`,
+    [messageIds]
+  );
+
+  for (const row of result.rows) {
+    if (!byMessage.has(row.message_id)) {
+      byMessage.set(row.message_id, []);
+    }
+    byMessage.get(row.message_id).push({
+      marker: row.marker,
+      documentId: row.document_id,
+      chunkId: row.chunk_id,
+      filename: row.filename,
+      pageStart: row.page_start,
+      pageEnd: row.page_end,
+      slideNumber: row.slide_number
+    });
+  }
+
+  return byMessage;
+}
+
+module.exports = {
+  extractCitations,
+  finalizeCitations,
+  getCitationsForMessages
+};
@@ -0,0 +1,188 @@
+/**
+ * Class settings service
+ * Loads per-class RAG configuration and fills in defaults for unset values
+ */
+
+const pool = require('../db');
+const {
+  DEFAULT_TARGET_TOKENS,
+  DEFAULT_OVERLAP_TOKENS,
+  MIN_TARGET_TOKENS,
+  MAX_TARGET_TOKENS
+} = require('./chunkingService');
+const { getDefaultEmbeddingModel } = require('./providers');
+const {
+  RERANKERS,
+  MIN_RERANK_DEPTH,
+  MAX_RERANK_DEPTH,
+  getDefaultRerankSettings
+} = require('./rerankService');
+
+// Constants
+const MAX_RETRIEVAL_WEIGHT = 10;
+
+const DEFAULT_CLASS_RAG_SETTINGS = {
+  chunkTargetTokens: DEFAULT_TARGET_TOKENS,
+  chunkOverlapTokens: DEFAULT_OVERLAP_TOKENS,
+  vectorWeight: 1,
+  lexicalWeight: 1,
+  groundedOnly: false,
+  groundingMinSimilarity: 0.35
+};
+
+/**
+ * Validate an optional integer setting. null clears the value back to the default.
+ *
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Function} Validator returning { value } or { error }
+ */
+function optionalInteger(min, max) {
+  return (value, field) => {
+    if (value === null) {
+      return { value: null };
+    }
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be an integer between ${min} and ${max}` };
+    }
+    return { value };
+  };
+}
+
+/**
+ * Validate an optional numeric setting. null clears the value back to the default.
+ *
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Function} Validator returning { value } or { error }
+ */
+function optionalNumber(min, max) {
+  return (value, field) => {
+    if (value === null) {
+      return { value: null };
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      return { error: `${field} must be a number between ${min} and ${max}` };
+    }
+    return { value };
+  };
+}
+
+/**
+ * Validate an optional setting restricted to a fixed set of values. null clears it back to the default.
+ *
+ * @param {Array<string>} allowed - Allowed values
+ * @returns {Function} Validator returning { value } or { error }
+ */
+function optionalChoice(allowed) {
+  return (value, field) => {
+    if (value === null) {
+      return { value: null };
+    }
+    if (!allowed.includes(value)) {
+      return { error: `${field} must be one of: ${allowed.join(', ')}` };
+    }
+    return { value };
+  };
+}
+
+/**
+ * Validate an optional boolean setting. null clears the value back to the default.
+ *
+ * @returns {Function} Validator returning { value } or { error }
+ */
+function optionalBoolean() {
+  return (value, field) => {
+    if (value === null || typeof value === 'boolean') {
+      return { value };
+    }
+    return { error: `${field} must be true or false` };
+  };
+}
+
+// Class settings that the owner may update, keyed by column name.
+// embedding_model is changed through an embedding migration instead (see embeddingMigrationService).
+const UPDATABLE_CLASS_SETTINGS = {
+  ai_name: (value) => ({ value: typeof value === 'string' && value.trim() ? value.trim() : 'Andy' }),
+  chunk_target_tokens: optionalInteger(MIN_TARGET_TOKENS, MAX_TARGET_TOKENS),
+  chunk_overlap_tokens: optionalInteger(0, Math.floor(MAX_TARGET_TOKENS / 2)),
+  retrieval_vector_weight: optionalNumber(0, MAX_RETRIEVAL_WEIGHT),
+  retrieval_lexical_weight: optionalNumber(0, MAX_RETRIEVAL_WEIGHT),
+  reranker: optionalChoice(RERANKERS),
+  rerank_depth: optionalInteger(MIN_RERANK_DEPTH, MAX_RERANK_DEPTH),
+  grounded_only: optionalBoolean(),
+  grounding_min_similarity: optionalNumber(0, 1)
+};
+
+/**
+ * Validate a partial class settings update. Only fields present in the body are updated.
+ *
+ * @param {Object} body - Request body with the settings to change
+ * @returns {Object} Result with updates (column -> value) or an error message
+ */
+function validateClassSettingsUpdate(body = {}) {
+  const updates = {};
+
+  for (const [field, validate] of Object.entries(UPDATABLE_CLASS_SETTINGS)) {
+    if (!Object.prototype.hasOwnProperty.call(body, field)) {
+      continue;
+    }
+
+    const result = validate(body[field], field);
+    if (result.error) {
+      return { error: result.error };
+    }
+    updates[field] = result.value;
+  }
+
+  return { updates };
+}
+
+/**
+ * Get the RAG settings for a class, falling back to defaults for unset columns.
+ * Database errors are thrown rather than answered with defaults, which would silently
+ * turn off course-materials-only mode and switch the class to the default embedding model.
+ *
+ * @param {number} classId - ID of the class
+ * @returns {Promise<Object>} Settings with chunkTargetTokens, chunkOverlapTokens, embeddingModel,
+ *   the hybrid retrieval weights vectorWeight and lexicalWeight, reranker and rerankDepth, and the
+ *   course-materials-only mode groundedOnly with its groundingMinSimilarity
+ */
+async function getClassRagSettings(classId) {
+  const defaults = {
+    ...DEFAULT_CLASS_RAG_SETTINGS,
+    ...getDefaultRerankSettings(),
+    embeddingModel: getDefaultEmbeddingModel()
+  };
+
+  const result = await pool.query(
+    `SELECT chunk_target_tokens, chunk_overlap_tokens, embedding_model, retrieval_vector_weight, retrieval_lexical_weight,
+            reranker, rerank_depth, grounded_only, grounding_min_similarity
+     FROM classes WHERE id = $1`,
+    [classId]
+  );
+
+  const row = result.rows[0];
+  if (!row) {
+    return defaults;
+  }
+
+  return {
+    chunkTargetTokens: row.chunk_target_tokens ?? defaults.chunkTargetTokens,
+    chunkOverlapTokens: row.chunk_overlap_tokens ?? defaults.chunkOverlapTokens,
+    embeddingModel: row.embedding_model || defaults.embeddingModel,
+    vectorWeight: row.retrieval_vector_weight ?? defaults.vectorWeight,
+    lexicalWeight: row.retrieval_lexical_weight ?? defaults.lexicalWeight,
+    reranker: row.reranker || defaults.reranker,
+    rerankDepth: row.rerank_depth ?? defaults.rerankDepth,
+    groundedOnly: row.grounded_only ?? defaults.groundedOnly,
+    groundingMinSimilarity: row.grounding_min_similarity ?? defaults.groundingMinSimilarity
+  };
+}
+
+module.exports = {
+  DEFAULT_CLASS_RAG_SETTINGS,
+  UPDATABLE_CLASS_SETTINGS,
+  getClassRagSettings,
+  validateClassSettingsUpdate
+};
@@ -0,0 +1,267 @@
+/**
+ * Conversation context service
+ * Supplies the recent turns of a user's private chat to answer generation, rewrites
+ * follow-up questions into standalone search queries, and folds older turns into a
+ * rolling summary so long threads stay within the prompt budget.
+ * The history of a question is the branch of the chat leading up to it (see threadService).
+ * Class chat threads (chat_messages.conversation_id) each keep their own rolling summary;
+ * document chat threads (chat_messages.document_id) use only their recent turns.
+ */
+
+const pool = require('../db');
+const { getProvider } = require('./providers');
+const { estimateTokens } = require('./chunkingService');
+const { getBranchMessages } = require('./threadService');
+
+// Constants
+const RECENT_TURN_LIMIT = 10; // messages kept verbatim after the summary is updated
+const SUMMARY_MIN_BATCH = 6; // unsummarized messages beyond the recent window before summarizing
+const HISTORY_TOKEN_BUDGET = 1500;
+const TURN_CHAR_LIMIT = 2000;
+const SUMMARY_MAX_TOKENS = 400;
+const SUMMARY_TEMPERATURE = 0.2;
+const REWRITE_MAX_TOKENS = 100;
+const REWRITE_TEMPERATURE = 0;
+const REWRITE_TURN_LIMIT = 4;
+const REWRITE_MAX_LENGTH = 500;
+const PINNED_TURN_CHAR_LIMIT = 500;
+
+const EMPTY_CONVERSATION = { summary: null, turns: [] };
+
+/**
+ * Load the rolling summary row for a conversation thread
+ *
+ * @param {number} conversationId - ID of the thread
+ * @returns {Promise<Object>} Row with summary and summarized_through_id (0 if none yet)
+ */
+async function getSummaryRow(conversationId) {
+  const result = await pool.query(
+    `SELECT summary, summarized_through_id FROM conversation_summaries
+     WHERE conversation_id = $1`,
+    [conversationId]
+  );
+  return result.rows[0] || { summary: null, summarized_through_id: 0 };
+}
+
+/**
+ * The part of a branch not yet folded into the rolling summary, with that summary.
+ * A summary written for another branch (its last folded message is not on this one) is not used.
+ *
+ * @param {number|null} conversationId - Class chat thread with a rolling summary (null for document chats)
+ * @param {number} chatOwnerId - Owner of the private chat
+ * @param {number} leafMessageId - Last message of the branch
+ * @returns {Promise<Object>} summary (or null), summarizedThroughId (0 when the summary is not used),
+ *   storedThroughId (as stored), and messages (active turns after the summary, oldest first)
+ */
+async function getUnsummarizedBranch(conversationId, chatOwnerId, leafMessageId) {
+  const stored = conversationId ? await getSummaryRow(conversationId) : { summary: null, summarized_through_id: 0 };
+  let { summary, summarized_through_id: summarizedThroughId } = stored;
+
+  let rows = await getBranchMessages(leafMessageId, chatOwnerId, summarizedThroughId);
+  if (summarizedThroughId && !rows.some(row => row.id === summarizedThroughId)) {
+    summary = null;
+    summarizedThroughId = 0;
+    rows = await getBranchMessages(leafMessageId, chatOwnerId, 0);
+  }
+
+  return {
+    summary,
+    summarizedThroughId,
+    storedThroughId: stored.summarized_through_id,
+    messages: rows.filter(row => row.id > summarizedThroughId && row.status === 'active' && row.message !== '')
+  };
+}
+
+/**
+ * Get the conversation so far: the rolling summary plus the most recent turns that fit the budget
+ * Failures return an empty conversation so answering never depends on history.
+ *
+ * @param {number} classId - ID of the class
+ * @param {number} chatOwnerId - Owner of the private chat
+ * @param {Object} options - leafMessageId is the last message before the current question (null when
+ *   it is the first); conversationId is the class chat thread whose rolling summary applies
+ * @returns {Promise<Object>} Conversation with summary (or null) and turns ({ role, content }, oldest first)
+ */
+async function getConversationContext(classId, chatOwnerId, { leafMessageId = null, conversationId = null } = {}) {
+  if (!classId || !chatOwnerId || !leafMessageId) {
+    return EMPTY_CONVERSATION;
+  }
+
+  try {
+    const { summary, messages } = await getUnsummarizedBranch(conversationId, chatOwnerId, leafMessageId);
+    const recent = messages.slice(-(RECENT_TURN_LIMIT + SUMMARY_MIN_BATCH)).reverse();
+
+    // Keep the newest turns that fit the token budget
+    const turns = [];
+    let tokens = summary ? estimateTokens(summary) : 0;
+    for (const row of recent) {
+      // Earlier questions about a selected passage keep a shortened copy of it
+      const question = row.message.substring(0, TURN_CHAR_LIMIT);
+      const content = row.pinned_context
+        ? `${formatPinnedContext({ ...row.pinned_context, text: row.pinned_context.text.substring(0, PINNED_TURN_CHAR_LIMIT) })}\n\n${question}`
+        : question;
+      tokens += estimateTokens(content);
+      if (tokens > HISTORY_TOKEN_BUDGET && turns.length > 0) {
+        break;
+      }
+      turns.unshift({ role: row.is_ai ? 'assistant' : 'user', content });
+    }
+
+    return { summary, turns };
+  } catch (error) {
+    console.error('Error loading conversation context:', error);
+    return EMPTY_CONVERSATION;
+  }
+}
+
+/**
+ * Describe a passage the student selected in a document, for the prompt
+ *
+ * @param {Object} pinnedContext - { filename, page, text } from resolvePinnedContext
+ * @returns {string} The passage with where it came from
+ */
+function formatPinnedContext(pinnedContext) {
+  return `The student selected this passage in ${pinnedContext.filename}${pinnedContext.page ? `, page ${pinnedContext.page}` : ''} and is asking about it:
+"""
+${pinnedContext.text}
+"""`;
+}
+
+/**
+ * Chat messages that replay the conversation ahead of the current question
+ *
+ * @param {Object} conversation - Conversation from getConversationContext
+ * @returns {Array<Object>} Provider chat messages ({ role, content })
+ */
+function buildHistoryMessages(conversation) {
+  if (!conversation) {
+    return [];
+  }
+
+  const messages = [];
+  if (conversation.summary) {
+    messages.push({ role: 'system', content: `Summary of the earlier conversation with this student:\n${conversation.summary}` });
+  }
+  return messages.concat(conversation.turns || []);
+}
+
+/**
+ * Rewrite a follow-up question into a standalone search query using the recent turns
+ * ("what about the second one?" -> "second normal form in database design").
+ * Questions without history, or any rewrite failure, return the question unchanged.
+ *
+ * @param {string} question - User's latest question
+ * @param {Object} conversation - Conversation from getConversationContext
+ * @param {Object} options - Optional abort signal
+ * @returns {Promise<string>} Query to use for retrieval
+ */
+async function rewriteQuery(question, conversation, { signal } = {}) {
+  const turns = conversation?.turns || [];
+  if (turns.length === 0 && !conversation?.summary) {
+    return question;
+  }
+
+  const transcript = turns
+    .slice(-REWRITE_TURN_LIMIT)
+    .map(turn => `${turn.role === 'assistant' ? 'Assistant' : 'Student'}: ${turn.content.substring(0, TURN_CHAR_LIMIT / 2)}`)
+    .join('\n');
+
+  const prompt = `Rewrite the student's follow-up question as a standalone search query for the course materials. Resolve pronouns and references such as "it" or "the second one" using the conversation. If the question already stands alone, return it unchanged.
+${conversation.summary ? `\nEarlier conversation summary:\n${conversation.summary}\n` : ''}
+Recent conversation:
+${transcript}
+
+Follow-up question: "${question}"
+
+Reply with only the standalone query.`;
+
+  try {
+    const rewritten = (await getProvider().chat({
+      messages: [{ role: 'user', content: prompt }],
+      temperature: REWRITE_TEMPERATURE,
+      maxTokens: REWRITE_MAX_TOKENS,
+      signal
+    })).trim().replace(/^["']|["']$/g, '');
+
+    if (!rewritten || rewritten.length > REWRITE_MAX_LENGTH) {
+      return question;
+    }
+
+    if (rewritten !== question) {
+      console.log(`✏️ Rewrote follow-up for retrieval: "${rewritten}"`);
+    }
+    return rewritten;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    console.error('Query rewrite failed, searching with the original question:', error.message);
+    return question;
+  }
+}
+
+/**
+ * Fold turns older than the recent window into the thread's rolling summary.
+ * Runs after an answer completes; does nothing until enough unsummarized turns build up.
+ * After switching to another branch, the summary is rebuilt for the branch in use.
+ *
+ * @param {number} conversationId - ID of the class chat thread
+ * @param {number} chatOwnerId - Owner of the private chat
+ * @param {number} leafMessageId - The answer that just completed
+ * @returns {Promise<Object>} Result with success and summarized (messages folded in)
+ */
+async function updateConversationSummary(conversationId, chatOwnerId, leafMessageId) {
+  try {
+    const { summary, storedThroughId, messages } = await getUnsummarizedBranch(conversationId, chatOwnerId, leafMessageId);
+
+    if (messages.length <= RECENT_TURN_LIMIT + SUMMARY_MIN_BATCH) {
+      return { success: true, summarized: 0 };
+    }
+
+    const toFold = messages.slice(0, messages.length - RECENT_TURN_LIMIT);
+    const transcript = toFold
+      .map(row => `${row.is_ai ? 'Assistant' : 'Student'}: ${row.message.substring(0, TURN_CHAR_LIMIT)}`)
+      .join('\n\n');
+
+    const prompt = `Update the running summary of a tutoring conversation between a student and a course assistant.
+Keep the topics discussed, the questions asked, definitions and results given, and anything the student said about their goals or confusion. Stay under 200 words.
+
+Current summary:
+${summary || '(none yet)'}
+
+New messages:
+${transcript}
+
+Reply with only the updated summary.`;
+
+    const updatedSummary = (await getProvider().chat({
+      messages: [{ role: 'user', content: prompt }],
+      temperature: SUMMARY_TEMPERATURE,
+      maxTokens: SUMMARY_MAX_TOKENS
+    })).trim();
+
+    const lastFoldedId = toFold[toFold.length - 1].id;
+    await pool.query(
+      `INSERT INTO conversation_summaries (conversation_id, summary, summarized_through_id, updated_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+       ON CONFLICT (conversation_id) DO UPDATE
+       SET summary = EXCLUDED.summary, summarized_through_id = EXCLUDED.summarized_through_id, updated_at = CURRENT_TIMESTAMP
+       WHERE conversation_summaries.summarized_through_id = $4`,
+      [conversationId, updatedSummary, lastFoldedId, storedThroughId]
+    );
+
+    console.log(`🧾 Folded ${toFold.length} messages into the summary of conversation ${conversationId}`);
+    return { success: true, summarized: toFold.length };
+  } catch (error) {
+    console.error('Error updating conversation summary:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  buildHistoryMessages,
+  formatPinnedContext,
+  getConversationContext,
+  rewriteQuery,
+  updateConversationSummary
+};
@@ -1,62 +1,562 @@
 /**
  * Document text extraction service
- * Handles extraction of text content from various file formats (PDF, TXT, DOCX)
+ * Handles extraction of text content from various file formats (PDF, TXT, DOC, DOCX, PPTX)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+
+const execFileAsync = promisify(execFile);
 
 // Constants
 const PREVIEW_LENGTH = 200;
 const MIN_PREVIEW_LENGTH = 100;
+const MIN_EXTRACTED_LENGTH = 10;
+const ANTIWORD_BINARY = process.env.ANTIWORD_PATH || 'antiword';
+const ANTIWORD_MAX_BUFFER = 20 * 1024 * 1024;
+const MIN_LEGACY_TEXT_RUN = 20;
+const ZIP_SIGNATURE = 'PK';
+const PPTX_SLIDE_SKIPPED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'hdr'];
+const PPTX_NOTES_SKIPPED_PLACEHOLDERS = ['sldImg', 'sldNum', 'dt', 'ftr', 'hdr'];
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
 
 /**
- * Extract text content from uploaded file based on file type
+ * Decode the HTML entities mammoth emits into plain characters
  *
- * @param {string} filepath - Path to the file to extract text from
+ * @param {string} text - Text containing HTML entities
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Collapse whitespace inside a single line of text
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Text with runs of whitespace collapsed to single spaces
+ */
+function normalizeInlineText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert mammoth's semantic HTML into structured plain text.
+ * Headings become "#" prefixed lines, list items keep their bullets/numbers and nesting,
+ * and tables are rendered as pipe-delimited rows so the structure survives chunking.
+ *
+ * @param {string} html - HTML produced by mammoth.convertToHtml
+ * @returns {string} Structured plain text
+ */
+function htmlToStructuredText(html) {
+  const lines = [];
+  const listStack = [];
+  let buffer = '';
+  let linePrefix = '';
+  let tableRows = null;
+  let currentRow = null;
+  let cellBuffer = null;
+
+  const flushLine = () => {
+    const text = normalizeInlineText(buffer);
+    if (text) {
+      lines.push(linePrefix + text);
+    }
+    buffer = '';
+    linePrefix = '';
+  };
+
+  const tokenPattern = /<(\/?)([a-z0-9]+)[^>]*?(\/?)>|([^<]+)/gi;
+  let match;
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const [, closingSlash, rawTagName, selfClosingSlash, textContent] = match;
+
+    if (textContent !== undefined) {
+      const decoded = decodeHtmlEntities(textContent);
+      if (cellBuffer !== null) {
+        cellBuffer += decoded;
+      } else {
+        buffer += decoded;
+      }
+      continue;
+    }
+
+    const tagName = rawTagName.toLowerCase();
+    const isClosing = closingSlash === '/';
+
+    if (tagName === 'br' || selfClosingSlash === '/') {
+      if (cellBuffer !== null) {
+        cellBuffer += ' ';
+      } else {
+        buffer += ' ';
+      }
+      continue;
+    }
+
+    // Paragraphs inside table cells are merged into the cell text
+    if (cellBuffer !== null && tagName !== 'td' && tagName !== 'th') {
+      cellBuffer += ' ';
+      continue;
+    }
+
+    if (/^h[1-6]$/.test(tagName)) {
+      flushLine();
+      if (isClosing) {
+        lines.push('');
+      } else {
+        linePrefix = '#'.repeat(Number(tagName[1])) + ' ';
+      }
+    } else if (tagName === 'p') {
+      // An opening <p> with nothing buffered must keep a list item's bullet
+      if (isClosing || normalizeInlineText(buffer)) {
+        flushLine();
+      }
+      if (isClosing && listStack.length === 0) {
+        lines.push('');
+      }
+    } else if (tagName === 'ul' || tagName === 'ol') {
+      flushLine();
+      if (isClosing) {
+        listStack.pop();
+        if (listStack.length === 0) {
+          lines.push('');
+        }
+      } else {
+        listStack.push({ ordered: tagName === 'ol', itemCount: 0 });
+      }
+    } else if (tagName === 'li') {
+      flushLine();
+      if (!isClosing && listStack.length > 0) {
+        const currentList = listStack[listStack.length - 1];
+        currentList.itemCount += 1;
+        const indent = '  '.repeat(listStack.length - 1);
+        linePrefix = indent + (currentList.ordered ? `${currentList.itemCount}. ` : '- ');
+      }
+    } else if (tagName === 'table') {
+      flushLine();
+      if (isClosing) {
+        (tableRows || []).forEach((row, rowIndex) => {
+          lines.push(`| ${row.join(' | ')} |`);
+          if (rowIndex === 0) {
+            lines.push(`| ${row.map(() => '---').join(' | ')} |`);
+          }
+        });
+        lines.push('');
+        tableRows = null;
+      } else {
+        tableRows = [];
+      }
+    } else if (tagName === 'tr') {
+      if (isClosing) {
+        if (tableRows && currentRow && currentRow.length > 0) {
+          tableRows.push(currentRow);
+        }
+        currentRow = null;
+      } else {
+        currentRow = [];
+      }
+    } else if (tagName === 'td' || tagName === 'th') {
+      if (isClosing) {
+        if (currentRow && cellBuffer !== null) {
+          currentRow.push(normalizeInlineText(cellBuffer).replace(/\|/g, '\\|'));
+        }
+        cellBuffer = null;
+      } else {
+        cellBuffer = '';
+      }
+    }
+  }
+
+  flushLine();
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Extract text from a PDF one page at a time so chunks can record page provenance.
+ * Mirrors pdf-parse's default page renderer, which starts a new line whenever the
+ * baseline of a text item changes.
+ *
+ * @param {Buffer} pdfDataBuffer - Raw PDF contents
+ * @returns {Promise<Array<Object>>} Pages in order with pageNumber and text
+ */
+async function extractPdfPages(pdfDataBuffer) {
+  const pages = [];
+
+  const renderPage = async (pageData) => {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let pageText = '';
+    for (const item of textContent.items) {
+      if (lastY === item.transform[5] || !lastY) {
+        pageText += item.str;
+      } else {
+        pageText += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+    }
+
+    pages.push({ pageNumber: pageData.pageNumber, text: pageText.replace(/\0/g, '') });
+    return pageText;
+  };
+
+  await pdfParse(pdfDataBuffer, { pagerender: renderPage });
+
+  return pages.sort((a, b) => a.pageNumber - b.pageNumber);
+}
+
+/**
+ * Extract structured text from a DOCX file using mammoth
+ *
+ * @param {string} filepath - Path to the .docx file
+ * @returns {Promise<string>} Structured text content
+ */
+async function extractDocxText(filepath) {
+  const conversionResult = await mammoth.convertToHtml({ path: filepath });
+
+  const warnings = conversionResult.messages.filter(message => message.type === 'warning');
+  if (warnings.length > 0) {
+    console.log(`⚠️ DOCX conversion produced ${warnings.length} warnings for ${path.basename(filepath)}`);
+  }
+
+  return htmlToStructuredText(conversionResult.value);
+}
+
+/**
+ * Best-effort text recovery from a legacy Word 97-2003 binary file.
+ * Word stores body text either as 8-bit or UTF-16LE runs, so both decodings are scanned
+ * for long printable runs and the richer result is kept.
+ *
+ * @param {Buffer} fileBuffer - Raw .doc file contents
+ * @returns {string} Recovered text (may be empty)
+ */
+function extractPrintableTextRuns(fileBuffer) {
+  const runPattern = new RegExp(`[\\x20-\\x7E\\u00A0-\\u024F\\r\\n\\t]{${MIN_LEGACY_TEXT_RUN},}`, 'g');
+
+  const collectRuns = (decodedText) => (decodedText.match(runPattern) || [])
+    .map(run => run.replace(/\r/g, '\n').trim())
+    .filter(run => /[a-zA-Z]{3,}/.test(run) && run.includes(' '));
+
+  const utf16Runs = collectRuns(fileBuffer.toString('utf16le'));
+  const latin1Runs = collectRuns(fileBuffer.toString('latin1'));
+
+  const utf16Length = utf16Runs.join('').length;
+  const latin1Length = latin1Runs.join('').length;
+
+  return (utf16Length >= latin1Length ? utf16Runs : latin1Runs).join('\n\n');
+}
+
+/**
+ * Extract text from a legacy .doc file.
+ * Uses antiword when it is installed, otherwise falls back to scanning the binary for text runs.
+ * Files that are really DOCX packages with a .doc extension are routed to the DOCX extractor.
+ *
+ * @param {string} filepath - Path to the .doc file
  * @returns {Promise<string>} Extracted text content
  */
-async function extractTextFromFile(filepath) {
-  const fileExtension = path.extname(filepath).toLowerCase();
+async function extractLegacyDocText(filepath) {
+  const fileBuffer = fs.readFileSync(filepath);
+
+  if (fileBuffer.subarray(0, 2).toString('latin1') === ZIP_SIGNATURE) {
+    console.log('📦 .doc file is a DOCX package, using DOCX extraction');
+    return extractDocxText(filepath);
+  }
 
   try {
-    // Handle text files
-    if (fileExtension === '.txt') {
-      return fs.readFileSync(filepath, 'utf-8');
+    const { stdout } = await execFileAsync(ANTIWORD_BINARY, ['-w', '0', filepath], {
+      maxBuffer: ANTIWORD_MAX_BUFFER
+    });
+    if (stdout && stdout.trim().length > 0) {
+      return stdout;
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.log('ℹ️ antiword not installed, using built-in legacy .doc text recovery');
+    } else {
+      console.log(`⚠️ antiword failed for ${path.basename(filepath)}: ${error.message}`);
     }
+  }
 
-    // Handle PDF files
-    if (fileExtension === '.pdf') {
-      const pdfDataBuffer = fs.readFileSync(filepath);
-      console.log(`🔍 PDF buffer size: ${pdfDataBuffer.length} bytes`);
+  const recoveredText = extractPrintableTextRuns(fileBuffer);
+  if (recoveredText.trim().length < MIN_EXTRACTED_LENGTH) {
+    throw new Error('Could not read legacy .doc file. Install antiword or re-save the file as .docx');
+  }
+
+  return recoveredText;
+}
+
+/**
+ * Resolve a relationship target relative to the package part that declares it
+ *
+ * @param {string} sourcePart - Path of the part owning the relationship (e.g. ppt/slides/slide1.xml)
+ * @param {string} target - Relationship target attribute
+ * @returns {string} Normalized package path
+ */
+function resolvePackageTarget(sourcePart, target) {
+  if (target.startsWith('/')) {
+    return target.slice(1);
+  }
+  return path.posix.normalize(path.posix.join(path.posix.dirname(sourcePart), target));
+}
+
+/**
+ * Read the relationships declared by a package part
+ *
+ * @param {JSZip} zip - Loaded PPTX package
+ * @param {string} sourcePart - Path of the part whose relationships to read
+ * @returns {Promise<Array<Object>>} Relationships with id, type, and resolved target path
+ */
+async function readPackageRelationships(zip, sourcePart) {
+  const relsPath = path.posix.join(
+    path.posix.dirname(sourcePart),
+    '_rels',
+    `${path.posix.basename(sourcePart)}.rels`
+  );
+  const relsFile = zip.file(relsPath);
+  if (!relsFile) {
+    return [];
+  }
 
-      const parseResult = await pdfParse(pdfDataBuffer);
-      const extractedText = parseResult.text || '';
-      console.log(`✅ PDF text extracted: ${extractedText.length} characters`);
+  const relsXml = await relsFile.async('string');
+  const relationships = [];
+  const relationshipPattern = /<Relationship\b([^>]*)\/?>/g;
+  let match;
 
-      // Show preview for debugging if text is substantial
-      if (extractedText.length > MIN_PREVIEW_LENGTH) {
-        console.log(`📄 Preview: ${extractedText.substring(0, PREVIEW_LENGTH)}...`);
+  while ((match = relationshipPattern.exec(relsXml)) !== null) {
+    const attributes = match[1];
+    const id = attributes.match(/\bId="([^"]+)"/)?.[1];
+    const type = attributes.match(/\bType="([^"]+)"/)?.[1] || '';
+    const target = attributes.match(/\bTarget="([^"]+)"/)?.[1];
+    if (id && target) {
+      relationships.push({ id, type, target: resolvePackageTarget(sourcePart, target) });
+    }
+  }
+
+  return relationships;
+}
+
+/**
+ * Extract paragraph text from a DrawingML part (slide or notes), skipping placeholder
+ * shapes such as slide numbers, dates, and footers that add noise to retrieval
+ *
+ * @param {string} xml - Slide or notes XML
+ * @param {Array<string>} skippedPlaceholders - Placeholder types to ignore
+ * @returns {string} One line per non-empty paragraph
+ */
+function extractDrawingMLText(xml, skippedPlaceholders) {
+  const filteredXml = xml.replace(/<p:sp\b[\s\S]*?<\/p:sp>/g, (shape) => {
+    const placeholderType = shape.match(/<p:ph\b[^>]*\btype="([^"]+)"/)?.[1];
+    return placeholderType && skippedPlaceholders.includes(placeholderType) ? '' : shape;
+  });
+
+  const paragraphs = [];
+  const paragraphPattern = /<a:p(?:\s[^>]*)?>([\s\S]*?)<\/a:p>/g;
+  let paragraphMatch;
+
+  while ((paragraphMatch = paragraphPattern.exec(filteredXml)) !== null) {
+    let paragraphText = '';
+    const runPattern = /<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>|<a:br\b[^>]*\/>/g;
+    let runMatch;
+
+    while ((runMatch = runPattern.exec(paragraphMatch[1])) !== null) {
+      paragraphText += runMatch[1] !== undefined ? decodeHtmlEntities(runMatch[1]) : ' ';
+    }
+
+    const normalized = normalizeInlineText(paragraphText);
+    if (normalized) {
+      paragraphs.push(normalized);
+    }
+  }
+
+  return paragraphs.join('\n');
+}
+
+/**
+ * List slide parts in presentation order.
+ * Falls back to numeric file order when presentation.xml cannot be resolved.
+ *
+ * @param {JSZip} zip - Loaded PPTX package
+ * @returns {Promise<Array<string>>} Slide part paths in display order
+ */
+async function listSlidePartsInOrder(zip) {
+  const presentationFile = zip.file('ppt/presentation.xml');
+
+  if (presentationFile) {
+    const presentationXml = await presentationFile.async('string');
+    const relationships = await readPackageRelationships(zip, 'ppt/presentation.xml');
+    const targetsById = new Map(relationships.map(rel => [rel.id, rel.target]));
+
+    const orderedParts = [];
+    const slideIdPattern = /<p:sldId\b[^>]*\br:id="([^"]+)"/g;
+    let match;
+    while ((match = slideIdPattern.exec(presentationXml)) !== null) {
+      const target = targetsById.get(match[1]);
+      if (target && zip.file(target)) {
+        orderedParts.push(target);
       }
+    }
 
-      return extractedText;
+    if (orderedParts.length > 0) {
+      return orderedParts;
     }
+  }
 
-    // Handle Word documents (future implementation)
-    if (fileExtension === '.doc' || fileExtension === '.docx') {
-      // Optional: integrate 'mammoth' for DOCX extraction in future
-      return '';
+  const slideNumberOf = (partPath) => Number(partPath.match(/slide(\d+)\.xml$/)[1]);
+  return Object.keys(zip.files)
+    .filter(partPath => /^ppt\/slides\/slide\d+\.xml$/.test(partPath))
+    .sort((a, b) => slideNumberOf(a) - slideNumberOf(b));
+}
+
+/**
+ * Extract slide text and speaker notes from a PowerPoint (.pptx) file
+ *
+ * @param {string} filepath - Path to the .pptx file
+ * @returns {Promise<Array<Object>>} One section per slide with slideNumber and text
+ */
+async function extractPptxSlides(filepath) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(filepath));
+  const slideParts = await listSlidePartsInOrder(zip);
+  const sections = [];
+
+  for (let i = 0; i < slideParts.length; i++) {
+    const slidePart = slideParts[i];
+    const slideNumber = i + 1;
+
+    const slideXml = await zip.file(slidePart).async('string');
+    const slideText = extractDrawingMLText(slideXml, PPTX_SLIDE_SKIPPED_PLACEHOLDERS);
+
+    let notesText = '';
+    const relationships = await readPackageRelationships(zip, slidePart);
+    const notesRelationship = relationships.find(rel => rel.type.endsWith('/notesSlide'));
+    if (notesRelationship && zip.file(notesRelationship.target)) {
+      const notesXml = await zip.file(notesRelationship.target).async('string');
+      notesText = extractDrawingMLText(notesXml, PPTX_NOTES_SKIPPED_PLACEHOLDERS);
+    }
+
+    if (!slideText && !notesText) {
+      continue;
+    }
+
+    let sectionText = `[Slide ${slideNumber}]`;
+    if (slideText) {
+      sectionText += `\n${slideText}`;
+    }
+    if (notesText) {
+      sectionText += `\n\nSpeaker notes:\n${notesText}`;
+    }
+
+    sections.push({ slideNumber, text: sectionText });
+  }
+
+  return sections;
+}
+
+/**
+ * Extract text content from a file and report failures instead of hiding them
+ *
+ * @param {string} filepath - Path to the file to extract text from
+ * @returns {Promise<Object>} Result with success flag, extracted text, optional per-slide
+ *   sections ({ slideNumber, text }), optional PDF pages ({ pageNumber, text }, joined with
+ *   blank lines to form the text), and error message on failure
+ */
+async function extractDocument(filepath) {
+  const fileExtension = path.extname(filepath).toLowerCase();
+
+  try {
+    let extractedText;
+    let sections = null;
+    let pages = null;
+
+    if (fileExtension === '.txt') {
+      // Handle text files
+      extractedText = fs.readFileSync(filepath, 'utf-8');
+    } else if (fileExtension === '.pdf') {
+      // Handle PDF files
+      const pdfDataBuffer = fs.readFileSync(filepath);
+      console.log(`🔍 PDF buffer size: ${pdfDataBuffer.length} bytes`);
+
+      pages = await extractPdfPages(pdfDataBuffer);
+      extractedText = pages.map(page => page.text).join('\n\n');
+      console.log(`✅ PDF text extracted: ${pages.length} pages, ${extractedText.length} characters`);
+    } else if (fileExtension === '.docx') {
+      // Handle Word documents
+      extractedText = await extractDocxText(filepath);
+      console.log(`✅ DOCX text extracted: ${extractedText.length} characters`);
+    } else if (fileExtension === '.doc') {
+      // Handle legacy Word documents
+      extractedText = await extractLegacyDocText(filepath);
+      console.log(`✅ DOC text extracted: ${extractedText.length} characters`);
+    } else if (fileExtension === '.pptx') {
+      // Handle PowerPoint decks: one section per slide so chunks keep their slide number
+      sections = await extractPptxSlides(filepath);
+      extractedText = sections.map(section => section.text).join('\n\n');
+      console.log(`✅ PPTX text extracted: ${sections.length} slides, ${extractedText.length} characters`);
+    } else {
+      return { success: false, text: '', error: `Unsupported file type: ${fileExtension || 'unknown'}` };
+    }
+
+    // Show preview for debugging if text is substantial
+    if (extractedText.length > MIN_PREVIEW_LENGTH) {
+      console.log(`📄 Preview: ${extractedText.substring(0, PREVIEW_LENGTH)}...`);
+    }
+
+    if (extractedText.trim().length < MIN_EXTRACTED_LENGTH) {
+      return { success: false, text: extractedText, error: 'No extractable text found in file' };
     }
 
-    // Unsupported file type
-    return '';
+    const result = { success: true, text: extractedText };
+    if (sections) {
+      result.sections = sections;
+    }
+    if (pages) {
+      result.pages = pages;
+    }
+    return result;
   } catch (error) {
     console.error('Error extracting text:', error);
-    return '';
+    return { success: false, text: '', error: `Text extraction failed: ${error.message}` };
   }
 }
 
+/**
+ * Extract text content from uploaded file based on file type
+ *
+ * @param {string} filepath - Path to the file to extract text from
+ * @returns {Promise<string>} Extracted text content (empty string if extraction fails)
+ */
+async function extractTextFromFile(filepath) {
+  const extraction = await extractDocument(filepath);
+  return extraction.text || '';
+}
+
 module.exports = {
-  extractTextFromFile
+  extractDocument,
+  extractTextFromFile,
+  htmlToStructuredText
 };
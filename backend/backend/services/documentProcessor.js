@@ -4,14 +4,16 @@
  */
 
 const pool = require('../db');
-const { extractTextFromFile } = require('./documentExtractor');
-const { generateEmbedding, splitIntoChunks } = require('./embeddingService');
-const { generateAndStoreDocumentSummary } = require('./summaryService');
+const { extractDocument, extractTextFromFile } = require('./documentExtractor');
+const { generateEmbeddings } = require('./embeddingService');
+const { chunkText, CHUNKER_VERSION } = require('./chunkingService');
+const { getClassRagSettings } = require('./classSettings');
+const { generateAndStoreDocumentSummary, embedPendingSummary } = require('./summaryService');
 
 // Constants
 const DEFAULT_DOCUMENT_LIMIT = 5;
 const DEFAULT_CHARS_PER_DOCUMENT = 3000;
-const EMBEDDING_RATE_LIMIT_DELAY_MS = 100;
+const PAGE_SEPARATOR_LENGTH = '\n\n'.length;
 
 /**
  * On-demand document text: use stored content if present, otherwise extract from file now.
@@ -20,17 +22,18 @@ const EMBEDDING_RATE_LIMIT_DELAY_MS = 100;
  * @param {number} classId - The ID of the class to fetch documents for
  * @param {number} limit - Maximum number of documents to retrieve
  * @param {number} charactersPerDocument - Maximum characters to include from each document
- * @returns {Promise<Array>} Array of document objects with filename and content
+ * @param {Array<number>|null} documentIds - Only these documents (null for the whole class)
+ * @returns {Promise<Array>} Array of document objects with documentId, filename, and content
  */
-async function getDocumentsTextOnDemand(classId, limit = DEFAULT_DOCUMENT_LIMIT, charactersPerDocument = DEFAULT_CHARS_PER_DOCUMENT) {
+async function getDocumentsTextOnDemand(classId, limit = DEFAULT_DOCUMENT_LIMIT, charactersPerDocument = DEFAULT_CHARS_PER_DOCUMENT, documentIds = null) {
   try {
     const queryResult = await pool.query(
       `SELECT id, filename, filepath, content
        FROM documents
-       WHERE class_id = $1
+       WHERE class_id = $1 AND ($3::integer[] IS NULL OR id = ANY($3))
        ORDER BY uploaded_at DESC
        LIMIT $2`,
-      [classId, limit]
+      [classId, limit, documentIds]
     );
 
     const documents = [];
@@ -51,6 +54,7 @@ async function getDocumentsTextOnDemand(classId, limit = DEFAULT_DOCUMENT_LIMIT,
       // Add document if it has meaningful content
       if (textContent && textContent.trim().length > 0) {
         documents.push({
+          documentId: row.id,
           filename: row.filename,
           content: textContent.slice(0, charactersPerDocument)
         });
@@ -68,6 +72,89 @@ async function getDocumentsTextOnDemand(classId, limit = DEFAULT_DOCUMENT_LIMIT,
   }
 }
 
+/**
+ * Find the range of pages a span of the extracted text overlaps.
+ * Pages are laid out in the text in order, separated by a blank line.
+ *
+ * @param {Array<Object>} pageRanges - Pages with pageNumber, start, and end offsets
+ * @param {number} start - Span start offset
+ * @param {number} end - Span end offset
+ * @returns {Object} pageStart and pageEnd (null when the span overlaps no page text)
+ */
+function findPageRange(pageRanges, start, end) {
+  const overlapping = pageRanges.filter(page => page.start < end && page.end > start);
+  if (overlapping.length === 0) {
+    return { pageStart: null, pageEnd: null };
+  }
+  return {
+    pageStart: overlapping[0].pageNumber,
+    pageEnd: overlapping[overlapping.length - 1].pageNumber
+  };
+}
+
+/**
+ * Remove null bytes, which PostgreSQL text columns reject, from an extraction.
+ * Pages and sections are cleaned together with the full text so the page offsets
+ * computed from them still line up with the stored text.
+ *
+ * @param {Object} extraction - Extraction result with text and optional sections or pages
+ * @returns {Object} A copy of the extraction without null bytes
+ */
+function removeNullBytes(extraction) {
+  const clean = value => (typeof value === 'string' ? value.replace(/\0/g, '') : value);
+  return {
+    ...extraction,
+    text: clean(extraction.text),
+    ...(extraction.pages && { pages: extraction.pages.map(page => ({ ...page, text: clean(page.text) })) }),
+    ...(extraction.sections && { sections: extraction.sections.map(section => ({ ...section, text: clean(section.text) })) })
+  };
+}
+
+/**
+ * Split extracted text into chunk records using the structure-aware chunker.
+ * Documents with sections (e.g. slide decks) are chunked per section so that
+ * every chunk keeps the slide it came from. Paged documents (PDFs) are chunked
+ * across the full text and each chunk records the pages it spans.
+ *
+ * @param {Object} extraction - Extraction result with text and optional sections or pages
+ * @param {Object} chunkOptions - Token targets passed to chunkText
+ * @returns {Array<Object>} Chunk records with content, tokenCount, slideNumber, pageStart, and pageEnd
+ */
+function buildChunkRecords(extraction, chunkOptions) {
+  const { text, sections, pages } = extraction;
+
+  if (sections && sections.length > 0) {
+    return sections.flatMap(section =>
+      chunkText(section.text, chunkOptions).map(chunk => ({
+        content: chunk.content,
+        tokenCount: chunk.tokenCount,
+        slideNumber: section.slideNumber ?? null,
+        pageStart: null,
+        pageEnd: null
+      }))
+    );
+  }
+
+  let pageRanges = null;
+  if (pages && pages.length > 0) {
+    pageRanges = [];
+    let offset = 0;
+    for (const page of pages) {
+      pageRanges.push({ pageNumber: page.pageNumber, start: offset, end: offset + page.text.length });
+      offset += page.text.length + PAGE_SEPARATOR_LENGTH;
+    }
+  }
+
+  return chunkText(text, chunkOptions).map(chunk => ({
+    content: chunk.content,
+    tokenCount: chunk.tokenCount,
+    slideNumber: null,
+    ...(pageRanges
+      ? findPageRange(pageRanges, chunk.start, chunk.end)
+      : { pageStart: null, pageEnd: null })
+  }));
+}
+
 /**
  * Process and store document with embeddings
  *
@@ -83,7 +170,7 @@ async function processDocument(documentId) {
     );
 
     if (docResult.rows.length === 0) {
-      return { success: false, error: 'Document not found' };
+      return { success: false, error: 'Document not found', retryable: false };
     }
 
     const doc = docResult.rows[0];
@@ -98,15 +185,26 @@ async function processDocument(documentId) {
       // Ignore update errors
     }
 
-    // Extract text from file
-    let text = await extractTextFromFile(doc.filepath);
+    // Extract text from file, without the null bytes PostgreSQL rejects
+    const extraction = removeNullBytes(await extractDocument(doc.filepath));
+    const { text } = extraction;
 
-    if (!text || text.trim().length < 10) {
-      return { success: false, error: 'Could not extract meaningful text from file' };
-    }
+    if (!extraction.success || !text || text.trim().length < 10) {
+      const extractionError = extraction.error || 'Could not extract meaningful text from file';
+      console.log(`⚠️ Extraction failed for ${doc.filename}: ${extractionError}`);
+
+      try {
+        await pool.query(
+          'UPDATE documents SET processing_status = $1, last_error = $2 WHERE id = $3',
+          ['failed', extractionError.slice(0, 500), documentId]
+        );
+      } catch (_) {
+        // Ignore update errors
+      }
 
-    // Remove null bytes and other problematic characters for PostgreSQL
-    text = text.replace(/\0/g, '').replace(/\u0000/g, '');
+      // Retrying will not make an unreadable file readable
+      return { success: false, error: extractionError, retryable: false };
+    }
 
     console.log(`📄 Processing document ${documentId}: ${doc.filename} (${text.length} chars)`);
 
@@ -116,34 +214,48 @@ async function processDocument(documentId) {
       [text, 'extracted', documentId]
     );
 
-    // Split into chunks
-    const chunks = splitIntoChunks(text);
-    console.log(`📦 Split into ${chunks.length} chunks`);
+    // Split into structure-aware chunks sized for this class
+    const ragSettings = await getClassRagSettings(doc.class_id);
+    const chunks = buildChunkRecords(extraction, {
+      targetTokens: ragSettings.chunkTargetTokens,
+      overlapTokens: ragSettings.chunkOverlapTokens
+    });
+    console.log(`📦 Split into ${chunks.length} chunks (~${ragSettings.chunkTargetTokens} tokens each)`);
 
-    // Generate embeddings for each chunk and store
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i].replace(/\0/g, ''); // Clean chunk too
-      const embedding = await generateEmbedding(chunk);
+    // Replace chunks from any previous run so reprocessing never duplicates them
+    await pool.query('DELETE FROM document_chunks WHERE document_id = $1', [documentId]);
 
-      if (embedding) {
-        await pool.query(
-          'INSERT INTO document_chunks (document_id, chunk_index, content, embedding) VALUES ($1, $2, $3, $4::vector)',
-          [documentId, i, chunk, JSON.stringify(embedding)]
-        );
-      }
+    // Generate embeddings in batches and store every chunk. Chunks whose embedding failed
+    // are kept with a NULL embedding and picked up by an embed_chunks job.
+    const contents = chunks.map(chunk => chunk.content);
+    const { embeddings, model, failedCount } = await generateEmbeddings(contents, { model: ragSettings.embeddingModel });
 
-      // Small delay to avoid rate limits
-      if (i < chunks.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, EMBEDDING_RATE_LIMIT_DELAY_MS));
-      }
+    for (let i = 0; i < chunks.length; i++) {
+      const embedding = embeddings[i];
+      await pool.query(
+        `INSERT INTO document_chunks
+           (document_id, chunk_index, content, embedding, embedding_model, embedding_dim, slide_number, page_start, page_end, token_count)
+         VALUES ($1, $2, $3, $4::vector, $5, $6, $7, $8, $9, $10)`,
+        [
+          documentId, i, contents[i],
+          embedding ? JSON.stringify(embedding) : null,
+          embedding ? model : null,
+          embedding ? embedding.length : null,
+          chunks[i].slideNumber, chunks[i].pageStart, chunks[i].pageEnd, chunks[i].tokenCount
+        ]
+      );
     }
 
+    if (failedCount > 0) {
+      console.log(`⚠️ ${failedCount} of ${chunks.length} chunks could not be embedded yet and will be retried`);
+    }
     console.log(`✅ Document ${documentId} processed successfully with ${chunks.length} chunks`);
 
     try {
       await pool.query(
-        'UPDATE documents SET chunks_count = $1, processing_status = $2, processed_at = NOW() WHERE id = $3',
-        [chunks.length, 'processed', documentId]
+        `UPDATE documents SET chunks_count = $1, processing_status = $2, processed_at = NOW(), chunker_version = $3, last_error = $4
+         WHERE id = $5`,
+        [chunks.length, 'processed', CHUNKER_VERSION, failedCount > 0 ? `${failedCount} chunk(s) awaiting embedding retry` : null, documentId]
       );
     } catch (_) {
       // Ignore update errors
@@ -162,6 +274,7 @@ async function processDocument(documentId) {
     return {
       success: true,
       chunksCreated: chunks.length,
+      pendingEmbeddings: failedCount,
       summaryGenerated: summaryResult.success,
       keyTopics: summaryResult.keyTopics || []
     };
@@ -181,7 +294,72 @@ async function processDocument(documentId) {
   }
 }
 
+/**
+ * Embed chunks that were stored without an embedding (e.g. after rate limiting), and the
+ * document's summary if an embedding migration cleared its vector
+ *
+ * @param {number} documentId - ID of the document whose chunks to embed
+ * @returns {Promise<Object>} Result with success status, embedded count, and error
+ */
+async function embedPendingChunks(documentId) {
+  try {
+    const summaryResult = await embedPendingSummary(documentId);
+    if (!summaryResult.success) {
+      return { success: false, embedded: 0, error: summaryResult.error };
+    }
+
+    const pendingResult = await pool.query(
+      `SELECT dc.id, dc.content, d.class_id
+       FROM document_chunks dc
+       JOIN documents d ON dc.document_id = d.id
+       WHERE dc.document_id = $1 AND dc.embedding IS NULL
+       ORDER BY dc.chunk_index`,
+      [documentId]
+    );
+
+    const pending = pendingResult.rows;
+    if (pending.length === 0) {
+      return { success: true, embedded: 0 };
+    }
+
+    console.log(`🔁 Embedding ${pending.length} pending chunks for document ${documentId}`);
+    const ragSettings = await getClassRagSettings(pending[0].class_id);
+    const { embeddings, model, failedCount, error } = await generateEmbeddings(
+      pending.map(chunk => chunk.content),
+      { model: ragSettings.embeddingModel }
+    );
+
+    for (let i = 0; i < pending.length; i++) {
+      if (embeddings[i]) {
+        await pool.query(
+          'UPDATE document_chunks SET embedding = $1::vector, embedding_model = $2, embedding_dim = $3 WHERE id = $4',
+          [JSON.stringify(embeddings[i]), model, embeddings[i].length, pending[i].id]
+        );
+      }
+    }
+
+    const embedded = pending.length - failedCount;
+    await pool.query(
+      'UPDATE documents SET last_error = $1 WHERE id = $2',
+      [failedCount > 0 ? `${failedCount} chunk(s) awaiting embedding retry` : null, documentId]
+    );
+
+    if (failedCount > 0) {
+      return { success: false, embedded, error: `${failedCount} of ${pending.length} chunks still could not be embedded: ${error}` };
+    }
+
+    console.log(`✅ Embedded ${embedded} pending chunks for document ${documentId}`);
+    return { success: true, embedded };
+  } catch (error) {
+    console.error('Error embedding pending chunks:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
+  buildChunkRecords,
+  embedPendingChunks,
   getDocumentsTextOnDemand,
-  processDocument
+  processDocument,
+  removeNullBytes
 };
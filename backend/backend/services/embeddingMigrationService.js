@@ -0,0 +1,464 @@
+/**
+ * Embedding migration service
+ * Re-embeds a class's chunks and summaries with a new embedding model into a shadow table,
+ * then swaps the vectors in atomically. The same swap run again is the rollback.
+ */
+
+const pool = require('../db');
+const { generateEmbeddings } = require('./embeddingService');
+const { getClassRagSettings } = require('./classSettings');
+const { isEmbeddingModelAvailable } = require('./providers');
+
+// Constants
+const MIGRATION_BATCH_SIZE = 64;
+const ERROR_MESSAGE_LIMIT = 500;
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+// Sources of vectors that a migration re-embeds
+const TARGETS = {
+  chunk: {
+    table: 'document_chunks',
+    alias: 'dc',
+    vectorColumn: 'embedding',
+    textColumn: 'content',
+    documentColumn: 'document_id'
+  },
+  summary: {
+    table: 'document_summaries',
+    alias: 'ds',
+    vectorColumn: 'summary_embedding',
+    textColumn: 'summary',
+    documentColumn: 'document_id'
+  }
+};
+
+/**
+ * Load a migration row
+ *
+ * @param {number} migrationId - ID of the migration
+ * @returns {Promise<Object|null>} Migration row or null
+ */
+async function getMigration(migrationId) {
+  const result = await pool.query('SELECT * FROM embedding_migrations WHERE id = $1', [migrationId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Count the vectors a migration has to produce for its class
+ *
+ * @param {number} classId - ID of the class
+ * @returns {Promise<number>} Number of chunks plus summaries
+ */
+async function countMigrationItems(classId) {
+  const result = await pool.query(
+    `SELECT
+       (SELECT COUNT(*) FROM document_chunks dc JOIN documents d ON dc.document_id = d.id WHERE d.class_id = $1) +
+       (SELECT COUNT(*) FROM document_summaries ds JOIN documents d ON ds.document_id = d.id WHERE d.class_id = $1) AS total`,
+    [classId]
+  );
+  return parseInt(result.rows[0].total, 10);
+}
+
+/**
+ * Start re-embedding a class with a new model. The embedding itself runs in the
+ * background (see runEmbeddingMigration); retrieval keeps using the current model until the swap.
+ *
+ * @param {number} classId - ID of the class
+ * @param {string} toModel - Embedding model name as "<backend>:<model>"
+ * @param {number} userId - ID of the user starting the migration
+ * @returns {Promise<Object>} Result with success status, migration, and error
+ */
+async function startEmbeddingMigration(classId, toModel, userId) {
+  try {
+    if (typeof toModel !== 'string' || !isEmbeddingModelAvailable(toModel.trim())) {
+      return { success: false, error: 'embedding_model must be an embedding model available on this server' };
+    }
+    toModel = toModel.trim();
+
+    const classResult = await pool.query('SELECT embedding_model FROM classes WHERE id = $1', [classId]);
+    if (classResult.rows.length === 0) {
+      return { success: false, error: 'Class not found' };
+    }
+
+    const { embeddingModel: fromModel } = await getClassRagSettings(classId);
+    if (fromModel === toModel) {
+      return { success: false, error: `Class already uses ${toModel}` };
+    }
+
+    // Only the latest completed migration keeps its shadow vectors for rollback
+    await pool.query(
+      `DELETE FROM embedding_shadow
+       WHERE migration_id IN (SELECT id FROM embedding_migrations WHERE class_id = $1)`,
+      [classId]
+    );
+
+    const totalItems = await countMigrationItems(classId);
+    const result = await pool.query(
+      `INSERT INTO embedding_migrations (class_id, from_model, to_model, previous_class_model, total_items, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [classId, fromModel, toModel, classResult.rows[0].embedding_model, totalItems, userId || null]
+    );
+
+    console.log(`🧬 Started embedding migration ${result.rows[0].id} for class ${classId}: ${fromModel} → ${toModel} (${totalItems} vectors)`);
+    return { success: true, migration: result.rows[0] };
+  } catch (error) {
+    // The partial unique index allows one active migration per class
+    if (error.code === '23505') {
+      return { success: false, error: 'An embedding migration is already in progress for this class' };
+    }
+    console.error('Error starting embedding migration:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Embed the next batch of items of one target type that have no shadow vector yet
+ *
+ * @param {Object} migration - Migration row
+ * @param {string} targetName - Key of TARGETS
+ * @returns {Promise<Object>} Result with processed count, or error when embeddings failed
+ */
+async function embedNextBatch(migration, targetName) {
+  const target = TARGETS[targetName];
+  const { alias } = target;
+
+  const pending = await pool.query(
+    `SELECT ${alias}.id, ${alias}.${target.textColumn} AS text
+     FROM ${target.table} ${alias}
+     JOIN documents d ON ${alias}.${target.documentColumn} = d.id
+     WHERE d.class_id = $1
+       AND NOT EXISTS (
+         SELECT 1 FROM embedding_shadow s
+         WHERE s.migration_id = $2 AND s.target = $3 AND s.target_id = ${alias}.id
+       )
+     ORDER BY ${alias}.id
+     LIMIT $4`,
+    [migration.class_id, migration.id, targetName, MIGRATION_BATCH_SIZE]
+  );
+
+  if (pending.rows.length === 0) {
+    return { processed: 0 };
+  }
+
+  const { embeddings, model, failedCount, error } = await generateEmbeddings(
+    pending.rows.map(row => row.text),
+    { model: migration.to_model }
+  );
+
+  if (failedCount > 0) {
+    return { processed: 0, error: `${failedCount} of ${pending.rows.length} ${targetName} embeddings failed: ${error}` };
+  }
+
+  for (let i = 0; i < pending.rows.length; i++) {
+    await pool.query(
+      `INSERT INTO embedding_shadow (migration_id, target, target_id, embedding, embedding_model, embedding_dim)
+       VALUES ($1, $2, $3, $4::vector, $5, $6)
+       ON CONFLICT (migration_id, target, target_id) DO NOTHING`,
+      [migration.id, targetName, pending.rows[i].id, JSON.stringify(embeddings[i]), model, embeddings[i].length]
+    );
+  }
+
+  return { processed: pending.rows.length };
+}
+
+/**
+ * Swap live vectors with the migration's shadow vectors for every target.
+ * All parts of a data-modifying WITH see the same snapshot, so each statement
+ * exchanges the two sets of values; running it twice restores the original state.
+ *
+ * @param {Object} client - Client inside an open transaction
+ * @param {number} migrationId - ID of the migration
+ */
+async function swapShadowVectors(client, migrationId) {
+  for (const [targetName, target] of Object.entries(TARGETS)) {
+    const { alias, table, vectorColumn } = target;
+
+    await client.query(
+      `WITH live AS (
+         SELECT ${alias}.id, ${alias}.${vectorColumn} AS embedding, ${alias}.embedding_model, ${alias}.embedding_dim
+         FROM ${table} ${alias}
+         JOIN embedding_shadow s ON s.target_id = ${alias}.id AND s.migration_id = $1 AND s.target = $2
+       ),
+       promoted AS (
+         UPDATE ${table} ${alias}
+         SET ${vectorColumn} = s.embedding, embedding_model = s.embedding_model, embedding_dim = s.embedding_dim
+         FROM embedding_shadow s
+         WHERE s.target_id = ${alias}.id AND s.migration_id = $1 AND s.target = $2
+         RETURNING ${alias}.id
+       )
+       UPDATE embedding_shadow s
+       SET embedding = live.embedding, embedding_model = live.embedding_model, embedding_dim = live.embedding_dim
+       FROM live
+       WHERE s.target_id = live.id AND s.migration_id = $1 AND s.target = $2`,
+      [migrationId, targetName]
+    );
+  }
+}
+
+/**
+ * Clear chunk and summary vectors in a class that are not from the class's current model, e.g.
+ * from uploads that finished during the migration. They are re-embedded by embed_chunks jobs.
+ *
+ * @param {number} classId - ID of the class
+ * @param {string} model - The class's embedding model after the swap
+ * @returns {Promise<Array<number>>} IDs of documents with chunks or summaries to re-embed
+ */
+async function clearStaleVectors(classId, model) {
+  const documentIds = new Set();
+
+  for (const { table, alias, vectorColumn, documentColumn } of Object.values(TARGETS)) {
+    const result = await pool.query(
+      `UPDATE ${table} ${alias}
+       SET ${vectorColumn} = NULL, embedding_model = NULL, embedding_dim = NULL
+       FROM documents d
+       WHERE ${alias}.${documentColumn} = d.id AND d.class_id = $1
+         AND ${alias}.${vectorColumn} IS NOT NULL AND ${alias}.embedding_model IS DISTINCT FROM $2
+       RETURNING ${alias}.${documentColumn} AS document_id`,
+      [classId, model]
+    );
+    result.rows.forEach(row => documentIds.add(row.document_id));
+  }
+
+  return [...documentIds];
+}
+
+/**
+ * Switch the class over to the migration's model in one transaction
+ *
+ * @param {Object} migration - Migration row
+ * @returns {Promise<boolean>} False if the migration was cancelled before the switch
+ */
+async function completeMigration(migration) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const locked = await client.query(
+      'SELECT status FROM embedding_migrations WHERE id = $1 FOR UPDATE',
+      [migration.id]
+    );
+    if (!ACTIVE_STATUSES.includes(locked.rows[0]?.status)) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    await swapShadowVectors(client, migration.id);
+    await client.query('UPDATE classes SET embedding_model = $1 WHERE id = $2', [migration.to_model, migration.class_id]);
+    await client.query(
+      `UPDATE embedding_migrations
+       SET status = 'completed', completed_at = NOW(), last_error = NULL, embedded_items = total_items
+       WHERE id = $1`,
+      [migration.id]
+    );
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run (or resume) a migration: embed everything missing from the shadow table, then swap.
+ * Progress lives in the shadow table, so a retried run continues where the last one stopped.
+ *
+ * @param {number} migrationId - ID of the migration
+ * @returns {Promise<Object>} Result with success status, staleDocumentIds to re-embed, and error
+ */
+async function runEmbeddingMigration(migrationId) {
+  try {
+    let migration = await getMigration(migrationId);
+    if (!migration) {
+      return { success: false, error: 'Embedding migration not found', retryable: false };
+    }
+    if (!ACTIVE_STATUSES.includes(migration.status)) {
+      return { success: true, staleDocumentIds: [] };
+    }
+
+    await pool.query(
+      `UPDATE embedding_migrations SET status = 'running', started_at = COALESCE(started_at, NOW()) WHERE id = $1`,
+      [migrationId]
+    );
+
+    for (const targetName of Object.keys(TARGETS)) {
+      for (;;) {
+        // Stop promptly if the owner cancelled
+        migration = await getMigration(migrationId);
+        if (!migration || !ACTIVE_STATUSES.includes(migration.status)) {
+          return { success: true, staleDocumentIds: [] };
+        }
+
+        const batch = await embedNextBatch(migration, targetName);
+        if (batch.error) {
+          await pool.query(
+            'UPDATE embedding_migrations SET last_error = $1 WHERE id = $2',
+            [batch.error.slice(0, ERROR_MESSAGE_LIMIT), migrationId]
+          );
+          return { success: false, error: batch.error };
+        }
+        if (batch.processed === 0) break;
+
+        const totalItems = await countMigrationItems(migration.class_id);
+        await pool.query(
+          `UPDATE embedding_migrations
+           SET total_items = $1,
+               embedded_items = (SELECT COUNT(*) FROM embedding_shadow WHERE migration_id = $2)
+           WHERE id = $2`,
+          [totalItems, migrationId]
+        );
+      }
+    }
+
+    if (!(await completeMigration(migration))) {
+      return { success: true, staleDocumentIds: [] };
+    }
+
+    const staleDocumentIds = await clearStaleVectors(migration.class_id, migration.to_model);
+    console.log(`✅ Embedding migration ${migrationId} switched class ${migration.class_id} to ${migration.to_model}`);
+    return { success: true, staleDocumentIds };
+  } catch (error) {
+    console.error('Error running embedding migration:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Undo a completed migration by swapping the previous vectors back in
+ *
+ * @param {number} classId - ID of the class the migration belongs to
+ * @param {number} migrationId - ID of the migration
+ * @returns {Promise<Object>} Result with success status, staleDocumentIds to re-embed, and error
+ */
+async function rollbackEmbeddingMigration(classId, migrationId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT * FROM embedding_migrations WHERE id = $1 AND class_id = $2 FOR UPDATE',
+      [migrationId, classId]
+    );
+    const migration = result.rows[0];
+    if (!migration) {
+      await client.query('ROLLBACK');
+      return { success: false, error: 'Embedding migration not found' };
+    }
+
+    const latest = await client.query(
+      `SELECT id FROM embedding_migrations
+       WHERE class_id = $1 AND status = 'completed'
+       ORDER BY completed_at DESC
+       LIMIT 1`,
+      [migration.class_id]
+    );
+    if (migration.status !== 'completed' || latest.rows[0]?.id !== migration.id) {
+      await client.query('ROLLBACK');
+      return { success: false, error: 'Only the most recent completed migration can be rolled back' };
+    }
+
+    await swapShadowVectors(client, migration.id);
+    await client.query(
+      'UPDATE classes SET embedding_model = $1 WHERE id = $2',
+      [migration.previous_class_model, migration.class_id]
+    );
+    await client.query(
+      `UPDATE embedding_migrations SET status = 'rolled_back', rolled_back_at = NOW() WHERE id = $1`,
+      [migration.id]
+    );
+    await client.query('DELETE FROM embedding_shadow WHERE migration_id = $1', [migration.id]);
+
+    await client.query('COMMIT');
+
+    const staleDocumentIds = await clearStaleVectors(migration.class_id, migration.from_model);
+    console.log(`↩️ Rolled back embedding migration ${migrationId}; class ${migration.class_id} is back on ${migration.from_model}`);
+    return { success: true, staleDocumentIds };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error rolling back embedding migration:', error);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Cancel a migration that has not switched over yet and discard its shadow vectors
+ *
+ * @param {number} classId - ID of the class the migration belongs to
+ * @param {number} migrationId - ID of the migration
+ * @returns {Promise<Object>} Result with success status and error
+ */
+async function cancelEmbeddingMigration(classId, migrationId) {
+  try {
+    const result = await pool.query(
+      `UPDATE embedding_migrations SET status = 'cancelled', completed_at = NOW()
+       WHERE id = $1 AND class_id = $2 AND status = ANY($3)
+       RETURNING id`,
+      [migrationId, classId, ACTIVE_STATUSES]
+    );
+
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Only pending or running migrations can be cancelled' };
+    }
+
+    await pool.query('DELETE FROM embedding_shadow WHERE migration_id = $1', [migrationId]);
+    console.log(`🛑 Cancelled embedding migration ${migrationId}`);
+    return { success: true };
+  } catch (error) {
+    console.error('Error cancelling embedding migration:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Record a migration whose background job gave up
+ *
+ * @param {number} migrationId - ID of the migration
+ * @param {string} message - Final error
+ */
+async function markEmbeddingMigrationFailed(migrationId, message) {
+  await pool.query(
+    `UPDATE embedding_migrations SET status = 'failed', last_error = $1, completed_at = NOW()
+     WHERE id = $2 AND status = ANY($3)`,
+    [message.slice(0, ERROR_MESSAGE_LIMIT), migrationId, ACTIVE_STATUSES]
+  );
+}
+
+/**
+ * List a class's migrations, newest first, with progress
+ *
+ * @param {number} classId - ID of the class
+ * @returns {Promise<Array>} Migrations with a progress percentage
+ */
+async function getEmbeddingMigrations(classId) {
+  const result = await pool.query(
+    `SELECT id, from_model, to_model, status, total_items, embedded_items, last_error,
+            created_by, created_at, started_at, completed_at, rolled_back_at
+     FROM embedding_migrations
+     WHERE class_id = $1
+     ORDER BY created_at DESC`,
+    [classId]
+  );
+
+  return result.rows.map(migration => ({
+    ...migration,
+    progress: migration.total_items > 0
+      ? Math.min(100, Math.round((migration.embedded_items / migration.total_items) * 100))
+      : (migration.status === 'completed' ? 100 : 0)
+  }));
+}
+
+module.exports = {
+  cancelEmbeddingMigration,
+  getEmbeddingMigrations,
+  markEmbeddingMigrationFailed,
+  rollbackEmbeddingMigration,
+  runEmbeddingMigration,
+  startEmbeddingMigration
+};
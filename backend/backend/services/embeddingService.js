@@ -1,65 +1,215 @@
 /**
  * Embedding generation service
- * Handles generation of embeddings using OpenAI's API and text chunking for RAG
+ * Handles batched embedding generation through the configured LLM provider and legacy text chunking for RAG
  */
 
-const OpenAI = require('openai');
+const { getEmbedder } = require('./providers');
+const { chunkText, CHARS_PER_TOKEN } = require('./chunkingService');
 
 // Constants
 const EMBEDDING_TEXT_LIMIT = 8000;
 const DEFAULT_CHUNK_SIZE = 1000;
 const DEFAULT_CHUNK_OVERLAP = 200;
+const EMBEDDING_BATCH_SIZE = 96; // inputs per embeddings request
+const EMBEDDING_BATCH_CHAR_LIMIT = 200000; // keeps a batch well under the per-request token cap
+const EMBEDDING_MAX_RETRIES = 5;
+const THROTTLE_INITIAL_DELAY_MS = 1000;
+const THROTTLE_MAX_DELAY_MS = 60000;
+const THROTTLE_RECOVERY_FACTOR = 0.5;
+const INPUT_ERROR_STATUSES = new Set([400, 413, 422]);
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Delay applied before each embeddings request. Grows on rate limits and decays on success,
+// so concurrent document jobs share one adaptive pace.
+let throttleDelayMs = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * Generate embedding for text using OpenAI's embedding model
+ * Read the server's requested wait from a rate limit error, if any
  *
- * @param {string} text - Text to generate embedding for
- * @returns {Promise<Array|null>} Embedding vector or null if generation fails
+ * @param {Error} error - Error thrown by the provider
+ * @returns {number|null} Wait in milliseconds, or null when the server gave none
+ */
+function getRetryAfterMs(error) {
+  const headers = error?.headers;
+  if (!headers) return null;
+
+  const readHeader = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = parseFloat(readHeader('retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = readHeader('retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Whether an embeddings error is worth retrying (rate limits, timeouts, server errors)
+ *
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean} True if the request may succeed on retry
  */
-async function generateEmbedding(text) {
+function isRetryableError(error) {
+  if (error?.retryable === false) {
+    return false;
+  }
+  const status = error?.status;
+  return !status || status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * Embed one batch, retrying rate limits and transient failures with adaptive throttling
+ *
+ * @param {Object} embedder - Embedder from getEmbedder
+ * @param {Array<string>} inputs - Texts to embed (already truncated)
+ * @returns {Promise<Array<Array>>} Embedding vectors in input order
+ */
+async function embedBatchWithRetry(embedder, inputs) {
+  for (let attempt = 1; ; attempt++) {
+    if (throttleDelayMs > 0) {
+      await sleep(throttleDelayMs);
+    }
+
+    try {
+      // Retries are handled here so rate limits also slow down the other in-flight documents
+      const vectors = await embedder.embed(inputs);
+
+      throttleDelayMs = Math.floor(throttleDelayMs * THROTTLE_RECOVERY_FACTOR);
+      return vectors;
+    } catch (error) {
+      if (!isRetryableError(error) || attempt >= EMBEDDING_MAX_RETRIES) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      if (error.status === 429) {
+        throttleDelayMs = Math.min(
+          Math.max(throttleDelayMs * 2, THROTTLE_INITIAL_DELAY_MS, retryAfterMs || 0),
+          THROTTLE_MAX_DELAY_MS
+        );
+      }
+
+      const waitMs = retryAfterMs ?? Math.min(THROTTLE_INITIAL_DELAY_MS * Math.pow(2, attempt - 1), THROTTLE_MAX_DELAY_MS);
+      console.log(`⏳ Embedding request failed (${error.status || error.code || 'network'}), retry ${attempt}/${EMBEDDING_MAX_RETRIES - 1} in ${Math.round(waitMs)}ms`);
+      await sleep(waitMs);
+    }
+  }
+}
+
+/**
+ * Group texts into request-sized batches by count and total length
+ *
+ * @param {Array<string>} inputs - Texts to embed
+ * @returns {Array<Array<number>>} Batches of indices into inputs
+ */
+function buildBatches(inputs) {
+  const batches = [];
+  let current = [];
+  let currentChars = 0;
+
+  inputs.forEach((input, index) => {
+    if (current.length > 0 &&
+        (current.length >= EMBEDDING_BATCH_SIZE || currentChars + input.length > EMBEDDING_BATCH_CHAR_LIMIT)) {
+      batches.push(current);
+      current = [];
+      currentChars = 0;
+    }
+    current.push(index);
+    currentChars += input.length;
+  });
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  return batches;
+}
+
+/**
+ * Generate embeddings for many texts using batched requests.
+ * A batch that still fails after retries leaves null entries instead of throwing,
+ * so callers can store those chunks and retry them later.
+ *
+ * @param {Array<string>} texts - Texts to generate embeddings for
+ * @param {Object} options - Optional embedding model name (defaults to the deployment default)
+ * @returns {Promise<Object>} Result with embeddings (vector or null per text), model, failedCount, and error
+ */
+async function generateEmbeddings(texts, { model } = {}) {
+  const inputs = texts.map(text => (text || ' ').substring(0, EMBEDDING_TEXT_LIMIT));
+  const embeddings = new Array(inputs.length).fill(null);
+  let lastError = null;
+
+  let embedder;
   try {
-    const response = await openai.embeddings.create({
-      model: "text-embedding-3-small",
-      input: text.substring(0, EMBEDDING_TEXT_LIMIT)
-    });
-    return response.data[0].embedding;
+    embedder = getEmbedder(model);
   } catch (error) {
-    console.error('Error generating embedding:', error);
-    return null;
+    console.error('Error resolving embedding model:', error.message);
+    return { embeddings, model, failedCount: inputs.length, error: error.message };
+  }
+
+  const embedIndices = async (batch) => {
+    try {
+      const vectors = await embedBatchWithRetry(embedder, batch.map(index => inputs[index]));
+      batch.forEach((inputIndex, i) => {
+        embeddings[inputIndex] = vectors[i] || null;
+      });
+    } catch (error) {
+      // A rejected input fails its whole batch; split it to isolate the bad text
+      if (INPUT_ERROR_STATUSES.has(error?.status) && batch.length > 1) {
+        const middle = Math.ceil(batch.length / 2);
+        await embedIndices(batch.slice(0, middle));
+        await embedIndices(batch.slice(middle));
+        return;
+      }
+      console.error(`Error generating embeddings for batch of ${batch.length}:`, error.message);
+      lastError = error.message;
+    }
+  };
+
+  for (const batch of buildBatches(inputs)) {
+    await embedIndices(batch);
   }
+
+  const failedCount = embeddings.filter(embedding => !embedding).length;
+  return { embeddings, model: embedder.model, failedCount, error: lastError };
 }
 
 /**
- * Split text into overlapping chunks for better RAG (Retrieval-Augmented Generation)
+ * Generate embedding for text
+ *
+ * @param {string} text - Text to generate embedding for
+ * @param {Object} options - Optional embedding model name (defaults to the deployment default)
+ * @returns {Promise<Array|null>} Embedding vector or null if generation fails
+ */
+async function generateEmbedding(text, options = {}) {
+  const { embeddings } = await generateEmbeddings([text], options);
+  return embeddings[0];
+}
+
+/**
+ * Split text into overlapping chunks for better RAG (Retrieval-Augmented Generation).
+ * Kept for backward compatibility: sizes are given in characters and converted to the
+ * token targets used by the structure-aware chunker.
  *
  * @param {string} text - Text to split into chunks
- * @param {number} chunkSize - Size of each chunk in characters
- * @param {number} overlapSize - Number of overlapping characters between chunks for context continuity
+ * @param {number} chunkSize - Approximate size of each chunk in characters
+ * @param {number} overlapSize - Approximate overlap between chunks in characters
  * @returns {Array<string>} Array of text chunks
  */
 function splitIntoChunks(text, chunkSize = DEFAULT_CHUNK_SIZE, overlapSize = DEFAULT_CHUNK_OVERLAP) {
-  const chunks = [];
-  let startPosition = 0;
-
-  while (startPosition < text.length) {
-    const endPosition = Math.min(startPosition + chunkSize, text.length);
-    const chunk = text.substring(startPosition, endPosition);
-    chunks.push(chunk);
-
-    // Move start position forward with overlap for context continuity
-    startPosition += chunkSize - overlapSize;
-  }
-
-  return chunks;
+  return chunkText(text, {
+    targetTokens: Math.round(chunkSize / CHARS_PER_TOKEN),
+    overlapTokens: Math.round(overlapSize / CHARS_PER_TOKEN)
+  }).map(chunk => chunk.content);
 }
 
 module.exports = {
   generateEmbedding,
-  splitIntoChunks,
-  openai
+  generateEmbeddings,
+  splitIntoChunks
 };
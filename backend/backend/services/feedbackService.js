@@ -0,0 +1,192 @@
+/**
+ * Answer feedback service
+ * Stores students' thumbs up/down (with optional reason tags) on AI answers, copies the
+ * result onto the retrieval behind each answer, and aggregates it per class for tuning retrieval.
+ */
+
+const pool = require('../db');
+
+// Constants
+const FEEDBACK_RATINGS = ['up', 'down'];
+const FEEDBACK_REASONS = ['wrong', 'not-from-course-materials', 'too-long', 'too-short', 'unclear'];
+
+/**
+ * Validate a feedback submission
+ *
+ * @param {Object} body - Request body with rating and optional reasons
+ * @returns {Object} { value: { rating, reasons } } or { error }
+ */
+function validateFeedback(body) {
+  const { rating, reasons = [] } = body || {};
+  if (!FEEDBACK_RATINGS.includes(rating)) {
+    return { error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}` };
+  }
+  if (!Array.isArray(reasons) || reasons.some(reason => !FEEDBACK_REASONS.includes(reason))) {
+    return { error: `reasons must be a list of: ${FEEDBACK_REASONS.join(', ')}` };
+  }
+  return { value: { rating, reasons: [...new Set(reasons)] } };
+}
+
+/**
+ * Recompute the quality score of the retrievals behind a message from its feedback
+ *
+ * @param {number} messageId - ID of the AI message
+ */
+async function updateRetrievalQuality(messageId) {
+  await pool.query(
+    `UPDATE retrieval_analytics
+     SET response_quality_score = (
+       SELECT AVG(CASE WHEN rating = 'up' THEN 1.0 ELSE 0.0 END)
+       FROM message_feedback
+       WHERE message_id = $1
+     )
+     WHERE message_id = $1`,
+    [messageId]
+  );
+}
+
+/**
+ * Find an AI answer in the user's private chat
+ *
+ * @param {number} messageId - ID of the AI message
+ * @param {number} userId - ID of the user giving feedback
+ * @returns {Promise<Object|null>} Message row with class_id, or null if the user cannot rate it
+ */
+async function findRateableMessage(messageId, userId) {
+  const result = await pool.query(
+    `SELECT id, class_id FROM chat_messages
+     WHERE id = $1 AND is_ai = true AND chat_owner_id = $2 AND status = 'active'`,
+    [messageId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Save (or replace) a user's feedback on an AI answer
+ *
+ * @param {number} messageId - ID of the AI message
+ * @param {number} userId - ID of the user giving feedback
+ * @param {Object} feedback - Validated { rating, reasons }
+ * @returns {Promise<Object>} Result with success and feedback, or success false and error
+ */
+async function saveMessageFeedback(messageId, userId, { rating, reasons }) {
+  const message = await findRateableMessage(messageId, userId);
+  if (!message) {
+    return { success: false, error: 'Message not found' };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO message_feedback (message_id, user_id, class_id, rating, reasons)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (message_id, user_id) DO UPDATE
+     SET rating = EXCLUDED.rating, reasons = EXCLUDED.reasons, updated_at = CURRENT_TIMESTAMP
+     RETURNING rating, reasons`,
+    [messageId, userId, message.class_id, rating, reasons]
+  );
+  await updateRetrievalQuality(messageId);
+
+  console.log(`${rating === 'up' ? '👍' : '👎'} Feedback on message ${messageId}${reasons.length > 0 ? ` (${reasons.join(', ')})` : ''}`);
+  return { success: true, feedback: result.rows[0] };
+}
+
+/**
+ * Remove a user's feedback from an AI answer
+ *
+ * @param {number} messageId - ID of the AI message
+ * @param {number} userId - ID of the user who gave the feedback
+ * @returns {Promise<Object>} Result with success
+ */
+async function removeMessageFeedback(messageId, userId) {
+  await pool.query('DELETE FROM message_feedback WHERE message_id = $1 AND user_id = $2', [messageId, userId]);
+  await updateRetrievalQuality(messageId);
+  return { success: true };
+}
+
+/**
+ * Load a user's feedback on several messages
+ *
+ * @param {Array<number>} messageIds - Chat message IDs
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Map<number, Object>>} { rating, reasons } per message ID
+ */
+async function getFeedbackForMessages(messageIds, userId) {
+  const byMessage = new Map();
+  if (messageIds.length === 0) {
+    return byMessage;
+  }
+
+  const result = await pool.query(
+    'SELECT message_id, rating, reasons FROM message_feedback WHERE message_id = ANY($1) AND user_id = $2',
+    [messageIds, userId]
+  );
+  for (const row of result.rows) {
+    byMessage.set(row.message_id, { rating: row.rating, reasons: row.reasons });
+  }
+  return byMessage;
+}
+
+/**
+ * Aggregate the feedback of a class: totals, reason counts, and ratings by retrieval setup
+ *
+ * @param {number} classId - ID of the class
+ * @returns {Promise<Object>} { total, up, down, reasons, byStrategy }
+ */
+async function getClassFeedbackSummary(classId) {
+  const [totalsResult, reasonsResult, strategyResult] = await Promise.all([
+    pool.query(
+      `SELECT COUNT(*)::integer AS total,
+              COUNT(*) FILTER (WHERE rating = 'up')::integer AS up,
+              COUNT(*) FILTER (WHERE rating = 'down')::integer AS down
+       FROM message_feedback
+       WHERE class_id = $1`,
+      [classId]
+    ),
+    pool.query(
+      `SELECT reason, COUNT(*)::integer AS count
+       FROM message_feedback, UNNEST(reasons) AS reason
+       WHERE class_id = $1
+       GROUP BY reason
+       ORDER BY count DESC`,
+      [classId]
+    ),
+    // Latest retrieval per message, so a streaming retry does not count an answer twice
+    pool.query(
+      `SELECT COALESCE(ra.strategy, 'unknown') AS strategy, COALESCE(ra.reranker, 'none') AS reranker,
+              COUNT(*)::integer AS total,
+              COUNT(*) FILTER (WHERE mf.rating = 'up')::integer AS up,
+              AVG(ra.top_similarity) AS avg_top_similarity
+       FROM message_feedback mf
+       JOIN LATERAL (
+         SELECT strategy, reranker, top_similarity FROM retrieval_analytics
+         WHERE message_id = mf.message_id
+         ORDER BY id DESC
+         LIMIT 1
+       ) ra ON true
+       WHERE mf.class_id = $1
+       GROUP BY 1, 2
+       ORDER BY total DESC`,
+      [classId]
+    )
+  ]);
+
+  return {
+    ...totalsResult.rows[0],
+    reasons: reasonsResult.rows,
+    byStrategy: strategyResult.rows.map(row => ({
+      strategy: row.strategy,
+      reranker: row.reranker,
+      total: row.total,
+      up: row.up,
+      avgTopSimilarity: row.avg_top_similarity
+    }))
+  };
+}
+
+module.exports = {
+  FEEDBACK_REASONS,
+  getClassFeedbackSummary,
+  getFeedbackForMessages,
+  removeMessageFeedback,
+  saveMessageFeedback,
+  validateFeedback
+};
@@ -0,0 +1,361 @@
+/**
+ * Generation orchestrator
+ * Runs every AI answer the same way, whichever transport asked for it (WebSocket, SSE or REST):
+ * creates the 'generating' placeholder message, streams the answer, saves the partial answer when
+ * it is cancelled, falls back to a single non-streaming call when streaming fails, and stores the
+ * final answer with its citations and grounding score. Transports only turn the events passed to
+ * their handlers into their own wire format.
+ * The text generated so far stays buffered while the answer is generated, so a client that
+ * reconnects can resume the stream from where it left off.
+ */
+
+const pool = require('../db');
+const { generateAIResponse, prepareAnswer } = require('./ragService');
+const { generateAIResponseStream } = require('./streamingService');
+const { getConversationContext, updateConversationSummary } = require('./conversationService');
+const { finalizeCitations, getCitationsForMessages } = require('./citationService');
+const { computeGroundingScore } = require('./groundingService');
+const { getVersionsForMessages } = require('./threadService');
+
+// Constants
+const DEFAULT_AI_NAME = 'Assistant';
+const GENERATION_ERROR_MESSAGE = 'Sorry, I encountered an error processing your request. Please try again.';
+
+// Generations in progress: messageId -> { abortController, classId, userId, conversationId, content, cancelled, subscribers }
+// content is the text streamed so far; subscribers are the handlers of resumed streams
+const activeGenerations = new Map();
+
+/**
+ * Whether an error comes from aborting a generation
+ *
+ * @param {Error} error - Error thrown while generating
+ * @returns {boolean} True for abort errors
+ */
+function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.code === 'ABORT_ERR' || Boolean(error?.message?.includes('aborted'));
+}
+
+/**
+ * The part of a text after its first bytes in UTF-8
+ * An offset inside a multi-byte character moves on to the start of the next character.
+ *
+ * @param {string} text - Full text
+ * @param {number} offset - UTF-8 bytes to skip (missing or negative offsets skip nothing)
+ * @returns {string} The rest of the text
+ */
+function textAfterBytes(text, offset) {
+  const bytes = Buffer.from(text || '', 'utf8');
+  let start = Math.min(Math.max(Math.floor(Number(offset)) || 0, 0), bytes.length);
+  while (start < bytes.length && (bytes[start] & 0xc0) === 0x80) {
+    start++;
+  }
+  return bytes.subarray(start).toString('utf8');
+}
+
+/**
+ * Stream an answer into generation.content
+ * Streaming failures are logged and return null so the caller can fall back.
+ *
+ * @param {number} messageId - ID of the AI message
+ * @param {Object} generation - Entry in activeGenerations
+ * @param {Object} request - classId, question, and scope
+ * @param {string} aiName - Name of the AI assistant
+ * @param {Object} conversation - Earlier turns from getConversationContext
+ * @param {Object} prepared - Retrieved course material from prepareAnswer
+ * @param {Function} onChunk - Handler for each streamed piece of text
+ * @returns {Promise<Object|null>} { response, documentsUsed, declined }, or null if cancelled or failed
+ */
+async function streamAnswer(messageId, generation, { classId, question, scope }, aiName, conversation, prepared, onChunk) {
+  const isCancelled = () => generation.cancelled;
+
+  try {
+    const stream = generateAIResponseStream(classId, question, aiName, generation.abortController, messageId, isCancelled, conversation, scope, prepared);
+    for await (const chunk of stream) {
+      if (generation.cancelled) {
+        return null;
+      }
+      if (!chunk.success) {
+        console.error(`Streaming failed for message ${messageId}: ${chunk.content}`);
+        return null;
+      }
+
+      if (chunk.content) {
+        generation.content += chunk.content;
+        onChunk({ messageId, content: chunk.content });
+      }
+
+      if (chunk.finished) {
+        return {
+          response: generation.content,
+          documentsUsed: chunk.documentsUsed || [],
+          declined: Boolean(chunk.declined)
+        };
+      }
+    }
+  } catch (error) {
+    if (!generation.cancelled && !isAbortError(error)) {
+      console.error(`Streaming error for message ${messageId}:`, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Store a finished answer with its validated citations and grounding score
+ *
+ * @param {number} messageId - ID of the AI message
+ * @param {Object} answer - { response, documentsUsed, declined }
+ * @returns {Promise<Object>} { content, citations, grounding }
+ */
+async function saveAnswer(messageId, { response, documentsUsed, declined }) {
+  const { content, citations } = await finalizeCitations(messageId, response, documentsUsed);
+  // Declines in grounded-only classes are not answers, so they get no grounding score
+  const grounding = declined ? null : computeGroundingScore(content, citations, documentsUsed);
+
+  await pool.query(
+    'UPDATE chat_messages SET message = $1, status = $2, grounding = $3 WHERE id = $4',
+    [content, 'active', grounding, messageId]
+  );
+  return { content, citations, grounding };
+}
+
+/**
+ * Save what was generated before a cancellation
+ *
+ * @param {number} messageId - ID of the AI message
+ * @param {Object} generation - Entry in activeGenerations
+ * @returns {Promise<Object>} Cancelled result
+ */
+async function saveCancelled(messageId, generation) {
+  await pool.query(
+    'UPDATE chat_messages SET message = $1, status = $2 WHERE id = $3',
+    [generation.content, 'cancelled', messageId]
+  );
+  console.log(`🛑 Generation ${messageId} cancelled, kept ${generation.content.length} characters`);
+  return { success: false, status: 'cancelled', messageId, content: generation.content };
+}
+
+/**
+ * Generate the AI answer to a question in a user's private chat
+ *
+ * @param {Object} request - classId, userId, question; conversationId for a class chat thread or
+ *   documentId for a document chat thread; parentMessageId, the message the answer follows (the
+ *   question, if stored); historyMessageId, the last message of the history before the question
+ *   (defaults to parentMessageId); scope for the generators; stream false to skip streaming
+ * @param {Object} handlers - Optional onStart({ messageId, aiName, createdAt, parentMessageId, versionIds }), onChunk({ messageId, content }),
+ *   onComplete(result), onCancelled(result), and onFailed(result)
+ * @returns {Promise<Object>} Result with success, status ('complete', 'cancelled' or 'failed') and messageId;
+ *   content, citations, grounding, documentsUsed and fallback when complete; error when failed
+ */
+async function runGeneration(request, handlers = {}) {
+  const {
+    classId,
+    userId,
+    question,
+    conversationId = null,
+    documentId = null,
+    parentMessageId = null,
+    historyMessageId = parentMessageId,
+    scope = {},
+    stream = true
+  } = request;
+  const { onStart = () => {} } = handlers;
+
+  const classResult = await pool.query('SELECT ai_name FROM classes WHERE id = $1', [classId]);
+  if (classResult.rows.length === 0) {
+    return { success: false, status: 'failed', error: 'Class not found' };
+  }
+  const aiName = classResult.rows[0].ai_name || DEFAULT_AI_NAME;
+
+  // Placeholder in the user's private chat, so the answer exists while it is generated
+  const placeholder = await pool.query(
+    `INSERT INTO chat_messages (class_id, user_id, message, is_ai, status, chat_owner_id, document_id, conversation_id, parent_message_id)
+     VALUES ($1, NULL, '', true, 'generating', $2, $3, $4, $5)
+     RETURNING id, created_at`,
+    [classId, userId, documentId, conversationId, parentMessageId]
+  );
+  const messageId = placeholder.rows[0].id;
+  const generation = {
+    abortController: new AbortController(),
+    classId,
+    userId,
+    conversationId,
+    content: '',
+    cancelled: false,
+    subscribers: new Set()
+  };
+  activeGenerations.set(messageId, generation);
+
+  // Events go to the requesting transport and to every client that resumed the stream
+  const emit = (event, payload) => {
+    for (const target of [handlers, ...generation.subscribers]) {
+      if (target[event]) target[event](payload);
+    }
+  };
+
+  try {
+    // Regenerated answers are versions of the earlier ones under the same question
+    const versions = await getVersionsForMessages([messageId]);
+    onStart({ messageId, aiName, createdAt: placeholder.rows[0].created_at, parentMessageId, versionIds: versions.get(messageId) || [messageId] });
+
+    // Earlier turns of this branch of the chat so follow-up questions make sense
+    const conversation = await getConversationContext(classId, userId, { leafMessageId: historyMessageId, conversationId });
+
+    // Retrieve once, so a fallback after a failed stream reuses the same excerpts and analytics row
+    const prepared = await prepareAnswer(classId, question, conversation, messageId, scope, { signal: generation.abortController.signal });
+
+    let answer = stream
+      ? await streamAnswer(messageId, generation, request, aiName, conversation, prepared, chunk => emit('onChunk', chunk))
+      : null;
+    if (generation.cancelled) {
+      const result = await saveCancelled(messageId, generation);
+      emit('onCancelled', result);
+      return result;
+    }
+
+    // Without a streamed answer, generate it in one call
+    const fallback = stream && !answer;
+    if (!answer) {
+      if (fallback) {
+        console.log(`🔁 Falling back to a non-streaming answer for message ${messageId}`);
+      }
+      const aiResult = await generateAIResponse(classId, question, aiName, conversation, messageId, scope, prepared);
+      if (!aiResult.success) {
+        await pool.query(
+          'UPDATE chat_messages SET message = $1, status = $2 WHERE id = $3',
+          [aiResult.response, 'active', messageId]
+        );
+        const result = { success: false, status: 'failed', messageId, error: aiResult.response };
+        emit('onFailed', result);
+        return result;
+      }
+      answer = { response: aiResult.response, documentsUsed: aiResult.documentsUsed, declined: Boolean(aiResult.declined) };
+    }
+
+    const { content, citations, grounding } = await saveAnswer(messageId, answer);
+    const result = {
+      success: true,
+      status: 'complete',
+      messageId,
+      content,
+      citations,
+      grounding,
+      documentsUsed: answer.documentsUsed,
+      fallback
+    };
+    emit('onComplete', result);
+
+    // Fold older turns of the thread into its rolling summary in the background
+    if (conversationId) {
+      updateConversationSummary(conversationId, userId, messageId);
+    }
+    return result;
+  } catch (error) {
+    if (generation.cancelled || isAbortError(error)) {
+      const result = await saveCancelled(messageId, generation);
+      emit('onCancelled', result);
+      return result;
+    }
+
+    console.error(`Error generating message ${messageId}:`, error);
+    await pool.query(
+      'UPDATE chat_messages SET message = $1, status = $2 WHERE id = $3',
+      [GENERATION_ERROR_MESSAGE, 'active', messageId]
+    );
+    const result = { success: false, status: 'failed', messageId, error: GENERATION_ERROR_MESSAGE };
+    emit('onFailed', result);
+    return result;
+  } finally {
+    activeGenerations.delete(messageId);
+  }
+}
+
+/**
+ * Follow an answer from a point in its text: sends what the caller missed, then the rest live.
+ * An answer that is no longer being generated is replayed from the database instead.
+ *
+ * @param {number} messageId - ID of the AI message
+ * @param {number} userId - Owner of the chat
+ * @param {number} offset - UTF-8 bytes of the answer the caller already has
+ * @param {Object} handlers - onChunk, onComplete, onCancelled, and onFailed, as for runGeneration
+ * @returns {Promise<Object>} Result with success and status ('streaming', 'complete' or 'cancelled');
+ *   unsubscribe stops a 'streaming' resume early
+ */
+async function resumeGeneration(messageId, userId, offset, handlers) {
+  const id = Number(messageId);
+  const generation = activeGenerations.get(id);
+  if (generation && generation.userId === userId) {
+    const missed = textAfterBytes(generation.content, offset);
+    if (missed) {
+      handlers.onChunk({ messageId: id, content: missed });
+    }
+    generation.subscribers.add(handlers);
+    console.log(`🔄 Resumed message ${id} from byte ${offset} for user ${userId}`);
+    return { success: true, status: 'streaming', unsubscribe: () => generation.subscribers.delete(handlers) };
+  }
+
+  const result = await pool.query(
+    'SELECT id, message, status, grounding FROM chat_messages WHERE id = $1 AND chat_owner_id = $2 AND is_ai = true',
+    [id, userId]
+  );
+  const row = result.rows[0];
+  if (!row) {
+    return { success: false, error: 'Message not found' };
+  }
+
+  if (row.status === 'active') {
+    const citations = await getCitationsForMessages([id]);
+    handlers.onComplete({
+      success: true,
+      status: 'complete',
+      messageId: id,
+      content: row.message,
+      citations: citations.get(id) || [],
+      grounding: row.grounding,
+      documentsUsed: [],
+      fallback: false
+    });
+    return { success: true, status: 'complete' };
+  }
+
+  // Still 'generating' with nothing generating it (e.g. after a server restart): keep what was saved
+  if (row.status === 'generating') {
+    await pool.query(
+      'UPDATE chat_messages SET status = $1 WHERE id = $2 AND status = $3',
+      ['cancelled', id, 'generating']
+    );
+  }
+  handlers.onCancelled({ success: false, status: 'cancelled', messageId: id, content: row.message });
+  return { success: true, status: 'cancelled' };
+}
+
+/**
+ * Cancel a user's generations in progress; each one saves its partial answer as it stops
+ *
+ * @param {Object} filter - userId, plus classId (every generation in that class), conversationId (every
+ *   generation in that thread) or messageId (just that one)
+ * @returns {number} Number of generations cancelled
+ */
+function cancelGenerations({ userId, classId = null, conversationId = null, messageId = null }) {
+  let cancelled = 0;
+  for (const [id, generation] of activeGenerations) {
+    if (generation.userId !== userId || generation.cancelled) continue;
+    if (classId !== null && String(generation.classId) !== String(classId)) continue;
+    if (conversationId !== null && generation.conversationId !== Number(conversationId)) continue;
+    if (messageId !== null && id !== Number(messageId)) continue;
+
+    // Mark before aborting, so the stream stops at its next check either way
+    generation.cancelled = true;
+    generation.abortController.abort();
+    cancelled++;
+  }
+  return cancelled;
+}
+
+module.exports = {
+  cancelGenerations,
+  resumeGeneration,
+  runGeneration,
+  textAfterBytes
+};
@@ -0,0 +1,118 @@
+/**
+ * Grounding service
+ * Scores how well an answer is supported by the course materials, so students know
+ * when to double-check it. The score combines how closely the retrieved excerpts
+ * matched the question, how much of the answer cites them, and whether the answer
+ * came from general knowledge instead.
+ */
+
+// Constants
+// Cosine distances are tuned for text-embedding-3-small; other models shift them somewhat
+const STRONG_MATCH_DISTANCE = 0.3; // at or below: retrieval score 1
+const WEAK_MATCH_DISTANCE = 0.65; // at or above: retrieval score 0
+const KEYWORD_ONLY_RETRIEVAL_SCORE = 0.5; // full-text matches carry no distance
+const RETRIEVAL_WEIGHT = 0.45;
+const COVERAGE_WEIGHT = 0.55;
+const GENERAL_KNOWLEDGE_MAX_SCORE = 25;
+const HIGH_GROUNDING_SCORE = 70;
+const MEDIUM_GROUNDING_SCORE = 40;
+const MIN_STATEMENT_WORDS = 8; // shorter lines (headings, greetings) are not counted as claims
+const CITATION_MARKER = /\[\d+\]/;
+
+/**
+ * Map a cosine distance to a 0-1 retrieval score
+ *
+ * @param {number} distance - Cosine distance between query and chunk
+ * @returns {number} Score from 0 (weak match) to 1 (strong match)
+ */
+function distanceToScore(distance) {
+  const score = (WEAK_MATCH_DISTANCE - distance) / (WEAK_MATCH_DISTANCE - STRONG_MATCH_DISTANCE);
+  return Math.min(1, Math.max(0, score));
+}
+
+/**
+ * Share of the answer's substantive lines that carry a citation marker
+ *
+ * @param {string} content - Answer text with validated citation markers
+ * @returns {Object} { covered, total } statement counts
+ */
+function measureCitationCoverage(content) {
+  const statements = (content || '')
+    .split(/\n+/)
+    .map(line => line.trim())
+    .filter(line => line.split(/\s+/).length >= MIN_STATEMENT_WORDS);
+
+  return {
+    covered: statements.filter(line => CITATION_MARKER.test(line)).length,
+    total: statements.length
+  };
+}
+
+/**
+ * Compute the grounding score of an answer
+ *
+ * @param {string} content - Answer text after citation validation
+ * @param {Array<Object>} citations - Validated citations from extractCitations
+ * @param {Array<Object>} sources - Sources shown to the model, from describeDocumentsUsed (with distance)
+ * @returns {Object} Grounding with score (0-100), level (high|medium|low), the signals behind it, and reasons
+ */
+function computeGroundingScore(content, citations = [], sources = []) {
+  const reasons = [];
+  const retrievedChunks = sources.filter(source => source.chunkId);
+  const usedCourseMaterials = citations.length > 0;
+  // Whole documents (full-text context, or on-demand text before indexing) have no excerpt to match;
+  // an answer citing one was checked against the full text, so it counts as a full match
+  const citesWholeDocument = citations.some(citation => !citation.chunkId && citation.documentId);
+
+  // Retrieval: how closely the best excerpt (cited ones first) matched the question
+  const citedChunkIds = new Set(citations.map(citation => citation.chunkId).filter(Boolean));
+  const candidates = retrievedChunks.some(source => citedChunkIds.has(source.chunkId))
+    ? retrievedChunks.filter(source => citedChunkIds.has(source.chunkId))
+    : retrievedChunks;
+  const distances = candidates
+    .map(source => source.distance)
+    .filter(distance => typeof distance === 'number');
+
+  let retrievalScore = 0;
+  if (citesWholeDocument) {
+    retrievalScore = 1;
+  } else if (distances.length > 0) {
+    retrievalScore = distanceToScore(Math.min(...distances));
+    if (retrievalScore < 0.5) {
+      reasons.push('The closest course excerpt is only a weak match for the question');
+    }
+  } else if (retrievedChunks.length > 0) {
+    retrievalScore = KEYWORD_ONLY_RETRIEVAL_SCORE;
+    reasons.push('Course excerpts were found by keyword match only');
+  } else if (sources.length === 0) {
+    reasons.push('No matching excerpts were found in the course materials');
+  }
+
+  // Coverage: how much of the answer is backed by a citation
+  const { covered, total } = measureCitationCoverage(content);
+  const citationCoverage = total > 0 ? covered / total : (usedCourseMaterials ? 1 : 0);
+  if (usedCourseMaterials && total > 0) {
+    reasons.push(`${covered} of ${total} statements cite the course materials`);
+  }
+
+  let score = Math.round(100 * (RETRIEVAL_WEIGHT * retrievalScore + COVERAGE_WEIGHT * citationCoverage));
+  if (!usedCourseMaterials) {
+    score = Math.min(score, GENERAL_KNOWLEDGE_MAX_SCORE);
+    reasons.push('Answered from general knowledge rather than course materials');
+  }
+
+  const level = score >= HIGH_GROUNDING_SCORE ? 'high' : score >= MEDIUM_GROUNDING_SCORE ? 'medium' : 'low';
+
+  return {
+    score,
+    level,
+    retrievalScore: Math.round(retrievalScore * 100) / 100,
+    citationCoverage: Math.round(citationCoverage * 100) / 100,
+    usedCourseMaterials,
+    reasons
+  };
+}
+
+module.exports = {
+  computeGroundingScore
+};
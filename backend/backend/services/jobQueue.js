@@ -0,0 +1,414 @@
+/**
+ * Durable background job queue
+ * Postgres-backed queue for document processing with bounded concurrency,
+ * exponential backoff retries, dead-lettering, and recovery after restarts
+ */
+
+const pool = require('../db');
+const { processDocument, embedPendingChunks } = require('./documentProcessor');
+const { runEmbeddingMigration, markEmbeddingMigrationFailed } = require('./embeddingMigrationService');
+
+// Constants
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 10 * 60 * 1000;
+const STALE_JOB_TIMEOUT_MS = 30 * 60 * 1000;
+const ERROR_MESSAGE_LIMIT = 500;
+const EMBED_RETRY_DELAY_MS = 60000;
+const EMBED_MAX_ATTEMPTS = 8;
+const MIGRATION_MAX_ATTEMPTS = 10;
+
+const JOB_TYPES = {
+  PROCESS_DOCUMENT: 'process_document',
+  EMBED_CHUNKS: 'embed_chunks',
+  REEMBED_CLASS: 'reembed_class'
+};
+
+// Job types whose failures change the document's processing_status (others only record last_error)
+const STATUS_TRACKED_JOB_TYPES = new Set([JOB_TYPES.PROCESS_DOCUMENT]);
+
+/**
+ * Handlers for each job type. A handler resolves to a result object
+ * ({ success, error, retryable }) like the services it wraps.
+ */
+const JOB_HANDLERS = {
+  [JOB_TYPES.PROCESS_DOCUMENT]: async (job) => {
+    const result = await processDocument(job.document_id);
+    if (result.success && result.pendingEmbeddings > 0) {
+      // Chunks that hit rate limits are stored without embeddings; finish them later
+      await enqueueChunkEmbedding([job.document_id], EMBED_RETRY_DELAY_MS);
+    }
+    return result;
+  },
+  [JOB_TYPES.EMBED_CHUNKS]: (job) => embedPendingChunks(job.document_id),
+  [JOB_TYPES.REEMBED_CLASS]: async (job) => {
+    const result = await runEmbeddingMigration(job.payload.migrationId);
+    if (result.success && result.staleDocumentIds?.length > 0) {
+      await enqueueChunkEmbedding(result.staleDocumentIds);
+    }
+    return result;
+  }
+};
+
+// Called when a job of this type is dead-lettered, for jobs that track state outside documents
+const JOB_DEAD_LETTER_HANDLERS = {
+  [JOB_TYPES.REEMBED_CLASS]: (job, message) => markEmbeddingMigrationFailed(job.payload.migrationId, message)
+};
+
+// Worker state
+let workerTimer = null;
+let recoveryTimer = null;
+let workerRunning = false;
+let polling = false;
+let activeJobs = 0;
+
+/**
+ * Add a job to the queue. A document never has two active jobs of the same type,
+ * so enqueueing while one is already queued or running is a no-op.
+ *
+ * @param {number|null} documentId - ID of the document the job works on (null for class-level jobs)
+ * @param {string} jobType - One of JOB_TYPES
+ * @param {Object} options - Optional maxAttempts, delayMs, and payload (extra job arguments)
+ * @returns {Promise<Object|null>} The queued job row, or null if one was already active
+ */
+async function enqueueJob(documentId, jobType = JOB_TYPES.PROCESS_DOCUMENT, { maxAttempts = DEFAULT_MAX_ATTEMPTS, delayMs = 0, payload = null } = {}) {
+  const result = await pool.query(
+    `INSERT INTO document_jobs (document_id, job_type, max_attempts, run_at, payload)
+     VALUES ($1, $2, $3, NOW() + ($4 || ' milliseconds')::interval, $5)
+     ON CONFLICT (document_id, job_type) WHERE status IN ('queued', 'running') DO NOTHING
+     RETURNING *`,
+    [documentId, jobType, maxAttempts, String(delayMs), payload ? JSON.stringify(payload) : null]
+  );
+
+  if (result.rows.length > 0) {
+    console.log(`📥 Queued ${jobType} job ${result.rows[0].id}${documentId ? ` for document ${documentId}` : ''}`);
+    scheduleTick(0);
+    return result.rows[0];
+  }
+
+  return null;
+}
+
+/**
+ * Queue embed_chunks jobs for documents that have chunks without embeddings
+ *
+ * @param {Array<number>} documentIds - IDs of the documents
+ * @param {number} delayMs - Optional delay before the first attempt
+ */
+async function enqueueChunkEmbedding(documentIds, delayMs = 0) {
+  for (const documentId of documentIds) {
+    await enqueueJob(documentId, JOB_TYPES.EMBED_CHUNKS, { maxAttempts: EMBED_MAX_ATTEMPTS, delayMs });
+  }
+}
+
+/**
+ * Queue the background run of an embedding migration
+ *
+ * @param {number} migrationId - ID of the migration
+ * @returns {Promise<Object|null>} The queued job row
+ */
+async function enqueueEmbeddingMigration(migrationId) {
+  return enqueueJob(null, JOB_TYPES.REEMBED_CLASS, {
+    maxAttempts: MIGRATION_MAX_ATTEMPTS,
+    payload: { migrationId }
+  });
+}
+
+/**
+ * Atomically claim the next due job. SKIP LOCKED lets several workers
+ * (or server instances) poll the same table without double-claiming.
+ *
+ * @returns {Promise<Object|null>} The claimed job, or null if none is due
+ */
+async function claimNextJob() {
+  const result = await pool.query(
+    `UPDATE document_jobs
+     SET status = 'running', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM document_jobs
+       WHERE status = 'queued' AND run_at <= NOW()
+       ORDER BY run_at, id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1), capped
+ *
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Surface a job failure on its document
+ *
+ * @param {Object} job - The job that failed
+ * @param {string} status - processing_status to set for status-tracked job types
+ * @param {string} message - Error to store in last_error
+ */
+async function recordDocumentError(job, status, message) {
+  if (!job.document_id) return;
+
+  await pool.query(
+    `UPDATE documents
+     SET processing_status = COALESCE($1, processing_status), last_error = $2
+     WHERE id = $3`,
+    [STATUS_TRACKED_JOB_TYPES.has(job.job_type) ? status : null, message.slice(0, ERROR_MESSAGE_LIMIT), job.document_id]
+  );
+}
+
+/**
+ * Record a failed attempt: reschedule with backoff, or dead-letter the job
+ * into the document's last_error once attempts are exhausted
+ *
+ * @param {Object} job - The job that failed
+ * @param {string} errorMessage - Why the attempt failed
+ * @param {boolean} retryable - False for failures that retrying cannot fix
+ */
+async function failJob(job, errorMessage, retryable) {
+  const message = (errorMessage || 'Unknown error').slice(0, ERROR_MESSAGE_LIMIT);
+
+  if (retryable && job.attempts < job.max_attempts) {
+    const delayMs = getRetryDelay(job.attempts);
+    await pool.query(
+      `UPDATE document_jobs
+       SET status = 'queued', locked_at = NULL, last_error = $1, updated_at = NOW(),
+           run_at = NOW() + ($2 || ' milliseconds')::interval
+       WHERE id = $3`,
+      [message, String(delayMs), job.id]
+    );
+    await recordDocumentError(job, 'pending', `Attempt ${job.attempts}/${job.max_attempts} failed, retrying: ${message}`);
+    console.log(`🔁 Job ${job.id} (${job.job_type}) failed attempt ${job.attempts}/${job.max_attempts}, retrying in ${Math.round(delayMs / 1000)}s`);
+    return;
+  }
+
+  await pool.query(
+    `UPDATE document_jobs
+     SET status = 'dead', locked_at = NULL, last_error = $1, updated_at = NOW()
+     WHERE id = $2`,
+    [message, job.id]
+  );
+  await recordDocumentError(job, 'failed', `${job.job_type} failed after ${job.attempts} attempt(s): ${message}`);
+  if (JOB_DEAD_LETTER_HANDLERS[job.job_type]) {
+    await JOB_DEAD_LETTER_HANDLERS[job.job_type](job, message);
+  }
+  console.log(`💀 Job ${job.id} (${job.job_type}) dead-lettered after ${job.attempts} attempt(s): ${message}`);
+}
+
+/**
+ * Run a claimed job through its handler and record the outcome
+ *
+ * @param {Object} job - The claimed job
+ */
+async function runJob(job) {
+  const handler = JOB_HANDLERS[job.job_type];
+
+  try {
+    if (!handler) {
+      await failJob(job, `Unknown job type: ${job.job_type}`, false);
+      return;
+    }
+
+    console.log(`⚙️ Running job ${job.id} (${job.job_type}) for document ${job.document_id}, attempt ${job.attempts}/${job.max_attempts}`);
+    const result = await handler(job);
+
+    if (result && result.success) {
+      await pool.query(
+        `UPDATE document_jobs
+         SET status = 'completed', locked_at = NULL, last_error = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [job.id]
+      );
+      return;
+    }
+
+    await failJob(job, result?.error, result?.retryable !== false);
+  } catch (error) {
+    console.error(`❌ Job ${job.id} threw:`, error);
+    try {
+      await failJob(job, error.message, true);
+    } catch (recordError) {
+      console.error(`❌ Could not record failure for job ${job.id}:`, recordError.message);
+    }
+  }
+}
+
+/**
+ * Fill free worker slots with due jobs, then poll again later
+ */
+async function tick() {
+  workerTimer = null;
+  if (!workerRunning || polling) return;
+  polling = true;
+
+  try {
+    while (workerRunning && activeJobs < JOB_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job).finally(() => {
+        activeJobs--;
+        scheduleTick(0);
+      });
+    }
+  } catch (error) {
+    console.error('❌ Job worker poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+
+  scheduleTick(JOB_POLL_INTERVAL_MS);
+}
+
+/**
+ * Schedule the next poll, keeping at most one pending timer
+ *
+ * @param {number} delayMs - How long to wait before polling
+ */
+function scheduleTick(delayMs) {
+  if (!workerRunning) return;
+  if (workerTimer) {
+    if (delayMs > 0) return;
+    clearTimeout(workerTimer);
+  }
+  workerTimer = setTimeout(tick, delayMs);
+}
+
+/**
+ * Requeue work that was interrupted by a restart: running jobs whose worker
+ * died, documents left mid-processing without an active job, and chunks
+ * still waiting for an embedding.
+ * Only jobs locked longer than staleAfterMs are requeued, so jobs held by other
+ * live server instances are left alone.
+ *
+ * @param {Object} options - staleAfterMs: only requeue running jobs locked longer than this
+ * @returns {Promise<Object>} Counts of requeued jobs and recovered documents
+ */
+async function recoverOrphanedJobs({ staleAfterMs = STALE_JOB_TIMEOUT_MS } = {}) {
+  try {
+    const requeued = await pool.query(
+      `UPDATE document_jobs
+       SET status = 'queued', locked_at = NULL, run_at = NOW(), updated_at = NOW()
+       WHERE status = 'running' AND locked_at <= NOW() - ($1 || ' milliseconds')::interval
+       RETURNING id`,
+      [String(staleAfterMs)]
+    );
+
+    const recovered = await pool.query(
+      `INSERT INTO document_jobs (document_id, job_type, max_attempts)
+       SELECT d.id, $1, $2
+       FROM documents d
+       WHERE d.processing_status IN ('pending', 'processing', 'extracted')
+         AND NOT EXISTS (
+           SELECT 1 FROM document_jobs j
+           WHERE j.document_id = d.id AND j.job_type = $1 AND j.status IN ('queued', 'running')
+         )
+       ON CONFLICT (document_id, job_type) WHERE status IN ('queued', 'running') DO NOTHING
+       RETURNING document_id`,
+      [JOB_TYPES.PROCESS_DOCUMENT, DEFAULT_MAX_ATTEMPTS]
+    );
+
+    // Chunks or summaries stored without embeddings whose retry job was lost or dead-lettered
+    const unembedded = await pool.query(
+      `INSERT INTO document_jobs (document_id, job_type, max_attempts)
+       SELECT d.id, $1, $2
+       FROM documents d
+       WHERE d.processing_status = 'processed'
+         AND (
+           EXISTS (SELECT 1 FROM document_chunks dc WHERE dc.document_id = d.id AND dc.embedding IS NULL)
+           OR EXISTS (SELECT 1 FROM document_summaries ds WHERE ds.document_id = d.id AND ds.summary_embedding IS NULL)
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM document_jobs j
+           WHERE j.document_id = d.id AND j.job_type = $1 AND j.status IN ('queued', 'running')
+         )
+       ON CONFLICT (document_id, job_type) WHERE status IN ('queued', 'running') DO NOTHING
+       RETURNING document_id`,
+      [JOB_TYPES.EMBED_CHUNKS, EMBED_MAX_ATTEMPTS]
+    );
+
+    // Embedding migrations still in progress whose job was lost
+    const migrations = await pool.query(
+      `INSERT INTO document_jobs (document_id, job_type, max_attempts, payload)
+       SELECT NULL, $1, $2, jsonb_build_object('migrationId', m.id)
+       FROM embedding_migrations m
+       WHERE m.status IN ('pending', 'running')
+         AND NOT EXISTS (
+           SELECT 1 FROM document_jobs j
+           WHERE j.job_type = $1 AND j.status IN ('queued', 'running')
+             AND (j.payload->>'migrationId')::int = m.id
+         )
+       RETURNING id`,
+      [JOB_TYPES.REEMBED_CLASS, MIGRATION_MAX_ATTEMPTS]
+    );
+    if (migrations.rowCount > 0) {
+      console.log(`🩹 Resumed ${migrations.rowCount} embedding migration(s)`);
+    }
+
+    const recoveredDocuments = recovered.rowCount + unembedded.rowCount;
+    if (requeued.rowCount > 0 || recoveredDocuments > 0) {
+      console.log(`🩹 Recovered ${requeued.rowCount} interrupted job(s) and ${recoveredDocuments} orphaned document(s)`);
+    }
+
+    return { requeuedJobs: requeued.rowCount, recoveredDocuments };
+  } catch (error) {
+    console.error('❌ Job recovery failed:', error.message);
+    return { requeuedJobs: 0, recoveredDocuments: 0 };
+  }
+}
+
+/**
+ * Start the background worker. Call once at server startup after the schema is ready.
+ * Stale jobs left running by a previous process are requeued before polling begins.
+ */
+async function startJobWorker() {
+  if (workerRunning) return;
+
+  await recoverOrphanedJobs();
+  workerRunning = true;
+  console.log(`👷 Job worker started (concurrency ${JOB_CONCURRENCY})`);
+
+  // Periodically requeue jobs whose worker hung or died without a restart here
+  recoveryTimer = setInterval(() => {
+    recoverOrphanedJobs();
+  }, STALE_JOB_TIMEOUT_MS);
+  recoveryTimer.unref();
+
+  scheduleTick(0);
+}
+
+/**
+ * Stop polling for new jobs. Jobs already running are left to finish.
+ */
+function stopJobWorker() {
+  workerRunning = false;
+  if (workerTimer) {
+    clearTimeout(workerTimer);
+    workerTimer = null;
+  }
+  if (recoveryTimer) {
+    clearInterval(recoveryTimer);
+    recoveryTimer = null;
+  }
+}
+
+module.exports = {
+  JOB_TYPES,
+  enqueueChunkEmbedding,
+  enqueueEmbeddingMigration,
+  enqueueJob,
+  recoverOrphanedJobs,
+  startJobWorker,
+  stopJobWorker
+};
@@ -0,0 +1,141 @@
+/**
+ * LLM provider registry
+ * Selects the chat/embedding backend from the LLM_PROVIDER environment variable.
+ *
+ * Every provider exposes the same interface:
+ *   chat({ messages, temperature, maxTokens, signal, timeout }) -> Promise<string>
+ *   streamChat({ ...same }) -> async iterable of text deltas
+ *   embed(texts, { signal, model }) -> Promise<Array<Array<number>>> (no retries; callers throttle)
+ * plus name, chatModel, and embeddingModel for logging.
+ *
+ * Embedding models are named "<backend>:<model>", e.g. "openai:text-embedding-3-small" or
+ * "local:Xenova/all-MiniLM-L6-v2". The name is stored with every vector so that vectors
+ * from different models are never compared.
+ *
+ * The cross-encoder used for reranking always runs locally (see localCrossEncoderProvider).
+ */
+
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+const { createMockProvider } = require('./mockProvider');
+const { createLocalEmbeddingProvider } = require('./localEmbeddingProvider');
+const { createLocalCrossEncoderProvider } = require('./localCrossEncoderProvider');
+
+// Constants
+const DEFAULT_PROVIDER = 'openai';
+const LOCAL_EMBEDDING_BACKEND = 'local';
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  ollama: createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+let activeProvider = null;
+const localEmbedders = new Map();
+let crossEncoder = null;
+
+/**
+ * Get the configured provider, creating it on first use so that unused
+ * providers never need credentials
+ *
+ * @returns {Object} Provider with chat, streamChat, and embed
+ */
+function getProvider() {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  const name = (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+
+  activeProvider = factory();
+  console.log(`🤖 Using ${activeProvider.name} LLM provider (chat: ${activeProvider.chatModel}, embeddings: ${activeProvider.embeddingModel})`);
+  return activeProvider;
+}
+
+/**
+ * Embedding model used when a class does not choose one: EMBEDDING_MODEL, or the
+ * LLM provider's own embedding model
+ *
+ * @returns {string} Embedding model name such as "openai:text-embedding-3-small"
+ */
+function getDefaultEmbeddingModel() {
+  if (process.env.EMBEDDING_MODEL) {
+    return process.env.EMBEDDING_MODEL.trim();
+  }
+
+  const provider = getProvider();
+  return `${provider.name}:${provider.embeddingModel}`;
+}
+
+/**
+ * Resolve an embedding model name to the backend that serves it
+ *
+ * @param {string} requestedModel - Model name as "<backend>:<model>" (empty uses getDefaultEmbeddingModel)
+ * @returns {Object} Embedder with model (the full name) and embed(texts, options)
+ */
+function getEmbedder(requestedModel) {
+  const embeddingModel = requestedModel || getDefaultEmbeddingModel();
+  const separator = embeddingModel.indexOf(':');
+  if (separator <= 0 || separator === embeddingModel.length - 1) {
+    throw new Error(`Invalid embedding model "${embeddingModel}". Expected "<backend>:<model>"`);
+  }
+
+  const backend = embeddingModel.slice(0, separator);
+  const model = embeddingModel.slice(separator + 1);
+
+  if (backend === LOCAL_EMBEDDING_BACKEND) {
+    if (!localEmbedders.has(model)) {
+      localEmbedders.set(model, createLocalEmbeddingProvider(model));
+    }
+    const embedder = localEmbedders.get(model);
+    return { model: embeddingModel, embed: (texts, options) => embedder.embed(texts, options) };
+  }
+
+  const provider = getProvider();
+  if (backend !== provider.name) {
+    throw new Error(`Embedding model "${embeddingModel}" needs the ${backend} provider, but LLM_PROVIDER is ${provider.name}`);
+  }
+  return { model: embeddingModel, embed: (texts, options) => provider.embed(texts, { ...options, model }) };
+}
+
+/**
+ * Whether an embedding model name can be served by this deployment
+ *
+ * @param {string} embeddingModel - Model name as "<backend>:<model>"
+ * @returns {boolean} True if getEmbedder would accept it
+ */
+function isEmbeddingModelAvailable(embeddingModel) {
+  try {
+    getEmbedder(embeddingModel);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the local cross-encoder used for reranking, created on first use
+ *
+ * @returns {Object} Cross-encoder with model and score(query, passages)
+ */
+function getCrossEncoder() {
+  if (!crossEncoder) {
+    crossEncoder = createLocalCrossEncoderProvider();
+  }
+  return crossEncoder;
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES),
+  getCrossEncoder,
+  getDefaultEmbeddingModel,
+  getEmbedder,
+  getProvider,
+  isEmbeddingModelAvailable
+};
@@ -0,0 +1,87 @@
+/**
+ * Local cross-encoder provider
+ * Scores (query, passage) pairs on CPU with transformers.js (ONNX) for reranking.
+ * Uses the same optional @huggingface/transformers package as local embeddings.
+ */
+
+// Constants
+const DEFAULT_CROSS_ENCODER_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+const CROSS_ENCODER_BATCH_SIZE = 16;
+
+// One tokenizer/model pair per model id, loaded on first use
+const models = new Map();
+
+/**
+ * Load (once) the tokenizer and sequence-classification model for a cross-encoder
+ *
+ * @param {string} modelId - Hugging Face model id with ONNX weights
+ * @returns {Promise<Object>} { tokenizer, model }
+ */
+function loadCrossEncoder(modelId) {
+  if (!models.has(modelId)) {
+    const loading = (async () => {
+      let transformers;
+      try {
+        transformers = await import('@huggingface/transformers');
+      } catch (error) {
+        const missingPackage = new Error('The cross-encoder reranker requires the optional @huggingface/transformers package (npm install @huggingface/transformers)');
+        missingPackage.retryable = false;
+        throw missingPackage;
+      }
+
+      console.log(`📥 Loading cross-encoder ${modelId}...`);
+      const [tokenizer, model] = await Promise.all([
+        transformers.AutoTokenizer.from_pretrained(modelId),
+        transformers.AutoModelForSequenceClassification.from_pretrained(modelId)
+      ]);
+      console.log(`✅ Cross-encoder ${modelId} ready`);
+      return { tokenizer, model };
+    })();
+
+    // Allow a later call to retry if loading failed
+    loading.catch(() => models.delete(modelId));
+    models.set(modelId, loading);
+  }
+
+  return models.get(modelId);
+}
+
+/**
+ * Create a cross-encoder scorer
+ *
+ * @param {string} modelId - Hugging Face model id (defaults to CROSS_ENCODER_MODEL or ms-marco-MiniLM-L-6-v2)
+ * @returns {Object} Provider with name, model, and score
+ */
+function createLocalCrossEncoderProvider(modelId = process.env.CROSS_ENCODER_MODEL || DEFAULT_CROSS_ENCODER_MODEL) {
+  /**
+   * Score how well each passage answers the query (higher is more relevant)
+   *
+   * @param {string} query - Search query
+   * @param {Array<string>} passages - Candidate passages
+   * @returns {Promise<Array<number>>} Relevance logits in passage order
+   */
+  async function score(query, passages) {
+    const { tokenizer, model } = await loadCrossEncoder(modelId);
+    const scores = [];
+
+    for (let i = 0; i < passages.length; i += CROSS_ENCODER_BATCH_SIZE) {
+      const batch = passages.slice(i, i + CROSS_ENCODER_BATCH_SIZE);
+      const inputs = tokenizer(new Array(batch.length).fill(query), {
+        text_pair: batch,
+        padding: true,
+        truncation: true
+      });
+      const { logits } = await model(inputs);
+      scores.push(...logits.tolist().map(row => row[0]));
+    }
+
+    return scores;
+  }
+
+  return { name: 'cross-encoder', model: modelId, score };
+}
+
+module.exports = {
+  DEFAULT_CROSS_ENCODER_MODEL,
+  createLocalCrossEncoderProvider
+};
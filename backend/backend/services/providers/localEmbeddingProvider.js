@@ -0,0 +1,84 @@
+/**
+ * Local embedding provider
+ * Runs a sentence-embedding model on CPU with transformers.js (ONNX), so embeddings
+ * need no external API. Embeddings only: chat still goes through the LLM provider.
+ */
+
+// Constants
+const DEFAULT_LOCAL_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const LOCAL_EMBEDDING_BATCH_SIZE = 16;
+
+// One pipeline per model, loaded on first use (model files are downloaded and cached by transformers.js)
+const pipelines = new Map();
+
+/**
+ * Load (once) the feature-extraction pipeline for a model
+ *
+ * @param {string} modelId - Hugging Face model id with ONNX weights
+ * @returns {Promise<Function>} transformers.js feature-extraction pipeline
+ */
+function loadPipeline(modelId) {
+  if (!pipelines.has(modelId)) {
+    const loading = (async () => {
+      let transformers;
+      try {
+        transformers = await import('@huggingface/transformers');
+      } catch (error) {
+        const missingPackage = new Error('Local embeddings require the optional @huggingface/transformers package (npm install @huggingface/transformers)');
+        missingPackage.retryable = false;
+        throw missingPackage;
+      }
+
+      console.log(`📥 Loading local embedding model ${modelId}...`);
+      const extractor = await transformers.pipeline('feature-extraction', modelId);
+      console.log(`✅ Local embedding model ${modelId} ready`);
+      return extractor;
+    })();
+
+    // Allow a later call to retry if loading failed
+    loading.catch(() => pipelines.delete(modelId));
+    pipelines.set(modelId, loading);
+  }
+
+  return pipelines.get(modelId);
+}
+
+/**
+ * Create a local embedding provider for one model
+ *
+ * @param {string} modelId - Hugging Face model id (defaults to LOCAL_EMBEDDING_MODEL or all-MiniLM-L6-v2)
+ * @returns {Object} Provider with name, embeddingModel, and embed
+ */
+function createLocalEmbeddingProvider(modelId = process.env.LOCAL_EMBEDDING_MODEL || DEFAULT_LOCAL_EMBEDDING_MODEL) {
+  /**
+   * Embed texts with mean pooling and L2 normalization
+   *
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Optional abort signal
+   * @returns {Promise<Array<Array<number>>>} Embedding vectors in input order
+   */
+  async function embed(texts, { signal } = {}) {
+    const extractor = await loadPipeline(modelId);
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += LOCAL_EMBEDDING_BATCH_SIZE) {
+      if (signal?.aborted) {
+        const error = new Error('Request was aborted.');
+        error.name = 'AbortError';
+        throw error;
+      }
+
+      const output = await extractor(texts.slice(i, i + LOCAL_EMBEDDING_BATCH_SIZE), { pooling: 'mean', normalize: true });
+      vectors.push(...output.tolist());
+    }
+
+    return vectors;
+  }
+
+  return { name: 'local', embeddingModel: modelId, embed };
+}
+
+module.exports = {
+  DEFAULT_LOCAL_EMBEDDING_MODEL,
+  createLocalEmbeddingProvider
+};
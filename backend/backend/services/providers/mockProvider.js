@@ -0,0 +1,210 @@
+/**
+ * Deterministic mock LLM provider
+ * Runs the whole RAG pipeline offline (CI, local development) with no API key.
+ * The same input always produces the same output.
+ */
+
+// Constants
+const MOCK_CHAT_MODEL = 'mock-chat';
+const MOCK_EMBEDDING_MODEL = 'mock-embedding';
+const MOCK_EMBEDDING_DIMENSIONS = parseInt(process.env.MOCK_EMBEDDING_DIM, 10) || 1536;
+const MOCK_STREAM_DELAY_MS = parseInt(process.env.MOCK_STREAM_DELAY_MS, 10) || 0;
+const MOCK_KEY_TERM_COUNT = 5;
+const QUESTION_PREVIEW_LENGTH = 200;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'her', 'was', 'one',
+  'our', 'out', 'has', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'way', 'who', 'did',
+  'use', 'that', 'with', 'this', 'from', 'they', 'will', 'have', 'what', 'when', 'your', 'into',
+  'than', 'then', 'them', 'these', 'those', 'there', 'their', 'which', 'about', 'would', 'should',
+  'could', 'using', 'answer', 'question', 'provide', 'format', 'bold', 'text', 'headers',
+  'student', 'assistant'
+]);
+
+/**
+ * 32-bit FNV-1a hash
+ *
+ * @param {string} value - String to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Lowercase word tokens of three or more characters
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]{3,}/g) || []);
+}
+
+/**
+ * Hash a bag of words into a unit vector, so texts sharing words get high cosine similarity
+ *
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} Embedding vector of MOCK_EMBEDDING_DIMENSIONS
+ */
+function embedText(text) {
+  const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+
+  for (const token of tokenize(text || '')) {
+    const hash = hashString(token);
+    vector[hash % MOCK_EMBEDDING_DIMENSIONS] += (hash & 0x80000000) ? -1 : 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (norm === 0) {
+    // Cosine distance is undefined for the zero vector
+    vector[0] = 1;
+    return vector;
+  }
+  return vector.map(value => value / norm);
+}
+
+/**
+ * Score numbered passages for a rerank prompt by word overlap with the question
+ *
+ * @param {string} prompt - Rerank prompt from rerankService
+ * @param {number} count - Number of scores requested
+ * @returns {string} JSON array of scores from 0 to 10
+ */
+function buildScoresReply(prompt, count) {
+  const question = (prompt.match(/Question:\s*"([\s\S]*?)"/) || [])[1] || '';
+  const questionTerms = new Set(tokenize(question).filter(token => !STOP_WORDS.has(token)));
+  const passages = prompt.split(/\n\[\d+\] /).slice(1);
+
+  const scores = Array.from({ length: count }, (_, idx) => {
+    const overlap = new Set(tokenize(passages[idx] || '').filter(token => questionTerms.has(token))).size;
+    return Math.min(10, overlap);
+  });
+  return JSON.stringify(scores);
+}
+
+/**
+ * Most frequent non-stop-word terms in a text
+ *
+ * @param {string} text - Text to scan
+ * @param {number} count - Number of terms to return
+ * @returns {Array<string>} Terms, most frequent first
+ */
+function topTerms(text, count) {
+  const counts = new Map();
+  for (const token of tokenize(text)) {
+    if (!STOP_WORDS.has(token)) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, count)
+    .map(([term]) => term);
+}
+
+/**
+ * Standalone query for a query-rewrite prompt: the follow-up plus the conversation's key terms
+ *
+ * @param {string} prompt - Rewrite prompt from conversationService
+ * @param {string} followUp - The follow-up question
+ * @returns {string} Rewritten query
+ */
+function buildRewriteReply(prompt, followUp) {
+  const transcript = (prompt.match(/Recent conversation:([\s\S]*?)Follow-up question:/) || [])[1] || '';
+  return [followUp, ...topTerms(transcript, MOCK_KEY_TERM_COUNT)].join(' ');
+}
+
+/**
+ * Build the deterministic reply for a conversation
+ *
+ * @param {Array<Object>} messages - Chat messages ({ role, content })
+ * @returns {string} Reply text
+ */
+function buildReply(messages) {
+  const prompt = messages.map(message => message.content).join('\n');
+  const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+  const userContent = lastUserMessage?.content || '';
+
+  // Rerank prompts ask for one score per passage
+  const scoreRequest = userContent.match(/JSON array of (\d+) numbers/);
+  if (scoreRequest) {
+    return buildScoresReply(userContent, parseInt(scoreRequest[1], 10));
+  }
+
+  // Query-rewrite prompts quote the follow-up as Follow-up question: "..."
+  const followUp = userContent.match(/Follow-up question:\s*"([\s\S]*?)"/);
+  if (followUp) {
+    return buildRewriteReply(userContent, followUp[1]);
+  }
+
+  // Prompts built by ragService quote the question as Question: "..."
+  const quotedQuestion = userContent.match(/Question:\s*"([\s\S]*?)"/);
+  const question = (quotedQuestion ? quotedQuestion[1] : userContent).trim().substring(0, QUESTION_PREVIEW_LENGTH);
+
+  const keyTerms = topTerms(prompt, MOCK_KEY_TERM_COUNT);
+
+  return [
+    `**Mock response** to: "${question}"`,
+    `**Key terms**: ${keyTerms.join(', ') || 'none'}`,
+    `Generated offline by the mock provider (fingerprint ${hashString(prompt).toString(16)}).`
+  ].join('\n\n');
+}
+
+/**
+ * Throw the same kind of error a cancelled network request would
+ *
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    const error = new Error('Request was aborted.');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+/**
+ * Create the mock provider
+ *
+ * @returns {Object} Provider with chat, streamChat, and embed
+ */
+function createMockProvider() {
+  async function chat({ messages, signal }) {
+    throwIfAborted(signal);
+    return buildReply(messages);
+  }
+
+  async function* streamChat({ messages, signal }) {
+    const pieces = buildReply(messages).match(/\S+\s*/g) || [];
+
+    for (const piece of pieces) {
+      throwIfAborted(signal);
+      if (MOCK_STREAM_DELAY_MS > 0) {
+        await new Promise(resolve => setTimeout(resolve, MOCK_STREAM_DELAY_MS));
+      }
+      yield piece;
+    }
+  }
+
+  async function embed(texts, { signal } = {}) {
+    throwIfAborted(signal);
+    return texts.map(embedText);
+  }
+
+  return {
+    name: 'mock',
+    chatModel: MOCK_CHAT_MODEL,
+    embeddingModel: MOCK_EMBEDDING_MODEL,
+    chat,
+    streamChat,
+    embed
+  };
+}
+
+module.exports = { createMockProvider };
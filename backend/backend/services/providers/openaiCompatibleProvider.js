@@ -0,0 +1,29 @@
+/**
+ * OpenAI-compatible local LLM provider
+ * Targets self-hosted servers that expose the OpenAI API shape, such as Ollama or llama.cpp
+ */
+
+const { createOpenAIProvider } = require('./openaiProvider');
+
+// Constants (Ollama defaults)
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_CHAT_MODEL = 'llama3.1';
+const DEFAULT_EMBEDDING_MODEL = 'nomic-embed-text';
+
+/**
+ * Create a provider for an OpenAI-compatible endpoint configured through LLM_* variables
+ *
+ * @returns {Object} Provider with chat, streamChat, and embed
+ */
+function createOpenAICompatibleProvider() {
+  return createOpenAIProvider({
+    name: 'openai-compatible',
+    // Local servers usually ignore the key, but the SDK requires one
+    apiKey: process.env.LLM_API_KEY || 'not-needed',
+    baseURL: process.env.LLM_BASE_URL || DEFAULT_BASE_URL,
+    chatModel: process.env.LLM_CHAT_MODEL || DEFAULT_CHAT_MODEL,
+    embeddingModel: process.env.LLM_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL
+  });
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,99 @@
+/**
+ * OpenAI LLM provider
+ * Chat, streaming chat, and embeddings through the OpenAI API (or any server speaking its protocol)
+ */
+
+const OpenAI = require('openai');
+
+// Constants
+const DEFAULT_CHAT_MODEL = 'gpt-4o-mini';
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+/**
+ * Create a provider backed by the OpenAI SDK
+ *
+ * @param {Object} options - Provider configuration
+ * @param {string} options.name - Provider name used in logs
+ * @param {string} options.apiKey - API key sent with each request
+ * @param {string} options.baseURL - API base URL (defaults to api.openai.com)
+ * @param {string} options.chatModel - Model used for chat and streaming chat
+ * @param {string} options.embeddingModel - Model used for embeddings
+ * @returns {Object} Provider with chat, streamChat, and embed
+ */
+function createOpenAIProvider({
+  name = 'openai',
+  apiKey = process.env.OPENAI_API_KEY,
+  baseURL = process.env.OPENAI_BASE_URL,
+  chatModel = process.env.OPENAI_CHAT_MODEL || DEFAULT_CHAT_MODEL,
+  embeddingModel = process.env.OPENAI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL
+} = {}) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  /**
+   * Generate a complete chat response
+   *
+   * @param {Object} request - Chat request
+   * @param {Array<Object>} request.messages - Chat messages ({ role, content })
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {AbortSignal} request.signal - Optional abort signal
+   * @param {number} request.timeout - Optional request timeout in milliseconds
+   * @returns {Promise<string>} Response text
+   */
+  async function chat({ messages, temperature, maxTokens, signal, timeout }) {
+    const response = await client.chat.completions.create({
+      model: chatModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    }, { signal, timeout });
+
+    return response.choices[0]?.message?.content || '';
+  }
+
+  /**
+   * Stream a chat response as text deltas
+   *
+   * @param {Object} request - Same fields as chat
+   * @yields {string} Response text as it is generated
+   */
+  async function* streamChat({ messages, temperature, maxTokens, signal, timeout }) {
+    const stream = await client.chat.completions.create({
+      model: chatModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true
+    }, { signal, timeout });
+
+    for await (const chunk of stream) {
+      const content = chunk.choices[0]?.delta?.content;
+      if (content) {
+        yield content;
+      }
+    }
+  }
+
+  /**
+   * Embed a batch of texts. Does not retry: callers own the retry and throttling policy.
+   *
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Optional abort signal and model (defaults to embeddingModel)
+   * @returns {Promise<Array<Array<number>>>} Embedding vectors in input order
+   */
+  async function embed(texts, { signal, model = embeddingModel } = {}) {
+    const response = await client.embeddings.create(
+      { model, input: texts },
+      { maxRetries: 0, signal }
+    );
+
+    return response.data
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  return { name, chatModel, embeddingModel, chat, streamChat, embed };
+}
+
+module.exports = { createOpenAIProvider };
@@ -1,53 +1,422 @@
 /**
  * RAG (Retrieval-Augmented Generation) service
- * Handles document retrieval, hierarchical search, and AI response generation
+ * Handles document retrieval (vector, full-text, and hybrid rank fusion), hierarchical search,
+ * reranking, and AI response generation
  */
 
 const pool = require('../db');
-const { openai } = require('./embeddingService');
-const { generateEmbedding } = require('./embeddingService');
+const { generateEmbeddings } = require('./embeddingService');
+const { getProvider } = require('./providers');
+const { getClassRagSettings } = require('./classSettings');
 const { getDocumentsTextOnDemand } = require('./documentProcessor');
+const { rerankChunks } = require('./rerankService');
+const { buildHistoryMessages, formatPinnedContext, rewriteQuery } = require('./conversationService');
+const { logRetrieval } = require('./retrievalAnalyticsService');
 
 // Constants
 const AI_TEMPERATURE = 0.3;
 const AI_MAX_TOKENS = 2000;
+const RRF_K = 60; // reciprocal rank fusion damping: score = weight / (RRF_K + rank)
+const HYBRID_CANDIDATE_MULTIPLIER = 4; // candidates fetched per source for each chunk kept
+const MAX_LEXICAL_QUERY_TERMS = 32;
+const DEFAULT_RETRIEVAL_LIMIT = 5;
+const MAX_LISTED_MATERIALS = 10;
+const MAX_MENTIONED_DOCUMENTS = 10;
+const FULL_TEXT_MAX_CHARS = 40000; // about 10k tokens; larger documents are always retrieved in excerpts
+const MAX_PINNED_CONTEXT_CHARS = 4000;
+const PINNED_QUERY_CHARS = 500; // share of a selected passage added to the retrieval query
+const MIN_GROUNDING_LEXICAL_SCORE = 0.3; // ts_rank_cd adds about 0.1 per matched query term, so one stray word is not enough
+const GROUNDED_ONLY_INSTRUCTIONS = `COURSE-MATERIALS-ONLY MODE (set by the instructor; this overrides the instructions above):
+- Answer only from the numbered course excerpts provided with the question
+- Do not use general knowledge, and do not add facts, examples, or formulas that are not in the excerpts
+- If the excerpts only partly answer the question, answer that part and say plainly what they do not cover
+- Cite every statement with its excerpt number`;
+const CITATION_INSTRUCTIONS = `Cite the excerpts you use by their numbers in square brackets, e.g. [1] or [2][3], right after the statement they support. Only cite numbers listed above, and do not cite statements that come from general knowledge.`;
 
 /**
- * Retrieve relevant documents for a query using vector similarity
+ * Format the source label shown to the model for a retrieved chunk
+ *
+ * @param {Object} doc - Retrieved chunk with filename and optional slide_number/page_start/page_end
+ * @returns {string} Label such as "Lecture5.pptx, slide 12" or "Notes.pdf, pages 3-4"
+ */
+function formatSourceLabel(doc) {
+  if (doc.slide_number) {
+    return `${doc.filename}, slide ${doc.slide_number}`;
+  }
+  if (doc.page_start) {
+    return doc.page_end && doc.page_end !== doc.page_start
+      ? `${doc.filename}, pages ${doc.page_start}-${doc.page_end}`
+      : `${doc.filename}, page ${doc.page_start}`;
+  }
+  return doc.filename;
+}
+
+/**
+ * Describe the sources behind an answer for the documentsUsed payload
+ *
+ * @param {Array<Object>} docs - Retrieved chunks or on-demand documents
+ * @returns {Array<Object>} Sources with documentId, chunkId, filename, page range, slide number,
+ *   and the vector distance to the query (null if the chunk was not found by vector search)
+ */
+function describeDocumentsUsed(docs) {
+  return docs.map(doc => ({
+    documentId: doc.document_id ?? null,
+    chunkId: doc.chunk_id ?? null,
+    filename: doc.filename,
+    pageStart: doc.page_start ?? null,
+    pageEnd: doc.page_end ?? null,
+    slideNumber: doc.slide_number ?? null,
+    distance: doc.distance ?? doc.chunk_distance ?? null
+  }));
+}
+
+/**
+ * Build the numbered source context for the prompt. Excerpt n is cited as [n] in the answer,
+ * which matches position n - 1 in describeDocumentsUsed(docs).
+ *
+ * @param {Array<Object>} docs - Retrieved chunks or on-demand documents
+ * @returns {string} Context text
+ */
+function buildSourceContext(docs) {
+  if (docs.length === 0) {
+    return 'Here is available context from the class materials (latest uploads first):\n\n';
+  }
+
+  let context = 'Here are relevant excerpts from the course materials:\n\n';
+  docs.forEach((doc, idx) => {
+    context += `[${idx + 1}] ${formatSourceLabel(doc)}:\n${doc.content}\n\n`;
+  });
+  return context;
+}
+
+/**
+ * Whether retrieval found course material close enough to answer in grounded-only mode.
+ * Only scored matches count: a vector match at or above the similarity threshold, or a
+ * full-text match ranked at least MIN_GROUNDING_LEXICAL_SCORE. Unscored chunks (such as the
+ * arbitrary chunks returned when the query could not be embedded) never ground an answer.
+ *
+ * @param {Array<Object>} docs - Retrieved chunks
+ * @param {number} minSimilarity - Cosine similarity the best vector match must reach
+ * @returns {boolean} True if the answer can be grounded in the retrieved chunks
+ */
+function hasSufficientGrounding(docs, minSimilarity) {
+  return docs.some(doc => {
+    const distance = doc.distance ?? doc.chunk_distance;
+    if (typeof distance === 'number' && 1 - distance >= minSimilarity) {
+      return true;
+    }
+    return typeof doc.lexical_score === 'number' && doc.lexical_score >= MIN_GROUNDING_LEXICAL_SCORE;
+  });
+}
+
+/**
+ * Build the reply for a grounded-only class when the materials do not cover a question
+ *
+ * @param {number} classId - ID of the class
+ * @param {string} courseLabel - Course code and name for the message
+ * @param {Array<number>|null} documentIds - Documents the question was limited to (null for the whole class)
+ * @returns {Promise<string>} Decline message naming the materials that were searched
+ */
+async function buildGroundedOnlyDecline(classId, courseLabel, documentIds = null) {
+  const result = await pool.query(
+    `SELECT filename FROM documents
+     WHERE class_id = $1 AND ($2::integer[] IS NULL OR id = ANY($2))
+     ORDER BY uploaded_at ASC`,
+    [classId, documentIds]
+  );
+  const filenames = result.rows.map(row => row.filename);
+
+  if (filenames.length === 0) {
+    return `I can only answer from the course materials for ${courseLabel}, and none have been uploaded yet.`;
+  }
+
+  const listed = filenames.slice(0, MAX_LISTED_MATERIALS).map(filename => `- ${filename}`);
+  if (filenames.length > MAX_LISTED_MATERIALS) {
+    listed.push(`- ...and ${filenames.length - MAX_LISTED_MATERIALS} more`);
+  }
+
+  return `I couldn't find this in the course materials for ${courseLabel}, and this class only allows answers based on its materials.
+
+**Materials searched:**
+${listed.join('\n')}
+
+Try rephrasing with terms used in the lectures or readings, or ask your instructor.`;
+}
+
+/**
+ * Validate the documents a student @-mentioned against the class
+ *
+ * @param {number} classId - ID of the class
+ * @param {Array} documentIds - Document IDs from the client
+ * @returns {Promise<Array<number>|null>} IDs of mentioned documents in the class, or null to search the whole class
+ */
+async function resolveDocumentScope(classId, documentIds) {
+  if (!Array.isArray(documentIds) || documentIds.length === 0) {
+    return null;
+  }
+
+  const ids = documentIds.map(Number).filter(Number.isInteger).slice(0, MAX_MENTIONED_DOCUMENTS);
+  const result = await pool.query(
+    'SELECT id FROM documents WHERE class_id = $1 AND id = ANY($2)',
+    [classId, ids]
+  );
+
+  // Mentions of deleted or foreign documents fall back to searching the whole class
+  return result.rows.length > 0 ? result.rows.map(row => row.id) : null;
+}
+
+/**
+ * Whether text mentions a filename as "@filename". The filename must end the mention: a following
+ * letter, digit, "-", "_" or ".ext" means a longer name (@notes.pdf does not mention notes.pdf.old),
+ * while spaces and trailing punctuation ("see @notes.pdf.") do not.
+ *
+ * @param {string} text - Question text
+ * @param {string} filename - Document filename
+ * @returns {boolean} True if the filename is mentioned
+ */
+function mentionsFilename(text, filename) {
+  const escaped = filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`@${escaped}(?![\\p{L}\\p{N}_-]|\\.[\\p{L}\\p{N}])`, 'u').test(text);
+}
+
+/**
+ * Documents a question @-mentions by filename, read from the question's text. Used when the client
+ * cannot send the mentions, e.g. to regenerate an answer whose question is not loaded.
+ *
+ * @param {number} classId - ID of the class
+ * @param {string} text - Question text
+ * @returns {Promise<Array<number>|null>} IDs of mentioned documents in the class, or null if none
+ */
+async function findMentionedDocumentIds(classId, text) {
+  if (!text || !text.includes('@')) {
+    return null;
+  }
+
+  // strpos narrows the class's documents; mentionsFilename then rejects longer names that merely start the same
+  const result = await pool.query(
+    `SELECT id, filename FROM documents
+     WHERE class_id = $1 AND strpos($2, '@' || filename) > 0
+     ORDER BY id`,
+    [classId, text]
+  );
+  const ids = result.rows
+    .filter(row => mentionsFilename(text, row.filename))
+    .slice(0, MAX_MENTIONED_DOCUMENTS)
+    .map(row => row.id);
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Validate a passage the student selected in a class document to ask about
+ *
+ * @param {number} classId - ID of the class
+ * @param {Object} pinnedContext - { documentId, page, text } sent with the question
+ * @returns {Promise<Object|null>} { documentId, filename, page, text }, or null if empty or not a document of the class
+ */
+async function resolvePinnedContext(classId, pinnedContext) {
+  const text = typeof pinnedContext?.text === 'string' ? pinnedContext.text.trim() : '';
+  const documentId = Number(pinnedContext?.documentId);
+  if (!text || !Number.isInteger(documentId)) {
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT id, filename FROM documents WHERE class_id = $1 AND id = $2',
+    [classId, documentId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const page = Number(pinnedContext.page);
+  return {
+    documentId,
+    filename: result.rows[0].filename,
+    page: Number.isInteger(page) && page > 0 ? page : null,
+    text: text.substring(0, MAX_PINNED_CONTEXT_CHARS)
+  };
+}
+
+/**
+ * Search query for a question, led by the start of any passage it is about,
+ * so that "explain this" finds the passage and its surroundings
+ *
+ * @param {string} searchQuery - Standalone query from rewriteQuery
+ * @param {Object|null} pinnedContext - Selected passage from resolvePinnedContext
+ * @returns {string} Query used for retrieval
+ */
+function buildRetrievalQuery(searchQuery, pinnedContext) {
+  return pinnedContext
+    ? `${pinnedContext.text.substring(0, PINNED_QUERY_CHARS)}\n${searchQuery}`
+    : searchQuery;
+}
+
+/**
+ * The whole text of a document, when it is small enough to send instead of retrieved excerpts
+ *
+ * @param {number} classId - ID of the class
+ * @param {number} documentId - ID of the document
+ * @returns {Promise<Array|null>} A single source with the full text, or null if the document is too large or empty
+ */
+async function getFullTextContext(classId, documentId) {
+  const [doc] = await getDocumentsTextOnDemand(classId, 1, FULL_TEXT_MAX_CHARS + 1, [documentId]);
+  if (!doc || doc.content.length > FULL_TEXT_MAX_CHARS) {
+    console.log(`📄 Document ${documentId} is too large for full-text context, using retrieval`);
+    return null;
+  }
+
+  console.log(`📄 Using the full text of ${doc.filename} (${doc.content.length} chars) as context`);
+  return [{ document_id: doc.documentId, filename: doc.filename, content: doc.content }];
+}
+
+/**
+ * Embed a query with the class's embedding model
+ *
+ * @param {number} classId - ID of the class being searched
+ * @param {string} query - User's search query
+ * @returns {Promise<Object>} Result with embedding (or null) and the model that produced it
+ */
+async function embedQueryForClass(classId, query) {
+  const { embeddingModel } = await getClassRagSettings(classId);
+  const { embeddings, model } = await generateEmbeddings([query], { model: embeddingModel });
+  return { embedding: embeddings[0], model };
+}
+
+/**
+ * Cosine distance between a vector column and the query vector ($1). The untyped column is cast to
+ * the query's dimension so the per-model vector indexes (partial on embedding_model) are used;
+ * queries must also filter on embedding_model.
+ *
+ * @param {string} column - Qualified vector column, e.g. "dc.embedding"
+ * @param {Array<number>} queryEmbedding - The query vector
+ * @returns {string} SQL distance expression
+ */
+function vectorDistanceSql(column, queryEmbedding) {
+  const dimensions = queryEmbedding.length;
+  return `(${column}::vector(${dimensions}) <=> $1::vector(${dimensions}))`;
+}
+
+/**
+ * Build a Postgres tsquery that matches chunks containing any of the query's words
+ *
+ * @param {string} query - User's search query
+ * @returns {string} tsquery text such as "cs31 | pointer | arithmetic" (empty if the query has no words)
+ */
+function buildLexicalQuery(query) {
+  const terms = (query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(terms)].slice(0, MAX_LEXICAL_QUERY_TERMS).join(' | ');
+}
+
+/**
+ * Retrieve chunks by Postgres full-text search, ranked by cover density.
+ * Catches exact terms (course codes, theorem and variable names) that embeddings blur.
  *
  * @param {number} classId - ID of the class to search within
  * @param {string} query - User's search query
+ * @param {number} limit - Maximum number of chunks to return
+ * @param {Array<number>|null} documentIds - Only search these documents (null for the whole class)
+ * @returns {Promise<Array>} Matching chunks, best first, with lexical_score
+ */
+async function lexicalSearch(classId, query, limit = DEFAULT_RETRIEVAL_LIMIT, documentIds = null) {
+  const tsQuery = buildLexicalQuery(query);
+  if (!tsQuery) {
+    return [];
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT dc.id as chunk_id, dc.document_id, d.filename, dc.content, dc.slide_number, dc.page_start, dc.page_end,
+              ts_rank_cd(dc.content_tsv, q) as lexical_score
+       FROM document_chunks dc
+       JOIN documents d ON dc.document_id = d.id,
+            to_tsquery('english', $2) q
+       WHERE d.class_id = $1 AND dc.content_tsv @@ q AND ($4::integer[] IS NULL OR d.id = ANY($4))
+       ORDER BY lexical_score DESC
+       LIMIT $3`,
+      [classId, tsQuery, limit, documentIds]
+    );
+
+    console.log(`🔤 Full-text search found ${result.rows.length} matching chunks`);
+    return result.rows;
+  } catch (error) {
+    console.error('Error in full-text search:', error);
+    return [];
+  }
+}
+
+/**
+ * Merge ranked result lists with weighted reciprocal rank fusion.
+ * Each list contributes weight / (k + rank) to a chunk's score, so chunks ranked
+ * well by several sources rise to the top without comparing raw scores.
+ *
+ * @param {Array<Object>} rankedLists - Lists as { name, weight, results } with results best first
+ * @param {number} k - Rank damping constant
+ * @returns {Array<Object>} Unique chunks sorted by fusion_score, with a <name>_rank per source
+ */
+function fuseRankedLists(rankedLists, k = RRF_K) {
+  const fused = new Map();
+
+  for (const { name, weight, results } of rankedLists) {
+    if (!weight) {
+      continue;
+    }
+
+    results.forEach((row, index) => {
+      const entry = { ...row, ...(fused.get(row.chunk_id) || { fusion_score: 0 }) };
+      entry.fusion_score += weight / (k + index + 1);
+      entry[`${name}_rank`] = index + 1;
+      fused.set(row.chunk_id, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.fusion_score - a.fusion_score);
+}
+
+/**
+ * Retrieve relevant documents for a query using vector similarity.
+ * Only chunks embedded with the same model as the query are compared.
+ *
+ * @param {number} classId - ID of the class to search within
+ * @param {string} query - User's search query
+ * @param {number} limit - Maximum number of chunks to return
+ * @param {Array<number>|null} documentIds - Only search these documents (null for the whole class)
  * @returns {Promise<Array>} Array of relevant document chunks
  */
-async function retrieveRelevantDocuments(classId, query) {
+async function retrieveRelevantDocuments(classId, query, limit = DEFAULT_RETRIEVAL_LIMIT, documentIds = null) {
   try {
     // Generate embedding for the query
-    const queryEmbedding = await generateEmbedding(query);
+    const { embedding: queryEmbedding, model } = await embedQueryForClass(classId, query);
 
     if (!queryEmbedding) {
       console.log('⚠️ Could not generate query embedding, falling back to keyword search');
+      const keywordMatches = await lexicalSearch(classId, query, limit, documentIds);
+      if (keywordMatches.length > 0) {
+        return keywordMatches;
+      }
+
       // Fallback to simple content retrieval
       const result = await pool.query(
-        `SELECT d.filename, dc.content
+        `SELECT dc.id as chunk_id, dc.document_id, d.filename, dc.content, dc.slide_number, dc.page_start, dc.page_end
          FROM document_chunks dc
          JOIN documents d ON dc.document_id = d.id
-         WHERE d.class_id = $1
+         WHERE d.class_id = $1 AND ($2::integer[] IS NULL OR d.id = ANY($2))
          LIMIT 3`,
-        [classId]
+        [classId, documentIds]
       );
       return result.rows;
     }
 
     // Use pgvector cosine similarity to find most relevant chunks
     const result = await pool.query(
-      `SELECT d.filename, dc.content,
-              (dc.embedding <=> $1::vector) as distance
+      `SELECT dc.id as chunk_id, dc.document_id, d.filename, dc.content, dc.slide_number, dc.page_start, dc.page_end,
+              ${vectorDistanceSql('dc.embedding', queryEmbedding)} as distance
        FROM document_chunks dc
        JOIN documents d ON dc.document_id = d.id
-       WHERE d.class_id = $2
-       ORDER BY dc.embedding <=> $1::vector
-       LIMIT 5`,
-      [JSON.stringify(queryEmbedding), classId]
+       WHERE d.class_id = $2 AND dc.embedding IS NOT NULL AND dc.embedding_model = $3
+         AND ($5::integer[] IS NULL OR d.id = ANY($5))
+       ORDER BY ${vectorDistanceSql('dc.embedding', queryEmbedding)}
+       LIMIT $4`,
+      [JSON.stringify(queryEmbedding), classId, model, limit, documentIds]
     );
 
     console.log(`🔍 Found ${result.rows.length} relevant chunks for query`);
@@ -65,15 +434,22 @@ async function retrieveRelevantDocuments(classId, query) {
  * @param {number} classId - ID of the class to search within
  * @param {string} query - User's search query
  * @param {number} limit - Maximum number of chunks to return
+ * @param {Array<number>|null} documentIds - Only search these documents (null for the whole class)
  * @returns {Promise<Array>} Array of relevant document chunks
  */
-async function smartHierarchicalRetrieval(classId, query, limit = 5) {
+async function smartHierarchicalRetrieval(classId, query, limit = DEFAULT_RETRIEVAL_LIMIT, documentIds = null) {
+  // The student already picked the documents, so there is nothing for the summary stage to choose
+  if (documentIds) {
+    console.log(`📌 Searching only the ${documentIds.length} mentioned documents`);
+    return await retrieveRelevantDocuments(classId, query, limit, documentIds);
+  }
+
   try {
-    const queryEmbedding = await generateEmbedding(query);
+    const { embedding: queryEmbedding, model } = await embedQueryForClass(classId, query);
 
     if (!queryEmbedding) {
       console.log('⚠️ Query embedding failed, falling back to basic retrieval');
-      return await retrieveRelevantDocuments(classId, query);
+      return await retrieveRelevantDocuments(classId, query, limit);
     }
 
     // Stage 1: Find relevant documents via summaries
@@ -81,18 +457,18 @@ async function smartHierarchicalRetrieval(classId, query, limit = 5) {
 
     const relevantDocsResult = await pool.query(
       `SELECT ds.document_id, d.filename, ds.summary,
-              (ds.summary_embedding <=> $1::vector) as summary_distance
+              ${vectorDistanceSql('ds.summary_embedding', queryEmbedding)} as summary_distance
        FROM document_summaries ds
        JOIN documents d ON ds.document_id = d.id
-       WHERE d.class_id = $2
-       ORDER BY ds.summary_embedding <=> $1::vector
+       WHERE d.class_id = $2 AND ds.summary_embedding IS NOT NULL AND ds.embedding_model = $3
+       ORDER BY ${vectorDistanceSql('ds.summary_embedding', queryEmbedding)}
        LIMIT 3`,
-      [JSON.stringify(queryEmbedding), classId]
+      [JSON.stringify(queryEmbedding), classId, model]
     );
 
     if (relevantDocsResult.rows.length === 0) {
       console.log('📄 No document summaries found, falling back to chunk search');
-      return await retrieveRelevantDocuments(classId, query);
+      return await retrieveRelevantDocuments(classId, query, limit);
     }
 
     const relevantDocIds = relevantDocsResult.rows.map(row => row.document_id);
@@ -103,14 +479,14 @@ async function smartHierarchicalRetrieval(classId, query, limit = 5) {
     console.log('🔍 Stage 2: Searching chunks within relevant documents...');
 
     const chunksResult = await pool.query(
-      `SELECT d.filename, dc.content,
-              (dc.embedding <=> $1::vector) as chunk_distance
+      `SELECT dc.id as chunk_id, dc.document_id, d.filename, dc.content, dc.slide_number, dc.page_start, dc.page_end,
+              ${vectorDistanceSql('dc.embedding', queryEmbedding)} as chunk_distance
        FROM document_chunks dc
        JOIN documents d ON dc.document_id = d.id
-       WHERE dc.document_id = ANY($2)
-       ORDER BY dc.embedding <=> $1::vector
+       WHERE dc.document_id = ANY($2) AND dc.embedding IS NOT NULL AND dc.embedding_model = $4
+       ORDER BY ${vectorDistanceSql('dc.embedding', queryEmbedding)}
        LIMIT $3`,
-      [JSON.stringify(queryEmbedding), relevantDocIds, limit]
+      [JSON.stringify(queryEmbedding), relevantDocIds, limit, model]
     );
 
     console.log(`🎯 Smart retrieval found ${chunksResult.rows.length} relevant chunks from ${relevantDocIds.length} documents`);
@@ -120,7 +496,7 @@ async function smartHierarchicalRetrieval(classId, query, limit = 5) {
   } catch (error) {
     console.error('Error in smart hierarchical retrieval:', error);
     console.log('🔄 Falling back to basic retrieval...');
-    return await retrieveRelevantDocuments(classId, query);
+    return await retrieveRelevantDocuments(classId, query, limit);
   }
 }
 
@@ -182,112 +558,205 @@ async function getAdaptiveContextStrategy(classId) {
 }
 
 /**
- * Enhanced retrieve function with all optimizations
+ * Vector candidates for hybrid retrieval: hierarchical search, then basic search if it finds nothing
  *
  * @param {number} classId - ID of the class to search within
  * @param {string} query - User's search query
+ * @param {number} limit - Maximum number of chunks to return
+ * @param {Array<number>|null} documentIds - Only search these documents (null for the whole class)
+ * @returns {Promise<Array>} Chunks ordered by vector similarity
+ */
+async function retrieveVectorCandidates(classId, query, limit, documentIds = null) {
+  const chunks = await smartHierarchicalRetrieval(classId, query, limit, documentIds);
+  if (chunks && chunks.length > 0) {
+    return chunks;
+  }
+
+  console.log('🔄 Hierarchical retrieval found nothing, trying basic retrieval...');
+  return await retrieveRelevantDocuments(classId, query, limit, documentIds);
+}
+
+/**
+ * Enhanced retrieve function with all optimizations.
+ * Vector and full-text candidates are merged by reciprocal rank fusion using the class's weights,
+ * then the top rerankDepth candidates are rescored by the class's reranker before truncation.
+ * Every retrieval is recorded in retrieval_analytics.
+ *
+ * @param {number} classId - ID of the class to search within
+ * @param {string} query - User's search query
+ * @param {Object} options - messageId of the AI answer, to link the logged retrieval to its feedback,
+ *   and documentIds to search only the documents the student mentioned
  * @returns {Promise<Array>} Array of optimized relevant chunks
  */
-async function retrieveRelevantDocumentsOptimized(classId, query) {
+async function retrieveRelevantDocumentsOptimized(classId, query, { messageId = null, documentIds = null } = {}) {
+  const startedAt = Date.now();
   try {
     console.log(`🚀 Starting optimized retrieval for class ${classId}`);
 
-    // Get adaptive context strategy
-    const contextStrategy = await getAdaptiveContextStrategy(classId);
+    // Get adaptive context strategy and the class's fusion weights
+    const [contextStrategy, settings] = await Promise.all([
+      getAdaptiveContextStrategy(classId),
+      getClassRagSettings(classId)
+    ]);
+
+    // With both weights at zero, rank by vectors alone rather than returning nothing
+    const vectorWeight = settings.vectorWeight > 0 || settings.lexicalWeight > 0 ? settings.vectorWeight : 1;
+    const lexicalWeight = settings.lexicalWeight;
+    const reranking = settings.reranker !== 'none';
+    const candidateLimit = Math.max(
+      contextStrategy.maxChunks * HYBRID_CANDIDATE_MULTIPLIER,
+      reranking ? settings.rerankDepth : 0
+    );
+
+    const [vectorChunks, lexicalChunks] = await Promise.all([
+      vectorWeight > 0 ? retrieveVectorCandidates(classId, query, candidateLimit, documentIds) : [],
+      lexicalWeight > 0 ? lexicalSearch(classId, query, candidateLimit, documentIds) : []
+    ]);
 
-    // Try smart hierarchical retrieval first
-    let relevantChunks = await smartHierarchicalRetrieval(classId, query, contextStrategy.maxChunks);
+    const fusedChunks = fuseRankedLists([
+      { name: 'vector', weight: vectorWeight, results: vectorChunks },
+      { name: 'lexical', weight: lexicalWeight, results: lexicalChunks }
+    ]);
 
-    // If hierarchical retrieval found nothing, fall back to basic retrieval
-    if (!relevantChunks || relevantChunks.length === 0) {
-      console.log('🔄 Hierarchical retrieval found nothing, trying basic retrieval...');
-      relevantChunks = await retrieveRelevantDocuments(classId, query);
-    }
+    console.log(`🔀 Fused ${vectorChunks.length} vector and ${lexicalChunks.length} full-text candidates into ${fusedChunks.length} chunks (weights ${vectorWeight}/${lexicalWeight})`);
+
+    // Rescore a wider pool than the context holds so the best chunk is not crowded out
+    const relevantChunks = await rerankChunks(
+      query,
+      reranking ? fusedChunks.slice(0, settings.rerankDepth) : fusedChunks,
+      { reranker: settings.reranker, limit: contextStrategy.maxChunks }
+    );
 
     // Truncate content according to adaptive strategy
-    const optimizedChunks = relevantChunks.slice(0, contextStrategy.maxChunks).map(chunk => ({
+    const optimizedChunks = relevantChunks.map(chunk => ({
       ...chunk,
       content: chunk.content.substring(0, contextStrategy.charsPerChunk)
     }));
 
     console.log(`✅ Optimized retrieval complete: ${optimizedChunks.length} chunks (${contextStrategy.reasoning})`);
 
+    logRetrieval(classId, query, optimizedChunks, {
+      strategy: vectorChunks.length > 0 && lexicalChunks.length > 0 ? 'hybrid' : lexicalChunks.length > 0 ? 'lexical' : 'vector',
+      contextStrategy: contextStrategy.reasoning,
+      reranker: settings.reranker,
+      messageId,
+      retrievalTimeMs: Date.now() - startedAt
+    });
+
     return optimizedChunks;
 
   } catch (error) {
     console.error('Error in optimized retrieval:', error);
     // Final fallback to original function
-    return await retrieveRelevantDocuments(classId, query);
+    const chunks = await retrieveRelevantDocuments(classId, query, DEFAULT_RETRIEVAL_LIMIT, documentIds);
+    logRetrieval(classId, query, chunks, { strategy: 'fallback', messageId, retrievalTimeMs: Date.now() - startedAt });
+    return chunks;
   }
 }
 
 /**
- * Generate AI response using RAG
+ * Retrieve the course material for a question and decide whether a grounded-only class must decline.
+ * Both generators build on this, so a fallback answer can reuse a retrieval instead of repeating it.
  *
  * @param {number} classId - ID of the class context
  * @param {string} question - User's question
- * @param {string} aiName - Name of the AI assistant
- * @returns {Promise<Object>} Result with AI response and metadata
+ * @param {Object} conversation - Earlier turns and rolling summary from getConversationContext
+ * @param {number} messageId - ID of the AI message being generated, if it exists yet
+ * @param {Object} scope - documentIds to limit retrieval to (from resolveDocumentScope), fullText
+ *   to send a single small document whole, and pinnedContext (from resolvePinnedContext)
+ * @param {Object} options - signal to abort the query rewrite
+ * @returns {Promise<Object>} { courseLabel, settings, pinnedContext, relevantDocs, decline }, where decline is the
+ *   reply for a grounded-only class whose materials do not cover the question (null otherwise)
  */
-async function generateAIResponse(classId, question, aiName = 'Andy') {
-  try {
-    // Get class information (name and code) for context
-    const classResult = await pool.query(
-      'SELECT code, name FROM classes WHERE id = $1',
-      [classId]
-    );
-    const className = classResult.rows[0]?.name || 'this course';
-    const classCode = classResult.rows[0]?.code || '';
-
-    // Use optimized hierarchical retrieval
-    console.log(`🤖 Generating AI response with optimized retrieval for class ${classId}`);
-
-    let relevantDocs = await retrieveRelevantDocumentsOptimized(classId, question);
-
-    // If optimized retrieval found nothing, fall back to on-demand content
-    if (!relevantDocs || relevantDocs.length === 0) {
-      console.log('📄 No optimized results, falling back to on-demand content...');
-      const docs = await getDocumentsTextOnDemand(classId, 4, 2000);
-      relevantDocs = docs.map(s => ({ filename: s.filename, content: s.content }));
-    }
+async function prepareAnswer(classId, question, conversation = null, messageId = null, scope = {}, { signal } = {}) {
+  const { documentIds = null, fullText = false, pinnedContext = null } = scope || {};
+
+  // Get class information (name and code) for context
+  const classResult = await pool.query(
+    'SELECT code, name FROM classes WHERE id = $1',
+    [classId]
+  );
+  const className = classResult.rows[0]?.name || 'this course';
+  const classCode = classResult.rows[0]?.code || '';
+  const courseLabel = classCode ? `${classCode} - ${className}` : className;
+  const settings = await getClassRagSettings(classId);
+
+  // Follow-ups like "what about the second one?" are rewritten into a standalone query for retrieval
+  const searchQuery = await rewriteQuery(question, conversation, { signal });
+
+  // A small document in a document chat can be sent whole instead of as retrieved excerpts
+  const fullTextDocs = fullText && documentIds?.length === 1
+    ? await getFullTextContext(classId, documentIds[0])
+    : null;
+
+  let relevantDocs = fullTextDocs || await retrieveRelevantDocumentsOptimized(classId, buildRetrievalQuery(searchQuery, pinnedContext), { messageId, documentIds });
+
+  // Grounded-only classes decline instead of answering from weak matches or general knowledge
+  if (settings.groundedOnly && !fullTextDocs && !hasSufficientGrounding(relevantDocs || [], settings.groundingMinSimilarity)) {
+    console.log(`🔒 No course excerpt reaches similarity ${settings.groundingMinSimilarity} in grounded-only class ${classId}, declining`);
+    return {
+      courseLabel,
+      settings,
+      pinnedContext,
+      relevantDocs: [],
+      decline: await buildGroundedOnlyDecline(classId, courseLabel, documentIds)
+    };
+  }
 
-    // Build context from documents
-    let context = '';
-    if (relevantDocs.length > 0) {
-      context = 'Here are relevant excerpts from the course materials:\n\n';
-      relevantDocs.forEach((doc, idx) => {
-        context += `Document ${idx + 1} (${doc.filename}):\n${doc.content}\n\n`;
-      });
-    } else {
-      context = 'Here is available context from the class materials (latest uploads first):\n\n';
-    }
+  // If optimized retrieval found nothing, fall back to on-demand content
+  if (!relevantDocs || relevantDocs.length === 0) {
+    console.log('📄 No optimized results, falling back to on-demand content...');
+    const docs = await getDocumentsTextOnDemand(classId, 4, 2000, documentIds);
+    relevantDocs = docs.map(s => ({ document_id: s.documentId, filename: s.filename, content: s.content }));
+  }
 
-    // Create the prompt with current date/time context
-    const currentDate = new Date();
-    const dateString = currentDate.toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-    const timeString = currentDate.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-      timeZoneName: 'short'
-    });
+  return { courseLabel, settings, pinnedContext, relevantDocs, decline: null };
+}
 
-    const systemPrompt = `You are a knowledgeable academic AI assistant helping students with ${classCode ? `${classCode} - ${className}` : className}.
+/**
+ * Build the chat messages for an answer: the system prompt (with the grounded-only rules when
+ * the class uses them), the earlier conversation, and the question with its numbered excerpts
+ *
+ * @param {Object} prepared - Result of prepareAnswer
+ * @param {string} question - User's question
+ * @param {Object} conversation - Earlier turns and rolling summary from getConversationContext
+ * @returns {Array<Object>} Messages for the provider's chat or streamChat
+ */
+function buildAnswerMessages({ courseLabel, settings, pinnedContext, relevantDocs }, question, conversation = null) {
+  // Build context from documents, numbered so the answer can cite them
+  const context = buildSourceContext(relevantDocs);
+  const questionBlock = pinnedContext
+    ? `${formatPinnedContext(pinnedContext)}\n\nQuestion: "${question}"`
+    : `Question: "${question}"`;
+
+  // Create the prompt with current date/time context
+  const currentDate = new Date();
+  const dateString = currentDate.toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+  const timeString = currentDate.toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+
+  const systemPrompt = `You are a knowledgeable academic AI assistant helping students with ${courseLabel}.
 
 CURRENT CONTEXT:
 - Today is: ${dateString}
 - Current time: ${timeString}
 - Year: ${currentDate.getFullYear()}
-- Course: ${classCode ? `${classCode} - ${className}` : className}
+- Course: ${courseLabel}
 
 Response priorities:
 1. FIRST: Check if the question relates to uploaded course materials - if so, prioritize that information
-2. SECOND: If no course materials are relevant, answer using your general knowledge
-3. Always be helpful and direct regardless of the question type
+${settings.groundedOnly
+  ? '2. Always be helpful and direct regardless of the question type'
+  : `2. SECOND: If no course materials are relevant, answer using your general knowledge
+3. Always be helpful and direct regardless of the question type`}
 
 Core principles:
 - Be direct and concise - get straight to the point
@@ -296,6 +765,7 @@ Core principles:
 - For simple questions, give simple answers using the current context above
 - Be honest about your limitations
 - Use the current date/time information provided above for any time-related questions
+- Use the earlier conversation to understand follow-up questions ("what about the second one?")
 
 CRITICAL FORMATTING RULES:
 - NEVER use markdown headers (###, ##, #) - they look unprofessional
@@ -310,32 +780,32 @@ For course-related questions:
 - Explain concepts clearly and practically
 - Provide detailed analysis and examples from the materials when helpful
 - Use **bold text** to highlight key findings and section titles
-
+${settings.groundedOnly ? '' : `
 For general questions:
 - Answer directly using your knowledge and the current context provided above
 - For date/time questions, use the exact current date/time information provided
 - Don't deflect to course-related topics unless truly relevant
 - Be helpful across all subjects: science, math, current events, practical advice, etc.
 - For real-time information you don't have (weather, breaking news, stock prices), honestly say "I don't know"
-
+`}
 For technical content:
 - For diagrams, automata, or mathematical figures, provide complete LaTeX/TikZ code
 - Use proper academic notation and clear labeling
 - Make visual representations accurate and publication-quality`;
 
-    const userPrompt = context.length > 0
-      ? `Course materials available for ${classCode ? `${classCode} - ${className}` : className}:
+  const userPrompt = context.length > 0
+    ? `Course materials available for ${courseLabel}:
 ${context}
 
-Question: "${question}"
-
-Provide a detailed, well-structured answer. Use course materials if relevant, otherwise use general knowledge.
+${questionBlock}
 
+Provide a detailed, well-structured answer. ${settings.groundedOnly ? 'Answer only from the course materials above.' : 'Use course materials if relevant, otherwise use general knowledge.'}
+${relevantDocs.length > 0 ? `\n${CITATION_INSTRUCTIONS}\n` : ''}
 Remember to format with:
 - **Bold text** for key terms and section titles (NOT ### headers)
 - Bullet points and lists for clear organization
 - Thorough, detailed analysis when appropriate`
-      : `Question: "${question}"
+    : `${questionBlock}
 
 Provide a clear, well-structured answer using your general knowledge.
 
@@ -344,22 +814,50 @@ Remember to format with:
 - Bullet points and lists for clear organization
 - Clean, professional formatting`;
 
-    // Call OpenAI with Claude-like settings
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ],
+  return [
+    { role: "system", content: systemPrompt },
+    ...(settings.groundedOnly ? [{ role: "system", content: GROUNDED_ONLY_INSTRUCTIONS }] : []),
+    ...buildHistoryMessages(conversation),
+    { role: "user", content: userPrompt }
+  ];
+}
+
+/**
+ * Generate AI response using RAG
+ *
+ * @param {number} classId - ID of the class context
+ * @param {string} question - User's question
+ * @param {string} aiName - Name of the AI assistant
+ * @param {Object} conversation - Earlier turns and rolling summary from getConversationContext
+ * @param {number} messageId - ID of the AI message being generated, if it exists yet
+ * @param {Object} scope - documentIds to limit retrieval to (from resolveDocumentScope), fullText
+ *   to send a single small document whole, and pinnedContext (from resolvePinnedContext)
+ * @param {Object} prepared - Result of prepareAnswer to reuse, e.g. after a failed stream (null to retrieve now)
+ * @returns {Promise<Object>} Result with AI response and metadata
+ */
+async function generateAIResponse(classId, question, aiName = 'Andy', conversation = null, messageId = null, scope = {}, prepared = null) {
+  try {
+    const answerContext = prepared || await prepareAnswer(classId, question, conversation, messageId, scope);
+    if (answerContext.decline) {
+      return {
+        success: true,
+        response: answerContext.decline,
+        documentsUsed: [],
+        declined: true
+      };
+    }
+
+    // Call the configured LLM provider with Claude-like settings
+    const response = await getProvider().chat({
+      messages: buildAnswerMessages(answerContext, question, conversation),
       temperature: AI_TEMPERATURE,
-      max_tokens: AI_MAX_TOKENS,
-      stream: false
+      maxTokens: AI_MAX_TOKENS
     });
 
     return {
       success: true,
-      response: response.choices[0].message.content,
-      documentsUsed: relevantDocs.map(d => d.filename)
+      response,
+      documentsUsed: describeDocumentsUsed(answerContext.relevantDocs)
     };
   } catch (error) {
     console.error('Error generating AI response:', error);
@@ -386,9 +884,28 @@ Remember to format with:
 }
 
 module.exports = {
+  CITATION_INSTRUCTIONS,
+  FULL_TEXT_MAX_CHARS,
+  GROUNDED_ONLY_INSTRUCTIONS,
+  buildGroundedOnlyDecline,
+  buildRetrievalQuery,
+  buildSourceContext,
+  getFullTextContext,
+  hasSufficientGrounding,
+  mentionsFilename,
+  findMentionedDocumentIds,
+  resolveDocumentScope,
+  resolvePinnedContext,
+  formatSourceLabel,
+  describeDocumentsUsed,
+  buildLexicalQuery,
+  fuseRankedLists,
+  lexicalSearch,
   retrieveRelevantDocuments,
   smartHierarchicalRetrieval,
   getAdaptiveContextStrategy,
   retrieveRelevantDocumentsOptimized,
+  prepareAnswer,
+  buildAnswerMessages,
   generateAIResponse
 };
@@ -0,0 +1,121 @@
+/**
+ * Reranking service
+ * Second-stage scoring of retrieved chunks against the query, before context assembly.
+ * First-stage retrieval ranks by embedding distance and keyword overlap; a reranker reads
+ * the query and passage together and so picks the best chunk out of a wider pool.
+ *
+ * Rerankers:
+ *   none          - keep the retrieval order
+ *   llm           - one scoring call through the configured LLM provider
+ *   cross-encoder - local cross-encoder model (optional @huggingface/transformers package)
+ */
+
+const { getProvider, getCrossEncoder } = require('./providers');
+
+// Constants
+const RERANKERS = ['none', 'llm', 'cross-encoder'];
+const DEFAULT_RERANKER = 'none';
+const DEFAULT_RERANK_DEPTH = 20;
+const MIN_RERANK_DEPTH = 2;
+const MAX_RERANK_DEPTH = 100;
+const LLM_RERANK_PASSAGE_CHARS = 1000;
+const LLM_RERANK_MAX_TOKENS = 400;
+const LLM_RERANK_TEMPERATURE = 0;
+
+let warnedUnknownReranker = false;
+
+/**
+ * Deployment-wide reranking defaults from RERANKER and RERANK_DEPTH
+ *
+ * @returns {Object} Defaults with reranker and rerankDepth
+ */
+function getDefaultRerankSettings() {
+  const reranker = (process.env.RERANKER || DEFAULT_RERANKER).trim().toLowerCase();
+  const depth = parseInt(process.env.RERANK_DEPTH, 10);
+
+  if (!RERANKERS.includes(reranker) && !warnedUnknownReranker) {
+    warnedUnknownReranker = true;
+    console.warn(`⚠️ Unknown RERANKER "${reranker}", reranking disabled. Expected one of: ${RERANKERS.join(', ')}`);
+  }
+
+  return {
+    reranker: RERANKERS.includes(reranker) ? reranker : DEFAULT_RERANKER,
+    rerankDepth: depth >= MIN_RERANK_DEPTH && depth <= MAX_RERANK_DEPTH ? depth : DEFAULT_RERANK_DEPTH
+  };
+}
+
+/**
+ * Score passages with a single LLM call
+ *
+ * @param {string} query - User's question
+ * @param {Array<string>} passages - Candidate passages
+ * @returns {Promise<Array<number>>} Scores from 0 to 10 in passage order
+ */
+async function scoreWithLLM(query, passages) {
+  const numbered = passages
+    .map((passage, idx) => `[${idx + 1}] ${passage.substring(0, LLM_RERANK_PASSAGE_CHARS)}`)
+    .join('\n\n');
+
+  const prompt = `Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (directly answers it).
+
+Question: "${query}"
+
+Passages:
+${numbered}
+
+Reply with only a JSON array of ${passages.length} numbers, one per passage in order.`;
+
+  const reply = await getProvider().chat({
+    messages: [{ role: 'user', content: prompt }],
+    temperature: LLM_RERANK_TEMPERATURE,
+    maxTokens: LLM_RERANK_MAX_TOKENS
+  });
+
+  const match = reply.match(/\[[\s\S]*?\]/);
+  const scores = match ? JSON.parse(match[0]) : null;
+  if (!Array.isArray(scores) || scores.length !== passages.length || !scores.every(Number.isFinite)) {
+    throw new Error('LLM reranker did not return one score per passage');
+  }
+  return scores;
+}
+
+/**
+ * Rerank candidate chunks and keep the best ones
+ * If the reranker fails, the retrieval order is kept so answers are never blocked on reranking.
+ *
+ * @param {string} query - User's question
+ * @param {Array<Object>} chunks - Candidates in retrieval order, each with content
+ * @param {Object} options - reranker name and limit (chunks to keep)
+ * @returns {Promise<Array<Object>>} Up to limit chunks, best first, with rerank_score when reranked
+ */
+async function rerankChunks(query, chunks, { reranker = DEFAULT_RERANKER, limit = chunks.length } = {}) {
+  if (reranker === 'none' || chunks.length <= 1) {
+    return chunks.slice(0, limit);
+  }
+
+  try {
+    const passages = chunks.map(chunk => chunk.content);
+    const scores = reranker === 'cross-encoder'
+      ? await getCrossEncoder().score(query, passages)
+      : await scoreWithLLM(query, passages);
+
+    // Sort is stable, so equal scores keep their retrieval order
+    const reranked = chunks
+      .map((chunk, idx) => ({ ...chunk, rerank_score: scores[idx] }))
+      .sort((a, b) => b.rerank_score - a.rerank_score);
+
+    console.log(`🏅 Reranked ${chunks.length} candidates with ${reranker}`);
+    return reranked.slice(0, limit);
+  } catch (error) {
+    console.error(`⚠️ ${reranker} reranking failed, keeping retrieval order:`, error.message);
+    return chunks.slice(0, limit);
+  }
+}
+
+module.exports = {
+  RERANKERS,
+  MIN_RERANK_DEPTH,
+  MAX_RERANK_DEPTH,
+  getDefaultRerankSettings,
+  rerankChunks
+};
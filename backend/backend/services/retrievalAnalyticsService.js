@@ -0,0 +1,143 @@
+/**
+ * Retrieval analytics service
+ * Logs every optimized retrieval (query, chunks found, distances, strategy, latency) and
+ * lets class owners browse the log, in particular the questions their materials do not cover.
+ */
+
+const pool = require('../db');
+const { getClassRagSettings } = require('./classSettings');
+
+// Constants
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const QUERY_TEXT_LIMIT = 2000;
+
+/**
+ * Record one retrieval. Never throws: analytics must not break answering.
+ *
+ * @param {number} classId - ID of the class searched
+ * @param {string} query - Query used for retrieval
+ * @param {Array<Object>} chunks - Chunks returned, in rank order
+ * @param {Object} details - strategy, contextStrategy, reranker, messageId (the answer), and retrievalTimeMs
+ */
+async function logRetrieval(classId, query, chunks, { strategy, contextStrategy = null, reranker = null, messageId = null, retrievalTimeMs }) {
+  try {
+    const distances = chunks.map(chunk => chunk.distance ?? chunk.chunk_distance ?? null);
+    const measured = distances.filter(distance => typeof distance === 'number');
+    const topSimilarity = measured.length > 0 ? 1 - Math.min(...measured) : null;
+
+    await pool.query(
+      `INSERT INTO retrieval_analytics
+         (class_id, query_text, documents_retrieved, chunks_retrieved, distances, top_similarity,
+          result_count, strategy, context_strategy, reranker, message_id, retrieval_time_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        classId,
+        (query || '').substring(0, QUERY_TEXT_LIMIT),
+        chunks.map(chunk => chunk.document_id ?? null),
+        chunks.map(chunk => chunk.chunk_id ?? null),
+        distances,
+        topSimilarity,
+        chunks.length,
+        strategy,
+        contextStrategy,
+        reranker,
+        messageId,
+        Math.round(retrievalTimeMs)
+      ]
+    );
+  } catch (error) {
+    console.error('Error logging retrieval analytics:', error.message);
+  }
+}
+
+/**
+ * Browse a class's retrieval log, newest first
+ * A retrieval found nothing relevant when it returned no chunks, or when its best vector match
+ * is below the class's grounding_min_similarity. Keyword-only results have no similarity and count as found.
+ *
+ * @param {number} classId - ID of the class
+ * @param {Object} options - noMatchOnly, before (id cursor from the previous page), and limit
+ * @returns {Promise<Object>} { summary, retrievals, nextCursor }
+ */
+async function getRetrievalAnalytics(classId, { noMatchOnly = false, before = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const { groundingMinSimilarity } = await getClassRagSettings(classId);
+  const noMatch = '(ra.result_count = 0 OR COALESCE(ra.top_similarity < $2, false))';
+
+  const [summaryResult, strategiesResult, retrievalsResult] = await Promise.all([
+    pool.query(
+      `SELECT COUNT(*)::integer AS total,
+              COUNT(*) FILTER (WHERE ${noMatch})::integer AS no_match,
+              ROUND(AVG(ra.retrieval_time_ms))::integer AS avg_time_ms,
+              PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY ra.retrieval_time_ms)::integer AS p95_time_ms
+       FROM retrieval_analytics ra
+       WHERE ra.class_id = $1`,
+      [classId, groundingMinSimilarity]
+    ),
+    pool.query(
+      `SELECT COALESCE(strategy, 'unknown') AS strategy, COUNT(*)::integer AS count
+       FROM retrieval_analytics
+       WHERE class_id = $1
+       GROUP BY 1
+       ORDER BY count DESC`,
+      [classId]
+    ),
+    pool.query(
+      `SELECT ra.id, ra.query_text, ra.documents_retrieved, ra.chunks_retrieved, ra.distances, ra.top_similarity,
+              ra.result_count, ra.strategy, ra.context_strategy, ra.reranker, ra.retrieval_time_ms, ra.created_at,
+              ra.message_id, ra.response_quality_score,
+              ${noMatch} AS no_match,
+              ARRAY(
+                SELECT d.filename FROM documents d
+                WHERE d.id = ANY(ra.documents_retrieved)
+                ORDER BY array_position(ra.documents_retrieved, d.id)
+              ) AS filenames
+       FROM retrieval_analytics ra
+       WHERE ra.class_id = $1
+         AND ($3::boolean IS NOT TRUE OR ${noMatch})
+         AND ($4::integer IS NULL OR ra.id < $4)
+       ORDER BY ra.id DESC
+       LIMIT $5`,
+      [classId, groundingMinSimilarity, noMatchOnly, before, pageSize]
+    )
+  ]);
+
+  const summary = summaryResult.rows[0];
+  const retrievals = retrievalsResult.rows.map(row => ({
+    id: row.id,
+    query: row.query_text,
+    documentIds: row.documents_retrieved || [],
+    chunkIds: row.chunks_retrieved || [],
+    distances: row.distances || [],
+    filenames: row.filenames,
+    topSimilarity: row.top_similarity,
+    resultCount: row.result_count,
+    noMatch: row.no_match,
+    strategy: row.strategy,
+    contextStrategy: row.context_strategy,
+    reranker: row.reranker,
+    messageId: row.message_id,
+    responseQualityScore: row.response_quality_score,
+    retrievalTimeMs: row.retrieval_time_ms,
+    createdAt: row.created_at
+  }));
+
+  return {
+    summary: {
+      total: summary.total,
+      noMatch: summary.no_match,
+      avgRetrievalTimeMs: summary.avg_time_ms,
+      p95RetrievalTimeMs: summary.p95_time_ms,
+      minSimilarity: groundingMinSimilarity,
+      strategies: strategiesResult.rows
+    },
+    retrievals,
+    nextCursor: retrievals.length === pageSize ? retrievals[retrievals.length - 1].id : null
+  };
+}
+
+module.exports = {
+  getRetrievalAnalytics,
+  logRetrieval
+};
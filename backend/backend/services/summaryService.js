@@ -4,8 +4,9 @@
  */
 
 const pool = require('../db');
-const { openai } = require('./embeddingService');
-const { generateEmbedding } = require('./embeddingService');
+const { generateEmbeddings } = require('./embeddingService');
+const { getClassRagSettings } = require('./classSettings');
+const { getProvider } = require('./providers');
 const { extractTextFromFile } = require('./documentExtractor');
 
 // Constants
@@ -36,14 +37,11 @@ Content: ${content.substring(0, 4000)}...
 
 Provide a detailed summary that captures the essence and searchable concepts:`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    return await getProvider().chat({
       messages: [{ role: "user", content: summaryPrompt }],
       temperature: 0.3,
-      max_tokens: SUMMARY_MAX_TOKENS
+      maxTokens: SUMMARY_MAX_TOKENS
     });
-
-    return response.choices[0].message.content;
   } catch (error) {
     console.error('Error generating document summary:', error);
     // Fallback to truncated content
@@ -81,14 +79,11 @@ Keep it clean and well-organized like modern AI assistants, but with clear struc
 Document: ${filename}
 Content: ${content}`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    return await getProvider().chat({
       messages: [{ role: "user", content: summaryPrompt }],
       temperature: ISOLATED_SUMMARY_TEMPERATURE,
-      max_tokens: ISOLATED_SUMMARY_MAX_TOKENS
+      maxTokens: ISOLATED_SUMMARY_MAX_TOKENS
     });
-
-    return response.choices[0].message.content;
   } catch (error) {
     console.error('Error generating isolated document summary:', error);
     // Fallback to basic summary
@@ -110,14 +105,12 @@ ${content.substring(0, 2000)}...
 
 Key topics:`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const topicsText = await getProvider().chat({
       messages: [{ role: "user", content: topicsPrompt }],
       temperature: 0.2,
-      max_tokens: TOPICS_MAX_TOKENS
+      maxTokens: TOPICS_MAX_TOKENS
     });
 
-    const topicsText = response.choices[0].message.content;
     return topicsText.split(',').map(topic => topic.trim()).filter(topic => topic.length > 0);
   } catch (error) {
     console.error('Error extracting topics:', error);
@@ -174,8 +167,10 @@ async function generateAndStoreDocumentSummary(documentId) {
       extractKeyTopics(content)
     ]);
 
-    // Generate embedding for the summary
-    const summaryEmbedding = await generateEmbedding(summary);
+    // Generate embedding for the summary with the class's embedding model
+    const ragSettings = await getClassRagSettings(doc.class_id);
+    const { embeddings, model } = await generateEmbeddings([summary], { model: ragSettings.embeddingModel });
+    const summaryEmbedding = embeddings[0];
 
     if (!summaryEmbedding) {
       return { success: false, message: 'Failed to generate summary embedding' };
@@ -183,9 +178,9 @@ async function generateAndStoreDocumentSummary(documentId) {
 
     // Store summary in database
     await pool.query(
-      `INSERT INTO document_summaries (document_id, summary, summary_embedding, key_topics)
-       VALUES ($1, $2, $3::vector, $4)`,
-      [documentId, summary, JSON.stringify(summaryEmbedding), keyTopics]
+      `INSERT INTO document_summaries (document_id, summary, summary_embedding, embedding_model, embedding_dim, key_topics)
+       VALUES ($1, $2, $3::vector, $4, $5, $6)`,
+      [documentId, summary, JSON.stringify(summaryEmbedding), model, summaryEmbedding.length, keyTopics]
     );
 
     // Mark document as summarized
@@ -209,9 +204,60 @@ async function generateAndStoreDocumentSummary(documentId) {
   }
 }
 
+/**
+ * Embed a stored summary that has no embedding, e.g. after an embedding migration cleared
+ * a summary vector from another model
+ *
+ * @param {number} documentId - ID of the document whose summary to embed
+ * @returns {Promise<Object>} Result with success status, embedded count, and error
+ */
+async function embedPendingSummary(documentId) {
+  try {
+    const pendingResult = await pool.query(
+      `SELECT ds.id, ds.summary, d.class_id
+       FROM document_summaries ds
+       JOIN documents d ON ds.document_id = d.id
+       WHERE ds.document_id = $1 AND ds.summary_embedding IS NULL`,
+      [documentId]
+    );
+
+    if (pendingResult.rows.length === 0) {
+      return { success: true, embedded: 0 };
+    }
+
+    const pending = pendingResult.rows;
+    const ragSettings = await getClassRagSettings(pending[0].class_id);
+    const { embeddings, model, error } = await generateEmbeddings(
+      pending.map(row => row.summary),
+      { model: ragSettings.embeddingModel }
+    );
+
+    let embedded = 0;
+    for (let i = 0; i < pending.length; i++) {
+      if (embeddings[i]) {
+        await pool.query(
+          'UPDATE document_summaries SET summary_embedding = $1::vector, embedding_model = $2, embedding_dim = $3 WHERE id = $4',
+          [JSON.stringify(embeddings[i]), model, embeddings[i].length, pending[i].id]
+        );
+        embedded++;
+      }
+    }
+
+    if (embedded < pending.length) {
+      return { success: false, embedded, error: `Summary of document ${documentId} could not be embedded: ${error}` };
+    }
+
+    return { success: true, embedded };
+  } catch (error) {
+    console.error('Error embedding pending summary:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
   generateDocumentSummary,
   generateIsolatedDocumentSummary,
   extractKeyTopics,
-  generateAndStoreDocumentSummary
+  generateAndStoreDocumentSummary,
+  embedPendingSummary
 };
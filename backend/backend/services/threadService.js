@@ -0,0 +1,307 @@
+/**
+ * Conversation thread service
+ * A user's private class chat is split into named threads (the conversations table). Threads are
+ * created by their first question and titled after it, and can be renamed, archived or deleted.
+ * Document chat threads (chat_messages.document_id) are separate and belong to no thread here.
+ *
+ * The messages of a thread form a tree: each message points to the one before it
+ * (parent_message_id), and an edited question or a regenerated answer is a sibling of the original.
+ * The branch shown is found by following, from the first message down, the sibling selected most
+ * recently (branch_selected_at).
+ */
+
+const pool = require('../db');
+
+// Constants
+const TITLE_MAX_LENGTH = 60;
+const DEFAULT_TITLE = 'New conversation';
+const THREAD_COLUMNS = 'id, class_id, title, archived_at, created_at, updated_at';
+
+/**
+ * Title for a new thread from its first question: the question on one line, cut at a word
+ * boundary when it is too long
+ *
+ * @param {string} question - First question asked in the thread
+ * @returns {string} Thread title
+ */
+function titleFromQuestion(question) {
+  const title = (question || '').replace(/\s+/g, ' ').trim();
+  if (!title) {
+    return DEFAULT_TITLE;
+  }
+  if (title.length <= TITLE_MAX_LENGTH) {
+    return title;
+  }
+
+  const cut = title.substring(0, TITLE_MAX_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > TITLE_MAX_LENGTH / 2 ? cut.substring(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+}
+
+/**
+ * List a user's threads in a class, most recently used first
+ *
+ * @param {number} classId - ID of the class
+ * @param {number} userId - Owner of the threads
+ * @param {Object} options - archived true lists archived threads instead of active ones
+ * @returns {Promise<Array>} Thread rows
+ */
+async function listThreads(classId, userId, { archived = false } = {}) {
+  const result = await pool.query(
+    `SELECT ${THREAD_COLUMNS} FROM conversations
+     WHERE class_id = $1 AND user_id = $2 AND (archived_at IS NOT NULL) = $3
+     ORDER BY updated_at DESC, id DESC`,
+    [classId, userId, archived]
+  );
+  return result.rows;
+}
+
+/**
+ * Get one of a user's threads
+ *
+ * @param {number} conversationId - ID of the thread
+ * @param {number} userId - Owner of the thread
+ * @returns {Promise<Object|null>} Thread row, or null if it does not exist or belongs to someone else
+ */
+async function getThread(conversationId, userId) {
+  const result = await pool.query(
+    `SELECT ${THREAD_COLUMNS} FROM conversations WHERE id = $1 AND user_id = $2`,
+    [conversationId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The thread a new question goes to: the given one, or a new thread titled after the question.
+ * Asking in a thread moves it to the top of the list and out of the archive.
+ *
+ * @param {number} classId - ID of the class
+ * @param {number} userId - Owner of the thread
+ * @param {number|null} conversationId - Thread the question was asked in, or null to start one
+ * @param {string} question - The question
+ * @returns {Promise<Object|null>} { thread, created }, or null if the thread is not one of the user's threads in this class
+ */
+async function resolveThread(classId, userId, conversationId, question) {
+  if (!conversationId) {
+    const result = await pool.query(
+      `INSERT INTO conversations (class_id, user_id, title) VALUES ($1, $2, $3)
+       RETURNING ${THREAD_COLUMNS}`,
+      [classId, userId, titleFromQuestion(question)]
+    );
+    console.log(`🧵 Started conversation ${result.rows[0].id} for user ${userId} in class ${classId}`);
+    return { thread: result.rows[0], created: true };
+  }
+
+  const result = await pool.query(
+    `UPDATE conversations SET updated_at = CURRENT_TIMESTAMP, archived_at = NULL
+     WHERE id = $1 AND user_id = $2 AND class_id = $3
+     RETURNING ${THREAD_COLUMNS}`,
+    [conversationId, userId, classId]
+  );
+  return result.rows[0] ? { thread: result.rows[0], created: false } : null;
+}
+
+/**
+ * Rename, archive or unarchive one of a user's threads
+ *
+ * @param {number} conversationId - ID of the thread
+ * @param {number} userId - Owner of the thread
+ * @param {Object} changes - title (a non-empty string) and/or archived (boolean)
+ * @returns {Promise<Object>} Result with success and thread, or error (notFound when it is not the user's thread)
+ */
+async function updateThread(conversationId, userId, { title, archived }) {
+  if (title === undefined && archived === undefined) {
+    return { success: false, error: 'Nothing to update: send title or archived' };
+  }
+  if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+    return { success: false, error: 'title must be a non-empty string' };
+  }
+  if (archived !== undefined && typeof archived !== 'boolean') {
+    return { success: false, error: 'archived must be true or false' };
+  }
+
+  const result = await pool.query(
+    `UPDATE conversations
+     SET title = COALESCE($3, title),
+         archived_at = CASE WHEN $4::boolean IS NULL THEN archived_at
+                            WHEN $4 THEN COALESCE(archived_at, CURRENT_TIMESTAMP)
+                            ELSE NULL END
+     WHERE id = $1 AND user_id = $2
+     RETURNING ${THREAD_COLUMNS}`,
+    [conversationId, userId, title === undefined ? null : title.trim(), archived === undefined ? null : archived]
+  );
+  if (result.rows.length === 0) {
+    return { success: false, notFound: true, error: 'Conversation not found' };
+  }
+  return { success: true, thread: result.rows[0] };
+}
+
+/**
+ * Delete one of a user's threads with all of its messages
+ *
+ * @param {number} conversationId - ID of the thread
+ * @param {number} userId - Owner of the thread
+ * @returns {Promise<boolean>} True if the thread was deleted
+ */
+async function deleteThread(conversationId, userId) {
+  const result = await pool.query(
+    'DELETE FROM conversations WHERE id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * IDs of the messages on the branch of a chat thread that is shown, oldest first
+ *
+ * @param {Object} thread - classId, userId, and conversationId (class chat) or documentId (document chat)
+ * @returns {Promise<Array<number>>} Message IDs; the last one is where the next question goes
+ */
+async function getActiveBranchIds({ classId, userId, conversationId = null, documentId = null }) {
+  const result = await pool.query(
+    `WITH RECURSIVE branch AS (
+       (SELECT cm.id, 1 AS depth FROM chat_messages cm
+        WHERE cm.class_id = $1 AND cm.chat_owner_id = $2
+          AND cm.conversation_id IS NOT DISTINCT FROM $3::integer
+          AND cm.document_id IS NOT DISTINCT FROM $4::integer
+          AND cm.parent_message_id IS NULL
+        ORDER BY cm.branch_selected_at DESC, cm.id DESC
+        LIMIT 1)
+       UNION ALL
+       SELECT child.id, branch.depth + 1 FROM branch
+       CROSS JOIN LATERAL (
+         SELECT c.id FROM chat_messages c
+         WHERE c.parent_message_id = branch.id
+         ORDER BY c.branch_selected_at DESC, c.id DESC
+         LIMIT 1
+       ) child
+     )
+     SELECT id FROM branch ORDER BY depth`,
+    [classId, userId, conversationId, documentId]
+  );
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * IDs of the messages just before a message on its branch, oldest first. Only as many messages
+ * as asked for are walked back through, so loading an earlier page costs one page.
+ *
+ * @param {number} messageId - Message the IDs come before (not included)
+ * @param {Object} thread - classId, userId, and conversationId (class chat) or documentId (document chat)
+ * @param {number} limit - Maximum number of IDs
+ * @returns {Promise<Array<number>|null>} Message IDs, or null if the message is not in the thread
+ */
+async function getBranchIdsBefore(messageId, { classId, userId, conversationId = null, documentId = null }, limit) {
+  const cursorResult = await pool.query(
+    `SELECT id FROM chat_messages
+     WHERE id = $1 AND class_id = $2 AND chat_owner_id = $3
+       AND conversation_id IS NOT DISTINCT FROM $4::integer
+       AND document_id IS NOT DISTINCT FROM $5::integer`,
+    [messageId, classId, userId, conversationId, documentId]
+  );
+  if (cursorResult.rows.length === 0) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `WITH RECURSIVE branch AS (
+       SELECT parent.id, parent.parent_message_id, 1 AS depth
+       FROM chat_messages m
+       JOIN chat_messages parent ON parent.id = m.parent_message_id
+       WHERE m.id = $1
+       UNION ALL
+       SELECT m.id, m.parent_message_id, branch.depth + 1
+       FROM chat_messages m JOIN branch ON m.id = branch.parent_message_id
+       WHERE branch.depth < $2
+     )
+     SELECT id FROM branch ORDER BY depth DESC`,
+    [messageId, limit]
+  );
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Messages on the branch that ends at a message, oldest first. The walk back stops at the first
+ * message at or below stopAtId, which is included, so callers can tell whether it is on the branch.
+ *
+ * @param {number} leafMessageId - Last message of the branch
+ * @param {number} userId - Owner of the chat
+ * @param {number} stopAtId - Stop at this message ID or below (0 walks back to the first message)
+ * @returns {Promise<Array>} Rows with id, message, is_ai, status, and pinned_context
+ */
+async function getBranchMessages(leafMessageId, userId, stopAtId = 0) {
+  const result = await pool.query(
+    `WITH RECURSIVE branch AS (
+       SELECT id, parent_message_id, message, is_ai, status, pinned_context FROM chat_messages
+       WHERE id = $1 AND chat_owner_id = $2
+       UNION ALL
+       SELECT m.id, m.parent_message_id, m.message, m.is_ai, m.status, m.pinned_context
+       FROM chat_messages m JOIN branch ON m.id = branch.parent_message_id
+       WHERE branch.id > $3
+     )
+     SELECT id, message, is_ai, status, pinned_context FROM branch ORDER BY id`,
+    [leafMessageId, userId, stopAtId]
+  );
+  return result.rows;
+}
+
+/**
+ * Versions of each message: the IDs of its siblings of the same kind (question or answer), itself
+ * included, oldest first
+ *
+ * @param {Array<number>} messageIds - IDs of chat messages
+ * @returns {Promise<Map<number, Array<number>>>} Version IDs by message ID
+ */
+async function getVersionsForMessages(messageIds) {
+  const versions = new Map();
+  if (messageIds.length === 0) {
+    return versions;
+  }
+
+  const result = await pool.query(
+    `SELECT m.id, ARRAY_AGG(s.id ORDER BY s.id) AS version_ids
+     FROM chat_messages m
+     JOIN chat_messages s
+       ON s.parent_message_id IS NOT DISTINCT FROM m.parent_message_id
+      AND s.class_id = m.class_id AND s.chat_owner_id = m.chat_owner_id
+      AND s.conversation_id IS NOT DISTINCT FROM m.conversation_id
+      AND s.document_id IS NOT DISTINCT FROM m.document_id
+      AND s.is_ai = m.is_ai
+     WHERE m.id = ANY($1::int[])
+     GROUP BY m.id`,
+    [messageIds]
+  );
+  for (const row of result.rows) {
+    versions.set(row.id, row.version_ids);
+  }
+  return versions;
+}
+
+/**
+ * Show one version of a message, and the branch below it
+ *
+ * @param {number} messageId - ID of the version to show
+ * @param {number} userId - Owner of the chat
+ * @returns {Promise<boolean>} True if the message is one of the user's messages
+ */
+async function selectBranch(messageId, userId) {
+  const result = await pool.query(
+    'UPDATE chat_messages SET branch_selected_at = CURRENT_TIMESTAMP WHERE id = $1 AND chat_owner_id = $2',
+    [messageId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  deleteThread,
+  getActiveBranchIds,
+  getBranchIdsBefore,
+  getBranchMessages,
+  getThread,
+  getVersionsForMessages,
+  listThreads,
+  resolveThread,
+  selectBranch,
+  titleFromQuestion,
+  updateThread
+};
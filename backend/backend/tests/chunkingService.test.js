@@ -0,0 +1,89 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { chunkText } = require('../services/chunkingService');
+
+const small = { targetTokens: 50, overlapTokens: 0 };
+
+function assertOffsetsMatch(text, chunks) {
+  for (const chunk of chunks) {
+    assert.equal(chunk.content, text.slice(chunk.start, chunk.end));
+  }
+}
+
+describe('chunkText', () => {
+  test('returns no chunks for empty or whitespace-only text', () => {
+    assert.deepEqual(chunkText(''), []);
+    assert.deepEqual(chunkText('  \n\n\t '), []);
+    assert.deepEqual(chunkText(null), []);
+  });
+
+  test('keeps short text in one chunk', () => {
+    const chunks = chunkText('A stack is last in, first out.', small);
+
+    assert.equal(chunks.length, 1);
+    assert.deepEqual(chunks[0], { content: 'A stack is last in, first out.', start: 0, end: 30, tokenCount: 8 });
+  });
+
+  test('starts a new chunk at a heading once the current chunk has enough text', () => {
+    const text = `${'Intro text here. '.repeat(10)}\n\n# Next\n\n${'Body text. '.repeat(10)}`;
+    const chunks = chunkText(text, small);
+
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks[0].content.startsWith('Intro'));
+    assert.ok(chunks[1].content.startsWith('# Next\n\nBody text.'));
+    assertOffsetsMatch(text, chunks);
+  });
+
+  test('keeps a heading with a short preceding paragraph', () => {
+    const chunks = chunkText('Short intro.\n\n# Next\n\nBody.', small);
+    assert.deepEqual(chunks.map(chunk => chunk.content), ['Short intro.\n\n# Next\n\nBody.']);
+  });
+
+  test('never ends a chunk on a heading', () => {
+    const text = `${'Intro text here. '.repeat(11)}\n\n# Next\n\n${'Body text. '.repeat(30)}`;
+    const chunks = chunkText(text, small);
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => !/(^|\n)#+ [^\n]*$/.test(chunk.content)));
+  });
+
+  test('splits an oversized paragraph into chunks within the target', () => {
+    const text = 'word '.repeat(400).trim();
+    const chunks = chunkText(text, small);
+
+    assert.equal(chunks.length, 10);
+    assert.ok(chunks.every(chunk => chunk.tokenCount <= 50));
+    assert.equal(chunks.map(chunk => chunk.content).join(' '), text);
+    assertOffsetsMatch(text, chunks);
+  });
+
+  test('splits an oversized paragraph at sentence ends', () => {
+    const text = 'Sorting puts items in order. '.repeat(12).trim();
+    const chunks = chunkText(text, small);
+
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks.every(chunk => chunk.content.endsWith('order.')));
+  });
+
+  test('repeats the tail of the previous chunk as overlap', () => {
+    const text = Array.from({ length: 12 }, (_, i) => `Point ${i} is short.`).join('\n\n');
+    const chunks = chunkText(text, { targetTokens: 50, overlapTokens: 10 });
+
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks[0].content.endsWith('Point 8 is short.\n\nPoint 9 is short.'));
+    assert.ok(chunks[1].content.startsWith('Point 8 is short.\n\nPoint 9 is short.'));
+    assert.ok(chunks[1].start < chunks[0].end);
+    assertOffsetsMatch(text, chunks);
+  });
+
+  test('does not overlap when overlap is turned off', () => {
+    const text = Array.from({ length: 12 }, (_, i) => `Point ${i} is short.`).join('\n\n');
+    const chunks = chunkText(text, small);
+
+    assert.ok(chunks.length > 1);
+    for (let i = 1; i < chunks.length; i++) {
+      assert.ok(chunks[i].start >= chunks[i - 1].end);
+    }
+  });
+});
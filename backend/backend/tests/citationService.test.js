@@ -0,0 +1,74 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractCitations } = require('../services/citationService');
+
+const sources = [
+  { documentId: 10, chunkId: 100, filename: 'lecture1.pdf', pageStart: 3, pageEnd: 3 },
+  { documentId: 11, chunkId: 110, filename: 'slides.pptx', slideNumber: 7 },
+  { documentId: 12, chunkId: 120, filename: 'notes.docx' }
+];
+
+describe('extractCitations', () => {
+  test('returns citations in order of first use', () => {
+    const { content, citations, invalidMarkers } = extractCitations('Stacks are LIFO [2]. Queues are FIFO [1]. Both are lists [2].', sources);
+
+    assert.equal(content, 'Stacks are LIFO [2]. Queues are FIFO [1]. Both are lists [2].');
+    assert.deepEqual(citations.map(citation => citation.marker), [2, 1]);
+    assert.deepEqual(citations[0], { marker: 2, ...sources[1] });
+    assert.deepEqual(invalidMarkers, []);
+  });
+
+  test('rewrites lists of numbers as separate markers', () => {
+    const { content, citations } = extractCitations('See both [1, 3] and [2][3].', sources);
+
+    assert.equal(content, 'See both [1][3] and [2][3].');
+    assert.deepEqual(citations.map(citation => citation.marker), [1, 3, 2]);
+  });
+
+  test('removes numbers with no matching source', () => {
+    const { content, citations, invalidMarkers } = extractCitations('Claimed [4]. Mixed [1, 9]. Zero [0].', sources);
+
+    assert.equal(content, 'Claimed. Mixed [1]. Zero.');
+    assert.deepEqual(citations.map(citation => citation.marker), [1]);
+    assert.deepEqual(invalidMarkers, [4, 9, 0]);
+  });
+
+  test('leaves bracketed numbers glued to a word alone', () => {
+    const { content, citations } = extractCitations('The first element is array[1] [1].', sources);
+
+    assert.equal(content, 'The first element is array[1] [1].');
+    assert.equal(citations.length, 1);
+  });
+
+  test('leaves fenced code blocks alone', () => {
+    const text = 'Initialize the list [1]:\n\n```python\narr = [1, 2, 3]\nprint(arr[0], [5])\n```\n\nThen sort it [2].';
+    const { content, citations, invalidMarkers } = extractCitations(text, sources);
+
+    assert.equal(content, text);
+    assert.deepEqual(citations.map(citation => citation.marker), [1, 2]);
+    assert.deepEqual(invalidMarkers, []);
+  });
+
+  test('leaves an unterminated fenced code block alone', () => {
+    const text = 'Partial answer [1]:\n```js\nconst x = [7];';
+    const { content, invalidMarkers } = extractCitations(text, sources);
+
+    assert.equal(content, text);
+    assert.deepEqual(invalidMarkers, []);
+  });
+
+  test('leaves inline code alone', () => {
+    const text = 'Index with `x[0]` or ``m[1, 2]``, and write `[9]` for a list [3].';
+    const { content, citations, invalidMarkers } = extractCitations(text, sources);
+
+    assert.equal(content, text);
+    assert.deepEqual(citations.map(citation => citation.marker), [3]);
+    assert.deepEqual(invalidMarkers, []);
+  });
+
+  test('handles empty input', () => {
+    assert.deepEqual(extractCitations('', sources), { content: '', citations: [], invalidMarkers: [] });
+    assert.deepEqual(extractCitations(null), { content: '', citations: [], invalidMarkers: [] });
+  });
+});
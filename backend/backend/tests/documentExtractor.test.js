@@ -0,0 +1,50 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { htmlToStructuredText } = require('../services/documentExtractor');
+
+describe('htmlToStructuredText', () => {
+  test('turns headings into markdown headings and paragraphs into blocks', () => {
+    assert.equal(
+      htmlToStructuredText('<h1>Intro</h1><p>First.</p><h3>Detail</h3><p>Second.</p>'),
+      '# Intro\n\nFirst.\n\n### Detail\n\nSecond.'
+    );
+  });
+
+  test('keeps nested list items indented under their parent', () => {
+    assert.equal(
+      htmlToStructuredText('<ul><li>One<ul><li>Sub</li></ul></li><li>Two</li></ul><p>After</p>'),
+      '- One\n  - Sub\n- Two\n\nAfter'
+    );
+  });
+
+  test('numbers ordered list items', () => {
+    assert.equal(htmlToStructuredText('<ol><li><p>A</p></li><li>B</li></ol>'), '1. A\n2. B');
+  });
+
+  test('writes tables as pipe rows with a header separator', () => {
+    assert.equal(
+      htmlToStructuredText('<table><tr><td><p>Name</p></td><td>Big O</td></tr><tr><td>Sort</td><td>n log n</td></tr></table>'),
+      '| Name | Big O |\n| --- | --- |\n| Sort | n log n |'
+    );
+  });
+
+  test('escapes pipes inside table cells', () => {
+    assert.equal(
+      htmlToStructuredText('<table><tr><td>a|b</td><td>c</td></tr></table>'),
+      '| a\\|b | c |\n| --- | --- |'
+    );
+  });
+
+  test('decodes entities, drops inline tags and turns line breaks into spaces', () => {
+    assert.equal(
+      htmlToStructuredText('<p>Fish &amp; <strong>chips</strong><br/>caf&#233; &#x41;&nbsp;&lt;b&gt;</p>'),
+      'Fish & chips café A <b>'
+    );
+  });
+
+  test('returns an empty string for empty html', () => {
+    assert.equal(htmlToStructuredText(''), '');
+    assert.equal(htmlToStructuredText('<p></p><p>  </p>'), '');
+  });
+});
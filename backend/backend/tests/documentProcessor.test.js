@@ -0,0 +1,75 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'mock';
+const { buildChunkRecords, removeNullBytes } = require('../services/documentProcessor');
+
+const chunkOptions = { targetTokens: 50, overlapTokens: 0 };
+
+function pagedExtraction(pageTexts) {
+  const pages = pageTexts.map((text, index) => ({ pageNumber: index + 1, text }));
+  return { success: true, text: pageTexts.join('\n\n'), pages };
+}
+
+const pageTexts = [
+  'Stacks are last in first out. '.repeat(10).trim(),
+  'Queues are first in first out. '.repeat(10).trim(),
+  'Heaps keep the smallest item on top. '.repeat(10).trim()
+];
+
+function pageRanges(chunks) {
+  return chunks.map(chunk => [chunk.pageStart, chunk.pageEnd]);
+}
+
+describe('buildChunkRecords', () => {
+  test('records the pages each chunk spans', () => {
+    const chunks = buildChunkRecords(pagedExtraction(pageTexts), chunkOptions);
+
+    assert.deepEqual(pageRanges(chunks), [[1, 1], [1, 2], [2, 2], [2, 3], [3, 3], [3, 3]]);
+    assert.ok(chunks[0].content.startsWith('Stacks'));
+    assert.ok(chunks[chunks.length - 1].content.startsWith('Heaps'));
+  });
+
+  test('chunks slide decks per slide without page numbers', () => {
+    const chunks = buildChunkRecords({
+      text: 'Intro\n\nOutline',
+      sections: [{ slideNumber: 1, text: 'Intro' }, { slideNumber: 2, text: 'Outline' }]
+    }, chunkOptions);
+
+    assert.deepEqual(
+      chunks.map(chunk => [chunk.content, chunk.slideNumber, chunk.pageStart]),
+      [['Intro', 1, null], ['Outline', 2, null]]
+    );
+  });
+
+  test('leaves page numbers empty for documents without pages', () => {
+    const chunks = buildChunkRecords({ text: pageTexts[0] }, chunkOptions);
+    assert.ok(chunks.every(chunk => chunk.pageStart === null && chunk.pageEnd === null));
+  });
+});
+
+describe('removeNullBytes', () => {
+  test('cleans the text, pages and sections', () => {
+    const cleaned = removeNullBytes({
+      success: true,
+      text: 'a\0b',
+      pages: [{ pageNumber: 1, text: '\0c' }],
+      sections: [{ slideNumber: 1, text: 'd\0' }]
+    });
+
+    assert.deepEqual(cleaned, {
+      success: true,
+      text: 'ab',
+      pages: [{ pageNumber: 1, text: 'c' }],
+      sections: [{ slideNumber: 1, text: 'd' }]
+    });
+  });
+
+  test('keeps page ranges aligned when pages contain null bytes', () => {
+    const withNullBytes = [`${'\0'.repeat(400)}${pageTexts[0]}`, ...pageTexts.slice(1)];
+    const chunks = buildChunkRecords(removeNullBytes(pagedExtraction(withNullBytes)), chunkOptions);
+
+    assert.deepEqual(pageRanges(chunks), pageRanges(buildChunkRecords(pagedExtraction(pageTexts), chunkOptions)));
+    assert.ok(chunks.every(chunk => !chunk.content.includes('\0')));
+  });
+});
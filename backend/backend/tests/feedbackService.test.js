@@ -0,0 +1,28 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateFeedback } = require('../services/feedbackService');
+
+describe('validateFeedback', () => {
+  test('accepts a rating without reasons', () => {
+    assert.deepEqual(validateFeedback({ rating: 'up' }), { value: { rating: 'up', reasons: [] } });
+  });
+
+  test('accepts known reasons and drops duplicates', () => {
+    assert.deepEqual(
+      validateFeedback({ rating: 'down', reasons: ['wrong', 'unclear', 'wrong'] }),
+      { value: { rating: 'down', reasons: ['wrong', 'unclear'] } }
+    );
+  });
+
+  test('rejects a missing or unknown rating', () => {
+    assert.match(validateFeedback({}).error, /^rating must be one of: up, down$/);
+    assert.match(validateFeedback({ rating: 'meh' }).error, /^rating must be one of/);
+    assert.match(validateFeedback(null).error, /^rating must be one of/);
+  });
+
+  test('rejects unknown reasons and reasons that are not a list', () => {
+    assert.match(validateFeedback({ rating: 'down', reasons: ['boring'] }).error, /^reasons must be a list of/);
+    assert.match(validateFeedback({ rating: 'down', reasons: 'wrong' }).error, /^reasons must be a list of/);
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'mock';
+const { textAfterBytes } = require('../services/generationOrchestrator');
+
+describe('textAfterBytes', () => {
+  test('skips ASCII text byte for byte', () => {
+    assert.equal(textAfterBytes('Hello, world', 7), 'world');
+  });
+
+  test('counts multi-byte characters by their UTF-8 length', () => {
+    // "é" is 2 bytes, "→" is 3 and "😀" is 4
+    assert.equal(textAfterBytes('é→😀 done', 2), '→😀 done');
+    assert.equal(textAfterBytes('é→😀 done', 5), '😀 done');
+    assert.equal(textAfterBytes('é→😀 done', 9), ' done');
+  });
+
+  test('moves an offset inside a character to the next character', () => {
+    assert.equal(textAfterBytes('é→😀 done', 1), '→😀 done');
+    assert.equal(textAfterBytes('é→😀 done', 6), ' done');
+  });
+
+  test('returns everything for a missing, negative or invalid offset', () => {
+    assert.equal(textAfterBytes('abc', undefined), 'abc');
+    assert.equal(textAfterBytes('abc', -4), 'abc');
+    assert.equal(textAfterBytes('abc', 'not a number'), 'abc');
+  });
+
+  test('returns nothing for an offset at or past the end', () => {
+    assert.equal(textAfterBytes('abc', 3), '');
+    assert.equal(textAfterBytes('abc', 50), '');
+    assert.equal(textAfterBytes('', 0), '');
+  });
+});
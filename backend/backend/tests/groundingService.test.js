@@ -0,0 +1,87 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeGroundingScore } = require('../services/groundingService');
+
+const chunk = (chunkId, distance) => ({ documentId: 1, chunkId, filename: 'lecture.pdf', distance });
+const cite = (marker, source) => ({ marker, ...source });
+
+describe('computeGroundingScore', () => {
+  test('scores a fully cited answer from close excerpts as high', () => {
+    const sources = [chunk(10, 0.2), chunk(11, 0.5)];
+    const content = 'A stack removes the most recently added element first, which is LIFO order [1].';
+    const grounding = computeGroundingScore(content, [cite(1, sources[0])], sources);
+
+    assert.equal(grounding.score, 100);
+    assert.equal(grounding.level, 'high');
+    assert.equal(grounding.retrievalScore, 1);
+    assert.equal(grounding.citationCoverage, 1);
+    assert.equal(grounding.usedCourseMaterials, true);
+  });
+
+  test('uses the distance of the cited excerpts', () => {
+    const sources = [chunk(10, 0.2), chunk(11, 0.55)];
+    const content = 'A queue removes the oldest element first, which is known as FIFO order [2].';
+    const grounding = computeGroundingScore(content, [cite(2, sources[1])], sources);
+
+    assert.ok(grounding.retrievalScore < 0.5);
+    assert.ok(grounding.reasons.includes('The closest course excerpt is only a weak match for the question'));
+  });
+
+  test('lowers the score for statements without citations', () => {
+    const sources = [chunk(10, 0.2)];
+    const content = [
+      'A stack removes the most recently added element first, which is LIFO order [1].',
+      'Most programming languages also provide a built-in stack type you can use directly.'
+    ].join('\n');
+    const grounding = computeGroundingScore(content, [cite(1, sources[0])], sources);
+
+    assert.equal(grounding.citationCoverage, 0.5);
+    assert.equal(grounding.score, Math.round(100 * (0.45 + 0.55 * 0.5)));
+    assert.ok(grounding.reasons.includes('1 of 2 statements cite the course materials'));
+  });
+
+  test('ignores short lines such as headings', () => {
+    const sources = [chunk(10, 0.2)];
+    const content = '## Stacks\n\nA stack removes the most recently added element first, which is LIFO order [1].';
+
+    assert.equal(computeGroundingScore(content, [cite(1, sources[0])], sources).citationCoverage, 1);
+  });
+
+  test('gives keyword-only excerpts a middling retrieval score', () => {
+    const sources = [chunk(10, null)];
+    const content = 'A stack removes the most recently added element first, which is LIFO order [1].';
+    const grounding = computeGroundingScore(content, [cite(1, sources[0])], sources);
+
+    assert.equal(grounding.retrievalScore, 0.5);
+    assert.ok(grounding.reasons.includes('Course excerpts were found by keyword match only'));
+  });
+
+  test('counts a cited whole document as a full match', () => {
+    const sources = [{ documentId: 4, chunkId: null, filename: 'syllabus.pdf', distance: null }];
+    const content = 'The final exam is worth forty percent of the course grade this quarter [1].';
+    const grounding = computeGroundingScore(content, [cite(1, sources[0])], sources);
+
+    assert.equal(grounding.retrievalScore, 1);
+    assert.equal(grounding.level, 'high');
+    assert.ok(!grounding.reasons.includes('No matching excerpts were found in the course materials'));
+  });
+
+  test('caps answers from general knowledge', () => {
+    const sources = [chunk(10, 0.1)];
+    const content = 'Recursion is when a function calls itself to solve a smaller instance of a problem.';
+    const grounding = computeGroundingScore(content, [], sources);
+
+    assert.equal(grounding.usedCourseMaterials, false);
+    assert.equal(grounding.score, 25);
+    assert.equal(grounding.level, 'low');
+    assert.ok(grounding.reasons.includes('Answered from general knowledge rather than course materials'));
+  });
+
+  test('reports when nothing was retrieved', () => {
+    const grounding = computeGroundingScore('I could not find this in your materials.', [], []);
+
+    assert.equal(grounding.score, 0);
+    assert.ok(grounding.reasons.includes('No matching excerpts were found in the course materials'));
+  });
+});
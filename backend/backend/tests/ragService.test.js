@@ -0,0 +1,191 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'mock';
+const {
+  CITATION_INSTRUCTIONS,
+  GROUNDED_ONLY_INSTRUCTIONS,
+  buildAnswerMessages,
+  buildLexicalQuery,
+  fuseRankedLists,
+  hasSufficientGrounding,
+  mentionsFilename
+} = require('../services/ragService');
+
+describe('buildLexicalQuery', () => {
+  test('joins lowercased words with OR', () => {
+    assert.equal(buildLexicalQuery('CS31 Pointer arithmetic'), 'cs31 | pointer | arithmetic');
+  });
+
+  test('drops punctuation and tsquery operators', () => {
+    assert.equal(buildLexicalQuery("what's O(n) & !recursion?"), 'what | s | o | n | recursion');
+  });
+
+  test('keeps each word once', () => {
+    assert.equal(buildLexicalQuery('stack vs Stack vs heap'), 'stack | vs | heap');
+  });
+
+  test('keeps non-Latin letters', () => {
+    assert.equal(buildLexicalQuery('Größe über'), 'größe | über');
+  });
+
+  test('caps the number of terms', () => {
+    const words = Array.from({ length: 40 }, (_, index) => `w${index}`);
+    assert.equal(buildLexicalQuery(words.join(' ')).split(' | ').length, 32);
+  });
+
+  test('returns an empty query when there are no words', () => {
+    assert.equal(buildLexicalQuery('?! ...'), '');
+    assert.equal(buildLexicalQuery(''), '');
+    assert.equal(buildLexicalQuery(null), '');
+  });
+});
+
+describe('fuseRankedLists', () => {
+  const chunk = (id) => ({ chunk_id: id, content: `chunk ${id}` });
+
+  test('ranks chunks found by several sources above chunks found by one', () => {
+    const fused = fuseRankedLists([
+      { name: 'vector', weight: 1, results: [chunk(1), chunk(2)] },
+      { name: 'lexical', weight: 1, results: [chunk(3), chunk(2)] }
+    ], 60);
+
+    assert.deepEqual(fused.map(row => row.chunk_id), [2, 1, 3]);
+    assert.equal(fused[0].fusion_score, 1 / 62 + 1 / 62);
+    assert.equal(fused[0].vector_rank, 2);
+    assert.equal(fused[0].lexical_rank, 2);
+  });
+
+  test('records the rank of each source that found a chunk', () => {
+    const [first] = fuseRankedLists([{ name: 'vector', weight: 1, results: [chunk(7)] }], 60);
+
+    assert.equal(first.vector_rank, 1);
+    assert.equal(first.lexical_rank, undefined);
+    assert.equal(first.content, 'chunk 7');
+  });
+
+  test('weights each source', () => {
+    const fused = fuseRankedLists([
+      { name: 'vector', weight: 0.3, results: [chunk(1)] },
+      { name: 'lexical', weight: 0.7, results: [chunk(2)] }
+    ], 60);
+
+    assert.deepEqual(fused.map(row => row.chunk_id), [2, 1]);
+    assert.equal(fused[1].fusion_score, 0.3 / 61);
+  });
+
+  test('ignores sources with no weight', () => {
+    const fused = fuseRankedLists([
+      { name: 'vector', weight: 0, results: [chunk(1)] },
+      { name: 'lexical', weight: 1, results: [chunk(2)] }
+    ]);
+
+    assert.deepEqual(fused.map(row => row.chunk_id), [2]);
+  });
+
+  test('returns an empty list when no source found anything', () => {
+    assert.deepEqual(fuseRankedLists([{ name: 'vector', weight: 1, results: [] }]), []);
+  });
+});
+
+describe('hasSufficientGrounding', () => {
+  test('accepts a best match at or above the similarity threshold', () => {
+    const docs = [{ chunk_id: 1, distance: 0.6 }, { chunk_id: 2, distance: 0.25 }];
+
+    assert.equal(hasSufficientGrounding(docs, 0.75), true);
+    assert.equal(hasSufficientGrounding(docs, 0.8), false);
+  });
+
+  test('reads distances from hierarchical retrieval', () => {
+    assert.equal(hasSufficientGrounding([{ chunk_id: 1, chunk_distance: 0.1 }], 0.85), true);
+    assert.equal(hasSufficientGrounding([{ chunk_id: 1, chunk_distance: 0.4 }], 0.85), false);
+  });
+
+  test('accepts full-text matches with a strong enough rank', () => {
+    assert.equal(hasSufficientGrounding([{ chunk_id: 5, lexical_score: 0.4 }], 0.9), true);
+    assert.equal(hasSufficientGrounding([{ chunk_id: 5, distance: 0.5, lexical_score: 0.3 }], 0.9), true);
+  });
+
+  test('rejects weak full-text matches when no chunk has a distance', () => {
+    assert.equal(hasSufficientGrounding([{ chunk_id: 5, lexical_score: 0.1 }, { chunk_id: 6, lexical_score: 0.2 }], 0.5), false);
+  });
+
+  test('rejects unscored chunks from the keyword-less fallback', () => {
+    assert.equal(hasSufficientGrounding([{ chunk_id: 5 }, { chunk_id: 6, distance: null }], 0.5), false);
+  });
+
+  test('rejects on-demand document text and empty retrievals', () => {
+    assert.equal(hasSufficientGrounding([{ document_id: 3, filename: 'notes.pdf', content: 'text' }], 0.5), false);
+    assert.equal(hasSufficientGrounding([], 0.5), false);
+  });
+});
+
+describe('mentionsFilename', () => {
+  test('finds a mention at the end, before a space or before punctuation', () => {
+    assert.equal(mentionsFilename('Summarize @notes.pdf', 'notes.pdf'), true);
+    assert.equal(mentionsFilename('Compare @notes.pdf with the slides', 'notes.pdf'), true);
+    assert.equal(mentionsFilename('What is in @notes.pdf? And @notes.pdf.', 'notes.pdf'), true);
+    assert.equal(mentionsFilename('(see @notes.pdf), then', 'notes.pdf'), true);
+  });
+
+  test('does not match a longer filename that starts the same', () => {
+    assert.equal(mentionsFilename('Summarize @notes.pdf.old', 'notes.pdf'), false);
+    assert.equal(mentionsFilename('Summarize @notes.pdf2', 'notes.pdf'), false);
+    assert.equal(mentionsFilename('Summarize @notes.pdf_v2 and @notes.pdf-draft', 'notes.pdf'), false);
+  });
+
+  test('finds a later exact mention after a longer one', () => {
+    assert.equal(mentionsFilename('@notes.pdf.old versus @notes.pdf', 'notes.pdf'), true);
+  });
+
+  test('needs the @ and treats regex characters in filenames literally', () => {
+    assert.equal(mentionsFilename('What is in notes.pdf?', 'notes.pdf'), false);
+    assert.equal(mentionsFilename('Explain @Lecture (1) [final].pdf', 'Lecture (1) [final].pdf'), true);
+    assert.equal(mentionsFilename('Explain @notesXpdf', 'notes.pdf'), false);
+  });
+});
+
+describe('buildAnswerMessages', () => {
+  const excerpts = [{ chunk_id: 1, document_id: 2, filename: 'notes.pdf', content: 'A stack is LIFO.', page_start: 3, page_end: 3 }];
+  const prepared = (groundedOnly, relevantDocs = excerpts) => ({
+    courseLabel: 'CS 32 - Data Structures',
+    settings: { groundedOnly },
+    pinnedContext: null,
+    relevantDocs
+  });
+
+  test('numbers the excerpts and asks for citations', () => {
+    const messages = buildAnswerMessages(prepared(false), 'What is a stack?');
+    const userPrompt = messages[messages.length - 1].content;
+
+    assert.deepEqual(messages.map(message => message.role), ['system', 'user']);
+    assert.match(messages[0].content, /helping students with CS 32 - Data Structures/);
+    assert.match(userPrompt, /\[1\] notes\.pdf, page 3:\nA stack is LIFO\./);
+    assert.match(userPrompt, /Question: "What is a stack\?"/);
+    assert.ok(userPrompt.includes(CITATION_INSTRUCTIONS));
+    assert.match(userPrompt, /otherwise use general knowledge/);
+  });
+
+  test('lets other classes fall back to general knowledge', () => {
+    const [systemMessage] = buildAnswerMessages(prepared(false), 'What is a stack?');
+
+    assert.match(systemMessage.content, /SECOND: If no course materials are relevant, answer using your general knowledge/);
+    assert.match(systemMessage.content, /For general questions:/);
+  });
+
+  test('keeps grounded-only classes to the course materials', () => {
+    const messages = buildAnswerMessages(prepared(true), 'What is a stack?');
+    const prompt = messages.map(message => message.content).join('\n');
+
+    assert.equal(messages[1].content, GROUNDED_ONLY_INSTRUCTIONS);
+    assert.doesNotMatch(prompt, /SECOND:|For general questions:|otherwise use general knowledge/);
+    assert.match(messages[messages.length - 1].content, /Answer only from the course materials above\./);
+  });
+
+  test('places earlier turns between the system prompt and the question', () => {
+    const conversation = { summary: null, turns: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }] };
+    const messages = buildAnswerMessages(prepared(false), 'And a queue?', conversation);
+
+    assert.deepEqual(messages.map(message => message.role), ['system', 'user', 'assistant', 'user']);
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { titleFromQuestion } = require('../services/threadService');
+
+describe('titleFromQuestion', () => {
+  test('uses a short question as it is', () => {
+    assert.equal(titleFromQuestion('What is a pointer?'), 'What is a pointer?');
+  });
+
+  test('puts the question on one line', () => {
+    assert.equal(titleFromQuestion('  Explain\n\nrecursion \t please  '), 'Explain recursion please');
+  });
+
+  test('cuts a long question at a word boundary', () => {
+    const question = 'Can you walk me through how dynamic programming differs from greedy algorithms in the lecture examples?';
+    const title = titleFromQuestion(question);
+
+    assert.equal(title, 'Can you walk me through how dynamic programming differs…');
+    assert.ok(title.length <= 61);
+  });
+
+  test('drops punctuation left at the cut', () => {
+    const question = 'In lecture three, what did the professor mean by amortized, and why; does it matter for exams?';
+    assert.equal(titleFromQuestion(question), 'In lecture three, what did the professor mean by amortized…');
+  });
+
+  test('cuts inside a long word when there is no space late enough', () => {
+    const question = `Define ${'x'.repeat(80)}`;
+    assert.equal(titleFromQuestion(question), `Define ${'x'.repeat(53)}…`);
+  });
+
+  test('falls back to a default title for an empty question', () => {
+    assert.equal(titleFromQuestion(''), 'New conversation');
+    assert.equal(titleFromQuestion('   \n '), 'New conversation');
+    assert.equal(titleFromQuestion(null), 'New conversation');
+  });
+});
@@ -1,18 +1,90 @@
 const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
 const pool = require('./db');
+const { cancelGenerations, resumeGeneration, runGeneration } = require('./services/generationOrchestrator');
+const { getActiveBranchIds, getVersionsForMessages, resolveThread } = require('./services/threadService');
+
+// Constants
+const AUTH_FAILED_CLOSE_CODE = 1008; // policy violation: the auth token was rejected
 
 function setupWebSocket(server) {
   const wss = new WebSocket.Server({ server });
   
-  // Store active connections and AI generation streams
+  // Store active connections
   const connections = new Map();
-  const activeStreams = new Map(); // messageId -> { abortController, classId }
-  const cancelledMessages = new Set(); // Track cancelled message IDs for extra safety
   
   wss.on('connection', async (ws, req) => {
     let userId = null;
     let classId = null;
+    // Unsubscribe functions of the answers this connection resumed
+    const resumedStreams = new Set();
+
+    /**
+     * Handlers that send the events of an answer to this connection
+     *
+     * @param {Object} thread - documentId or conversationId of the chat thread the answer belongs to
+     * @returns {Object} Handlers for runGeneration and resumeGeneration
+     */
+    function answerHandlers({ documentId = null, conversationId = null } = {}) {
+      return {
+        onStart: ({ messageId, aiName, createdAt, parentMessageId, versionIds }) => ws.send(JSON.stringify({
+          type: 'ai_message_start',
+          id: messageId,
+          user_name: aiName,
+          is_ai: true,
+          message: '',
+          document_id: documentId,
+          conversation_id: conversationId,
+          parent_message_id: parentMessageId,
+          version_ids: versionIds,
+          created_at: createdAt
+        })),
+        onChunk: ({ messageId, content }) => ws.send(JSON.stringify({
+          type: 'ai_message_chunk',
+          id: messageId,
+          content,
+          finished: false
+        })),
+        // content replaces the streamed text once citations are cleaned
+        onComplete: (answer) => ws.send(JSON.stringify({
+          type: 'ai_message_complete',
+          id: answer.messageId,
+          documentsUsed: answer.documentsUsed,
+          citations: answer.citations,
+          grounding: answer.grounding,
+          content: answer.content,
+          fallback: answer.fallback
+        })),
+        onCancelled: ({ messageId, content }) => ws.send(JSON.stringify({
+          type: 'ai_message_cancelled',
+          id: messageId,
+          content
+        })),
+        // The error text is stored as the answer, so show it the same way
+        onFailed: ({ messageId, error }) => ws.send(JSON.stringify({
+          type: 'ai_message_complete',
+          id: messageId,
+          content: error,
+          failed: true
+        }))
+      };
+    }
+
+    /**
+     * Documents an answer may search: its document for a document chat, otherwise the documents
+     * the student @-mentioned (null searches the whole class)
+     *
+     * @param {number|null} documentChatId - Document of a document chat thread
+     * @param {Object} data - Client message with documentIds and useFullText
+     * @param {Object|null} pinnedContext - Passage the question was asked about
+     * @returns {Promise<Object>} Scope for runGeneration
+     */
+    async function answerScope(documentChatId, data, pinnedContext) {
+      const { resolveDocumentScope } = require('./aiService');
+      return documentChatId
+        ? { documentIds: [documentChatId], fullText: Boolean(data.useFullText), pinnedContext }
+        : { documentIds: await resolveDocumentScope(classId, data.documentIds), pinnedContext };
+    }
 
     // Handle authentication and class joining
     ws.on('message', async (message) => {
@@ -22,7 +94,13 @@ function setupWebSocket(server) {
         try {
           const payload = jwt.verify(data.token, process.env.JWT_SECRET);
           userId = payload.id;
-          
+        } catch (err) {
+          // Tells the client not to reconnect with the same token
+          ws.close(AUTH_FAILED_CLOSE_CODE, 'Authentication failed');
+          return;
+        }
+
+        try {
           // Store connection
           if (!connections.has(userId)) {
             connections.set(userId, new Set());
@@ -48,64 +126,133 @@ function setupWebSocket(server) {
       }
       
       if (data.type === 'stop_generation' && userId && classId) {
-        // CRITICAL: Abort IMMEDIATELY and SYNCHRONOUSLY - no async operations first
-        let abortedStreams = 0;
-        const streamIds = [];
-        
-        // Step 1: Immediate abort of all OpenAI requests for this user's chat room in this class
-        for (const [messageId, streamInfo] of activeStreams.entries()) {
-          if (streamInfo.classId === classId && streamInfo.userId === userId) {
-            // Mark as cancelled BEFORE aborting (prevents race conditions)
-            cancelledMessages.add(messageId);
-            
-            // Save partial response before aborting
-            const partialResponse = streamInfo.fullResponse || '';
-            if (partialResponse) {
-              try {
-                await pool.query(
-                  'UPDATE chat_messages SET message = $1, status = $2 WHERE id = $3',
-                  [partialResponse, 'cancelled', messageId]
-                );
-                console.log(`💾 Saved partial response for cancelled message ${messageId}: "${partialResponse.substring(0, 50)}..."`);
-              } catch (saveError) {
-                console.error('Error saving partial response:', saveError);
-              }
-            }
-            
-            // Abort the OpenAI stream immediately
-            streamInfo.abortController.abort();
-            streamIds.push(messageId);
-            abortedStreams++;
-          }
-        }
-        
-        // Step 2: Clean up tracking (after abort to prevent timing issues)
-        for (const messageId of streamIds) {
-          activeStreams.delete(messageId);
-        }
-        
-        // Step 3: Only log/broadcast after critical abort operations are complete
-        console.log(`🛑 IMMEDIATE ABORT: Cancelled ${abortedStreams} OpenAI streams for user ${userId} in class ${classId}`);
+        // Each generation saves its partial answer and reports ai_message_cancelled as it stops
+        const abortedCount = cancelGenerations({ userId, classId });
+        console.log(`🛑 Cancelled ${abortedCount} generations for user ${userId} in class ${classId}`);
         
         // Send stop signal only to this user (their private chat room)
         ws.send(JSON.stringify({
           type: 'generation_stopped',
           userId: userId,
-          abortedCount: abortedStreams
+          abortedCount
         }));
       }
       
+      if (data.type === 'resume' && userId) {
+        // A reconnected client asks for the rest of an answer, from the UTF-8 byte offset it already has
+        try {
+          const resumed = await resumeGeneration(data.messageId, userId, data.offset, answerHandlers());
+          if (!resumed.success) {
+            ws.send(JSON.stringify({ type: 'ai_message_cancelled', id: data.messageId }));
+          } else if (resumed.unsubscribe) {
+            resumedStreams.add(resumed.unsubscribe);
+          }
+        } catch (err) {
+          console.error('Error resuming message:', err);
+        }
+      }
+      
+      if (data.type === 'regenerate' && userId && classId) {
+        // Another answer to the same question, kept as a version next to the earlier ones
+        try {
+          const questionResult = await pool.query(
+            `SELECT q.id, q.message, q.parent_message_id, q.document_id, q.conversation_id, q.pinned_context
+             FROM chat_messages a JOIN chat_messages q ON q.id = a.parent_message_id
+             WHERE a.id = $1 AND a.chat_owner_id = $2 AND a.class_id = $3 AND a.is_ai = true AND q.is_ai = false`,
+            [data.messageId, userId, classId]
+          );
+          const question = questionResult.rows[0];
+          if (!question) {
+            ws.send(JSON.stringify({ type: 'error', error: 'Message not found' }));
+            return;
+          }
+          if (question.conversation_id) {
+            await resolveThread(classId, userId, question.conversation_id, question.message);
+          }
+          
+          // The question's @-mentions come from its stored text, since the client may not have it loaded
+          const { findMentionedDocumentIds } = require('./aiService');
+          const documentIds = await findMentionedDocumentIds(classId, question.message);
+          
+          console.log(`🔁 Regenerating the answer to message ${question.id} for user ${userId}`);
+          runGeneration({
+            classId,
+            userId,
+            question: question.message,
+            conversationId: question.conversation_id,
+            documentId: question.document_id,
+            parentMessageId: question.id,
+            historyMessageId: question.parent_message_id,
+            scope: await answerScope(question.document_id, { ...data, documentIds }, question.pinned_context)
+          }, answerHandlers({ documentId: question.document_id, conversationId: question.conversation_id })).catch(err => console.error('Error generating AI response:', err));
+        } catch (err) {
+          console.error('Error regenerating message:', err);
+        }
+      }
+      
       if (data.type === 'chat_message' && userId && classId) {
         const { message } = data;
         
-        console.log('🚨 WEBSOCKET: Chat message received!', { message, userId, classId });
+        console.log('🚨 WEBSOCKET: Chat message received!', { message, userId, classId, documentIds: data.documentIds, documentId: data.documentId, conversationId: data.conversationId, editMessageId: data.editMessageId });
         
         try {
+          const { resolveDocumentScope, resolvePinnedContext } = require('./aiService');
+          
+          // An edited question is sent as another version of the original, in the same place in its chat
+          let original = null;
+          if (data.editMessageId) {
+            const originalResult = await pool.query(
+              `SELECT id, parent_message_id, document_id, conversation_id, pinned_context FROM chat_messages
+               WHERE id = $1 AND chat_owner_id = $2 AND class_id = $3 AND is_ai = false`,
+              [data.editMessageId, userId, classId]
+            );
+            original = originalResult.rows[0];
+            if (!original) {
+              ws.send(JSON.stringify({ type: 'error', error: 'Message not found' }));
+              return;
+            }
+          }
+          
+          // A documentId pins the message to that document's own chat thread
+          let documentChatId = original ? original.document_id : null;
+          if (!original && data.documentId) {
+            documentChatId = (await resolveDocumentScope(classId, [data.documentId]))?.[0] ?? null;
+            if (!documentChatId) {
+              ws.send(JSON.stringify({ type: 'error', error: 'Document not found' }));
+              return;
+            }
+          }
+          
+          // Class chat messages go to a conversation thread; without one, the question starts a new thread
+          let conversationId = null;
+          if (!documentChatId) {
+            const resolved = await resolveThread(classId, userId, original ? original.conversation_id : data.conversationId || null, message);
+            if (!resolved) {
+              ws.send(JSON.stringify({ type: 'error', error: 'Conversation not found' }));
+              return;
+            }
+            conversationId = resolved.thread.id;
+            if (resolved.created) {
+              ws.send(JSON.stringify({ type: 'conversation_created', conversation: resolved.thread }));
+            }
+          }
+          
+          // A passage selected in the document viewer is kept with the question it was asked with
+          const pinnedContext = original
+            ? original.pinned_context
+            : data.pinnedContext ? await resolvePinnedContext(classId, data.pinnedContext) : null;
+          
+          // A new question follows the end of the branch shown; an edited one replaces the original there
+          const parentMessageId = original
+            ? original.parent_message_id
+            : (await getActiveBranchIds({ classId, userId, conversationId, documentId: documentChatId })).pop() ?? null;
+          
           // Store message in database in the user's private chat room
           const result = await pool.query(
-            'INSERT INTO chat_messages (class_id, user_id, message, chat_owner_id) VALUES ($1, $2, $3, $4) RETURNING *',
-            [classId, userId, message, userId]
+            'INSERT INTO chat_messages (class_id, user_id, message, chat_owner_id, document_id, pinned_context, conversation_id, parent_message_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+            [classId, userId, message, userId, documentChatId, pinnedContext, conversationId, parentMessageId]
           );
+          const versions = await getVersionsForMessages([result.rows[0].id]);
           
           // Get user info
           const userResult = await pool.query(
@@ -115,175 +262,29 @@ function setupWebSocket(server) {
           
           const chatMessage = {
             ...result.rows[0],
-            user_name: userResult.rows[0].name
+            user_name: userResult.rows[0].name,
+            version_ids: versions.get(result.rows[0].id) || [result.rows[0].id]
           };
           
-          // Generate AI response for every message (like ChatGPT) - with streaming!
-          try {
-            console.log('🌊 Generating streaming AI response for message:', message);
-            console.log('🌊 About to import generateAIResponseStream...');
-            
-            // Import AI service
-            const { generateAIResponseStream } = require('./aiService');
-            console.log('🌊 generateAIResponseStream imported successfully');
-            
-            // Get class info for AI name
-            const classResult = await pool.query(
-              'SELECT ai_name FROM classes WHERE id = $1',
-              [classId]
-            );
-            
-            const aiName = classResult.rows[0]?.ai_name || 'Assistant';
-            
-            // Create placeholder AI message in the user's private chat room
-            const aiMessageResult = await pool.query(
-              'INSERT INTO chat_messages (class_id, user_id, message, is_ai, status, chat_owner_id) VALUES ($1, $2, $3, true, $4, $5) RETURNING *',
-              [classId, null, '', 'generating', userId]
-            );
-            
-            const aiMessageId = aiMessageResult.rows[0].id;
-            let fullResponse = '';
-            
-            // Create AbortController for this AI generation
-            const abortController = new AbortController();
-            const streamInfo = { abortController, classId, userId, fullResponse: '' };
-            activeStreams.set(aiMessageId, streamInfo);
-            
-            // Send initial AI message with placeholder only to this user
-            ws.send(JSON.stringify({
-              type: 'ai_message_start',
-              id: aiMessageId,
-              user_name: aiName,
-              is_ai: true,
-              message: '',
-              created_at: aiMessageResult.rows[0].created_at
-            }));
-            
-            // Generate streaming AI response with AbortController and cancellation callback
-            const isCancelledCallback = (msgId) => cancelledMessages.has(msgId);
-            const streamGenerator = generateAIResponseStream(classId, message, aiName, abortController, aiMessageId, isCancelledCallback);
-            
-            const processStream = async () => {
-              try {
-                console.log('🌊 Starting to process stream generator...');
-                for await (const chunk of streamGenerator) {
-                  // AGGRESSIVE cancellation check at start of each iteration
-                  if (cancelledMessages.has(aiMessageId) || !activeStreams.has(aiMessageId)) {
-                    console.log('🛑 Message cancelled, stopping stream processing immediately');
-                    break;
-                  }
-                  
-                  console.log('🌊 Received chunk:', chunk);
-                  if (chunk.success && chunk.content) {
-                    // Double-check cancellation before processing content
-                    if (cancelledMessages.has(aiMessageId)) {
-                      console.log('🛑 Message cancelled before processing chunk content');
-                      break;
-                    }
-                    
-                    fullResponse += chunk.content;
-                    // Also update the activeStreams reference
-                    if (activeStreams.has(aiMessageId)) {
-                      activeStreams.get(aiMessageId).fullResponse = fullResponse;
-                    }
-                    console.log('🌊 Broadcasting chunk with content:', chunk.content);
-                    
-                    // Send each character chunk only to this user
-                    ws.send(JSON.stringify({
-                      type: 'ai_message_chunk',
-                      id: aiMessageId,
-                      content: chunk.content,
-                      finished: chunk.finished
-                    }));
-                  }
-                  
-                  if (chunk.finished) {
-                    // Final cancellation check before completion
-                    if (cancelledMessages.has(aiMessageId)) {
-                      console.log('🛑 Message cancelled before completion');
-                      break;
-                    }
-                    
-                    // Update database with complete response
-                    await pool.query(
-                      'UPDATE chat_messages SET message = $1, status = $2 WHERE id = $3',
-                      [fullResponse, 'active', aiMessageId]
-                    );
-                    
-                    // Send completion signal only to this user
-                    ws.send(JSON.stringify({
-                      type: 'ai_message_complete',
-                      id: aiMessageId,
-                      documentsUsed: chunk.documentsUsed
-                    }));
-                    
-                    // Clean up the active stream and cancellation tracking
-                    activeStreams.delete(aiMessageId);
-                    cancelledMessages.delete(aiMessageId);
-                    
-                    break;
-                  }
-                }
-              } catch (streamError) {
-                console.error('Streaming error:', streamError);
-                
-                // Clean up the active stream and cancellation tracking
-                activeStreams.delete(aiMessageId);
-                cancelledMessages.delete(aiMessageId);
-                
-                // Enhanced abort detection
-                if (streamError.name === 'AbortError' || 
-                    streamError.message?.includes('aborted') ||
-                    cancelledMessages.has(aiMessageId)) {
-                  console.log('🛑 AI stream was properly aborted (enhanced detection)');
-                  // Save partial response and mark as cancelled in database
-                  await pool.query(
-                    'UPDATE chat_messages SET message = $1, status = $2 WHERE id = $3',
-                    [fullResponse || '', 'cancelled', aiMessageId]
-                  );
-                  
-                  // Broadcast cancellation to frontend (only to this user)
-                  ws.send(JSON.stringify({
-                    type: 'ai_message_cancelled',
-                    id: aiMessageId
-                  }));
-                  return; // Don't send fallback response for cancelled requests
-                }
-                
-                // Fall back to non-streaming if streaming fails for other reasons
-                const { generateAIResponse } = require('./aiService');
-                const aiResult = await generateAIResponse(classId, message, aiName);
-                
-                if (aiResult.success) {
-                  await pool.query(
-                    'UPDATE chat_messages SET message = $1, status = $2 WHERE id = $3',
-                    [aiResult.response, 'active', aiMessageId]
-                  );
-                  
-                  ws.send(JSON.stringify({
-                    type: 'ai_message_complete',
-                    id: aiMessageId,
-                    documentsUsed: aiResult.documentsUsed,
-                    content: aiResult.response,
-                    fallback: true
-                  }));
-                }
-              }
-            };
-            
-            // Process streaming asynchronously
-            processStream();
-          } catch (aiError) {
-            console.error('Error generating streaming AI response:', aiError);
-          }
-          
-          console.log('🚨 WEBSOCKET: About to broadcast user message and start AI streaming');
-          
           // Send message only to this user (private chat room)
           ws.send(JSON.stringify({
             type: 'chat_message',
             ...chatMessage
           }));
+          
+          const scope = await answerScope(documentChatId, data, pinnedContext);
+          
+          // Stream the answer to this user only
+          runGeneration({
+            classId,
+            userId,
+            question: message,
+            conversationId,
+            documentId: documentChatId,
+            parentMessageId: chatMessage.id,
+            historyMessageId: parentMessageId,
+            scope
+          }, answerHandlers({ documentId: documentChatId, conversationId })).catch(err => console.error('Error generating AI response:', err));
         } catch (err) {
           console.error('Error handling message:', err);
         }
@@ -292,6 +293,9 @@ function setupWebSocket(server) {
     
     // Handle disconnection
     ws.on('close', async () => {
+      resumedStreams.forEach(unsubscribe => unsubscribe());
+      resumedStreams.clear();
+      
       if (userId) {
         // Remove connection
         connections.get(userId)?.delete(ws);
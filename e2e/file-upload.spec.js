@@ -333,10 +333,11 @@ test.describe('File Upload E2E Tests', () => {
     const fileInput = page.locator('input[type="file"]');
     const acceptAttr = await fileInput.getAttribute('accept');
 
-    // Should accept PDF, DOC, DOCX, TXT files
+    // Should accept PDF, DOC, DOCX, PPTX, TXT files
     expect(acceptAttr).toContain('.pdf');
     expect(acceptAttr).toContain('.doc');
     expect(acceptAttr).toContain('.docx');
+    expect(acceptAttr).toContain('.pptx');
     expect(acceptAttr).toContain('.txt');
   });
 });
@@ -1,10 +1,14 @@
 /**
  * ChatInput component
- * Handles chat input with auto-resize, send/stop functionality
+ * Handles chat input with auto-resize, send/stop functionality, @document mentions, and passages
+ * selected in the document viewer
  */
 
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState } from 'react';
+import { FileText } from 'lucide-react';
 import { useTheme } from '../context/ThemeContext';
+import PinnedPassage from './PinnedPassage';
+import { findMentionedFiles, getActiveMention, suggestMentionFiles } from '../utils/documentMentions';
 
 /**
  * ChatInput component
@@ -15,6 +19,10 @@ import { useTheme } from '../context/ThemeContext';
  * @param {boolean} isAIResponding - Whether AI is currently responding
  * @param {Function} onSubmit - Submit handler
  * @param {Function} onStop - Stop generation handler
+ * @param {Array} files - Class files that can be @-mentioned to limit the question to them
+ * @param {string} placeholder - Optional placeholder replacing the default prompt
+ * @param {Object} pinnedContext - Passage selected in a document that the question is about (optional)
+ * @param {Function} onClearPinnedContext - Removes the pinned passage
  * @returns {JSX.Element} ChatInput component
  */
 function ChatInput({
@@ -23,10 +31,19 @@ function ChatInput({
   isSending,
   isAIResponding,
   onSubmit,
-  onStop
+  onStop,
+  files = [],
+  placeholder,
+  pinnedContext = null,
+  onClearPinnedContext
 }) {
   const { colors, isDarkMode } = useTheme();
   const textareaRef = useRef(null);
+  const [activeMention, setActiveMention] = useState(null);
+  const [highlightedIndex, setHighlightedIndex] = useState(0);
+
+  const suggestions = activeMention ? suggestMentionFiles(activeMention.query, files) : [];
+  const mentionedFiles = findMentionedFiles(inputMessage, files);
 
   /**
    * Auto-resize textarea based on content
@@ -45,6 +62,13 @@ function ChatInput({
     adjustTextareaHeight();
   }, [inputMessage]);
 
+  // Focus the input when a passage is pinned from the document viewer
+  useEffect(() => {
+    if (pinnedContext && textareaRef.current) {
+      textareaRef.current.focus();
+    }
+  }, [pinnedContext]);
+
   /**
    * Handle form submission
    */
@@ -54,10 +78,59 @@ function ChatInput({
     onSubmit(e);
   };
 
+  /**
+   * Track the @mention being typed at the caret
+   */
+  const updateActiveMention = (text, caret) => {
+    setActiveMention(getActiveMention(text, caret));
+    setHighlightedIndex(0);
+  };
+
+  /**
+   * Replace the mention being typed with the chosen file's full name
+   */
+  const selectMention = (file) => {
+    const caret = textareaRef.current ? textareaRef.current.selectionStart : inputMessage.length;
+    const mentionText = `@${file.filename} `;
+    const newMessage = inputMessage.slice(0, activeMention.start) + mentionText + inputMessage.slice(caret);
+    const newCaret = activeMention.start + mentionText.length;
+
+    setInputMessage(newMessage);
+    setActiveMention(null);
+
+    // Restore focus and caret after React updates the value
+    setTimeout(() => {
+      if (textareaRef.current) {
+        textareaRef.current.focus();
+        textareaRef.current.setSelectionRange(newCaret, newCaret);
+      }
+    }, 0);
+  };
+
   /**
    * Handle keyboard shortcuts
    */
   const handleKeyDown = (e) => {
+    // Navigate mention suggestions while they are open
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setHighlightedIndex(prev => (prev + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        selectMention(suggestions[highlightedIndex] || suggestions[0]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setActiveMention(null);
+        return;
+      }
+    }
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       if (inputMessage.trim() && !isSending) {
@@ -76,8 +149,65 @@ function ChatInput({
     >
       <div style={{
         maxWidth: '800px',
-        margin: '0 auto'
+        margin: '0 auto',
+        position: 'relative'
       }}>
+        {/* Mention suggestions */}
+        {suggestions.length > 0 && (
+          <ul
+            role="listbox"
+            style={{
+              position: 'absolute',
+              bottom: '100%',
+              left: 0,
+              right: 0,
+              margin: '0 0 0.5rem 0',
+              padding: '0.25rem',
+              listStyle: 'none',
+              background: colors.secondary,
+              border: `1px solid ${colors.border.primary}`,
+              borderRadius: '12px',
+              boxShadow: isDarkMode
+                ? '0 4px 12px rgba(0, 0, 0, 0.4)'
+                : '0 4px 12px rgba(0, 0, 0, 0.1)',
+              zIndex: 10
+            }}
+          >
+            {suggestions.map((file, idx) => (
+              <li
+                key={file.id}
+                role="option"
+                aria-selected={idx === highlightedIndex}
+                onMouseDown={(e) => {
+                  // Keep focus in the textarea
+                  e.preventDefault();
+                  selectMention(file);
+                }}
+                onMouseEnter={() => setHighlightedIndex(idx)}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  padding: '0.5rem 0.75rem',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  fontSize: '0.875rem',
+                  color: colors.text.primary,
+                  background: idx === highlightedIndex ? colors.interactive.hover : 'transparent'
+                }}
+              >
+                <FileText size={14} color="#3b82f6" />
+                {file.filename}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* Passage the question is about */}
+        {pinnedContext && (
+          <PinnedPassage pinnedContext={pinnedContext} onRemove={onClearPinnedContext} />
+        )}
+
         <div style={{
           background: colors.secondary,
           borderRadius: '24px',
@@ -97,9 +227,13 @@ function ChatInput({
             value={inputMessage}
             onChange={(e) => {
               setInputMessage(e.target.value);
+              updateActiveMention(e.target.value, e.target.selectionStart);
               adjustTextareaHeight();
             }}
-            placeholder="Ask me anything about your course materials..."
+            onClick={(e) => updateActiveMention(e.target.value, e.target.selectionStart)}
+            placeholder={placeholder || (files.length > 0
+              ? 'Ask me anything about your course materials... (type @ to pick a document)'
+              : 'Ask me anything about your course materials...')}
             disabled={isSending}
             rows={1}
             style={{
@@ -122,6 +256,7 @@ function ChatInput({
               e.target.parentElement.style.boxShadow = '0 0 0 3px rgba(37, 99, 235, 0.1)';
             }}
             onBlur={(e) => {
+              setActiveMention(null);
               e.target.parentElement.style.borderColor = colors.border.primary;
               e.target.parentElement.style.boxShadow = isDarkMode
                 ? '0 1px 3px rgba(0, 0, 0, 0.3)'
@@ -198,6 +333,17 @@ function ChatInput({
             )}
           </button>
         </div>
+
+        {/* Question scope */}
+        {mentionedFiles.length > 0 && (
+          <p style={{
+            margin: '0.5rem 0 0 1rem',
+            fontSize: '0.75rem',
+            color: colors.text.secondary
+          }}>
+            Searching only: {mentionedFiles.map(file => file.filename).join(', ')}
+          </p>
+        )}
       </div>
     </form>
   );
@@ -1,11 +1,40 @@
 /**
  * ChatMessages component
- * Displays chat messages with streaming animation and scroll management
+ * Displays chat messages with streaming animation and scroll management, and lets the user edit
+ * their questions, regenerate answers, and switch between the versions of either.
+ * Only the messages near the viewport are rendered; older ones load when scrolling to the top.
  */
 
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useState, useMemo, useCallback } from 'react';
+import { Loader, Pencil, RotateCcw } from 'lucide-react';
 import { useTheme } from '../context/ThemeContext';
-import { renderMarkdown } from '../utils/markdownRenderer';
+import { useVirtualList } from '../hooks/useVirtualList';
+import { renderMarkdown, renderCitationMarkers } from '../utils/markdownRenderer';
+import TrustIndicator from './TrustIndicator';
+import MessageFeedback from './MessageFeedback';
+import PinnedPassage from './PinnedPassage';
+import MessageVersions from './MessageVersions';
+
+const LOAD_MORE_THRESHOLD_PX = 300; // older messages load when scrolled this close to the top
+
+/**
+ * Format where a citation points, e.g. "Notes.pdf, p. 3-4" or "Lecture5.pptx, slide 12"
+ *
+ * @param {Object} citation - Citation with filename and optional page range or slide number
+ * @returns {string} Citation label
+ */
+function formatCitationLabel(citation) {
+  const filename = citation.filename || 'Deleted document';
+  if (citation.slideNumber) {
+    return `${filename}, slide ${citation.slideNumber}`;
+  }
+  if (citation.pageStart) {
+    return citation.pageEnd && citation.pageEnd !== citation.pageStart
+      ? `${filename}, p. ${citation.pageStart}-${citation.pageEnd}`
+      : `${filename}, p. ${citation.pageStart}`;
+  }
+  return filename;
+}
 
 /**
  * ChatMessages component
@@ -13,14 +42,57 @@ import { renderMarkdown } from '../utils/markdownRenderer';
  * @param {Array} messages - Array of chat messages
  * @param {boolean} isAIResponding - Whether AI is currently responding
  * @param {Object} classInfo - Class information object
+ * @param {Function} onCitationClick - Called with a citation when its marker or source is clicked
+ * @param {Function} onFeedback - Called with a message ID and its new feedback (null to remove it)
+ * @param {Object} emptyState - Optional { title, description } shown before the first message
+ * @param {Function} onEdit - Called with a user message and its edited text to send it as a new version
+ * @param {Function} onRegenerate - Called with an AI message to ask for another answer to its question
+ * @param {Function} onSelectVersion - Called with the ID of a message version to show
+ * @param {boolean} hasMore - Whether older messages can be loaded
+ * @param {Function} onLoadMore - Loads the page of older messages; returns a promise
  * @returns {JSX.Element} ChatMessages component
  */
-function ChatMessages({ messages, isAIResponding, classInfo }) {
+function ChatMessages({
+  messages,
+  isAIResponding,
+  classInfo,
+  onCitationClick,
+  onFeedback,
+  emptyState,
+  onEdit,
+  onRegenerate,
+  onSelectVersion,
+  hasMore,
+  onLoadMore
+}) {
   const { colors } = useTheme();
   const [showScrollButton, setShowScrollButton] = useState(false);
+  // Question being edited in place: { id, text }
+  const [editing, setEditing] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const isLoadingMoreRef = useRef(false);
   const chatEndRef = useRef(null);
   const chatContainerRef = useRef(null);
 
+  const messageKeys = useMemo(() => messages.map((msg, idx) => String(msg.id || idx)), [messages]);
+  const { startIndex, endIndex, paddingTop, paddingBottom, measureRow } = useVirtualList(chatContainerRef, messageKeys);
+
+  /**
+   * Load the page of older messages, one page at a time
+   */
+  const loadOlderMessages = useCallback(async () => {
+    if (!hasMore || !onLoadMore || isLoadingMoreRef.current) return;
+
+    isLoadingMoreRef.current = true;
+    setIsLoadingMore(true);
+    try {
+      await onLoadMore();
+    } finally {
+      isLoadingMoreRef.current = false;
+      setIsLoadingMore(false);
+    }
+  }, [hasMore, onLoadMore]);
+
   /**
    * Scroll to the bottom of chat
    */
@@ -36,6 +108,32 @@ function ChatMessages({ messages, isAIResponding, classInfo }) {
     setShowScrollButton(false);
   };
 
+  /**
+   * Send the edited question, unless it is empty or unchanged
+   */
+  const submitEdit = (msg) => {
+    if (isAIResponding) return;
+    const text = editing.text.trim();
+    setEditing(null);
+    if (text && text !== msg.message) {
+      onEdit(msg, text);
+    }
+  };
+
+  const actionButtonStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+    padding: '0.25rem',
+    background: 'transparent',
+    border: 'none',
+    borderRadius: '4px',
+    fontSize: '0.75rem',
+    color: colors.text.muted,
+    cursor: 'pointer',
+    transition: 'all 0.2s ease'
+  };
+
   // Auto-scroll when messages change (only if near bottom)
   useEffect(() => {
     const hasStreamingMessage = messages.some(msg => msg.streaming);
@@ -63,12 +161,16 @@ function ChatMessages({ messages, isAIResponding, classInfo }) {
       const { scrollTop, scrollHeight, clientHeight } = chatContainer;
       const isNearBottom = scrollTop + clientHeight >= scrollHeight - 50;
       setShowScrollButton(!isNearBottom);
+
+      if (scrollTop < LOAD_MORE_THRESHOLD_PX) {
+        loadOlderMessages();
+      }
     };
 
     handleScroll();
     chatContainer.addEventListener('scroll', handleScroll);
     return () => chatContainer.removeEventListener('scroll', handleScroll);
-  }, [messages]);
+  }, [messages, loadOlderMessages]);
 
   return (
     <div
@@ -78,9 +180,18 @@ function ChatMessages({ messages, isAIResponding, classInfo }) {
         overflowY: 'auto',
         padding: '1rem 1.5rem 0 1.5rem',
         background: colors.primary,
-        position: 'relative'
+        position: 'relative',
+        // Scroll position is kept by useVirtualList as rows are measured
+        overflowAnchor: 'none'
       }}
     >
+      {/* Older messages loading */}
+      {isLoadingMore && (
+        <div style={{ display: 'flex', justifyContent: 'center', padding: '0.5rem 0' }}>
+          <Loader className="animate-spin" size={20} color="#2563eb" />
+        </div>
+      )}
+
       {messages.length === 0 ? (
         <div style={{
           textAlign: 'center',
@@ -88,118 +199,329 @@ function ChatMessages({ messages, isAIResponding, classInfo }) {
           marginTop: '3rem'
         }}>
           <p style={{ fontSize: '1.125rem', fontWeight: '500', marginBottom: '0.5rem', color: colors.text.primary }}>
-            AI Assistant for {classInfo?.code}
+            {emptyState?.title || `AI Assistant for ${classInfo?.code}`}
           </p>
           <p style={{ fontSize: '0.875rem' }}>
-            Ask me anything - course questions, general knowledge, or academic help.
+            {emptyState?.description || 'Ask me anything - course questions, general knowledge, or academic help.'}
           </p>
         </div>
       ) : (
-        messages.map((msg, idx) => {
-          const isAI = msg.is_ai;
-          const timestamp = new Date(msg.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-
-          return (
-            <div key={msg.id || idx} style={{ marginBottom: '1.5rem' }}>
-              <div style={{
-                display: 'flex',
-                alignItems: 'flex-start',
-                gap: '1rem',
-                padding: '0.75rem 0',
-                transition: 'all 0.2s ease'
-              }}>
-                {/* Avatar */}
-                {msg.isProcessing ? (
-                  // Minimalist pulsing circle for processing messages
-                  <div style={{
-                    width: '32px',
-                    height: '32px',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    flexShrink: 0
-                  }}>
+        <div style={{ paddingTop: `${paddingTop}px`, paddingBottom: `${paddingBottom}px` }}>
+          {messages.slice(startIndex, endIndex).map((msg, offset) => {
+            const idx = startIndex + offset;
+            const isAI = msg.is_ai;
+            const citations = (isAI && !msg.streaming && msg.citations) || [];
+            const timestamp = new Date(msg.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            // Stored messages (numeric IDs) can be edited or regenerated once nothing is streaming
+            const canChange = !isAIResponding && typeof msg.id === 'number' && !msg.optimistic && !msg.streaming;
+            const hasVersions = msg.version_ids?.length > 1 && onSelectVersion;
+            const question = messages[idx - 1];
+            const canRegenerate = isAI && canChange && onRegenerate && question && !question.is_ai &&
+              question.id === msg.parent_message_id;
+            const canEdit = !isAI && canChange && onEdit;
+            const isEditing = editing?.id === msg.id;
+
+            return (
+              <div
+                key={messageKeys[idx]}
+                ref={measureRow}
+                data-virtual-key={messageKeys[idx]}
+                style={{ paddingBottom: '1.5rem' }}
+              >
+                <div style={{
+                  display: 'flex',
+                  alignItems: 'flex-start',
+                  gap: '1rem',
+                  padding: '0.75rem 0',
+                  transition: 'all 0.2s ease'
+                }}>
+                  {/* Avatar */}
+                  {msg.isProcessing ? (
+                    // Minimalist pulsing circle for processing messages
                     <div style={{
-                      width: '8px',
-                      height: '8px',
-                      borderRadius: '50%',
-                      backgroundColor: colors.text.secondary,
-                      animation: 'pulse 1.5s ease-in-out infinite'
-                    }}></div>
-                  </div>
-                ) : (
-                  <div style={{
-                    width: '32px',
-                    height: '32px',
-                    borderRadius: '4px',
-                    background: isAI
-                      ? '#10a37f'  // OpenAI green
-                      : 'linear-gradient(135deg, #2563eb, #3b82f6)',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    color: 'white',
-                    fontWeight: '600',
-                    fontSize: '0.75rem',
-                    flexShrink: 0
-                  }}>
-                    {isAI ? (
-                      // OpenAI-style logo
-                      <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                        <path d="M22.2819 9.8211a5.9847 5.9847 0 0 0-.5157-4.9108 6.0462 6.0462 0 0 0-6.5098-2.9A6.0651 6.0651 0 0 0 4.9807 4.1818a5.9847 5.9847 0 0 0-3.9977 2.9 6.0462 6.0462 0 0 0 .7427 7.0966 5.98 5.98 0 0 0 .511 4.9107 6.051 6.051 0 0 0 6.5146 2.9001A5.9847 5.9847 0 0 0 13.2599 24a6.0557 6.0557 0 0 0 5.7718-4.2058 5.9894 5.9894 0 0 0 3.9977-2.9001 6.0557 6.0557 0 0 0-.7475-7.0729zm-9.022 12.6081a4.4755 4.4755 0 0 1-2.8764-1.0408l.1419-.0804 4.7783-2.7582a.7948.7948 0 0 0 .3927-.6813v-6.7369l2.02 1.1686a.071.071 0 0 1 .038.052v5.5826a4.504 4.504 0 0 1-4.4945 4.4944zm-9.6607-4.1254a4.4708 4.4708 0 0 1-.5346-3.0137l.142.0852 4.783 2.7582a.7712.7712 0 0 0 .7806 0l5.8428-3.3685v2.3324a.0804.0804 0 0 1-.0332.0615L9.74 19.9502a4.4992 4.4992 0 0 1-6.1408-1.6464zm-2.4107-16.0259a4.4748 4.4748 0 0 1 2.3655-1.9728V9.0198a.7708.7708 0 0 0 .3927.6813l5.8428 3.3685-2.02 1.1686a.0804.0804 0 0 1-.071 0L2.33 11.4366a4.503 4.503 0 0 1-.8077-5.1169z"/>
-                      </svg>
+                      width: '32px',
+                      height: '32px',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      flexShrink: 0
+                    }}>
+                      <div style={{
+                        width: '8px',
+                        height: '8px',
+                        borderRadius: '50%',
+                        backgroundColor: colors.text.secondary,
+                        animation: 'pulse 1.5s ease-in-out infinite'
+                      }}></div>
+                    </div>
+                  ) : (
+                    <div style={{
+                      width: '32px',
+                      height: '32px',
+                      borderRadius: '4px',
+                      background: isAI
+                        ? '#10a37f'  // OpenAI green
+                        : 'linear-gradient(135deg, #2563eb, #3b82f6)',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      color: 'white',
+                      fontWeight: '600',
+                      fontSize: '0.75rem',
+                      flexShrink: 0
+                    }}>
+                      {isAI ? (
+                        // OpenAI-style logo
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                          <path d="M22.2819 9.8211a5.9847 5.9847 0 0 0-.5157-4.9108 6.0462 6.0462 0 0 0-6.5098-2.9A6.0651 6.0651 0 0 0 4.9807 4.1818a5.9847 5.9847 0 0 0-3.9977 2.9 6.0462 6.0462 0 0 0 .7427 7.0966 5.98 5.98 0 0 0 .511 4.9107 6.051 6.051 0 0 0 6.5146 2.9001A5.9847 5.9847 0 0 0 13.2599 24a6.0557 6.0557 0 0 0 5.7718-4.2058 5.9894 5.9894 0 0 0 3.9977-2.9001 6.0557 6.0557 0 0 0-.7475-7.0729zm-9.022 12.6081a4.4755 4.4755 0 0 1-2.8764-1.0408l.1419-.0804 4.7783-2.7582a.7948.7948 0 0 0 .3927-.6813v-6.7369l2.02 1.1686a.071.071 0 0 1 .038.052v5.5826a4.504 4.504 0 0 1-4.4945 4.4944zm-9.6607-4.1254a4.4708 4.4708 0 0 1-.5346-3.0137l.142.0852 4.783 2.7582a.7712.7712 0 0 0 .7806 0l5.8428-3.3685v2.3324a.0804.0804 0 0 1-.0332.0615L9.74 19.9502a4.4992 4.4992 0 0 1-6.1408-1.6464zm-2.4107-16.0259a4.4748 4.4748 0 0 1 2.3655-1.9728V9.0198a.7708.7708 0 0 0 .3927.6813l5.8428 3.3685-2.02 1.1686a.0804.0804 0 0 1-.071 0L2.33 11.4366a4.503 4.503 0 0 1-.8077-5.1169z"/>
+                        </svg>
+                      ) : (
+                        msg.user_name ? msg.user_name.charAt(0).toUpperCase() : 'U'
+                      )}
+                    </div>
+                  )}
+
+                  {/* Message Content */}
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '0.75rem',
+                      marginBottom: '0.5rem'
+                    }}>
+                      {!isAI && (
+                        <>
+                          <span style={{
+                            fontWeight: '600',
+                            color: colors.text.primary,
+                            fontSize: '1rem'
+                          }}>
+                            {msg.user_name || 'You'}
+                          </span>
+                          <span style={{
+                            fontSize: '0.75rem',
+                            color: colors.text.secondary
+                          }}>
+                            {timestamp}
+                          </span>
+                        </>
+                      )}
+                    </div>
+
+                    {/* Passage the question was asked about */}
+                    {!isAI && msg.pinned_context && (
+                      <PinnedPassage
+                        pinnedContext={msg.pinned_context}
+                        onOpen={onCitationClick && (() => onCitationClick({
+                          documentId: msg.pinned_context.documentId,
+                          pageStart: msg.pinned_context.page
+                        }))}
+                      />
+                    )}
+
+                    {isEditing ? (
+                      <div>
+                        <textarea
+                          autoFocus
+                          value={editing.text}
+                          onChange={(e) => setEditing({ id: msg.id, text: e.target.value })}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter' && !e.shiftKey) {
+                              e.preventDefault();
+                              submitEdit(msg);
+                            }
+                            if (e.key === 'Escape') setEditing(null);
+                          }}
+                          aria-label="Edit question"
+                          rows={Math.min(Math.max(editing.text.split('\n').length, 2), 8)}
+                          style={{
+                            width: '100%',
+                            padding: '0.5rem 0.75rem',
+                            fontSize: '1rem',
+                            lineHeight: '1.5',
+                            fontFamily: 'inherit',
+                            color: colors.text.primary,
+                            background: colors.secondary,
+                            border: '1px solid #2563eb',
+                            borderRadius: '8px',
+                            outline: 'none',
+                            resize: 'vertical'
+                          }}
+                        />
+                        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '0.5rem' }}>
+                          <button
+                            onClick={() => setEditing(null)}
+                            style={{
+                              padding: '0.375rem 0.75rem',
+                              background: 'transparent',
+                              border: `1px solid ${colors.border.primary}`,
+                              borderRadius: '6px',
+                              color: colors.text.secondary,
+                              fontSize: '0.875rem',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            onClick={() => submitEdit(msg)}
+                            disabled={!editing.text.trim() || isAIResponding}
+                            style={{
+                              padding: '0.375rem 0.75rem',
+                              background: '#2563eb',
+                              border: 'none',
+                              borderRadius: '6px',
+                              color: 'white',
+                              fontSize: '0.875rem',
+                              cursor: 'pointer',
+                              opacity: !editing.text.trim() || isAIResponding ? 0.5 : 1
+                            }}
+                          >
+                            Save & send
+                          </button>
+                        </div>
+                      </div>
                     ) : (
-                      msg.user_name ? msg.user_name.charAt(0).toUpperCase() : 'U'
+                      <div
+                        style={{
+                          color: msg.status === 'cancelled' ? colors.text.secondary : colors.text.primary,
+                          fontSize: '1rem',
+                          lineHeight: '1.5',
+                          wordWrap: 'break-word',
+                          whiteSpace: 'pre-wrap',
+                          opacity: msg.status === 'cancelled' ? 0.7 : 1
+                        }}
+                        onClick={(e) => {
+                          const marker = e.target.closest('[data-citation]');
+                          if (!marker) return;
+                          e.preventDefault();
+                          const citation = citations.find(c => String(c.marker) === marker.dataset.citation);
+                          if (citation && onCitationClick) onCitationClick(citation);
+                        }}
+                        dangerouslySetInnerHTML={{
+                          __html: renderCitationMarkers(renderMarkdown(msg.message), citations) +
+                            (msg.streaming ? '<span style="animation: blink 1s infinite;">|</span>' : '') +
+                            (msg.status === 'cancelled' ? '<div style="font-size: 0.75rem; color: #666; margin-top: 0.5rem; font-style: italic;">Response was cancelled</div>' : '')
+                        }}
+                      />
                     )}
-                  </div>
-                )}
-
-                {/* Message Content */}
-                <div style={{ flex: 1, minWidth: 0 }}>
-                  <div style={{
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '0.75rem',
-                    marginBottom: '0.5rem'
-                  }}>
-                    {!isAI && (
-                      <>
-                        <span style={{
-                          fontWeight: '600',
-                          color: colors.text.primary,
-                          fontSize: '1rem'
-                        }}>
-                          {msg.user_name || 'You'}
-                        </span>
-                        <span style={{
-                          fontSize: '0.75rem',
-                          color: colors.text.secondary
-                        }}>
-                          {timestamp}
-                        </span>
-                      </>
+
+                    {/* Versions of the question, and editing it */}
+                    {!isAI && !isEditing && (hasVersions || canEdit) && (
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', marginTop: '0.5rem' }}>
+                        {hasVersions && (
+                          <MessageVersions
+                            messageId={msg.id}
+                            versionIds={msg.version_ids}
+                            onSelect={onSelectVersion}
+                            disabled={isAIResponding}
+                          />
+                        )}
+                        {canEdit && (
+                          <button
+                            onClick={() => setEditing({ id: msg.id, text: msg.message })}
+                            title="Edit and resend"
+                            style={actionButtonStyle}
+                            onMouseEnter={(e) => {
+                              e.currentTarget.style.background = colors.interactive.hover;
+                            }}
+                            onMouseLeave={(e) => {
+                              e.currentTarget.style.background = 'transparent';
+                            }}
+                          >
+                            <Pencil size={14} />
+                            Edit
+                          </button>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Grounding score */}
+                    {isAI && !msg.streaming && msg.status !== 'cancelled' && (
+                      <TrustIndicator grounding={msg.grounding} />
+                    )}
+
+                    {/* Cited sources */}
+                    {citations.length > 0 && (
+                      <div style={{
+                        display: 'flex',
+                        flexWrap: 'wrap',
+                        gap: '0.5rem',
+                        marginTop: '0.75rem'
+                      }}>
+                        {citations.map(citation => (
+                          <button
+                            key={citation.marker}
+                            onClick={() => onCitationClick && onCitationClick(citation)}
+                            disabled={!citation.documentId}
+                            title={citation.documentId ? 'Open source' : 'This document has been deleted'}
+                            style={{
+                              background: colors.secondary,
+                              border: `1px solid ${colors.border.primary}`,
+                              borderRadius: '6px',
+                              padding: '0.25rem 0.5rem',
+                              fontSize: '0.75rem',
+                              color: colors.text.secondary,
+                              cursor: citation.documentId ? 'pointer' : 'default',
+                              transition: 'all 0.2s ease'
+                            }}
+                            onMouseEnter={(e) => {
+                              if (citation.documentId) e.currentTarget.style.background = colors.interactive.hover;
+                            }}
+                            onMouseLeave={(e) => {
+                              e.currentTarget.style.background = colors.secondary;
+                            }}
+                          >
+                            <span style={{ color: '#2563eb', fontWeight: '600' }}>[{citation.marker}]</span>{' '}
+                            {formatCitationLabel(citation)}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+
+                    {/* Versions of the answer, and asking for another one */}
+                    {isAI && !msg.streaming && (hasVersions || canRegenerate) && (
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', marginTop: '0.5rem' }}>
+                        {hasVersions && (
+                          <MessageVersions
+                            messageId={msg.id}
+                            versionIds={msg.version_ids}
+                            onSelect={onSelectVersion}
+                            disabled={isAIResponding}
+                          />
+                        )}
+                        {canRegenerate && (
+                          <button
+                            onClick={() => onRegenerate(msg)}
+                            title="Regenerate answer"
+                            style={actionButtonStyle}
+                            onMouseEnter={(e) => {
+                              e.currentTarget.style.background = colors.interactive.hover;
+                            }}
+                            onMouseLeave={(e) => {
+                              e.currentTarget.style.background = 'transparent';
+                            }}
+                          >
+                            <RotateCcw size={14} />
+                            Regenerate
+                          </button>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Answer feedback (document summaries and local notices have no numeric ID) */}
+                    {isAI && !msg.streaming && msg.status !== 'cancelled' && typeof msg.id === 'number' && onFeedback && (
+                      <MessageFeedback
+                        feedback={msg.feedback}
+                        onChange={(feedback) => onFeedback(msg.id, feedback)}
+                      />
                     )}
                   </div>
-                  <div
-                    style={{
-                      color: msg.status === 'cancelled' ? colors.text.secondary : colors.text.primary,
-                      fontSize: '1rem',
-                      lineHeight: '1.5',
-                      wordWrap: 'break-word',
-                      whiteSpace: 'pre-wrap',
-                      opacity: msg.status === 'cancelled' ? 0.7 : 1
-                    }}
-                    dangerouslySetInnerHTML={{
-                      __html: renderMarkdown(msg.message) +
-                        (msg.streaming ? '<span style="animation: blink 1s infinite;">|</span>' : '') +
-                        (msg.status === 'cancelled' ? '<div style="font-size: 0.75rem; color: #666; margin-top: 0.5rem; font-style: italic;">Response was cancelled</div>' : '')
-                    }}
-                  />
                 </div>
               </div>
-            </div>
-          );
-        })
+            );
+          })}
+        </div>
       )}
 
       {/* AI Loading Indicator */}
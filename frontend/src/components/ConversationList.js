@@ -0,0 +1,265 @@
+/**
+ * ConversationList component
+ * The user's conversation threads in a class, with new chat, rename, archive and delete
+ */
+
+import React, { useState } from 'react';
+import { MessageSquarePlus, MessageSquare, Pencil, Archive, ArchiveRestore, Trash2 } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Icon button for a thread action
+ *
+ * @param {string} label - Accessible label and tooltip
+ * @param {Function} onClick - Click handler
+ * @param {string} hoverColor - Icon color on hover
+ * @param {React.ReactNode} children - Icon
+ * @returns {JSX.Element} ActionButton component
+ */
+function ActionButton({ label, onClick, hoverColor, children }) {
+  const { colors } = useTheme();
+
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick();
+      }}
+      aria-label={label}
+      title={label}
+      style={{
+        display: 'flex',
+        padding: '0.25rem',
+        background: 'transparent',
+        border: 'none',
+        borderRadius: '4px',
+        color: colors.text.secondary,
+        cursor: 'pointer'
+      }}
+      onMouseEnter={(e) => {
+        e.currentTarget.style.color = hoverColor;
+      }}
+      onMouseLeave={(e) => {
+        e.currentTarget.style.color = colors.text.secondary;
+      }}
+    >
+      {children}
+    </button>
+  );
+}
+
+/**
+ * ConversationList component
+ *
+ * @param {Array} conversations - Threads to list ({ id, title, archived_at })
+ * @param {number|null} activeConversationId - Thread shown in the chat (null for a new chat)
+ * @param {boolean} showArchived - Whether the archived threads are listed instead of the active ones
+ * @param {Function} onToggleArchived - Switches between active and archived threads
+ * @param {Function} onSelect - Called with a thread ID to open it
+ * @param {Function} onNewConversation - Starts a new chat
+ * @param {Function} onRename - Called with a thread ID and its new title
+ * @param {Function} onArchive - Called with a thread ID and whether to archive (true) or restore (false) it
+ * @param {Function} onDelete - Called with a thread ID to delete it
+ * @returns {JSX.Element} ConversationList component
+ */
+function ConversationList({
+  conversations,
+  activeConversationId,
+  showArchived,
+  onToggleArchived,
+  onSelect,
+  onNewConversation,
+  onRename,
+  onArchive,
+  onDelete
+}) {
+  const { colors } = useTheme();
+  const [editingId, setEditingId] = useState(null);
+  const [editingTitle, setEditingTitle] = useState('');
+  const [hoveredId, setHoveredId] = useState(null);
+
+  /**
+   * Start renaming a thread in place
+   */
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setEditingTitle(conversation.title);
+  };
+
+  /**
+   * Save the new title, unless it is empty or unchanged
+   */
+  const finishRename = (conversation) => {
+    const title = editingTitle.trim();
+    setEditingId(null);
+    if (title && title !== conversation.title) {
+      onRename(conversation.id, title);
+    }
+  };
+
+  return (
+    <aside style={{
+      width: '260px',
+      background: colors.sidebar.background,
+      borderRight: `1px solid ${colors.border.primary}`,
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      {/* Header with new chat button */}
+      <div style={{ padding: '1.5rem 1rem 1rem', borderBottom: `1px solid ${colors.border.primary}` }}>
+        <button
+          onClick={onNewConversation}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '0.5rem',
+            width: '100%',
+            padding: '0.75rem',
+            background: activeConversationId === null ? '#1d4ed8' : '#2563eb',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontWeight: '500',
+            fontSize: '0.9375rem',
+            transition: 'all 0.2s ease'
+          }}
+        >
+          <MessageSquarePlus size={16} />
+          New chat
+        </button>
+      </div>
+
+      {/* Thread list */}
+      <div style={{ flex: 1, overflowY: 'auto', padding: '0.75rem' }}>
+        {conversations.length === 0 ? (
+          <p style={{
+            textAlign: 'center',
+            color: colors.text.muted,
+            fontSize: '0.875rem',
+            marginTop: '0.5rem'
+          }}>
+            {showArchived ? 'No archived conversations' : 'No conversations yet'}
+          </p>
+        ) : (
+          conversations.map(conversation => {
+            const isActive = conversation.id === activeConversationId;
+            const isEditing = conversation.id === editingId;
+
+            return (
+              <div
+                key={conversation.id}
+                onClick={() => !isEditing && onSelect(conversation.id)}
+                onMouseEnter={() => setHoveredId(conversation.id)}
+                onMouseLeave={() => setHoveredId(null)}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  padding: '0.625rem 0.75rem',
+                  marginBottom: '0.25rem',
+                  borderRadius: '8px',
+                  background: isActive
+                    ? colors.interactive.active
+                    : hoveredId === conversation.id ? colors.interactive.hover : 'transparent',
+                  cursor: isEditing ? 'default' : 'pointer',
+                  transition: 'background 0.2s ease'
+                }}
+              >
+                <MessageSquare size={14} color="#2563eb" style={{ flexShrink: 0 }} />
+
+                {isEditing ? (
+                  <input
+                    autoFocus
+                    value={editingTitle}
+                    onChange={(e) => setEditingTitle(e.target.value)}
+                    onBlur={() => finishRename(conversation)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') finishRename(conversation);
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    onClick={(e) => e.stopPropagation()}
+                    aria-label="Conversation title"
+                    style={{
+                      flex: 1,
+                      minWidth: 0,
+                      padding: '0.125rem 0.375rem',
+                      fontSize: '0.875rem',
+                      color: colors.text.primary,
+                      background: colors.primary,
+                      border: '1px solid #2563eb',
+                      borderRadius: '4px',
+                      outline: 'none'
+                    }}
+                  />
+                ) : (
+                  <span
+                    title={conversation.title}
+                    style={{
+                      flex: 1,
+                      minWidth: 0,
+                      fontSize: '0.875rem',
+                      fontWeight: isActive ? '500' : '400',
+                      color: colors.text.primary,
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap'
+                    }}
+                  >
+                    {conversation.title}
+                  </span>
+                )}
+
+                {/* Actions, shown for the open or hovered thread */}
+                {!isEditing && (isActive || hoveredId === conversation.id) && (
+                  <div style={{ display: 'flex', flexShrink: 0 }}>
+                    <ActionButton label="Rename" hoverColor="#2563eb" onClick={() => startRename(conversation)}>
+                      <Pencil size={14} />
+                    </ActionButton>
+                    {showArchived ? (
+                      <ActionButton label="Restore" hoverColor="#2563eb" onClick={() => onArchive(conversation.id, false)}>
+                        <ArchiveRestore size={14} />
+                      </ActionButton>
+                    ) : (
+                      <ActionButton label="Archive" hoverColor="#2563eb" onClick={() => onArchive(conversation.id, true)}>
+                        <Archive size={14} />
+                      </ActionButton>
+                    )}
+                    <ActionButton label="Delete" hoverColor="#ef4444" onClick={() => onDelete(conversation.id)}>
+                      <Trash2 size={14} />
+                    </ActionButton>
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      {/* Switch between active and archived threads */}
+      <button
+        onClick={onToggleArchived}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          gap: '0.5rem',
+          padding: '0.75rem',
+          background: 'transparent',
+          border: 'none',
+          borderTop: `1px solid ${colors.border.primary}`,
+          color: colors.text.secondary,
+          fontSize: '0.8125rem',
+          cursor: 'pointer'
+        }}
+      >
+        {showArchived ? <MessageSquare size={14} /> : <Archive size={14} />}
+        {showArchived ? 'Back to conversations' : 'Archived conversations'}
+      </button>
+    </aside>
+  );
+}
+
+export default ConversationList;
@@ -0,0 +1,116 @@
+/**
+ * DocumentChat component
+ * Chat panel pinned to one document, shown beside it in the PDF viewer
+ */
+
+import React from 'react';
+import { useTheme } from '../context/ThemeContext';
+import ChatMessages from './ChatMessages';
+import ChatInput from './ChatInput';
+
+/**
+ * DocumentChat component
+ *
+ * @param {Object} file - Document the chat is pinned to
+ * @param {Array} messages - Messages of the user's chat with this document
+ * @param {boolean} isAIResponding - Whether AI is currently responding
+ * @param {string} inputMessage - Current input message
+ * @param {Function} setInputMessage - Function to update input message
+ * @param {boolean} isSending - Whether message is being sent
+ * @param {Function} onSubmit - Submit handler
+ * @param {Function} onStop - Stop generation handler
+ * @param {boolean} useFullText - Whether to answer from the whole document instead of retrieved chunks
+ * @param {Function} setUseFullText - Function to update useFullText
+ * @param {Object} classInfo - Class information object
+ * @param {Function} onCitationClick - Called with a citation when its marker or source is clicked
+ * @param {Function} onFeedback - Called with a message ID and its new feedback (null to remove it)
+ * @param {Function} onEdit - Called with a question and its edited text to send it as a new version
+ * @param {Function} onRegenerate - Called with an answer to ask for another one
+ * @param {Function} onSelectVersion - Called with the ID of a message version to show
+ * @param {boolean} hasMore - Whether older messages can be loaded
+ * @param {Function} onLoadMore - Loads the page of older messages
+ * @returns {JSX.Element} DocumentChat component
+ */
+function DocumentChat({
+  file,
+  messages,
+  isAIResponding,
+  inputMessage,
+  setInputMessage,
+  isSending,
+  onSubmit,
+  onStop,
+  useFullText,
+  setUseFullText,
+  classInfo,
+  onCitationClick,
+  onFeedback,
+  onEdit,
+  onRegenerate,
+  onSelectVersion,
+  hasMore,
+  onLoadMore
+}) {
+  const { colors } = useTheme();
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      height: '100%',
+      background: colors.primary,
+      borderRadius: '8px',
+      overflow: 'hidden'
+    }}>
+      {/* Full-text option, only offered for documents small enough to send whole */}
+      {file.full_text_available && (
+        <label style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          padding: '0.75rem 1.5rem',
+          borderBottom: `1px solid ${colors.border.primary}`,
+          fontSize: '0.8125rem',
+          color: colors.text.secondary,
+          cursor: 'pointer'
+        }}>
+          <input
+            type="checkbox"
+            checked={useFullText}
+            onChange={(e) => setUseFullText(e.target.checked)}
+          />
+          Use the full text of this document instead of searching it
+        </label>
+      )}
+
+      <ChatMessages
+        messages={messages}
+        isAIResponding={isAIResponding}
+        classInfo={classInfo}
+        onCitationClick={onCitationClick}
+        onFeedback={onFeedback}
+        onEdit={onEdit}
+        onRegenerate={onRegenerate}
+        onSelectVersion={onSelectVersion}
+        hasMore={hasMore}
+        onLoadMore={onLoadMore}
+        emptyState={{
+          title: `Chat with ${file.filename}`,
+          description: 'Answers come only from this document. This conversation is kept separate from the class chat.'
+        }}
+      />
+
+      <ChatInput
+        inputMessage={inputMessage}
+        setInputMessage={setInputMessage}
+        isSending={isSending}
+        isAIResponding={isAIResponding}
+        onSubmit={onSubmit}
+        onStop={onStop}
+        placeholder={`Ask about ${file.filename}...`}
+      />
+    </div>
+  );
+}
+
+export default DocumentChat;
@@ -129,7 +129,7 @@ function FileSidebar({
           ref={fileInputRef}
           type="file"
           onChange={onFileUpload}
-          accept=".pdf,.doc,.docx,.txt"
+          accept=".pdf,.doc,.docx,.pptx,.txt"
           style={{ display: 'none' }}
         />
       </div>
@@ -0,0 +1,122 @@
+/**
+ * MessageFeedback component
+ * Thumbs up/down on an AI answer, with optional reason tags once a rating is given
+ */
+
+import React from 'react';
+import { ThumbsUp, ThumbsDown } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+
+const FEEDBACK_REASONS = [
+  { value: 'wrong', label: 'Wrong' },
+  { value: 'not-from-course-materials', label: 'Not from course materials' },
+  { value: 'too-long', label: 'Too long' },
+  { value: 'too-short', label: 'Too short' },
+  { value: 'unclear', label: 'Unclear' }
+];
+
+/**
+ * MessageFeedback component
+ *
+ * @param {Object} feedback - Current { rating, reasons }, or null if not rated
+ * @param {Function} onChange - Called with the new feedback, or null to remove it
+ * @returns {JSX.Element} MessageFeedback component
+ */
+function MessageFeedback({ feedback, onChange }) {
+  const { colors } = useTheme();
+  const rating = feedback?.rating || null;
+  const reasons = feedback?.reasons || [];
+
+  /**
+   * Set a rating, or clear it when the selected thumb is clicked again
+   */
+  const handleRate = (newRating) => {
+    if (newRating === rating) {
+      onChange(null);
+    } else {
+      onChange({ rating: newRating, reasons: [] });
+    }
+  };
+
+  /**
+   * Add or remove a reason tag on the current rating
+   */
+  const handleToggleReason = (reason) => {
+    const newReasons = reasons.includes(reason)
+      ? reasons.filter(r => r !== reason)
+      : [...reasons, reason];
+    onChange({ rating, reasons: newReasons });
+  };
+
+  const thumbStyle = (isSelected) => ({
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.25rem',
+    background: 'transparent',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    color: isSelected ? '#2563eb' : colors.text.muted,
+    transition: 'all 0.2s ease'
+  });
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.25rem', marginTop: '0.5rem' }}>
+      <button
+        onClick={() => handleRate('up')}
+        title="Helpful"
+        aria-pressed={rating === 'up'}
+        style={thumbStyle(rating === 'up')}
+        onMouseEnter={(e) => {
+          e.currentTarget.style.background = colors.interactive.hover;
+        }}
+        onMouseLeave={(e) => {
+          e.currentTarget.style.background = 'transparent';
+        }}
+      >
+        <ThumbsUp size={14} fill={rating === 'up' ? 'currentColor' : 'none'} />
+      </button>
+      <button
+        onClick={() => handleRate('down')}
+        title="Not helpful"
+        aria-pressed={rating === 'down'}
+        style={thumbStyle(rating === 'down')}
+        onMouseEnter={(e) => {
+          e.currentTarget.style.background = colors.interactive.hover;
+        }}
+        onMouseLeave={(e) => {
+          e.currentTarget.style.background = 'transparent';
+        }}
+      >
+        <ThumbsDown size={14} fill={rating === 'down' ? 'currentColor' : 'none'} />
+      </button>
+
+      {/* Reason tags, shown once the answer has been rated */}
+      {rating && FEEDBACK_REASONS.map(reason => {
+        const isSelected = reasons.includes(reason.value);
+        return (
+          <button
+            key={reason.value}
+            onClick={() => handleToggleReason(reason.value)}
+            aria-pressed={isSelected}
+            style={{
+              marginLeft: '0.25rem',
+              padding: '0.125rem 0.5rem',
+              fontSize: '0.75rem',
+              borderRadius: '999px',
+              cursor: 'pointer',
+              border: `1px solid ${isSelected ? '#2563eb' : colors.border.secondary}`,
+              background: isSelected ? 'rgba(37, 99, 235, 0.1)' : 'transparent',
+              color: isSelected ? '#2563eb' : colors.text.secondary,
+              transition: 'all 0.2s ease'
+            }}
+          >
+            {reason.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default MessageFeedback;
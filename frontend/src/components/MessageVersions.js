@@ -0,0 +1,65 @@
+/**
+ * MessageVersions component
+ * "‹ 2 / 3 ›" switcher between the versions of an edited question or regenerated answer
+ */
+
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * MessageVersions component
+ *
+ * @param {number} messageId - ID of the version shown
+ * @param {Array<number>} versionIds - IDs of all versions, oldest first
+ * @param {Function} onSelect - Called with the ID of the version to show
+ * @param {boolean} disabled - Whether switching is unavailable (e.g. while an answer streams)
+ * @returns {JSX.Element} MessageVersions component
+ */
+function MessageVersions({ messageId, versionIds, onSelect, disabled }) {
+  const { colors } = useTheme();
+  const index = versionIds.indexOf(messageId);
+
+  const arrowStyle = (isEnabled) => ({
+    display: 'flex',
+    alignItems: 'center',
+    padding: '0.125rem',
+    background: 'transparent',
+    border: 'none',
+    borderRadius: '4px',
+    color: isEnabled ? colors.text.secondary : colors.text.muted,
+    cursor: isEnabled ? 'pointer' : 'default',
+    opacity: isEnabled ? 1 : 0.5
+  });
+
+  const canGoBack = !disabled && index > 0;
+  const canGoForward = !disabled && index < versionIds.length - 1;
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '0.125rem', fontSize: '0.75rem', color: colors.text.secondary }}>
+      <button
+        onClick={() => onSelect(versionIds[index - 1])}
+        disabled={!canGoBack}
+        aria-label="Previous version"
+        title="Previous version"
+        style={arrowStyle(canGoBack)}
+      >
+        <ChevronLeft size={14} />
+      </button>
+      <span style={{ minWidth: '2.5rem', textAlign: 'center' }}>
+        {index + 1} / {versionIds.length}
+      </span>
+      <button
+        onClick={() => onSelect(versionIds[index + 1])}
+        disabled={!canGoForward}
+        aria-label="Next version"
+        title="Next version"
+        style={arrowStyle(canGoForward)}
+      >
+        <ChevronRight size={14} />
+      </button>
+    </div>
+  );
+}
+
+export default MessageVersions;
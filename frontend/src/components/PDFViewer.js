@@ -1,19 +1,25 @@
 /**
  * PDFViewer component
- * Modal for viewing PDF and document files
+ * Modal for viewing PDF and document files, optionally split with a chat about the document.
+ * PDFs are rendered with PDF.js so selected text can be asked about; other files use the browser.
  */
 
 import React, { useEffect } from 'react';
-import { FileText } from 'lucide-react';
+import { FileText, MessageSquare } from 'lucide-react';
+import PdfDocumentView from './PdfDocumentView';
 
 /**
  * PDFViewer component
  *
- * @param {Object} file - File object to view
+ * @param {Object} file - File object to view (optional page opens the viewer at that page)
  * @param {Function} onClose - Close handler
+ * @param {JSX.Element} chatPanel - Chat shown beside the document while isChatOpen
+ * @param {boolean} isChatOpen - Whether the document chat is shown
+ * @param {Function} onToggleChat - Shows or hides the document chat; the toggle is hidden without it
+ * @param {Function} onAskAboutSelection - Called with { text, page } when text selected in a PDF is asked about
  * @returns {JSX.Element|null} PDFViewer component or null if no file
  */
-function PDFViewer({ file, onClose }) {
+function PDFViewer({ file, onClose, chatPanel, isChatOpen = false, onToggleChat, onAskAboutSelection }) {
   // Handle Escape key to close viewer
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -28,6 +34,9 @@ function PDFViewer({ file, onClose }) {
 
   if (!file) return null;
 
+  const fileUrl = `http://localhost:5001/api/files/${file.id}/view?token=${localStorage.getItem('token')}`;
+  const isPdf = file.filename.toLowerCase().endsWith('.pdf');
+
   return (
     <div
       style={{
@@ -63,37 +72,61 @@ function PDFViewer({ file, onClose }) {
               {file.filename}
             </h3>
             <p style={{ color: 'rgba(255, 255, 255, 0.6)', margin: 0, fontSize: '0.75rem' }}>
-              Uploaded by {file.uploader_name}
+              Uploaded by {file.uploader_name}{file.page ? ` · Page ${file.page}` : ''}
             </p>
           </div>
         </div>
-        <button
-          onClick={onClose}
-          style={{
-            background: 'rgba(255, 255, 255, 0.1)',
-            border: 'none',
-            color: 'white',
-            padding: '0.5rem',
-            borderRadius: '6px',
-            cursor: 'pointer',
-            fontSize: '1.25rem',
-            fontWeight: '300',
-            width: '2.5rem',
-            height: '2.5rem',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            transition: 'all 0.2s ease'
-          }}
-          onMouseEnter={(e) => {
-            e.currentTarget.style.background = 'rgba(255, 255, 255, 0.2)';
-          }}
-          onMouseLeave={(e) => {
-            e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)';
-          }}
-        >
-          ×
-        </button>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          {onToggleChat && (
+            <button
+              onClick={onToggleChat}
+              aria-pressed={isChatOpen}
+              style={{
+                background: isChatOpen ? '#2563eb' : 'rgba(255, 255, 255, 0.1)',
+                border: 'none',
+                color: 'white',
+                padding: '0.5rem 0.75rem',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontSize: '0.875rem',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem',
+                transition: 'all 0.2s ease'
+              }}
+            >
+              <MessageSquare size={16} />
+              Chat with this file
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            style={{
+              background: 'rgba(255, 255, 255, 0.1)',
+              border: 'none',
+              color: 'white',
+              padding: '0.5rem',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              fontSize: '1.25rem',
+              fontWeight: '300',
+              width: '2.5rem',
+              height: '2.5rem',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              transition: 'all 0.2s ease'
+            }}
+            onMouseEnter={(e) => {
+              e.currentTarget.style.background = 'rgba(255, 255, 255, 0.2)';
+            }}
+            onMouseLeave={(e) => {
+              e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)';
+            }}
+          >
+            ×
+          </button>
+        </div>
       </div>
 
       {/* Document Viewer */}
@@ -103,23 +136,38 @@ function PDFViewer({ file, onClose }) {
           display: 'flex',
           justifyContent: 'center',
           alignItems: 'center',
+          gap: '1rem',
           padding: '2rem',
           overflow: 'hidden'
         }}
         onClick={(e) => e.stopPropagation()}
       >
-        <iframe
-          src={`http://localhost:5001/api/files/${file.id}/view?token=${localStorage.getItem('token')}#toolbar=0`}
-          style={{
-            width: '100%',
-            height: '100%',
-            border: 'none',
-            borderRadius: '8px',
-            backgroundColor: 'white',
-            boxShadow: '0 20px 60px rgba(0, 0, 0, 0.5)'
-          }}
-          title={file.filename}
-        />
+        {isPdf ? (
+          <PdfDocumentView
+            url={fileUrl}
+            initialPage={file.page}
+            onAskAboutSelection={onAskAboutSelection}
+          />
+        ) : (
+          <iframe
+            key={`${file.id}-${file.page || 1}`}
+            src={`${fileUrl}#${file.page ? `page=${file.page}&` : ''}toolbar=0`}
+            style={{
+              width: '100%',
+              height: '100%',
+              border: 'none',
+              borderRadius: '8px',
+              backgroundColor: 'white',
+              boxShadow: '0 20px 60px rgba(0, 0, 0, 0.5)'
+            }}
+            title={file.filename}
+          />
+        )}
+        {isChatOpen && chatPanel && (
+          <div style={{ width: '420px', flexShrink: 0, height: '100%' }}>
+            {chatPanel}
+          </div>
+        )}
       </div>
     </div>
   );
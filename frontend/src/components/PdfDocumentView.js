@@ -0,0 +1,323 @@
+/**
+ * PdfDocumentView component
+ * Renders a PDF with PDF.js so its text can be selected, and offers to ask about the selection
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import * as pdfjsLib from 'pdfjs-dist';
+import { Loader, MessageSquare } from 'lucide-react';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+
+// Text layer styles from PDF.js's pdf_viewer.css (the full sheet references images the build cannot resolve)
+if (!document.getElementById('pdf-text-layer-css')) {
+  const style = document.createElement('style');
+  style.id = 'pdf-text-layer-css';
+  style.textContent = `
+    .textLayer {
+      position: absolute;
+      text-align: initial;
+      inset: 0;
+      overflow: hidden;
+      opacity: 0.25;
+      line-height: 1;
+      text-size-adjust: none;
+      forced-color-adjust: none;
+      transform-origin: 0 0;
+      z-index: 2;
+    }
+    .textLayer :is(span, br) {
+      color: transparent;
+      position: absolute;
+      white-space: pre;
+      cursor: text;
+      transform-origin: 0% 0%;
+    }
+    .textLayer span.markedContent {
+      top: 0;
+      height: 0;
+    }
+    .textLayer ::selection {
+      background: AccentColor;
+    }
+    .textLayer br::selection {
+      background: transparent;
+    }
+    .textLayer .endOfContent {
+      display: block;
+      position: absolute;
+      inset: 100% 0 0;
+      z-index: -1;
+      cursor: default;
+      user-select: none;
+    }
+    .textLayer .endOfContent.active {
+      top: 0;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+const PAGE_GAP = 16;
+const MAX_SCALE = 2;
+const PAGE_RENDER_MARGIN = '600px'; // pages this close to the viewport are rendered ahead of scrolling
+
+/**
+ * One PDF page: a canvas with PDF.js's selectable text layer on top, rendered once it nears the viewport
+ *
+ * @param {Object} pdf - Loaded PDF.js document
+ * @param {number} pageNumber - 1-based page number
+ * @param {Object} pageSize - { scale, width, height } used until the page has loaded its own size
+ * @param {HTMLElement} scrollRoot - Scrolling container the page is shown in
+ * @returns {JSX.Element} PdfPage component
+ */
+function PdfPage({ pdf, pageNumber, pageSize, scrollRoot }) {
+  const pageRef = useRef(null);
+  const canvasRef = useRef(null);
+  const textLayerRef = useRef(null);
+  const [isNearViewport, setIsNearViewport] = useState(false);
+  const [size, setSize] = useState({ width: pageSize.width, height: pageSize.height });
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        setIsNearViewport(true);
+        observer.disconnect();
+      }
+    }, { root: scrollRoot, rootMargin: PAGE_RENDER_MARGIN });
+
+    observer.observe(pageRef.current);
+    return () => observer.disconnect();
+  }, [scrollRoot]);
+
+  useEffect(() => {
+    if (!isNearViewport) return;
+
+    let isCancelled = false;
+    let renderTask = null;
+    let textLayerTask = null;
+
+    pdf.getPage(pageNumber)
+      .then(page => {
+        if (isCancelled) return null;
+
+        const viewport = page.getViewport({ scale: pageSize.scale });
+        const outputScale = window.devicePixelRatio || 1;
+        setSize({ width: viewport.width, height: viewport.height });
+
+        const canvas = canvasRef.current;
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+        renderTask = page.render({
+          canvasContext: canvas.getContext('2d'),
+          viewport,
+          transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        });
+
+        textLayerRef.current.replaceChildren();
+        textLayerTask = pdfjsLib.renderTextLayer({
+          textContentSource: page.streamTextContent(),
+          container: textLayerRef.current,
+          viewport
+        });
+
+        return Promise.all([renderTask.promise, textLayerTask.promise]);
+      })
+      .catch(error => {
+        if (error?.name !== 'RenderingCancelledException') {
+          console.error(`Error rendering PDF page ${pageNumber}:`, error);
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+      renderTask?.cancel();
+      textLayerTask?.cancel();
+    };
+  }, [pdf, pageNumber, pageSize.scale, isNearViewport]);
+
+  return (
+    <div
+      ref={pageRef}
+      data-page-number={pageNumber}
+      style={{
+        position: 'relative',
+        width: `${size.width}px`,
+        height: `${size.height}px`,
+        margin: `0 auto ${PAGE_GAP}px`,
+        backgroundColor: 'white',
+        boxShadow: '0 10px 30px rgba(0, 0, 0, 0.4)',
+        '--scale-factor': pageSize.scale
+      }}
+    >
+      <canvas ref={canvasRef} style={{ display: 'block', width: '100%', height: '100%' }} />
+      <div ref={textLayerRef} className="textLayer" />
+    </div>
+  );
+}
+
+/**
+ * PdfDocumentView component
+ *
+ * @param {string} url - URL the PDF is loaded from
+ * @param {number} initialPage - Page to open at (optional)
+ * @param {Function} onAskAboutSelection - Called with { text, page } when the student asks about selected text
+ * @returns {JSX.Element} PdfDocumentView component
+ */
+function PdfDocumentView({ url, initialPage, onAskAboutSelection }) {
+  const [scrollRoot, setScrollRoot] = useState(null);
+  const [pdf, setPdf] = useState(null);
+  const [pageSize, setPageSize] = useState(null);
+  const [error, setError] = useState(null);
+  const [selection, setSelection] = useState(null);
+
+  // Load the document
+  useEffect(() => {
+    setPdf(null);
+    setPageSize(null);
+    setError(null);
+    setSelection(null);
+
+    const loadingTask = pdfjsLib.getDocument({ url });
+    loadingTask.promise
+      .then(setPdf)
+      .catch(err => {
+        console.error('Error loading PDF:', err);
+        setError('This PDF could not be loaded');
+      });
+
+    return () => {
+      loadingTask.destroy();
+    };
+  }, [url]);
+
+  // Fit the pages to the width of the viewer
+  useEffect(() => {
+    if (!pdf || !scrollRoot) return;
+
+    let isCurrent = true;
+    pdf.getPage(1).then(page => {
+      if (!isCurrent) return;
+      const unscaled = page.getViewport({ scale: 1 });
+      const scale = Math.min((scrollRoot.clientWidth - 2 * PAGE_GAP) / unscaled.width, MAX_SCALE);
+      const viewport = page.getViewport({ scale });
+      setPageSize({ scale, width: viewport.width, height: viewport.height });
+    });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [pdf, scrollRoot]);
+
+  // Open at the requested page, e.g. the one a citation points to
+  useEffect(() => {
+    if (!pageSize || !initialPage || !scrollRoot) return;
+    scrollRoot.querySelector(`[data-page-number="${initialPage}"]`)?.scrollIntoView();
+  }, [pageSize, initialPage, scrollRoot]);
+
+  /**
+   * Offer the ask action for text selected inside a page, placed under the selection
+   */
+  const handleMouseUp = () => {
+    const current = window.getSelection();
+    const text = current ? current.toString().trim() : '';
+    if (!text || current.rangeCount === 0) {
+      setSelection(null);
+      return;
+    }
+
+    const range = current.getRangeAt(0);
+    const start = range.startContainer.nodeType === Node.TEXT_NODE
+      ? range.startContainer.parentElement
+      : range.startContainer;
+    const pageElement = start?.closest('[data-page-number]');
+    if (!pageElement || !scrollRoot.contains(pageElement)) {
+      setSelection(null);
+      return;
+    }
+
+    const rect = range.getBoundingClientRect();
+    const rootRect = scrollRoot.getBoundingClientRect();
+    setSelection({
+      text,
+      page: Number(pageElement.dataset.pageNumber),
+      top: rect.bottom - rootRect.top + scrollRoot.scrollTop + 8,
+      left: Math.max(rect.left - rootRect.left + scrollRoot.scrollLeft, PAGE_GAP)
+    });
+  };
+
+  /**
+   * Hand the selection to the chat and clear it
+   */
+  const handleAsk = () => {
+    onAskAboutSelection({ text: selection.text, page: selection.page });
+    window.getSelection()?.removeAllRanges();
+    setSelection(null);
+  };
+
+  return (
+    <div
+      ref={setScrollRoot}
+      onMouseUp={handleMouseUp}
+      style={{
+        position: 'relative',
+        flex: 1,
+        height: '100%',
+        overflow: 'auto',
+        padding: `${PAGE_GAP}px 0`
+      }}
+    >
+      {error && (
+        <p style={{ color: 'white', textAlign: 'center', marginTop: '3rem' }}>{error}</p>
+      )}
+
+      {!error && !pageSize && (
+        <div style={{ display: 'flex', justifyContent: 'center', marginTop: '3rem' }}>
+          <Loader className="animate-spin" size={32} color="#3b82f6" />
+        </div>
+      )}
+
+      {pdf && pageSize && Array.from({ length: pdf.numPages }, (_, index) => (
+        <PdfPage
+          key={index + 1}
+          pdf={pdf}
+          pageNumber={index + 1}
+          pageSize={pageSize}
+          scrollRoot={scrollRoot}
+        />
+      ))}
+
+      {/* Ask about the selected text */}
+      {selection && onAskAboutSelection && (
+        <button
+          // Keep the text selected while the button is pressed
+          onMouseDown={(e) => e.preventDefault()}
+          onMouseUp={(e) => e.stopPropagation()}
+          onClick={handleAsk}
+          style={{
+            position: 'absolute',
+            top: `${selection.top}px`,
+            left: `${selection.left}px`,
+            zIndex: 10,
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+            padding: '0.5rem 0.75rem',
+            background: '#2563eb',
+            border: 'none',
+            borderRadius: '6px',
+            color: 'white',
+            fontSize: '0.875rem',
+            cursor: 'pointer',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)'
+          }}
+        >
+          <MessageSquare size={16} />
+          Ask about this
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PdfDocumentView;
@@ -0,0 +1,93 @@
+/**
+ * PinnedPassage component
+ * Quote of a passage selected in a document, attached to a question about it
+ */
+
+import React from 'react';
+import { FileText } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * PinnedPassage component
+ *
+ * @param {Object} pinnedContext - { documentId, filename, page, text }
+ * @param {Function} onOpen - Opens the passage's document (optional)
+ * @param {Function} onRemove - Removes the passage from the question being written (optional)
+ * @returns {JSX.Element} PinnedPassage component
+ */
+function PinnedPassage({ pinnedContext, onOpen, onRemove }) {
+  const { colors } = useTheme();
+  const source = pinnedContext.page
+    ? `${pinnedContext.filename}, p. ${pinnedContext.page}`
+    : pinnedContext.filename;
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: '0.5rem',
+      marginBottom: '0.5rem',
+      padding: '0.5rem 0.75rem',
+      background: colors.secondary,
+      border: `1px solid ${colors.border.primary}`,
+      borderLeft: '3px solid #2563eb',
+      borderRadius: '8px',
+      fontSize: '0.8125rem',
+      color: colors.text.secondary
+    }}>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <button
+          type="button"
+          onClick={onOpen}
+          disabled={!onOpen}
+          title={onOpen ? 'Open in the document' : undefined}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.375rem',
+            padding: 0,
+            background: 'transparent',
+            border: 'none',
+            fontSize: '0.75rem',
+            fontWeight: '500',
+            color: colors.text.primary,
+            cursor: onOpen ? 'pointer' : 'default'
+          }}
+        >
+          <FileText size={12} color="#3b82f6" />
+          {source}
+        </button>
+        <div style={{
+          marginTop: '0.25rem',
+          overflow: 'hidden',
+          display: '-webkit-box',
+          WebkitLineClamp: 3,
+          WebkitBoxOrient: 'vertical',
+          whiteSpace: 'pre-wrap'
+        }}>
+          “{pinnedContext.text}”
+        </div>
+      </div>
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          aria-label="Remove selected passage"
+          style={{
+            background: 'transparent',
+            border: 'none',
+            color: colors.text.secondary,
+            fontSize: '1rem',
+            lineHeight: 1,
+            cursor: 'pointer',
+            padding: '0 0.25rem'
+          }}
+        >
+          ×
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PinnedPassage;
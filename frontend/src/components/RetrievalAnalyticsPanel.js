@@ -0,0 +1,300 @@
+/**
+ * RetrievalAnalyticsPanel component
+ * Lets a class owner browse what students asked and what retrieval found for it
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { BarChart3, Loader } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+import { getRetrievalAnalytics, getClassFeedback } from '../services/api';
+
+const FILTERS = [
+  { value: 'all', label: 'All queries' },
+  { value: 'no-match', label: 'Found nothing relevant' }
+];
+
+const REASON_LABELS = {
+  'wrong': 'Wrong',
+  'not-from-course-materials': 'Not from course materials',
+  'too-long': 'Too long',
+  'too-short': 'Too short',
+  'unclear': 'Unclear'
+};
+
+/**
+ * Format a 0-1 similarity as a percentage
+ *
+ * @param {number|null} similarity - Best vector similarity of a retrieval
+ * @returns {string} Percentage, or a dash for keyword-only or empty retrievals
+ */
+function formatSimilarity(similarity) {
+  return typeof similarity === 'number' ? `${Math.round(similarity * 100)}%` : '–';
+}
+
+/**
+ * RetrievalAnalyticsPanel component
+ *
+ * @param {string} classId - ID of the class
+ * @param {boolean} isOpen - Whether the panel is shown
+ * @param {Function} onClose - Close handler
+ * @returns {JSX.Element|null} RetrievalAnalyticsPanel component or null when closed
+ */
+function RetrievalAnalyticsPanel({ classId, isOpen, onClose }) {
+  const { colors } = useTheme();
+  const [filter, setFilter] = useState('all');
+  const [summary, setSummary] = useState(null);
+  const [feedback, setFeedback] = useState(null);
+  const [retrievals, setRetrievals] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load a page of the retrieval log; before continues from the previous page
+   */
+  const loadRetrievals = useCallback(async (before = null) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await getRetrievalAnalytics(classId, {
+        filter: filter === 'no-match' ? 'no-match' : undefined,
+        before: before || undefined
+      });
+      setSummary(response.data.summary);
+      setRetrievals(prev => (before ? [...prev, ...response.data.retrievals] : response.data.retrievals));
+      setNextCursor(response.data.nextCursor);
+
+      if (!before) {
+        const feedbackResponse = await getClassFeedback(classId);
+        setFeedback(feedbackResponse.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Error loading retrieval analytics');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [classId, filter]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadRetrievals();
+    }
+  }, [isOpen, loadRetrievals]);
+
+  // Handle Escape key to close the panel
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && isOpen) {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const stats = summary ? [
+    { label: 'Queries', value: summary.total },
+    { label: 'Found nothing relevant', value: summary.noMatch },
+    { label: 'Avg retrieval time', value: summary.avgRetrievalTimeMs !== null ? `${summary.avgRetrievalTimeMs} ms` : '–' },
+    { label: 'p95 retrieval time', value: summary.p95RetrievalTimeMs !== null ? `${summary.p95RetrievalTimeMs} ms` : '–' },
+    { label: 'Rated helpful', value: feedback && feedback.total > 0 ? `${Math.round((feedback.up / feedback.total) * 100)}% of ${feedback.total}` : '–' }
+  ] : [];
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.6)',
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        zIndex: 9999,
+        animation: 'fadeIn 0.2s ease-in-out'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          width: 'min(960px, 92vw)',
+          maxHeight: '85vh',
+          display: 'flex',
+          flexDirection: 'column',
+          background: colors.primary,
+          border: `1px solid ${colors.border.primary}`,
+          borderRadius: '12px',
+          boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+          animation: 'slideUp 0.2s ease-out'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{
+          padding: '1rem 1.5rem',
+          borderBottom: `1px solid ${colors.border.primary}`,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between'
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+            <BarChart3 size={20} color="#2563eb" />
+            <div>
+              <h3 style={{ margin: 0, fontSize: '1rem', fontWeight: '600', color: colors.text.primary }}>
+                Retrieval analytics
+              </h3>
+              <p style={{ margin: 0, fontSize: '0.75rem', color: colors.text.secondary }}>
+                {summary
+                  ? `Queries whose best match is below ${formatSimilarity(summary.minSimilarity)} similarity count as finding nothing relevant`
+                  : 'What students asked and what the course materials returned'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: colors.text.secondary,
+              fontSize: '1.25rem',
+              cursor: 'pointer',
+              width: '2rem',
+              height: '2rem',
+              borderRadius: '6px'
+            }}
+            onMouseEnter={(e) => {
+              e.currentTarget.style.background = colors.interactive.hover;
+            }}
+            onMouseLeave={(e) => {
+              e.currentTarget.style.background = 'transparent';
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Summary */}
+        {summary && (
+          <div style={{ display: 'flex', gap: '0.75rem', padding: '1rem 1.5rem 0' }}>
+            {stats.map(stat => (
+              <div key={stat.label} style={{
+                flex: 1,
+                padding: '0.75rem',
+                background: colors.secondary,
+                border: `1px solid ${colors.border.primary}`,
+                borderRadius: '8px'
+              }}>
+                <div style={{ fontSize: '0.75rem', color: colors.text.secondary }}>{stat.label}</div>
+                <div style={{ fontSize: '1.25rem', fontWeight: '600', color: colors.text.primary }}>{stat.value}</div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Feedback reasons */}
+        {feedback && feedback.reasons.length > 0 && (
+          <p style={{ margin: 0, padding: '0.75rem 1.5rem 0', fontSize: '0.75rem', color: colors.text.secondary }}>
+            Feedback reasons: {feedback.reasons.map(r => `${REASON_LABELS[r.reason] || r.reason} (${r.count})`).join(', ')}
+          </p>
+        )}
+
+        {/* Filter */}
+        <div style={{ display: 'flex', gap: '0.5rem', padding: '1rem 1.5rem' }}>
+          {FILTERS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setFilter(option.value)}
+              style={{
+                padding: '0.375rem 0.75rem',
+                fontSize: '0.8125rem',
+                borderRadius: '999px',
+                cursor: 'pointer',
+                border: `1px solid ${filter === option.value ? '#2563eb' : colors.border.secondary}`,
+                background: filter === option.value ? '#2563eb' : 'transparent',
+                color: filter === option.value ? 'white' : colors.text.primary
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Retrieval log */}
+        <div style={{ flex: 1, overflowY: 'auto', padding: '0 1.5rem 1rem' }}>
+          {error && (
+            <p style={{ color: '#dc2626', fontSize: '0.875rem' }}>{error}</p>
+          )}
+
+          {!error && !isLoading && retrievals.length === 0 && (
+            <p style={{ color: colors.text.secondary, fontSize: '0.875rem' }}>
+              {filter === 'no-match' ? 'Every logged query found relevant course material.' : 'No queries have been logged yet.'}
+            </p>
+          )}
+
+          {retrievals.map(retrieval => (
+            <div key={retrieval.id} style={{
+              padding: '0.75rem 0',
+              borderBottom: `1px solid ${colors.border.primary}`
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem' }}>
+                <span style={{ fontSize: '0.875rem', color: colors.text.primary, fontWeight: '500' }}>
+                  {retrieval.query}
+                </span>
+                <span style={{ display: 'flex', gap: '0.5rem', fontSize: '0.75rem', whiteSpace: 'nowrap' }}>
+                  {typeof retrieval.responseQualityScore === 'number' && (
+                    <span style={{ color: retrieval.responseQualityScore >= 0.5 ? '#10a37f' : '#dc2626' }}>
+                      {retrieval.responseQualityScore >= 0.5 ? 'Rated helpful' : 'Rated not helpful'}
+                    </span>
+                  )}
+                  {retrieval.noMatch && (
+                    <span style={{ color: '#dc2626' }}>Nothing relevant</span>
+                  )}
+                </span>
+              </div>
+              <div style={{ fontSize: '0.75rem', color: colors.text.secondary, marginTop: '0.25rem' }}>
+                {new Date(retrieval.createdAt).toLocaleString()}
+                {` · ${retrieval.resultCount ?? 0} chunks · best match ${formatSimilarity(retrieval.topSimilarity)}`}
+                {` · ${retrieval.strategy || 'unknown'}${retrieval.reranker && retrieval.reranker !== 'none' ? ` + ${retrieval.reranker}` : ''}`}
+                {retrieval.retrievalTimeMs !== null && ` · ${retrieval.retrievalTimeMs} ms`}
+              </div>
+              {retrieval.filenames.length > 0 && (
+                <div style={{ fontSize: '0.75rem', color: colors.text.muted, marginTop: '0.25rem' }}>
+                  {retrieval.filenames.join(', ')}
+                </div>
+              )}
+            </div>
+          ))}
+
+          {isLoading && (
+            <div style={{ display: 'flex', justifyContent: 'center', padding: '1rem' }}>
+              <Loader className="animate-spin" size={20} color="#2563eb" />
+            </div>
+          )}
+
+          {!isLoading && nextCursor && (
+            <button
+              onClick={() => loadRetrievals(nextCursor)}
+              style={{
+                display: 'block',
+                margin: '1rem auto 0',
+                padding: '0.5rem 1rem',
+                fontSize: '0.8125rem',
+                background: 'transparent',
+                border: `1px solid ${colors.border.secondary}`,
+                borderRadius: '6px',
+                color: colors.text.primary,
+                cursor: 'pointer'
+              }}
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RetrievalAnalyticsPanel;
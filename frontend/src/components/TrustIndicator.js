@@ -0,0 +1,91 @@
+/**
+ * TrustIndicator component
+ * Shows how well an AI answer is grounded in the course materials
+ */
+
+import React, { useState } from 'react';
+import { ShieldCheck, ShieldAlert, AlertTriangle } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+
+const GROUNDING_LEVELS = {
+  high: {
+    label: 'Grounded in course materials',
+    color: '#10a37f',
+    Icon: ShieldCheck
+  },
+  medium: {
+    label: 'Partly grounded - double-check key details',
+    color: '#d97706',
+    Icon: ShieldAlert
+  },
+  low: {
+    label: 'Not grounded in course materials - verify before relying on it',
+    color: '#dc2626',
+    Icon: AlertTriangle
+  }
+};
+
+/**
+ * TrustIndicator component
+ *
+ * @param {Object} grounding - Grounding result with score, level, and reasons
+ * @returns {JSX.Element|null} TrustIndicator component or null without a grounding score
+ */
+function TrustIndicator({ grounding }) {
+  const { colors } = useTheme();
+  const [showDetails, setShowDetails] = useState(false);
+
+  if (!grounding || typeof grounding.score !== 'number') return null;
+
+  const { label, color, Icon } = GROUNDING_LEVELS[grounding.level] || GROUNDING_LEVELS.low;
+  const reasons = grounding.reasons || [];
+
+  return (
+    <div style={{ marginTop: '0.75rem' }}>
+      <button
+        onClick={() => setShowDetails(prev => !prev)}
+        title={reasons.join('\n')}
+        aria-expanded={showDetails}
+        style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '0.375rem',
+          background: 'transparent',
+          border: `1px solid ${color}`,
+          borderRadius: '999px',
+          padding: '0.125rem 0.625rem',
+          fontSize: '0.75rem',
+          color: color,
+          cursor: reasons.length > 0 ? 'pointer' : 'default',
+          transition: 'all 0.2s ease'
+        }}
+        onMouseEnter={(e) => {
+          e.currentTarget.style.background = colors.interactive.hover;
+        }}
+        onMouseLeave={(e) => {
+          e.currentTarget.style.background = 'transparent';
+        }}
+      >
+        <Icon size={14} />
+        <span>{label}</span>
+        <span style={{ fontWeight: '600' }}>{grounding.score}%</span>
+      </button>
+
+      {showDetails && reasons.length > 0 && (
+        <ul style={{
+          margin: '0.5rem 0 0 0',
+          paddingLeft: '1.25rem',
+          fontSize: '0.75rem',
+          color: colors.text.secondary,
+          lineHeight: '1.5'
+        }}>
+          {reasons.map(reason => (
+            <li key={reason}>{reason}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TrustIndicator;
@@ -1,11 +1,26 @@
 /**
  * Custom hook for managing chat state and persistence
- * Handles messages, AI state, and cleanup of stale messages
+ * Handles messages, AI state, and answers still being generated when the chat loads
  */
 
 import { useState, useCallback } from 'react';
 
-const STALE_MESSAGE_THRESHOLD_MS = 5 * 60 * 1000; // 5 minutes
+/**
+ * Mark AI answers loaded while still 'generating' as streaming, so their stream is resumed
+ * (the server reports them cancelled if nothing is generating them any more)
+ *
+ * @param {Array} chatHistory - Messages from the chat history endpoint
+ * @returns {Array} Messages with generating answers marked streaming
+ */
+export function markGeneratingMessages(chatHistory) {
+  return chatHistory.map(msg => {
+    if (msg.status === 'generating' && msg.is_ai) {
+      console.log('🔄 Found generating message on load:', msg.id);
+      return { ...msg, streaming: true };
+    }
+    return msg;
+  });
+}
 
 /**
  * Custom hook for managing chat state
@@ -39,68 +54,29 @@ export function useChatState(classId) {
   }, [classId]);
 
   /**
-   * Clean up a stale generating message
-   */
-  const cleanupStaleMessage = useCallback(async (messageId) => {
-    try {
-      const response = await fetch(`/api/chat/cancel/${messageId}`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
-
-      if (response.ok) {
-        console.log('🧹 Successfully cleaned up stale message:', messageId);
-      } else {
-        console.warn('⚠️ Failed to clean up stale message:', messageId);
-      }
-    } catch (error) {
-      console.warn('⚠️ Error cleaning up stale message:', messageId, error);
-    }
-  }, []);
-
-  /**
-   * Process chat history and clean up stale messages
+   * Process chat history, marking answers still being generated as streaming
    */
   const processMessages = useCallback((chatHistory) => {
-    const fiveMinutesAgo = new Date(Date.now() - STALE_MESSAGE_THRESHOLD_MS);
-
-    const processedMessages = chatHistory.map(msg => {
-      if (msg.status === 'generating' && msg.is_ai) {
-        const messageDate = new Date(msg.created_at);
-
-        // If generating message is older than 5 minutes, it's likely stale
-        if (messageDate < fiveMinutesAgo) {
-          console.log('🧹 Found stale generating message, cleaning up:', msg.id, messageDate);
-          cleanupStaleMessage(msg.id);
-          return { ...msg, status: 'cancelled' };
-        } else {
-          console.log('🔄 Found recent generating message on load:', msg.id);
-          return { ...msg, streaming: true };
-        }
-      }
-      return msg;
-    });
-
+    const processedMessages = markGeneratingMessages(chatHistory);
     setMessages(processedMessages);
 
     // Check if there are active generating messages
     const hasActiveGeneratingMessages = processedMessages.some(msg => msg.streaming === true);
 
     return hasActiveGeneratingMessages;
-  }, [cleanupStaleMessage]);
+  }, []);
 
   /**
-   * Add a user message to the chat
+   * Add a user message to the chat, with any extra fields such as pinned_context
    */
-  const addUserMessage = useCallback((messageText) => {
+  const addUserMessage = useCallback((messageText, extra = {}) => {
     const userMessageObj = {
       id: Date.now(),
       message: messageText,
       is_ai: false,
       user_name: 'You',
-      created_at: new Date().toISOString()
+      created_at: new Date().toISOString(),
+      ...extra
     };
 
     setMessages(prev => [...prev, userMessageObj]);
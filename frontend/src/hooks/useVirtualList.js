@@ -0,0 +1,188 @@
+/**
+ * Virtual list custom hook
+ * Renders only the rows of a long scrolling list that are near the viewport, so chats with
+ * thousands of messages stay smooth. Row heights are measured as rows render and estimated until then.
+ * Rows added above (older messages) and rows above the viewport that change height keep the rows
+ * in view where they are; a newly loaded list opens at its end.
+ */
+
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+
+const ESTIMATED_ROW_HEIGHT = 120;
+const OVERSCAN_PX = 800; // rows this far outside the viewport are rendered ahead of scrolling
+const AT_END_TOLERANCE_PX = 2;
+
+/**
+ * Index of the first row that ends below an offset
+ *
+ * @param {Array<number>} tops - Top offset of each row, plus the total height at the end
+ * @param {number} offset - Offset from the top of the list
+ * @returns {number} Row index (the row count when every row ends above the offset)
+ */
+function findRowEndingAfter(tops, offset) {
+  let low = 0;
+  let high = tops.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (tops[middle + 1] > offset) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Custom hook for rendering a window of a long list
+ *
+ * @param {Object} containerRef - Ref to the scrolling container
+ * @param {Array<string>} keys - Stable key of each row, in display order
+ * @returns {Object} startIndex and endIndex (exclusive) of the rows to render, paddingTop and
+ *   paddingBottom standing in for the rows left out, and measureRow, a ref callback for each rendered
+ *   row element (which must carry data-virtual-key)
+ */
+export function useVirtualList(containerRef, keys) {
+  const heights = useRef(new Map());
+  const layout = useRef({ tops: [0], indexByKey: new Map() });
+  const observer = useRef(null);
+  const previousKeys = useRef([]);
+  // Whether to stay at the end while the rows of a newly loaded list are measured
+  const pinnedToEnd = useRef(false);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  const [, setMeasureCount] = useState(0);
+
+  // Row positions from the measured heights
+  const tops = new Array(keys.length + 1);
+  const indexByKey = new Map();
+  tops[0] = 0;
+  keys.forEach((key, index) => {
+    indexByKey.set(key, index);
+    tops[index + 1] = tops[index] + (heights.current.get(key) ?? ESTIMATED_ROW_HEIGHT);
+  });
+
+  const startIndex = findRowEndingAfter(tops, viewport.scrollTop - OVERSCAN_PX);
+  const endIndex = Math.min(findRowEndingAfter(tops, viewport.scrollTop + viewport.height + OVERSCAN_PX) + 1, keys.length);
+
+  useLayoutEffect(() => {
+    layout.current = { tops, indexByKey };
+  });
+
+  // Keep the viewport in view when rows are added above it; open a new list at its end
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const previous = previousKeys.current;
+    const [previousFirst] = previous;
+    previousKeys.current = keys;
+    // Same rows, e.g. while an answer streams into the last one
+    if (previous.length === keys.length && previousFirst === keys[0] && previous[previous.length - 1] === keys[keys.length - 1]) return;
+    if (!container || keys.length === 0) return;
+
+    if (previousFirst === undefined || !keys.includes(previousFirst)) {
+      container.scrollTop = container.scrollHeight;
+      pinnedToEnd.current = true;
+      return;
+    }
+
+    pinnedToEnd.current = false;
+    const index = keys.indexOf(previousFirst);
+    if (index > 0) {
+      container.scrollTop += layout.current.tops[index];
+    }
+  }, [keys, containerRef]);
+
+  // Follow scrolling and resizing of the container
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    let frame = null;
+    const update = () => {
+      frame = null;
+      setViewport({ scrollTop: container.scrollTop, height: container.clientHeight });
+    };
+    const handleScroll = () => {
+      if (container.scrollTop + container.clientHeight < container.scrollHeight - AT_END_TOLERANCE_PX) {
+        pinnedToEnd.current = false;
+      }
+      if (frame === null) {
+        frame = requestAnimationFrame(update);
+      }
+    };
+
+    update();
+    container.addEventListener('scroll', handleScroll);
+    const resizeObserver = new ResizeObserver(() => {
+      if (frame === null) {
+        frame = requestAnimationFrame(update);
+      }
+    });
+    resizeObserver.observe(container);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      container.removeEventListener('scroll', handleScroll);
+      resizeObserver.disconnect();
+    };
+  }, [containerRef]);
+
+  // Measure rendered rows
+  useEffect(() => {
+    const rowObserver = new ResizeObserver(entries => {
+      const container = containerRef.current;
+      let changed = false;
+
+      for (const entry of entries) {
+        const element = entry.target;
+        if (!element.isConnected) {
+          rowObserver.unobserve(element);
+          continue;
+        }
+
+        const key = element.dataset.virtualKey;
+        const height = element.offsetHeight;
+        const previous = heights.current.get(key);
+        if (previous === height) continue;
+        heights.current.set(key, height);
+        changed = true;
+
+        // A row above the viewport changed height: move with it so the rows in view stay put
+        const index = layout.current.indexByKey.get(key);
+        const estimated = previous ?? ESTIMATED_ROW_HEIGHT;
+        if (container && index !== undefined && layout.current.tops[index] + estimated <= container.scrollTop) {
+          container.scrollTop += height - estimated;
+        }
+      }
+
+      if (container && pinnedToEnd.current) {
+        container.scrollTop = container.scrollHeight;
+      }
+      if (changed) {
+        setMeasureCount(count => count + 1);
+      }
+    });
+
+    observer.current = rowObserver;
+    // Rows rendered before the observer existed
+    containerRef.current?.querySelectorAll('[data-virtual-key]').forEach(element => rowObserver.observe(element));
+
+    return () => {
+      observer.current = null;
+      rowObserver.disconnect();
+    };
+  }, [containerRef]);
+
+  const measureRow = useCallback((element) => {
+    if (element) {
+      observer.current?.observe(element);
+    }
+  }, []);
+
+  return {
+    startIndex,
+    endIndex,
+    paddingTop: tops[startIndex],
+    paddingBottom: tops[keys.length] - tops[endIndex],
+    measureRow
+  };
+}
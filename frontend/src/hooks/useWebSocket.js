@@ -1,12 +1,17 @@
 /**
  * WebSocket custom hook for real-time chat communication
- * Manages WebSocket connection, message handling, and streaming state
+ * Manages WebSocket connection, message handling, and streaming state.
+ * Reconnects with backoff when the connection drops, and resumes answers that were still streaming.
  */
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 
 const WEBSOCKET_URL = 'ws://localhost:5001';
 const CHARACTER_ANIMATION_DELAY_MS = 25; // ~40 chars/second (Claude-like speed)
+const RECONNECT_BASE_DELAY_MS = 2000; // doubles with each failed attempt
+const RECONNECT_MAX_DELAY_MS = 30000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+const AUTH_FAILED_CLOSE_CODE = 1008; // the server rejected the token, so reconnecting cannot help
 
 /**
  * Custom hook for managing WebSocket connection and chat streaming
@@ -18,6 +23,7 @@ const CHARACTER_ANIMATION_DELAY_MS = 25; // ~40 chars/second (Claude-like speed)
  * @param {Function} onAIComplete - Callback when AI finishes responding
  * @param {Function} onGenerationStopped - Callback when generation is stopped
  * @param {Function} persistAIState - Callback to persist AI responding state
+ * @param {Function} onConversationCreated - Callback when a question starts a new conversation thread
  * @returns {Object} WebSocket state and functions
  */
 export function useWebSocket(
@@ -27,23 +33,35 @@ export function useWebSocket(
   onAIChunk,
   onAIComplete,
   onGenerationStopped,
-  persistAIState
+  persistAIState,
+  onConversationCreated
 ) {
   const [socket, setSocket] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
+  const [connectionAttempt, setConnectionAttempt] = useState(0);
+  // Reconnects since the last connection opened
+  const reconnectAttempts = useRef(0);
   const [isAIResponding, setIsAIResponding] = useState(false);
   const streamingQueues = useRef(new Map());
   const shouldBeResponding = useRef(false);
+  // Answers this connection already streams, started or resumed on it
+  const streamedMessageIds = useRef(new Set());
 
   useEffect(() => {
     const token = localStorage.getItem('token');
     const websocket = new WebSocket(WEBSOCKET_URL);
+    let isClosing = false;
+    let reconnectTimer = null;
+    streamedMessageIds.current = new Set();
 
     websocket.onopen = () => {
       console.log('WebSocket connected');
+      reconnectAttempts.current = 0;
       // Authenticate
       websocket.send(JSON.stringify({ type: 'auth', token }));
       // Join class room
       websocket.send(JSON.stringify({ type: 'join_class', classId }));
+      setIsConnected(true);
     };
 
     websocket.onmessage = (event) => {
@@ -52,13 +70,19 @@ export function useWebSocket(
       console.log('🚨 FRONTEND: Parsed data:', data);
 
       if (data.type === 'chat_message') {
-        // Only add AI messages from WebSocket (user messages are added immediately)
-        if (data.is_ai && onMessage) {
+        // User messages are already shown; their echo carries the stored ID and versions
+        if (onMessage) {
           onMessage(data);
         }
+      } else if (data.type === 'conversation_created') {
+        // The question was the first of a new thread
+        if (onConversationCreated) {
+          onConversationCreated(data.conversation);
+        }
       } else if (data.type === 'ai_message_start') {
         // Start of streaming AI message
         console.log('🌊 Frontend: AI message start received', data);
+        streamedMessageIds.current.add(data.id);
         shouldBeResponding.current = true;
         setIsAIResponding(true);
         console.log('🛑 STOP BUTTON: Should be visible now (ai_message_start)');
@@ -177,10 +201,19 @@ export function useWebSocket(
         }
       } else if (data.type === 'ai_message_cancelled') {
         console.log('🛑 AI message cancelled by backend:', data.id);
+        shouldBeResponding.current = false;
+        setIsAIResponding(false);
+        streamingQueues.current.delete(data.id);
 
         if (onAIComplete) {
           onAIComplete({ ...data, cancelled: true });
         }
+      } else if (data.type === 'error') {
+        // The server rejected the message before any answer started
+        console.error('❌ Chat message rejected:', data.error);
+        shouldBeResponding.current = false;
+        setIsAIResponding(false);
+        alert(data.error);
       }
     };
 
@@ -188,6 +221,26 @@ export function useWebSocket(
       console.error('WebSocket error:', error);
     };
 
+    // Reconnect when the connection drops; streaming answers are resumed on the new connection
+    websocket.onclose = (event) => {
+      if (isClosing) return;
+      setIsConnected(false);
+
+      if (event.code === AUTH_FAILED_CLOSE_CODE) {
+        console.error('🔌 WebSocket authentication failed, not reconnecting');
+        return;
+      }
+      if (reconnectAttempts.current >= MAX_RECONNECT_ATTEMPTS) {
+        console.error(`🔌 WebSocket closed, giving up after ${MAX_RECONNECT_ATTEMPTS} reconnect attempts`);
+        return;
+      }
+
+      const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempts.current, RECONNECT_MAX_DELAY_MS);
+      reconnectAttempts.current += 1;
+      console.log(`🔌 WebSocket closed, reconnecting in ${delay}ms`);
+      reconnectTimer = setTimeout(() => setConnectionAttempt(attempt => attempt + 1), delay);
+    };
+
     setSocket(websocket);
 
     // Cleanup
@@ -195,6 +248,9 @@ export function useWebSocket(
     const currentShouldBeResponding = shouldBeResponding;
 
     return () => {
+      isClosing = true;
+      clearTimeout(reconnectTimer);
+      setIsConnected(false);
       if (websocket) websocket.close();
 
       // Clean up state when component unmounts or class changes
@@ -204,7 +260,7 @@ export function useWebSocket(
       currentShouldBeResponding.current = false;
       if (persistAIState) persistAIState(false);
     };
-  }, [classId, onMessage, onAIStart, onAIChunk, onAIComplete, onGenerationStopped, persistAIState]);
+  }, [classId, connectionAttempt, onMessage, onAIStart, onAIChunk, onAIComplete, onGenerationStopped, persistAIState, onConversationCreated]);
 
   // Persist AI responding state changes
   useEffect(() => {
@@ -214,14 +270,31 @@ export function useWebSocket(
   }, [isAIResponding, persistAIState]);
 
   /**
-   * Send a chat message through WebSocket
+   * Send a chat message through WebSocket, limiting retrieval to any @-mentioned document IDs.
+   * conversationId is the class chat thread it belongs to (null starts a new one); a documentId
+   * sends it to the user's chat with that document instead, and pinnedContext attaches a passage
+   * selected in a document ({ documentId, page, text }). editMessageId sends it as a new version of
+   * that earlier question, in the same chat and place.
    */
-  const sendMessage = (message) => {
+  const sendMessage = (message, {
+    documentIds = [],
+    conversationId = null,
+    documentId = null,
+    useFullText = false,
+    pinnedContext = null,
+    editMessageId = null
+  } = {}) => {
     if (socket && socket.readyState === WebSocket.OPEN) {
       console.log('🚨 FRONTEND: Sending WebSocket message:', message);
       socket.send(JSON.stringify({
         type: 'chat_message',
-        message: message
+        message: message,
+        documentIds: documentIds,
+        conversationId: conversationId,
+        documentId: documentId,
+        useFullText: useFullText,
+        pinnedContext: pinnedContext,
+        editMessageId: editMessageId
       }));
       console.log('🚨 FRONTEND: Message sent successfully');
       return true;
@@ -229,6 +302,46 @@ export function useWebSocket(
     return false;
   };
 
+  /**
+   * Ask for another answer to the question an AI message answered, limited to the documents the
+   * question @-mentions (the server reads them from the question), or the whole document with
+   * useFullText in a document chat
+   */
+  const regenerate = (messageId, { useFullText = false } = {}) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      console.log('🔁 Regenerating AI message:', messageId);
+      socket.send(JSON.stringify({
+        type: 'regenerate',
+        messageId,
+        useFullText
+      }));
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Resume answers that are still streaming but not on this connection, e.g. after a refresh or
+   * reconnect. The server sends the text after the UTF-8 bytes already shown, then the rest live.
+   */
+  const resumeStreaming = useCallback((chatMessages) => {
+    if (!isConnected || !socket || socket.readyState !== WebSocket.OPEN) return;
+
+    chatMessages.forEach(msg => {
+      if (!msg.is_ai || !msg.streaming || streamedMessageIds.current.has(msg.id)) return;
+
+      console.log('🔄 Resuming AI message:', msg.id);
+      streamedMessageIds.current.add(msg.id);
+      shouldBeResponding.current = true;
+      setIsAIResponding(true);
+      socket.send(JSON.stringify({
+        type: 'resume',
+        messageId: msg.id,
+        offset: new TextEncoder().encode(msg.message || '').length
+      }));
+    });
+  }, [socket, isConnected]);
+
   /**
    * Stop AI generation
    */
@@ -260,6 +373,8 @@ export function useWebSocket(
     isAIResponding,
     setIsAIResponding,
     sendMessage,
+    regenerate,
+    resumeStreaming,
     stopGeneration,
     shouldBeResponding,
     streamingQueues
@@ -1,26 +1,37 @@
 /**
  * ClassRoom page component
- * Main classroom interface with chat, file management, and PDF viewing
+ * Main classroom interface with conversation threads, chat, file management, and PDF viewing
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useContext, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import {
   getClassDetails,
   getClassFiles,
   uploadFile,
   deleteFile,
-  getChatHistory
+  getChatHistory,
+  getConversations,
+  updateConversation,
+  deleteConversation,
+  selectMessageVersion,
+  submitMessageFeedback,
+  removeMessageFeedback
 } from '../services/api';
-import { ArrowLeft, Loader } from 'lucide-react';
+import { ArrowLeft, Loader, BarChart3 } from 'lucide-react';
 import { useTheme } from '../context/ThemeContext';
+import { AuthContext } from '../context/AuthContext';
 import ThemeToggle from '../components/ThemeToggle';
 import ChatMessages from '../components/ChatMessages';
 import ChatInput from '../components/ChatInput';
 import FileSidebar from '../components/FileSidebar';
+import ConversationList from '../components/ConversationList';
 import PDFViewer from '../components/PDFViewer';
+import DocumentChat from '../components/DocumentChat';
+import RetrievalAnalyticsPanel from '../components/RetrievalAnalyticsPanel';
 import { useWebSocket } from '../hooks/useWebSocket';
-import { useChatState } from '../hooks/useChatState';
+import { useChatState, markGeneratingMessages } from '../hooks/useChatState';
+import { findMentionedFiles } from '../utils/documentMentions';
 
 // Add CSS for animations
 if (!document.getElementById('streaming-animations-css')) {
@@ -53,13 +64,41 @@ if (!document.getElementById('streaming-animations-css')) {
 function ClassRoom() {
   const { classId } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { colors } = useTheme();
+  const { user } = useContext(AuthContext);
 
   // State management
   const [classInfo, setClassInfo] = useState(null);
   const [files, setFiles] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
   const [viewingFile, setViewingFile] = useState(null);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+
+  // Chat with the open document, kept apart from the class chat
+  const [documentChatOpen, setDocumentChatOpen] = useState(false);
+  const [documentMessages, setDocumentMessages] = useState([]);
+  const [documentInput, setDocumentInput] = useState('');
+  const [useFullText, setUseFullText] = useState(false);
+  const [documentHistoryCursor, setDocumentHistoryCursor] = useState(null);
+
+  // Passage selected in the document viewer that the next class chat question is about
+  const [pinnedContext, setPinnedContext] = useState(null);
+
+  // Conversation threads; the open one is kept in the URL (?conversation=), none for a new chat
+  const [conversations, setConversations] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const activeConversationId = Number(searchParams.get('conversation')) || null;
+  const activeConversationRef = useRef(activeConversationId);
+  activeConversationRef.current = activeConversationId;
+  const setSearchParamsRef = useRef(setSearchParams);
+  setSearchParamsRef.current = setSearchParams;
+  // Thread just started by a question in a new chat, whose messages are already shown
+  const startedConversationRef = useRef(null);
+  // Bumped to reload the chats after switching to another version of a message
+  const [historyReload, setHistoryReload] = useState(0);
+  // Cursor for the page of older messages in the open thread (null when all are loaded)
+  const [historyCursor, setHistoryCursor] = useState(null);
 
   // Chat state from custom hook
   const {
@@ -79,10 +118,31 @@ function ClassRoom() {
     addSummaryMessage
   } = useChatState(classId);
 
+  /**
+   * Update a message in whichever chat holds it
+   */
+  const updateAnyMessage = useCallback((messageId, updateFn) => {
+    updateMessage(messageId, updateFn);
+    setDocumentMessages(prev => prev.map(msg => (msg.id === messageId ? updateFn(msg) : msg)));
+  }, [updateMessage]);
+
   // WebSocket handlers - wrapped in useCallback to prevent unnecessary reconnections
   const handleWSMessage = useCallback((data) => {
     if (data.is_ai) {
       setMessages(prev => [...prev, data]);
+      return;
+    }
+
+    // The stored question replaces the one shown while it was sent
+    const { type, ...stored } = data;
+    const replaceOptimistic = prev => {
+      const index = prev.map(msg => msg.optimistic).lastIndexOf(true);
+      return index === -1 ? prev : [...prev.slice(0, index), stored, ...prev.slice(index + 1)];
+    };
+    if (data.document_id) {
+      setDocumentMessages(replaceOptimistic);
+    } else if (data.conversation_id === activeConversationRef.current) {
+      setMessages(replaceOptimistic);
     }
   }, [setMessages]);
 
@@ -93,28 +153,39 @@ function ClassRoom() {
       is_ai: true,
       user_name: data.user_name,
       created_at: data.created_at,
+      parent_message_id: data.parent_message_id,
+      version_ids: data.version_ids,
       streaming: true
     };
-    setMessages(prev => [...prev, newMessage]);
+    // Answers in a document chat belong to that chat, not the class chat
+    if (data.document_id) {
+      setDocumentMessages(prev => [...prev, newMessage]);
+    } else if (data.conversation_id === activeConversationRef.current) {
+      setMessages(prev => [...prev, newMessage]);
+    }
   }, [setMessages]);
 
   const handleAIChunk = useCallback((messageId, char) => {
-    updateMessage(messageId, (msg) => ({
+    updateAnyMessage(messageId, (msg) => ({
       ...msg,
       message: msg.message + char
     }));
-  }, [updateMessage]);
+  }, [updateAnyMessage]);
 
   const handleAIComplete = useCallback((data) => {
-    updateMessage(data.id, (msg) => ({
+    updateAnyMessage(data.id, (msg) => ({
       ...msg,
       streaming: false,
-      message: data.fallback ? data.content : msg.message
+      status: data.cancelled ? 'cancelled' : 'active',
+      // The server sends the final text with citation markers validated
+      message: data.content !== undefined ? data.content : msg.message,
+      citations: data.citations || msg.citations,
+      grounding: data.grounding || msg.grounding
     }));
-  }, [updateMessage]);
+  }, [updateAnyMessage]);
 
   const handleGenerationStopped = useCallback(() => {
-    setMessages(prev => prev.map(msg => {
+    const cancelStreaming = prev => prev.map(msg => {
       if (msg.streaming) {
         return {
           ...msg,
@@ -123,15 +194,28 @@ function ClassRoom() {
         };
       }
       return msg;
-    }));
+    });
+    setMessages(cancelStreaming);
+    setDocumentMessages(cancelStreaming);
   }, [setMessages]);
 
+  const handleConversationCreated = useCallback((conversation) => {
+    // Switch to the new thread without reloading the question already shown
+    startedConversationRef.current = conversation.id;
+    activeConversationRef.current = conversation.id;
+    setConversations(prev => [conversation, ...prev]);
+    setShowArchived(false);
+    setSearchParamsRef.current({ conversation: String(conversation.id) }, { replace: true });
+  }, []);
+
   // WebSocket hook
   const {
     socket,
     isAIResponding,
     setIsAIResponding,
     sendMessage,
+    regenerate,
+    resumeStreaming,
     stopGeneration
   } = useWebSocket(
     classId,
@@ -140,40 +224,27 @@ function ClassRoom() {
     handleAIChunk,
     handleAIComplete,
     handleGenerationStopped,
-    persistAIState
+    persistAIState,
+    handleConversationCreated
   );
 
   /**
-   * Load class information, files, and chat history
+   * Load class information and files
    */
   const loadClassData = useCallback(async () => {
     try {
-      const [classRes, filesRes, historyRes] = await Promise.all([
+      const [classRes, filesRes] = await Promise.all([
         getClassDetails(classId),
-        getClassFiles(classId),
-        getChatHistory(classId)
+        getClassFiles(classId)
       ]);
 
       setClassInfo(classRes.data);
       setFiles(filesRes.data || []);
-
-      const chatHistory = historyRes.data || [];
-      const hasActiveGenerating = processMessages(chatHistory);
-
-      if (hasActiveGenerating) {
-        console.log('🔄 Found active generating messages on load, setting AI responding state');
-        setIsAIResponding(true);
-      } else {
-        console.log('🧹 No active generating messages, clearing AI responding state');
-        setIsAIResponding(false);
-        persistAIState(false);
-      }
     } catch (error) {
       console.error('Error loading class data:', error);
       setFiles([]);
-      setMessages([]);
     }
-  }, [classId, processMessages, setIsAIResponding, persistAIState, setMessages]);
+  }, [classId]);
 
   // Load class data on mount
   useEffect(() => {
@@ -185,6 +256,171 @@ function ClassRoom() {
     }
   }, [classId, getPersistedAIState, loadClassData]);
 
+  // Load the thread list (or the archived threads)
+  useEffect(() => {
+    let isCurrent = true;
+    getConversations(classId, showArchived)
+      .then(response => {
+        if (isCurrent) setConversations(response.data || []);
+      })
+      .catch(error => console.error('Error loading conversations:', error));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [classId, showArchived]);
+
+  // Load the history of the open thread; a new chat shows only the document summaries
+  useEffect(() => {
+    if (activeConversationId && startedConversationRef.current === activeConversationId) {
+      startedConversationRef.current = null;
+      return;
+    }
+
+    let isCurrent = true;
+    getChatHistory(classId, { conversationId: activeConversationId })
+      .then(response => {
+        if (!isCurrent) return;
+        const hasActiveGenerating = processMessages(response.data.messages || []);
+        setHistoryCursor(response.data.nextCursor);
+
+        if (hasActiveGenerating) {
+          console.log('🔄 Found active generating messages on load, setting AI responding state');
+          setIsAIResponding(true);
+        } else {
+          console.log('🧹 No active generating messages, clearing AI responding state');
+          setIsAIResponding(false);
+          persistAIState(false);
+        }
+      })
+      .catch(error => {
+        console.error('Error loading chat history:', error);
+        if (isCurrent) {
+          setMessages([]);
+          setHistoryCursor(null);
+        }
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [classId, activeConversationId, historyReload, processMessages, setIsAIResponding, persistAIState, setMessages]);
+
+  // Pick up answers still streaming from before a refresh or reconnect
+  useEffect(() => {
+    resumeStreaming([...messages, ...documentMessages]);
+  }, [messages, documentMessages, resumeStreaming]);
+
+  /**
+   * Load the page of messages before the oldest one shown in the open thread
+   */
+  const handleLoadOlderMessages = useCallback(async () => {
+    const conversationId = activeConversationId;
+    try {
+      const response = await getChatHistory(classId, { conversationId, before: historyCursor });
+      if (activeConversationRef.current !== conversationId) return;
+      setMessages(prev => [...markGeneratingMessages(response.data.messages || []), ...prev]);
+      setHistoryCursor(response.data.nextCursor);
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+    }
+  }, [classId, activeConversationId, historyCursor, setMessages]);
+
+  // Load the user's chat with the open document when its chat is shown
+  const documentChatFileId = documentChatOpen && viewingFile ? viewingFile.id : null;
+  const documentChatFileRef = useRef(documentChatFileId);
+  documentChatFileRef.current = documentChatFileId;
+  useEffect(() => {
+    if (!documentChatFileId) return;
+
+    let isCurrent = true;
+    setDocumentMessages([]);
+    setDocumentHistoryCursor(null);
+    getChatHistory(classId, { documentId: documentChatFileId })
+      .then(response => {
+        if (!isCurrent) return;
+        setDocumentMessages(markGeneratingMessages(response.data.messages || []));
+        setDocumentHistoryCursor(response.data.nextCursor);
+      })
+      .catch(error => console.error('Error loading document chat:', error));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [classId, documentChatFileId, historyReload]);
+
+  /**
+   * Load the page of messages before the oldest one shown in the document chat
+   */
+  const handleLoadOlderDocumentMessages = useCallback(async () => {
+    const documentId = documentChatFileId;
+    try {
+      const response = await getChatHistory(classId, { documentId, before: documentHistoryCursor });
+      if (documentChatFileRef.current !== documentId) return;
+      setDocumentMessages(prev => [...markGeneratingMessages(response.data.messages || []), ...prev]);
+      setDocumentHistoryCursor(response.data.nextCursor);
+    } catch (error) {
+      console.error('Error loading older document chat messages:', error);
+    }
+  }, [classId, documentChatFileId, documentHistoryCursor]);
+
+  /**
+   * Close the document viewer along with its chat
+   */
+  const handleCloseViewer = useCallback(() => {
+    setViewingFile(null);
+    setDocumentChatOpen(false);
+    setUseFullText(false);
+  }, []);
+
+  /**
+   * Open a conversation thread, or a new chat when conversationId is null
+   */
+  const handleSelectConversation = (conversationId) => {
+    setSearchParams(conversationId ? { conversation: String(conversationId) } : {});
+  };
+
+  /**
+   * Rename a thread
+   */
+  const handleRenameConversation = async (conversationId, title) => {
+    try {
+      const response = await updateConversation(conversationId, { title });
+      setConversations(prev => prev.map(c => (c.id === conversationId ? response.data : c)));
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error renaming conversation');
+    }
+  };
+
+  /**
+   * Archive a thread, or restore it from the archive; it stays open if it is the one shown
+   */
+  const handleArchiveConversation = async (conversationId, archived) => {
+    try {
+      await updateConversation(conversationId, { archived });
+      setConversations(prev => prev.filter(c => c.id !== conversationId));
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error archiving conversation');
+    }
+  };
+
+  /**
+   * Delete a thread with its messages
+   */
+  const handleDeleteConversation = async (conversationId) => {
+    if (!window.confirm('Delete this conversation and all of its messages?')) return;
+
+    try {
+      await deleteConversation(conversationId);
+      setConversations(prev => prev.filter(c => c.id !== conversationId));
+      if (conversationId === activeConversationId) {
+        handleSelectConversation(null);
+      }
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error deleting conversation');
+    }
+  };
+
   /**
    * Handle file upload
    */
@@ -243,6 +479,110 @@ function ClassRoom() {
     }
   };
 
+  /**
+   * Open the document a citation points to, at the cited page when known
+   */
+  const handleCitationClick = (citation) => {
+    const file = files.find(f => f.id === citation.documentId);
+    if (!file) {
+      alert('This document is no longer available');
+      return;
+    }
+    setViewingFile({ ...file, page: citation.pageStart || null });
+  };
+
+  /**
+   * Pin a passage selected in the open document to the class chat input
+   */
+  const handleAskAboutSelection = ({ text, page }) => {
+    setPinnedContext({ documentId: viewingFile.id, filename: viewingFile.filename, page, text });
+    if (!inputMessage.trim()) {
+      setInputMessage('Explain this');
+    }
+    handleCloseViewer();
+  };
+
+  /**
+   * Save the user's rating of an AI answer, restoring the previous one if saving fails
+   */
+  const handleFeedback = async (messageId, feedback) => {
+    const previous = [...messages, ...documentMessages].find(msg => msg.id === messageId)?.feedback || null;
+    updateAnyMessage(messageId, (msg) => ({ ...msg, feedback }));
+
+    try {
+      if (feedback) {
+        await submitMessageFeedback(messageId, feedback);
+      } else {
+        await removeMessageFeedback(messageId);
+      }
+    } catch (error) {
+      updateAnyMessage(messageId, (msg) => ({ ...msg, feedback: previous }));
+      alert(error.response?.data?.error || 'Error saving feedback');
+    }
+  };
+
+  /**
+   * Edit a question: the new text is sent as another version of it, and replaces it and
+   * everything after it in the chat shown
+   */
+  const handleEditMessage = (message, text) => {
+    if (isAIResponding || !socket) return;
+
+    const isDocumentChat = documentMessages.some(msg => msg.id === message.id);
+    const setChat = isDocumentChat ? setDocumentMessages : setMessages;
+    const success = sendMessage(text, {
+      editMessageId: message.id,
+      documentIds: isDocumentChat ? [] : findMentionedFiles(text, files).map(file => file.id),
+      useFullText
+    });
+    if (!success) {
+      alert('Error sending message');
+      return;
+    }
+
+    setIsAIResponding(true);
+    setChat(prev => [...prev.slice(0, prev.findIndex(msg => msg.id === message.id)), {
+      id: Date.now(),
+      message: text,
+      is_ai: false,
+      user_name: 'You',
+      created_at: new Date().toISOString(),
+      pinned_context: message.pinned_context,
+      optimistic: true
+    }]);
+  };
+
+  /**
+   * Ask for another answer to the question an answer replied to; it replaces that answer and
+   * everything after it in the chat shown
+   */
+  const handleRegenerate = (message) => {
+    if (isAIResponding || !socket) return;
+
+    const isDocumentChat = documentMessages.some(msg => msg.id === message.id);
+    const setChat = isDocumentChat ? setDocumentMessages : setMessages;
+    const success = regenerate(message.id, { useFullText });
+    if (!success) {
+      alert('Error sending message');
+      return;
+    }
+
+    setIsAIResponding(true);
+    setChat(prev => prev.slice(0, prev.findIndex(msg => msg.id === message.id)));
+  };
+
+  /**
+   * Show another version of a question or answer, with the chat that followed it
+   */
+  const handleSelectVersion = async (messageId) => {
+    try {
+      await selectMessageVersion(messageId);
+      setHistoryReload(count => count + 1);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error switching versions');
+    }
+  };
+
   /**
    * Handle send message
    */
@@ -251,33 +591,74 @@ function ClassRoom() {
     if (!inputMessage.trim() || isSending || !socket) return;
 
     const userMessage = inputMessage;
+    const messagePinnedContext = pinnedContext;
     setInputMessage('');
+    setPinnedContext(null);
     setIsSending(true);
     setIsAIResponding(true);
 
     // Add user message immediately
-    addUserMessage(userMessage);
+    addUserMessage(userMessage, { optimistic: true, ...(messagePinnedContext ? { pinned_context: messagePinnedContext } : {}) });
 
     try {
-      // Send through WebSocket
+      // Send through WebSocket, limited to any @-mentioned documents
       console.log('🚨 FRONTEND: Sending WebSocket message:', userMessage);
-      const success = sendMessage(userMessage);
+      const documentIds = findMentionedFiles(userMessage, files).map(file => file.id);
+      const success = sendMessage(userMessage, {
+        documentIds,
+        conversationId: activeConversationId,
+        pinnedContext: messagePinnedContext
+      });
 
       if (!success) {
         throw new Error('WebSocket not ready');
       }
 
+      // The thread moves to the top of the list
+      setConversations(prev => {
+        const current = prev.find(c => c.id === activeConversationId);
+        return current ? [current, ...prev.filter(c => c !== current)] : prev;
+      });
+
       console.log('🚨 FRONTEND: Message sent successfully');
     } catch (error) {
       alert('Error sending message');
       setIsAIResponding(false);
       // Remove the message we just added since it failed
       setMessages(prev => prev.slice(0, -1));
+      setPinnedContext(messagePinnedContext);
     } finally {
       setIsSending(false);
     }
   };
 
+  /**
+   * Send a message to the chat with the open document
+   */
+  const handleSendDocumentMessage = (e) => {
+    e.preventDefault();
+    if (!documentInput.trim() || isSending || !socket || !viewingFile) return;
+
+    const userMessage = documentInput;
+    setDocumentInput('');
+    setIsAIResponding(true);
+    setDocumentMessages(prev => [...prev, {
+      id: Date.now(),
+      message: userMessage,
+      is_ai: false,
+      user_name: 'You',
+      created_at: new Date().toISOString(),
+      optimistic: true
+    }]);
+
+    const success = sendMessage(userMessage, { documentId: viewingFile.id, useFullText });
+    if (!success) {
+      alert('Error sending message');
+      setIsAIResponding(false);
+      setDocumentMessages(prev => prev.slice(0, -1));
+    }
+  };
+
   /**
    * Handle stop generation
    */
@@ -288,7 +669,7 @@ function ClassRoom() {
     stopGeneration();
 
     // Update UI state
-    setMessages(prev => prev.map(msg => {
+    const cancelGenerating = prev => prev.map(msg => {
       if (msg.streaming || msg.status === 'generating') {
         return {
           ...msg,
@@ -297,10 +678,12 @@ function ClassRoom() {
         };
       }
       return msg;
-    }));
+    });
+    setMessages(cancelGenerating);
+    setDocumentMessages(cancelGenerating);
 
     // Cancel generating messages on server (backup)
-    const generatingMessages = messages.filter(msg => msg.streaming || msg.status === 'generating');
+    const generatingMessages = [...messages, ...documentMessages].filter(msg => msg.streaming || msg.status === 'generating');
     for (const msg of generatingMessages) {
       if (msg.id) {
         try {
@@ -383,7 +766,35 @@ function ClassRoom() {
             </p>
           </div>
         </div>
-        <ThemeToggle />
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          {/* Retrieval analytics are only available to the class owner */}
+          {user && user.id === classInfo.owner_id && (
+            <button
+              onClick={() => setShowAnalytics(true)}
+              title="Retrieval analytics"
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                padding: '0.5rem',
+                background: 'transparent',
+                border: 'none',
+                cursor: 'pointer',
+                color: colors.text.secondary,
+                borderRadius: '8px',
+                transition: 'all 0.2s ease'
+              }}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.background = colors.interactive.hover;
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.background = 'transparent';
+              }}
+            >
+              <BarChart3 size={20} />
+            </button>
+          )}
+          <ThemeToggle />
+        </div>
       </header>
 
       <div style={{ display: 'flex', flex: 1, overflow: 'hidden' }}>
@@ -396,6 +807,19 @@ function ClassRoom() {
           onFileView={setViewingFile}
         />
 
+        {/* Conversation threads */}
+        <ConversationList
+          conversations={conversations}
+          activeConversationId={activeConversationId}
+          showArchived={showArchived}
+          onToggleArchived={() => setShowArchived(archived => !archived)}
+          onSelect={handleSelectConversation}
+          onNewConversation={() => handleSelectConversation(null)}
+          onRename={handleRenameConversation}
+          onArchive={handleArchiveConversation}
+          onDelete={handleDeleteConversation}
+        />
+
         {/* Chat Interface */}
         <main style={{ flex: 1, display: 'flex', flexDirection: 'column', background: colors.primary }}>
           {/* Chat Messages */}
@@ -403,6 +827,13 @@ function ClassRoom() {
             messages={messages}
             isAIResponding={isAIResponding}
             classInfo={classInfo}
+            onCitationClick={handleCitationClick}
+            onFeedback={handleFeedback}
+            onEdit={handleEditMessage}
+            onRegenerate={handleRegenerate}
+            onSelectVersion={handleSelectVersion}
+            hasMore={Boolean(historyCursor)}
+            onLoadMore={handleLoadOlderMessages}
           />
 
           {/* Input Area */}
@@ -413,6 +844,9 @@ function ClassRoom() {
             isAIResponding={isAIResponding}
             onSubmit={handleSendMessage}
             onStop={handleStopGeneration}
+            files={files}
+            pinnedContext={pinnedContext}
+            onClearPinnedContext={() => setPinnedContext(null)}
           />
         </main>
       </div>
@@ -420,7 +854,39 @@ function ClassRoom() {
       {/* PDF Viewer Modal */}
       <PDFViewer
         file={viewingFile}
-        onClose={() => setViewingFile(null)}
+        onClose={handleCloseViewer}
+        isChatOpen={documentChatOpen}
+        onToggleChat={() => setDocumentChatOpen(open => !open)}
+        onAskAboutSelection={handleAskAboutSelection}
+        chatPanel={viewingFile && (
+          <DocumentChat
+            file={viewingFile}
+            messages={documentMessages}
+            isAIResponding={isAIResponding}
+            inputMessage={documentInput}
+            setInputMessage={setDocumentInput}
+            isSending={isSending}
+            onSubmit={handleSendDocumentMessage}
+            onStop={handleStopGeneration}
+            useFullText={useFullText}
+            setUseFullText={setUseFullText}
+            classInfo={classInfo}
+            onCitationClick={handleCitationClick}
+            onFeedback={handleFeedback}
+            onEdit={handleEditMessage}
+            onRegenerate={handleRegenerate}
+            onSelectVersion={handleSelectVersion}
+            hasMore={Boolean(documentHistoryCursor)}
+            onLoadMore={handleLoadOlderDocumentMessages}
+          />
+        )}
+      />
+
+      {/* Retrieval Analytics Modal */}
+      <RetrievalAnalyticsPanel
+        classId={classId}
+        isOpen={showAnalytics}
+        onClose={() => setShowAnalytics(false)}
       />
     </div>
   );
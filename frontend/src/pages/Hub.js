@@ -699,7 +699,10 @@ function Hub() {
                           <div
                             key={`search-msg-${msg.id}`}
                             onClick={() => {
-                              navigate(`/class/${msg.class_id}`);
+                              // Open the conversation thread the message belongs to
+                              navigate(msg.conversation_id
+                                ? `/class/${msg.class_id}?conversation=${msg.conversation_id}`
+                                : `/class/${msg.class_id}`);
                               setSearchQuery('');
                               setSearchResults({ classes: [], documents: [], documentContent: [], chatMessages: [] });
                             }}
@@ -729,6 +732,7 @@ function Hub() {
                                 marginBottom: '0.25rem'
                               }}>
                                 {msg.class_code} – {msg.class_name}
+                                {msg.conversation_title && ` • ${msg.conversation_title}`}
                               </p>
                               <p style={{ 
                                 fontSize: '0.75rem', 
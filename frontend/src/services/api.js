@@ -53,6 +53,13 @@ export const joinClass = (classId) => api.post(`/classes/${classId}/join`);
 /** Get detailed information about a specific class */
 export const getClassDetails = (classId) => api.get(`/classes/${classId}`);
 
+/** Get the retrieval log of a class (owner only); params: filter ('no-match'), before, limit */
+export const getRetrievalAnalytics = (classId, params) =>
+  api.get(`/classes/${classId}/retrieval-analytics`, { params });
+
+/** Get aggregated answer feedback for a class (owner only) */
+export const getClassFeedback = (classId) => api.get(`/classes/${classId}/feedback`);
+
 // ========== File Management API Functions ==========
 
 /** Upload a file to a class */
@@ -76,8 +83,39 @@ export const deleteFile = (fileId) => api.delete(`/files/${fileId}`);
 export const sendMessage = (classId, messageContent) =>
   api.post(`/chat/message/${classId}`, { message: messageContent });
 
-/** Get chat history for a specific class */
-export const getChatHistory = (classId) => api.get(`/chat/history/${classId}`);
+/**
+ * Chat history of one of the user's conversation threads in the class, or of their chat with one
+ * document when documentId is given. With neither, only the document summaries that open a new thread.
+ * Returns { messages, nextCursor }: the newest page, or the page before the `before` cursor.
+ */
+export const getChatHistory = (classId, { conversationId = null, documentId = null, before = null } = {}) =>
+  api.get(`/chat/history/${classId}`, {
+    params: {
+      ...(documentId ? { documentId } : conversationId ? { conversationId } : {}),
+      ...(before ? { before } : {})
+    }
+  });
+
+/** The user's conversation threads in a class, most recent first (archived ones when archived is true) */
+export const getConversations = (classId, archived = false) =>
+  api.get(`/chat/conversations/${classId}`, { params: archived ? { archived: true } : undefined });
+
+/** Rename, archive or unarchive a conversation thread: changes is { title, archived } */
+export const updateConversation = (conversationId, changes) =>
+  api.patch(`/chat/conversations/${conversationId}`, changes);
+
+/** Delete a conversation thread with its messages */
+export const deleteConversation = (conversationId) => api.delete(`/chat/conversations/${conversationId}`);
+
+/** Show another version of an edited question or regenerated answer, with the chat that followed it */
+export const selectMessageVersion = (messageId) => api.post(`/chat/messages/${messageId}/select`);
+
+/** Rate an AI answer: feedback is { rating: 'up' | 'down', reasons } */
+export const submitMessageFeedback = (messageId, feedback) =>
+  api.put(`/chat/feedback/${messageId}`, feedback);
+
+/** Remove the current user's rating from an AI answer */
+export const removeMessageFeedback = (messageId) => api.delete(`/chat/feedback/${messageId}`);
 
 // ========== User API Functions ==========
 
@@ -0,0 +1,60 @@
+/**
+ * Document mention utilities
+ * Finds and completes @filename mentions that limit a question to specific class documents
+ */
+
+const MAX_MENTION_QUERY_LENGTH = 60;
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * Whether a message mentions a filename as @filename. A following letter, digit, "-", "_"
+ * or ".ext" means a longer filename, so @notes.pdf does not mention notes.pdf.old.
+ *
+ * @param {string} text - Message text
+ * @param {string} filename - File name
+ * @returns {boolean} True if the filename is mentioned
+ */
+function mentionsFilename(text, filename) {
+  const escaped = filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`@${escaped}(?![\\p{L}\\p{N}_-]|\\.[\\p{L}\\p{N}])`, 'u').test(text);
+}
+
+/**
+ * Files mentioned as @filename in a message
+ *
+ * @param {string} text - Message text
+ * @param {Array} files - Class files with id and filename
+ * @returns {Array} Mentioned files, in class file order
+ */
+export function findMentionedFiles(text, files) {
+  if (!text || !text.includes('@')) return [];
+  return files.filter(file => mentionsFilename(text, file.filename));
+}
+
+/**
+ * The mention being typed just before the caret, if any
+ *
+ * @param {string} text - Input text
+ * @param {number} caret - Caret position
+ * @returns {Object|null} { start, query } where start is the index of the @, or null
+ */
+export function getActiveMention(text, caret) {
+  const beforeCaret = text.slice(0, caret);
+  const match = beforeCaret.match(/(?:^|\s)@([^@\n]*)$/);
+  if (!match || match[1].length > MAX_MENTION_QUERY_LENGTH) return null;
+  return { start: caret - match[1].length - 1, query: match[1] };
+}
+
+/**
+ * Class files matching a partially typed mention
+ *
+ * @param {string} query - Text typed after the @
+ * @param {Array} files - Class files with filename
+ * @returns {Array} Up to MAX_SUGGESTIONS matching files
+ */
+export function suggestMentionFiles(query, files) {
+  const needle = query.toLowerCase();
+  return files
+    .filter(file => file.filename.toLowerCase().includes(needle))
+    .slice(0, MAX_SUGGESTIONS);
+}
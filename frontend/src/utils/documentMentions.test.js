@@ -0,0 +1,70 @@
+import { findMentionedFiles, getActiveMention, suggestMentionFiles } from './documentMentions';
+
+const files = [
+  { id: 1, filename: 'Lecture 1.pdf' },
+  { id: 2, filename: 'Lecture 10.pdf' },
+  { id: 3, filename: 'syllabus.docx' }
+];
+
+describe('findMentionedFiles', () => {
+  test('finds files mentioned with @, in class file order', () => {
+    const mentioned = findMentionedFiles('Compare @syllabus.docx with @Lecture 10.pdf', files);
+    expect(mentioned.map(file => file.id)).toEqual([2, 3]);
+  });
+
+  test('needs the @ before the filename', () => {
+    expect(findMentionedFiles('What is in syllabus.docx?', files)).toEqual([]);
+  });
+
+  test('does not match a longer filename by its prefix', () => {
+    expect(findMentionedFiles('Summarize @Lecture 10.pdf', files).map(file => file.id)).toEqual([2]);
+  });
+
+  test('does not match a filename that continues past the mention', () => {
+    expect(findMentionedFiles('Summarize @syllabus.docx.old and @syllabus.docx2', files)).toEqual([]);
+    expect(findMentionedFiles('What is in @syllabus.docx?', files).map(file => file.id)).toEqual([3]);
+  });
+
+  test('handles empty messages', () => {
+    expect(findMentionedFiles('', files)).toEqual([]);
+    expect(findMentionedFiles(null, files)).toEqual([]);
+  });
+});
+
+describe('getActiveMention', () => {
+  test('returns the mention being typed before the caret', () => {
+    const text = 'Explain @Lect';
+    expect(getActiveMention(text, text.length)).toEqual({ start: 8, query: 'Lect' });
+  });
+
+  test('allows spaces in the query', () => {
+    const text = '@Lecture 1';
+    expect(getActiveMention(text, text.length)).toEqual({ start: 0, query: 'Lecture 1' });
+  });
+
+  test('returns an empty query right after the @', () => {
+    expect(getActiveMention('See @', 5)).toEqual({ start: 4, query: '' });
+  });
+
+  test('only looks at text before the caret', () => {
+    expect(getActiveMention('@Lec and more', 4)).toEqual({ start: 0, query: 'Lec' });
+    expect(getActiveMention('Hi @Lec', 2)).toBeNull();
+  });
+
+  test('ignores @ inside a word, such as an email address', () => {
+    const text = 'mail me at joe@ucla';
+    expect(getActiveMention(text, text.length)).toBeNull();
+  });
+
+  test('ignores mentions on an earlier line or past the length limit', () => {
+    expect(getActiveMention('@Lec\nnext', 9)).toBeNull();
+    const text = `@${'x'.repeat(61)}`;
+    expect(getActiveMention(text, text.length)).toBeNull();
+  });
+});
+
+describe('suggestMentionFiles', () => {
+  test('matches filenames case-insensitively', () => {
+    expect(suggestMentionFiles('lecture', files).map(file => file.id)).toEqual([1, 2]);
+  });
+});
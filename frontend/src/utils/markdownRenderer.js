@@ -21,3 +21,36 @@ export function renderMarkdown(text) {
 
   return html;
 }
+
+// Fenced code blocks (up to their closing fence, or the end of an unfinished answer) and inline code spans
+const CODE_SPAN_PATTERN = /```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|(`+)[\s\S]*?\1(?!`)/g;
+
+/**
+ * Turn citation markers such as [2] into clickable superscripts
+ * Only markers that match a stored citation are linked; array[2] and other bracketed
+ * numbers glued to a word, and anything inside code, are left alone.
+ *
+ * @param {string} html - Rendered message HTML
+ * @param {Array} citations - Message citations with marker numbers
+ * @returns {string} HTML with data-citation links
+ */
+export function renderCitationMarkers(html, citations) {
+  if (!html || !citations || citations.length === 0) return html;
+
+  const markers = new Set(citations.map(citation => String(citation.marker)));
+  const linkMarkers = (prose) => prose.replace(/\[(\d+)\]/g, (match, marker, offset, source) => {
+    const previous = source[offset - 1];
+    if (!markers.has(marker) || (previous && /\w/.test(previous))) {
+      return match;
+    }
+    return `<sup><a href="#" data-citation="${marker}" style="color: #2563eb; text-decoration: none; font-weight: 600; padding: 0 0.1rem;">[${marker}]</a></sup>`;
+  });
+
+  let result = '';
+  let proseStart = 0;
+  for (const code of html.matchAll(CODE_SPAN_PATTERN)) {
+    result += linkMarkers(html.slice(proseStart, code.index)) + code[0];
+    proseStart = code.index + code[0].length;
+  }
+  return result + linkMarkers(html.slice(proseStart));
+}
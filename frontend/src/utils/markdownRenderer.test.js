@@ -0,0 +1,21 @@
+import { renderCitationMarkers } from './markdownRenderer';
+
+const citations = [{ marker: 1 }, { marker: 2 }];
+
+describe('renderCitationMarkers', () => {
+  test('links markers that match a citation', () => {
+    expect(renderCitationMarkers('Stacks are LIFO [1].', citations)).toContain('data-citation="1"');
+  });
+
+  test('leaves unknown markers and markers glued to a word alone', () => {
+    expect(renderCitationMarkers('See [3] and array[1].', citations)).toBe('See [3] and array[1].');
+  });
+
+  test('leaves markers inside code alone', () => {
+    const code = 'Use `x[1]`:<br>```<br>arr = [1, 2]<br>arr[2]<br>```<br>as in ';
+
+    expect(renderCitationMarkers(`${code}[2].`, citations)).toMatch(/^Use `x\[1\]`:<br>```<br>arr = \[1, 2\]<br>arr\[2\]<br>```<br>as in <sup>/);
+    expect(renderCitationMarkers(`${code}[2].`, citations).match(/data-citation/g)).toHaveLength(1);
+    expect(renderCitationMarkers(code, citations)).toBe(code);
+  });
+});